@@ -1,71 +1,423 @@
-import { PARAMETERS, getStatus, getStatusLabel, calculateCorrections, buildSpeechScript } from './chemistry.js';
-import { COLOR_CHARTS, matchColor, matchColorInterpolated, extractAverageColor } from './colorChart.js';
-import { speak, stopSpeaking, isTTSAvailable, isSpeaking } from './speech.js';
-import { downloadICS } from './calendar.js';
+import { PARAMETERS, SATURATION_INDICES, getRange, getStatus, getStatusLabel, getCombinedChlorine, getWaterBalance, fahrenheitToCelsius, calculateCorrections, predictSanitizer, buildSpeechScript } from './chemistry.js';
+import { DELTA_E_METHODS, matchColor, matchColorInterpolated, extractAverageColor, createWhiteReference } from './colorChart.js';
+import { speak, stopSpeaking, isTTSAvailable, isSpeaking, isSTTAvailable, startListening, stopListening, listVoices, onVoicesChanged, setSpeechVoice } from './speech.js';
+import { downloadICS, downloadMaintenanceICS, drainIntervalDays, drainIntervalMonths } from './calendar.js';
+import { detectStripPads } from './stripDetect.js';
+import { isCameraAvailable, startCamera, stopCamera, captureFrame, compressImage, createStabilityMeter } from './camera.js';
+import { defaultProfileId, getProfile, listProfiles, parseStripProfile, serializeStripProfile } from './stripProfiles.js';
+import { JOBS, INGREDIENTS, DEFAULT_PRODUCTS, productsForJob, resolveProducts, validateProduct } from './products.js';
+import { chartedParameters, trendChart } from './charts.js';
+import { serializeBackup, parseBackup, mergeBackup, describeBackup, historyToCSV } from './backup.js';
+import { DROP_KITS, getDropKit, sampleSizes, dropReading } from './dropKits.js';
+import { createSession, timerRemaining, isTimerPaused, checkOffStep, skipStep, pauseTimer, resumeTimer, endWait, expectedAfter, keepScreenOn, allowScreenOff, requestNotifications, notify, clearNotification } from './treatment.js';
+import { isVoiceAvailable, createVoiceControl } from './voice.js';
+import { parseDictation } from './dictation.js';
+import { UNIT_SYSTEMS, MEASURES, DEFAULT_UNITS, temperatureUnit, formatTemperature, spokenUnits } from './units.js';
+import { LOCALES, detectLocale, setLocale, t, formatNumber, formatDate, formatTime, formatDateTime } from './i18n.js';
+import { createRouter } from './router.js';
+import * as storage from './storage.js';
+
+// ---- Bodies of water ----
+// Each spa or pool keeps its own volume, sanitizer, strip profile, target ranges,
+// fill-water readings, test history and logged treatments, all kept in
+// IndexedDB through storage.js.
+function newWater(id, name) {
+  return {
+    id, name, volume: 0, volumeUnit: 'gallons', sanitizerType: 'chlorine', stripProfileId: '', waterTemp: null, ranges: {}, fillWater: {},
+    // Recurring calendar; sequence counts exports so calendars update the same events
+    maintenance: { testsPerWeek: 3, bathersPerDay: 2, time: '18:00', sequence: 0 },
+  };
+}
+
+// ---- Storage ----
+// state is the source of truth while the app runs; changes are written to
+// storage in the background. The first failed write is reported to the user.
+let storageWarned = false;
+function persist(promise) {
+  return promise.catch(err => {
+    console.error('Storage error:', err);
+    if (!storageWarned) {
+      storageWarned = true;
+      alert(t('storage.saveFailed', { message: err.message }));
+    }
+  });
+}
+
+async function loadStored() {
+  try {
+    await storage.openStorage();
+    const [settings, waters, customProfiles, customProducts] = await Promise.all([
+      storage.getSettings(),
+      storage.getWaters(),
+      storage.getCustomProfiles(),
+      storage.getCustomProducts(),
+    ]);
+    return { settings, waters, customProfiles, customProducts };
+  } catch (err) {
+    console.error('Storage error:', err);
+    storageWarned = true;
+    alert(t('storage.openFailed', { message: err.message }));
+    return { settings: {}, waters: [], customProfiles: [], customProducts: [] };
+  }
+}
+
+function loadHistory(waterId) {
+  return storage.getTests(waterId).catch(() => []);
+}
+
+function loadTreatments(waterId) {
+  return storage.getTreatments(waterId).catch(() => []);
+}
+
+const stored = await loadStored();
+setLocale(stored.settings.locale || detectLocale());
+setSpeechVoice(stored.settings.speechVoice || '');
+// Fill in fields added since a water was saved
+const waters = stored.waters.length > 0
+  ? stored.waters.map(w => ({ ...newWater(w.id, w.name), ...w }))
+  : [newWater('water-1', t('water.firstName'))];
+const activeWater = waters.find(w => w.id === stored.settings.activeWater) || waters[0];
+const treatmentSession = stored.settings.treatmentSession || null;
 
 // ---- State ----
+// volume, volumeUnit, sanitizerType, stripProfileId, waterTemp, ranges,
+// fillWater, history and treatments mirror the active body of water (see switchWater).
 const state = {
-  screen: 'home', // home | scan | analyze | results | corrections | settings | history
-  volume: parseFloat(localStorage.getItem('sparobot_volume')) || 0,
-  volumeUnit: localStorage.getItem('sparobot_volumeUnit') || 'gallons',
-  sanitizerType: localStorage.getItem('sparobot_sanitizer') || 'chlorine',
+  screen: treatmentSession?.waterId === activeWater.id ? 'guide' : 'home', // home | camera | analyze | manual | dictation | results | corrections | guide | settings | history | test | restore
+  waters,
+  waterId: activeWater.id,
+  volume: activeWater.volume,
+  volumeUnit: activeWater.volumeUnit,
+  sanitizerType: activeWater.sanitizerType,
+  ranges: activeWater.ranges, // target range overrides: { [paramKey]: { idealMin, idealMax } }
+  fillWater: activeWater.fillWater || {}, // readings of the refill source: { [paramKey]: value }
+  colorMetric: stored.settings.colorMetric || 'ciede2000',
+  tempUnit: stored.settings.tempUnit || 'F',
+  unitSystem: stored.settings.unitSystem || DEFAULT_UNITS.system, // imperial | metric | mixed, see units.js
+  measure: stored.settings.measure || DEFAULT_UNITS.measure, // weight | kitchen | scoop
+  scoopMl: stored.settings.scoopMl || DEFAULT_UNITS.scoopMl,
+  saturationIndex: stored.settings.saturationIndex || 'lsi',
+  locale: stored.settings.locale || '', // '' = the device's language, see i18n.js
+  speechVoice: stored.settings.speechVoice || '', // voice name, '' = the best one for the language
+  waterTemp: Number.isFinite(activeWater.waterTemp) ? activeWater.waterTemp : null, // last entered, in tempUnit
+  tds: null, // optional, ppm
+  stripProfileId: activeWater.stripProfileId, // '' = match sanitizer
+  customProfiles: stored.customProfiles,
+  productSelection: stored.settings.productSelection || {}, // { [job]: productId }
+  customProducts: stored.customProducts,
   capturedImage: null,
   readings: {},
+  readingSource: 'strip', // how the readings were taken: strip (photo) | manual (typed or drop counts) | voice (dictated)
+  dropCounts: {}, // titrations behind manual readings: { [key]: { drops, sampleMl } }
+  dropKitId: stored.settings.dropKit || DROP_KITS[0].id,
+  manualEntry: {}, // manual entry form: { [key]: { mode: 'value' | 'drops', value, drops, sampleMl } }
+  dictation: null, // readings heard, waiting for confirmation: { transcript, readings, problems }
   corrections: [],
-  history: JSON.parse(localStorage.getItem('sparobot_history') || '[]'),
+  history: await loadHistory(activeWater.id),
+  treatments: await loadTreatments(activeWater.id), // [{ date, steps: [{ parameter, chemical, amount }], changes: { [paramKey]: delta } }]
+  historyDays: 30, // trend chart window: 7 | 30 | 90
+  historyEntry: null, // index into history of the test being viewed
+  pendingBackup: null, // validated backup waiting for the user to merge or replace
+  treatmentSession, // guided treatment in progress, see treatment.js
   analysisStep: 0,
   analysisParams: [],
+  analysisProfile: null, // strip profile in use for the current scan
+  analysisMode: 'auto', // auto (detected pads) | manual (tap each pad) | chart (mark bottle chart)
+  padSamples: null, // detected pads: [{ key, x, y, color, match }], x/y as 0-1 of image
+  manualSamples: {}, // pads tapped in manual mode: { [key]: { key, x, y, color, match } }
+  analysisMetric: 'ciede2000', // color metric for this scan: Settings, or the one a reopened test used
+  reanalyzing: null, // saved test reopened from its photo: { id, waterId, profile } (profile as saved)
+  selectedPad: 0,
+  detectionFailed: false,
+  whiteRef: null, // white-balance reference { r, g, b, cct } tapped by the user
+  calibratingWhite: false,
+  chartMarking: null, // bottle chart being marked: { returnMode, paramIndex, levelIndex, marks: { key: [...] } }
 };
 
 // ---- Settings persistence ----
+function getActiveWater() {
+  return state.waters.find(w => w.id === state.waterId);
+}
+
+function saveWaters() {
+  persist(storage.saveWaters(state.waters));
+  persist(storage.saveSettings({ activeWater: state.waterId }));
+}
+
 function saveSettings() {
-  localStorage.setItem('sparobot_volume', state.volume);
-  localStorage.setItem('sparobot_volumeUnit', state.volumeUnit);
-  localStorage.setItem('sparobot_sanitizer', state.sanitizerType);
+  Object.assign(getActiveWater(), {
+    volume: state.volume,
+    volumeUnit: state.volumeUnit,
+    sanitizerType: state.sanitizerType,
+    stripProfileId: state.stripProfileId,
+    waterTemp: state.waterTemp,
+    ranges: state.ranges,
+    fillWater: state.fillWater,
+  });
+  saveWaters();
+  persist(storage.saveSettings({
+    colorMetric: state.colorMetric,
+    tempUnit: state.tempUnit,
+    unitSystem: state.unitSystem,
+    measure: state.measure,
+    scoopMl: state.scoopMl,
+    saturationIndex: state.saturationIndex,
+    locale: state.locale,
+    speechVoice: state.speechVoice,
+    productSelection: state.productSelection,
+    dropKit: state.dropKitId,
+  }));
+}
+
+async function switchWater(id) {
+  const water = state.waters.find(w => w.id === id);
+  if (!water) return;
+  state.waterId = water.id;
+  state.volume = water.volume;
+  state.volumeUnit = water.volumeUnit;
+  state.sanitizerType = water.sanitizerType;
+  state.stripProfileId = water.stripProfileId;
+  state.waterTemp = Number.isFinite(water.waterTemp) ? water.waterTemp : null;
+  state.ranges = water.ranges || {};
+  state.fillWater = water.fillWater || {};
+  state.history = await loadHistory(water.id);
+  state.treatments = await loadTreatments(water.id);
+  state.tds = null;
+  // A scan or plan in progress belongs to the water it was started on
+  state.capturedImage = null;
+  state.readings = {};
+  state.dropCounts = {};
+  state.manualEntry = {};
+  state.dictation = null;
+  state.corrections = [];
+  state.historyEntry = null;
+  state.padSamples = null;
+  state.manualSamples = {};
+  state.whiteRef = null;
+  state.reanalyzing = null;
+  saveWaters();
+}
+
+// New waters start without a volume, which sends the user to Settings
+async function addWater() {
+  const water = newWater(`water-${Date.now()}`, t('water.newName', { number: state.waters.length + 1 }));
+  state.waters.push(water);
+  await switchWater(water.id);
+}
+
+async function deleteWater(id) {
+  state.waters = state.waters.filter(w => w.id !== id);
+  await persist(storage.deleteWater(id));
+  await switchWater(state.waters[0].id);
+}
+
+function saveCustomProfiles() {
+  persist(storage.saveCustomProfiles(state.customProfiles));
+}
+
+function saveCustomProducts() {
+  persist(storage.saveCustomProducts(state.customProducts));
+}
+
+// The user's chosen product for each dosing job
+function getProducts() {
+  return resolveProducts(state.productSelection, state.customProducts);
+}
+
+// Add a test to the active water's history. The record id arrives once saved.
+function saveHistoryEntry(entry) {
+  state.history.push(entry);
+  return persist(storage.addTest(state.waterId, entry).then(id => { entry.id = id; }));
+}
+
+function saveTreatment(treatment, waterId = state.waterId) {
+  if (waterId === state.waterId) state.treatments.push(treatment);
+  return persist(storage.addTreatment(waterId, treatment).then(id => { treatment.id = id; }));
+}
+
+// Logged treatments appear as markers on the History trend charts, and what
+// they changed feeds the sanitizer demand estimate
+function logTreatment(corrections, readings, waterId) {
+  const predicted = corrections.filter(c => c.expected);
+  const final = predicted[predicted.length - 1]?.expected || readings;
+  const changes = {};
+  for (const key of Object.keys(final)) {
+    if (final[key] !== readings[key]) changes[key] = final[key] - readings[key];
+  }
+  saveTreatment({
+    date: new Date().toISOString(),
+    steps: corrections.map(c => ({ parameter: c.parameter, chemical: c.chemical, amount: c.amount })),
+    changes,
+  }, waterId);
+}
+
+// A guided treatment is logged once: when its last step is done, or with the
+// steps checked off so far when it is stopped or replaced early
+function logSession(session) {
+  if (!session || session.logged) return;
+  const done = session.steps.filter((_, i) => session.done[i]);
+  if (done.length > 0) logTreatment(done, session.readings, session.waterId);
+  session.logged = true;
 }
 
-function saveHistory() {
-  // Keep last 50 readings
-  if (state.history.length > 50) state.history = state.history.slice(-50);
-  localStorage.setItem('sparobot_history', JSON.stringify(state.history));
+function saveTreatmentSession() {
+  const session = state.treatmentSession;
+  if (session?.finishedAt) logSession(session);
+  persist(storage.saveSettings({ treatmentSession: session }));
 }
 
 function getVolumeInGallons() {
   return state.volumeUnit === 'liters' ? state.volume * 0.264172 : state.volume;
 }
 
-// ---- Analysis parameters based on sanitizer type ----
-function getAnalysisParams() {
-  if (state.sanitizerType === 'bromine') {
-    return ['bromine', 'pH', 'totalAlkalinity', 'totalHardness'];
-  }
-  return ['freeChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid'];
+function getUnits() {
+  return { system: state.unitSystem, measure: state.measure, scoopMl: state.scoopMl };
+}
+
+// Switching unit system also switches temperatures. Water temperatures are
+// kept in tempUnit, so they're converted along with it.
+function setUnitSystem(system) {
+  state.unitSystem = system;
+  const unit = temperatureUnit(getUnits());
+  if (unit === state.tempUnit) return;
+  const convert = (t) => (t === null || t === undefined ? t
+    : Math.round((unit === 'C' ? fahrenheitToCelsius(t) : t * 9 / 5 + 32) * 10) / 10);
+  for (const water of state.waters) water.waterTemp = convert(water.waterTemp);
+  state.waterTemp = convert(state.waterTemp);
+  state.tempUnit = unit;
+}
+
+// Water temperature and TDS for the saturation index
+function getWaterConditions() {
+  const temperatureC = !Number.isFinite(state.waterTemp) ? undefined
+    : state.tempUnit === 'C' ? state.waterTemp : fahrenheitToCelsius(state.waterTemp);
+  return { temperatureC, tds: state.tds || undefined, index: state.saturationIndex };
+}
+
+// Treatment plan for readings, with the active water's settings and products
+function calculatePlan(readings) {
+  return calculateCorrections(readings, getVolumeInGallons(), state.sanitizerType, getWaterConditions(), state.ranges, getProducts(), state.fillWater, getUnits());
+}
+
+// ---- Strip profile and analysis parameters ----
+function getStripProfile() {
+  return getProfile(state.stripProfileId || defaultProfileId(state.sanitizerType), state.customProfiles)
+    || getProfile(defaultProfileId(state.sanitizerType));
+}
+
+// Pads that don't apply to the sanitizer in use are skipped
+const IGNORED_PADS = {
+  chlorine: ['bromine'],
+  bromine: ['freeChlorine', 'totalChlorine', 'cyanuricAcid'],
+};
+
+// Listed in physical pad order, starting from the tip of the strip.
+function getAnalysisParams(profile = getStripProfile()) {
+  const ignored = IGNORED_PADS[state.sanitizerType] || [];
+  return profile.padOrder.filter(key => !ignored.includes(key));
 }
 
 // ---- Rendering ----
 const app = document.getElementById('app');
 
+// Save text as a file through a temporary download link
+function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 5000);
+}
+
+// For user-entered text placed in templates
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 function render() {
+  const requested = state.screen;
+  if (state.screen !== 'results' && state.screen !== 'guide' && voice.isActive()) voice.stop();
   // If no volume set, force settings
-  if (state.volume <= 0 && state.screen !== 'settings') {
+  if (state.volume <= 0 && state.screen !== 'settings' && state.screen !== 'restore') {
     state.screen = 'settings';
   }
 
+  // Release the camera as soon as we leave the viewfinder
+  if (state.screen !== 'camera') stopLiveCamera();
+
   switch (state.screen) {
     case 'home': renderHome(); break;
+    case 'camera': renderCamera(); break;
     case 'analyze': renderAnalyze(); break;
+    case 'manual': renderManualEntry(); break;
+    case 'dictation': renderDictation(); break;
     case 'results': renderResults(); break;
     case 'corrections': renderCorrections(); break;
+    case 'guide': renderGuide(); break;
     case 'settings': renderSettings(); break;
     case 'history': renderHistory(); break;
+    case 'test': renderTest(); break;
+    case 'restore': renderRestore(); break;
     default: renderHome();
   }
+
+  // A screen that sent the user elsewhere leaves no history entry behind
+  router.show(currentRoute(), { replace: replaceRoute || state.screen !== requested });
+  replaceRoute = false;
+}
+
+function formatWhen(date) {
+  if (date.getTime() <= Date.now()) return t('home.now');
+  return formatDateTime(date, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+// Sanitizer use and the next maintenance dose, estimated from history. Falls
+// back to the last test date until there are two usable tests.
+function sanitizerRows() {
+  const lastTest = state.history.length > 0
+    ? formatDate(state.history[state.history.length - 1].date)
+    : t('home.never');
+  const prediction = predictSanitizer(state.history, state.treatments, {
+    volumeGallons: getVolumeInGallons(),
+    sanitizerType: state.sanitizerType,
+    ranges: state.ranges,
+    products: getProducts(),
+    units: getUnits(),
+  });
+  if (!prediction) {
+    return `<div class="info-row"><span>${t('home.lastTest')}</span><span>${lastTest}</span></div>`;
+  }
+
+  const name = PARAMETERS[prediction.key].name;
+  const unit = PARAMETERS[prediction.key].unit;
+  const rows = [
+    `<div class="info-row"><span>${t('home.sanitizerUse', { name })}</span><span>${t('home.perDay', { rate: formatNumber(prediction.ratePerDay, 1), unit })}</span></div>`,
+  ];
+  if (prediction.dose) {
+    const { dose } = prediction;
+    rows.push(`<div class="info-row"><span>${t('home.nextDose')}</span><span>${formatWhen(prediction.belowAt)}</span></div>`);
+    rows.push(`
+      <div class="info-note">
+        ${t('home.nextDoseNote', { amount: dose.amount, chemical: escapeHtml(dose.chemical), change: dose.change, unit, count: Math.max(1, Math.round(dose.lastsDays)) })}
+        ${t('home.estimatedLevel', { level: prediction.level, unit, date: lastTest })}
+      </div>
+    `);
+  } else {
+    rows.push(`<div class="info-row"><span>${t('home.lastTest')}</span><span>${lastTest}</span></div>`);
+  }
+  return rows.join('');
 }
 
 function renderHome() {
   const volDisplay = state.volume > 0
-    ? `${state.volume.toLocaleString()} ${state.volumeUnit}`
-    : 'Not set';
+    ? t(`home.volume.${state.volumeUnit}`, { volume: state.volume })
+    : t('home.notSet');
+  const profile = getStripProfile();
 
   app.innerHTML = `
     <div class="screen home-screen">
@@ -74,274 +426,1373 @@ function renderHome() {
           <svg width="64" height="64" viewBox="0 0 64 64"><circle cx="32" cy="32" r="28" fill="none" stroke="#0891B2" stroke-width="3"/><path d="M32 16c-2 8-10 14-10 22a10 10 0 0020 0c0-8-8-14-10-22z" fill="#0891B2" opacity="0.2" stroke="#0891B2" stroke-width="2"/></svg>
         </div>
         <h1>SparoBot</h1>
-        <p class="subtitle">Spa & Pool Water Tester</p>
+        <p class="subtitle">${t('home.subtitle')}</p>
+      </div>
+
+      <div class="water-switcher">
+        ${state.waters.map(w =>
+          `<button class="water-chip ${w.id === state.waterId ? 'active' : ''}" data-id="${w.id}">${escapeHtml(w.name)}</button>`
+        ).join('')}
+        <button class="water-chip water-add" id="btn-add-water" aria-label="${t('home.addWater')}">+</button>
       </div>
 
       <div class="info-card">
-        <div class="info-row"><span>Volume</span><span>${volDisplay}</span></div>
-        <div class="info-row"><span>Sanitizer</span><span>${state.sanitizerType === 'bromine' ? 'Bromine' : 'Chlorine'}</span></div>
-        <div class="info-row"><span>Last Test</span><span>${state.history.length > 0 ? new Date(state.history[state.history.length - 1].date).toLocaleDateString() : 'Never'}</span></div>
+        <div class="info-row"><span>${t('home.volume')}</span><span>${volDisplay}</span></div>
+        <div class="info-row"><span>${t('home.sanitizer')}</span><span>${t(`sanitizer.${state.sanitizerType}`)}</span></div>
+        <div class="info-row"><span>${t('home.testStrips')}</span><span>${escapeHtml(profile.name)}</span></div>
+        ${sanitizerRows()}
       </div>
 
+      ${state.treatmentSession?.waterId === state.waterId ? `
+        <button class="btn btn-primary btn-large" id="btn-resume-treatment">
+          ${state.treatmentSession.finishedAt ? t('home.retestAfterTreatment') : t('home.resumeTreatment', { step: state.treatmentSession.current + 1, total: state.treatmentSession.steps.length })}
+        </button>
+      ` : ''}
+
       <button class="btn btn-primary btn-large" id="btn-scan">
         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M23 19a2 2 0 01-2 2H3a2 2 0 01-2-2V8a2 2 0 012-2h4l2-3h6l2 3h4a2 2 0 012 2z"/><circle cx="12" cy="13" r="4"/></svg>
-        Scan Test Strip
+        ${t('home.scan')}
       </button>
+      <button class="btn btn-secondary btn-large" id="btn-enter-readings">${t('home.enterReadings')}</button>
+
+      <div class="dip-timer">
+        <span id="dip-timer-text">${t('home.dipTimer', { seconds: profile.readingDelaySeconds })}</span>
+        <button class="btn btn-small btn-secondary" id="btn-dip-timer">${t('home.startTimer')}</button>
+      </div>
 
       <input type="file" id="camera-input" accept="image/*" capture="environment" style="display:none">
 
       <div class="btn-row">
-        <button class="btn btn-secondary" id="btn-history">History</button>
-        <button class="btn btn-secondary" id="btn-settings">Settings</button>
+        <button class="btn btn-secondary" id="btn-history">${t('home.history')}</button>
+        <button class="btn btn-secondary" id="btn-settings">${t('home.settings')}</button>
       </div>
     </div>
   `;
 
-  document.getElementById('btn-scan').onclick = () => {
-    document.getElementById('camera-input').click();
-  };
+  document.getElementById('btn-scan').onclick = startScan;
+  document.getElementById('btn-enter-readings').onclick = startManualEntry;
+  document.getElementById('btn-resume-treatment')?.addEventListener('click', () => { state.screen = 'guide'; render(); });
   document.getElementById('camera-input').onchange = handleImageCapture;
+  document.querySelectorAll('.water-chip[data-id]').forEach(chip => {
+    chip.onclick = async () => { await switchWater(chip.dataset.id); render(); };
+  });
+  document.getElementById('btn-add-water').onclick = async () => { await addWater(); render(); };
+  document.getElementById('btn-dip-timer').onclick = () => startDipTimer(profile.readingDelaySeconds);
   document.getElementById('btn-history').onclick = () => { state.screen = 'history'; render(); };
   document.getElementById('btn-settings').onclick = () => { state.screen = 'settings'; render(); };
 }
 
+// Expects the hidden #camera-input of the current screen as the fallback
+function startScan() {
+  if (isCameraAvailable()) {
+    state.screen = 'camera';
+    render();
+  } else {
+    document.getElementById('camera-input').click();
+  }
+}
+
+function startManualEntry() {
+  state.manualEntry = {};
+  state.screen = 'manual';
+  render();
+}
+
+// Count down the strip's reading delay after dipping
+let dipTimer = null;
+
+function startDipTimer(seconds) {
+  clearInterval(dipTimer);
+  let remaining = seconds;
+  const tick = () => {
+    const text = document.getElementById('dip-timer-text');
+    if (!text) {
+      // Left the home screen
+      clearInterval(dipTimer);
+      return;
+    }
+    if (remaining <= 0) {
+      clearInterval(dipTimer);
+      text.textContent = t('home.dipReady');
+      if (navigator.vibrate) navigator.vibrate(200);
+      if (isTTSAvailable()) speak(t('home.dipReadySpeech'));
+      return;
+    }
+    text.textContent = t('home.dipCountdown', { seconds: remaining });
+    remaining--;
+  };
+  tick();
+  dipTimer = setInterval(tick, 1000);
+}
+
 function handleImageCapture(e) {
   const file = e.target.files[0];
   if (!file) return;
 
   const reader = new FileReader();
-  reader.onload = (ev) => {
-    const img = new Image();
-    img.onload = () => {
-      state.capturedImage = img;
-      state.readings = {};
-      state.analysisStep = 0;
-      state.analysisParams = getAnalysisParams();
-      state.screen = 'analyze';
-      render();
-    };
-    img.src = ev.target.result;
-  };
+  reader.onload = (ev) => loadCapturedImage(ev.target.result);
   reader.readAsDataURL(file);
 }
 
-function renderAnalyze() {
-  const params = state.analysisParams;
-  const step = state.analysisStep;
-
-  if (step >= params.length) {
-    // All done, go to results
-    state.screen = 'results';
+// Start analyzing a photo. `reopen` restores a saved test's analysis:
+// { id, waterId, profile, metric, whiteRef, samples }
+function loadCapturedImage(src, reopen = null) {
+  const img = new Image();
+  img.onload = () => {
+    state.capturedImage = img;
+    state.readings = {};
+    state.readingSource = 'strip';
+    state.dropCounts = {};
+    state.analysisStep = 0;
+    state.analysisProfile = reopen?.profile || getStripProfile();
+    state.analysisParams = getAnalysisParams(state.analysisProfile);
+    state.analysisMetric = reopen?.metric || state.colorMetric;
+    state.analysisMode = 'auto';
+    state.padSamples = null;
+    state.manualSamples = {};
+    state.selectedPad = 0;
+    state.detectionFailed = false;
+    state.whiteRef = reopen?.whiteRef || null;
+    state.calibratingWhite = false;
+    state.reanalyzing = reopen ? { id: reopen.id, waterId: reopen.waterId, profile: reopen.profile } : null;
+    if (reopen) rematchSamples(reopen.samples || []);
+    state.screen = 'analyze';
     render();
+  };
+  img.src = src;
+}
+
+// Reopen a saved test's photo in the analyze screen with its pads, profile
+// and matcher, so the reading can be checked or redone
+async function reopenTest(index) {
+  const entry = state.history[index];
+  const src = entry.photoId ? await storage.getPhoto(entry.photoId).catch(() => null) : null;
+  if (!src) {
+    alert(t('test.photoMissing'));
     return;
   }
+  loadCapturedImage(src, {
+    id: entry.id,
+    waterId: state.waterId,
+    profile: entry.profile || getProfile(entry.stripProfile, state.customProfiles) || getStripProfile(),
+    metric: entry.colorMetric,
+    whiteRef: entry.whiteBalance,
+    samples: entry.samples,
+  });
+}
 
-  const paramKey = params[step];
-  const chart = COLOR_CHARTS[paramKey];
-  const progress = `${step + 1} / ${params.length}`;
+// Match saved pad colors again under the current profile and matcher. Pads
+// the profile can't read are dropped; if that leaves a read parameter
+// without a pad, the strip is detected afresh instead.
+function rematchSamples(samples) {
+  const kept = samples.filter(s => state.analysisProfile.charts[s.key]);
+  const covered = state.analysisParams.every(key => kept.some(s => s.key === key));
+  state.padSamples = covered ? kept.map(s => ({ ...s, match: matchPad(s.color, s.key) })) : null;
+  state.selectedPad = covered ? kept.findIndex(s => state.analysisParams.includes(s.key)) : 0;
+}
+
+// Pad positions and colors behind the current readings, for saving
+function analysisSamples() {
+  const samples = state.analysisMode === 'manual' || !state.padSamples
+    ? Object.values(state.manualSamples)
+    : state.padSamples;
+  return samples.map(({ key, x, y, color }) => ({ key, x, y, color: { r: color.r, g: color.g, b: color.b } }));
+}
+
+// ---- Live camera viewfinder ----
+// Guide box the user lines the strip up in, as fractions of the video frame.
+// Pads fill the top part of the box (tip up, handle down).
+const GUIDE = { x: 0.43, y: 0.08, w: 0.14, h: 0.84, padArea: 0.6 };
+const CAMERA_SAMPLE_WIDTH = 160;
+let cameraLoop = null;
+
+function stopLiveCamera() {
+  clearInterval(cameraLoop);
+  cameraLoop = null;
+  stopCamera();
+}
+
+// Center of pad slot i (of n) in the guide, as fractions of the frame
+function guidePadPosition(i, n) {
+  return {
+    x: GUIDE.x + GUIDE.w / 2,
+    y: GUIDE.y + GUIDE.h * GUIDE.padArea * (i + 0.5) / n,
+  };
+}
+
+function renderCamera() {
+  const profile = getStripProfile();
+  const layout = profile.padOrder;
+  const params = getAnalysisParams(profile);
 
   app.innerHTML = `
-    <div class="screen analyze-screen">
-      <div class="analyze-header">
-        <button class="btn btn-icon" id="btn-back-analyze">
+    <div class="screen camera-screen">
+      <div class="screen-header">
+        <button class="btn btn-icon" id="btn-back-camera">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
         </button>
-        <div class="analyze-progress">
-          <span class="step-label">Step ${progress}</span>
-          <div class="progress-bar"><div class="progress-fill" style="width:${((step + 1) / params.length) * 100}%"></div></div>
-        </div>
+        <h2>${t('camera.title')}</h2>
       </div>
 
-      <div class="analyze-instruction">
-        <h2>Tap the <strong>${chart.name}</strong> pad</h2>
-        <p>Tap on the test strip pad in the photo below</p>
-        <div class="color-ref">
-          ${chart.colors.map(c =>
-            `<div class="ref-swatch" style="background:rgb(${c.r},${c.g},${c.b})" title="${c.value}${PARAMETERS[paramKey].unit}">
-              <span>${c.value}</span>
-            </div>`
-          ).join('')}
+      <div class="viewfinder">
+        <video id="camera-video" playsinline muted></video>
+        <div class="guide" style="left:${GUIDE.x * 100}%;top:${GUIDE.y * 100}%;width:${GUIDE.w * 100}%;height:${GUIDE.h * 100}%">
+          ${layout.map((key, i) => `
+            <div class="guide-pad ${params.includes(key) ? '' : 'ignored'}" style="top:${(GUIDE.padArea * (i + 0.5) / layout.length) * 100}%"></div>
+          `).join('')}
         </div>
+        <div class="shutter-ring" id="shutter-ring"></div>
       </div>
 
-      <div class="canvas-container" id="canvas-container">
-        <canvas id="photo-canvas"></canvas>
-        <div class="tap-indicator" id="tap-indicator" style="display:none"></div>
-      </div>
+      <div class="camera-status" id="camera-status">${t('camera.starting')}</div>
+      <div class="live-readout" id="live-readout"></div>
 
-      <div class="sampled-result" id="sampled-result" style="display:none">
-        <div class="sampled-color" id="sampled-color-swatch"></div>
-        <div class="sampled-info">
-          <span class="sampled-value" id="sampled-value"></span>
-          <span class="sampled-confidence" id="sampled-confidence"></span>
-        </div>
-        <button class="btn btn-small btn-primary" id="btn-confirm">Confirm</button>
-        <button class="btn btn-small btn-secondary" id="btn-retry">Retry</button>
-      </div>
+      <button class="btn btn-primary btn-large" id="btn-shutter" disabled>${t('camera.takePhoto')}</button>
+      <button class="btn btn-secondary" id="btn-camera-photo">${t('camera.choosePhoto')}</button>
+      <input type="file" id="camera-input" accept="image/*" capture="environment" style="display:none">
     </div>
   `;
 
-  document.getElementById('btn-back-analyze').onclick = () => {
-    if (step > 0) {
-      state.analysisStep = step - 1;
-      // Remove the last reading
-      const prevKey = params[step - 1];
-      delete state.readings[prevKey];
-    } else {
-      state.screen = 'home';
-    }
-    render();
+  const video = document.getElementById('camera-video');
+  const status = document.getElementById('camera-status');
+  const shutter = document.getElementById('btn-shutter');
+
+  document.getElementById('btn-back-camera').onclick = () => { state.screen = 'home'; render(); };
+  document.getElementById('btn-camera-photo').onclick = () => document.getElementById('camera-input').click();
+  document.getElementById('camera-input').onchange = (e) => {
+    stopLiveCamera();
+    handleImageCapture(e);
   };
 
-  // Draw image on canvas
-  const canvas = document.getElementById('photo-canvas');
-  const container = document.getElementById('canvas-container');
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let captured = false;
+  const capture = () => {
+    if (captured || !video.videoWidth) return;
+    captured = true;
+    const src = captureFrame(video);
+    stopLiveCamera();
+    loadCapturedImage(src);
+  };
+  shutter.onclick = capture;
+
+  startCamera(video).then(() => {
+    if (state.screen !== 'camera') {
+      stopCamera();
+      return;
+    }
+    shutter.disabled = false;
+
+    const frame = document.createElement('canvas');
+    const ctx = frame.getContext('2d', { willReadFrequently: true });
+    frame.width = CAMERA_SAMPLE_WIDTH;
+    frame.height = Math.round(CAMERA_SAMPLE_WIDTH * video.videoHeight / video.videoWidth);
+    const meter = createStabilityMeter();
+
+    clearInterval(cameraLoop);
+    cameraLoop = setInterval(() => {
+      if (!document.getElementById('camera-video')) {
+        stopLiveCamera();
+        return;
+      }
+      ctx.drawImage(video, 0, 0, frame.width, frame.height);
+
+      // Live per-pad readout at the guide positions
+      document.getElementById('live-readout').innerHTML = layout.map((key, i) => {
+        if (!params.includes(key)) return '';
+        const pos = guidePadPosition(i, layout.length);
+        const color = extractAverageColor(frame, ctx, pos.x * frame.width, pos.y * frame.height, 3);
+        if (!color) return '';
+        const match = matchColorInterpolated(color.r, color.g, color.b, key, {
+          metric: state.colorMetric,
+          charts: profile.charts,
+        });
+        return `
+          <div class="live-pad">
+            <div class="live-swatch" style="background:rgb(${color.r},${color.g},${color.b})"></div>
+            <span class="live-name">${PARAMETERS[key].name}</span>
+            <span class="live-value conf-${match.confidence}">${formatReading(key, match.value)}</span>
+          </div>
+        `;
+      }).join('');
+
+      const m = meter(ctx, frame.width, frame.height);
+      document.getElementById('shutter-ring').style.setProperty('--progress', m.progress);
+      status.textContent = !m.steady ? t('camera.holdSteady')
+        : !m.focused ? t('camera.focusing')
+        : m.ready ? t('camera.capturing') : t('camera.holdThere');
+      if (m.ready) capture();
+    }, 200);
+  }).catch(err => {
+    status.textContent = t('camera.unavailable', { error: err.name || err.message });
+    shutter.style.display = 'none';
+    document.getElementById('btn-camera-photo').className = 'btn btn-primary btn-large';
+  });
+}
 
+// Draw the captured photo scaled to fit the container width (max 600px)
+function drawCapturedImage(canvas, container) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
   const img = state.capturedImage;
-  // Scale image to fit container width (max 600px)
   const maxW = Math.min(container.clientWidth || 350, 600);
   const scale = maxW / img.width;
   canvas.width = Math.round(img.width * scale);
   canvas.height = Math.round(img.height * scale);
   ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx;
+}
 
-  let pendingMatch = null;
+// Sample one pad at canvas coordinates and match it against its chart
+function samplePad(canvas, ctx, key, x, y) {
+  const color = extractAverageColor(canvas, ctx, x, y, 12);
+  if (!color) return null;
+  const match = matchPad(color, key);
+  if (!match) return null;
+  return { key, x: x / canvas.width, y: y / canvas.height, color, match };
+}
 
-  canvas.onclick = (e) => {
-    const rect = canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
-    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+// Match a sampled color using the current white balance and color metric.
+// Charts marked in the same photo share its lighting, so no correction applies.
+function matchPad(color, key, whiteRef = state.whiteRef) {
+  return matchColorInterpolated(color.r, color.g, color.b, key, {
+    whiteRef: state.analysisProfile.sameImage ? null : whiteRef,
+    metric: state.analysisMetric,
+    charts: state.analysisProfile.charts,
+  });
+}
 
-    // Extract color
-    const color = extractAverageColor(canvas, ctx, x, y, 12);
-    if (!color) return;
+function formatConfidence(match) {
+  return t('analyze.confidence', { confidence: t(`confidence.${match.confidence}`), deltaE: formatNumber(match.offCurve, 1) });
+}
 
-    // Match against chart
-    const match = matchColorInterpolated(color.r, color.g, color.b, paramKey);
-    if (!match) return;
+// ---- White balance calibration ----
+function whiteBalanceBar() {
+  const ref = state.whiteRef;
+  if (state.analysisProfile.sameImage) return '';
+  if (state.calibratingWhite) {
+    return `
+      <div class="wb-bar active">
+        <span>${t('analyze.tapWhite')}</span>
+        <button class="btn btn-small btn-secondary" id="btn-wb-cancel">${t('common.cancel')}</button>
+      </div>
+    `;
+  }
+  return `
+    <div class="wb-bar">
+      ${ref
+        ? `<div class="wb-swatch" style="background:rgb(${ref.r},${ref.g},${ref.b})"></div>
+           <span>${t('analyze.lightingCorrected', { cct: ref.cct })}</span>
+           <button class="btn btn-small btn-secondary" id="btn-wb-clear">${t('common.clear')}</button>`
+        : `<span>${t('analyze.lightingPrompt')}</span>`}
+      <button class="btn btn-small btn-secondary" id="btn-wb-set">${ref ? t('analyze.redo') : t('analyze.setWhitePoint')}</button>
+    </div>
+  `;
+}
 
-    pendingMatch = { color, match };
+function bindWhiteBalanceBar() {
+  const onClick = (id, fn) => {
+    const el = document.getElementById(id);
+    if (el) el.onclick = () => { fn(); render(); };
+  };
+  onClick('btn-wb-set', () => { state.calibratingWhite = true; });
+  onClick('btn-wb-cancel', () => { state.calibratingWhite = false; });
+  onClick('btn-wb-clear', () => { setWhiteRef(null); });
+}
 
-    // Show tap indicator
-    const indicator = document.getElementById('tap-indicator');
-    const dispX = (x / canvas.width) * rect.width;
-    const dispY = (y / canvas.height) * rect.height;
-    indicator.style.display = 'block';
-    indicator.style.left = `${dispX - 18}px`;
-    indicator.style.top = `${dispY - 18}px`;
+function setWhiteRef(ref) {
+  state.whiteRef = ref;
+  state.calibratingWhite = false;
+  // Re-match detected pads under the new correction
+  if (state.padSamples) {
+    state.padSamples = state.padSamples.map(s => ({
+      ...s,
+      match: matchPad(s.color, s.key, ref),
+    }));
+  }
+  // and pads already confirmed in manual mode, with their readings
+  for (const [key, sample] of Object.entries(state.manualSamples)) {
+    const match = matchPad(sample.color, key, ref);
+    state.manualSamples[key] = { ...sample, match };
+    state.readings[key] = match.value;
+  }
+}
 
-    // Show result
-    const resultEl = document.getElementById('sampled-result');
-    resultEl.style.display = 'flex';
-    document.getElementById('sampled-color-swatch').style.background = `rgb(${color.r},${color.g},${color.b})`;
+// Returns true if the tap was consumed by white balance calibration
+function handleWhiteBalanceTap(canvas, ctx, x, y) {
+  if (!state.calibratingWhite) return false;
+  const color = extractAverageColor(canvas, ctx, x, y, 16);
+  const ref = color && createWhiteReference(color.r, color.g, color.b);
+  if (!ref) {
+    alert(t('analyze.notWhite'));
+    return true;
+  }
+  setWhiteRef(ref);
+  render();
+  return true;
+}
 
-    const unit = PARAMETERS[paramKey].unit;
-    const valStr = paramKey === 'pH' ? match.value.toFixed(1) : `${match.value} ${unit}`;
-    document.getElementById('sampled-value').textContent = valStr;
-    document.getElementById('sampled-confidence').textContent = `Confidence: ${match.confidence}`;
-    document.getElementById('sampled-confidence').className = `sampled-confidence conf-${match.confidence}`;
-  };
+function formatReading(key, value) {
+  return key === 'pH' ? formatNumber(value, 1) : `${formatNumber(value)} ${PARAMETERS[key].unit}`;
+}
 
-  // Confirm button
-  setTimeout(() => {
-    const confirmBtn = document.getElementById('btn-confirm');
-    const retryBtn = document.getElementById('btn-retry');
-    if (confirmBtn) {
-      confirmBtn.onclick = () => {
-        if (!pendingMatch) return;
-        state.readings[paramKey] = pendingMatch.match.value;
-        state.analysisStep = step + 1;
-        render();
-      };
-    }
-    if (retryBtn) {
-      retryBtn.onclick = () => {
-        pendingMatch = null;
-        document.getElementById('sampled-result').style.display = 'none';
-        document.getElementById('tap-indicator').style.display = 'none';
-      };
-    }
-  }, 0);
+// ---- Manual and drop-kit entry ----
+// Readings from a drop test kit or any other source, typed in per parameter.
+// Titrations can be entered as a drop count and converted with the kit's factors.
+function manualParams() {
+  const ignored = IGNORED_PADS[state.sanitizerType] || [];
+  return Object.keys(PARAMETERS).filter(key => !PARAMETERS[key].derived && !ignored.includes(key));
 }
 
-function renderResults() {
-  const params = state.analysisParams;
-  const readings = state.readings;
+// Reading for one parameter of the form, or undefined if left blank or invalid
+function manualReading(key, kit) {
+  const field = state.manualEntry[key];
+  if (!field) return undefined;
+  if (field.mode === 'drops') {
+    return dropReading(kit, key, parseFloat(field.drops), field.sampleMl) ?? undefined;
+  }
+  const value = parseFloat(field.value);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
 
-  // Calculate corrections
-  state.corrections = calculateCorrections(readings, getVolumeInGallons(), state.sanitizerType);
+function dropHint(key, kit) {
+  const field = state.manualEntry[key];
+  const factor = kit.tests[key].factors[field.sampleMl];
+  const reading = manualReading(key, kit);
+  const perDrop = t('manual.perDrop', { reagent: kit.tests[key].reagent, factor, unit: PARAMETERS[key].unit });
+  return reading === undefined ? perDrop : `= ${formatReading(key, reading)} (${perDrop})`;
+}
 
-  // Build results rows
-  const rows = params.map(key => {
-    if (readings[key] === undefined) return '';
-    const param = PARAMETERS[key];
-    const val = readings[key];
-    const status = getStatus(key, val);
-    const statusLabel = getStatusLabel(status);
-    const valStr = key === 'pH' ? val.toFixed(1) : `${val} ${param.unit}`;
+function renderManualEntry() {
+  const kit = getDropKit(state.dropKitId);
+  const params = manualParams();
+  for (const key of params) {
+    state.manualEntry[key] ||= { mode: 'value', value: '', drops: '', sampleMl: sampleSizes(kit, key).at(-1) };
+  }
 
+  const fields = params.map(key => {
+    const field = state.manualEntry[key];
+    const param = PARAMETERS[key];
+    const titration = kit.tests[key] && field.mode === 'drops';
     return `
-      <div class="result-row status-${status}">
-        <div class="result-name">${param.name}</div>
-        <div class="result-value">${valStr}</div>
-        <div class="result-status">${statusLabel}</div>
-        <div class="result-range">${param.idealMin}${param.unit ? ' ' + param.unit : ''} - ${param.idealMax}${param.unit ? ' ' + param.unit : ''}</div>
+      <div class="field manual-field" data-key="${key}">
+        <label for="manual-${key}">${param.name}</label>
+        ${kit.tests[key] ? `
+          <div class="toggle-group manual-mode">
+            <button type="button" class="toggle-option ${titration ? '' : 'active'}" data-mode="value">${t('manual.value')}</button>
+            <button type="button" class="toggle-option ${titration ? 'active' : ''}" data-mode="drops">${t('manual.drops')}</button>
+          </div>
+        ` : ''}
+        ${titration ? `
+          <div class="input-row">
+            <input type="number" id="manual-${key}" class="manual-drops" value="${field.drops}" placeholder="${t('manual.drops')}" inputmode="numeric" min="0" step="1">
+            <select class="manual-sample">
+              ${sampleSizes(kit, key).map(ml => `<option value="${ml}" ${field.sampleMl === ml ? 'selected' : ''}>${t('manual.sample', { ml })}</option>`).join('')}
+            </select>
+          </div>
+          <p class="field-hint manual-converted">${dropHint(key, kit)}</p>
+        ` : `
+          <div class="input-row">
+            <input type="number" id="manual-${key}" class="manual-value" value="${field.value}" placeholder="${formatNumber(param.idealMin)}–${formatNumber(param.idealMax)}" inputmode="decimal" min="0" step="any">
+            <span class="input-suffix">${param.unit || 'pH'}</span>
+          </div>
+        `}
       </div>
     `;
   }).join('');
 
-  const allOk = params.every(k => readings[k] === undefined || getStatus(k, readings[k]) === 'ok');
-
   app.innerHTML = `
-    <div class="screen results-screen">
+    <div class="screen manual-screen">
       <div class="screen-header">
-        <button class="btn btn-icon" id="btn-back-results">
+        <button class="btn btn-icon" id="btn-back-manual">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
         </button>
-        <h2>Test Results</h2>
-        <button class="btn btn-icon" id="btn-speak">
-          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 010 14.14M15.54 8.46a5 5 0 010 7.07"/></svg>
+        <h2>${t('manual.title')}</h2>
+      </div>
+
+      ${isSTTAvailable() ? `
+        <button class="btn btn-secondary btn-large" id="btn-dictate">${t('manual.dictate')}</button>
+        <p class="field-hint dictate-hint" id="dictate-hint">${t('manual.dictateHint')}</p>
+      ` : ''}
+
+      <div class="settings-card">
+        <div class="field">
+          <label for="drop-kit">${t('manual.dropKit')}</label>
+          <select id="drop-kit">
+            ${DROP_KITS.map(k => `<option value="${k.id}" ${k.id === kit.id ? 'selected' : ''}>${k.name}</option>`).join('')}
+          </select>
+          <p class="field-hint">${t('manual.hint')}</p>
+        </div>
+        ${fields}
+      </div>
+
+      <button class="btn btn-primary btn-large" id="btn-manual-results">${t('manual.viewResults')}</button>
+    </div>
+  `;
+
+  document.getElementById('btn-back-manual').onclick = () => {
+    stopListening();
+    state.screen = 'home';
+    render();
+  };
+  document.getElementById('btn-dictate')?.addEventListener('click', listenForReadings);
+
+  document.getElementById('drop-kit').onchange = (e) => {
+    state.dropKitId = e.target.value;
+    saveSettings();
+    renderManualEntry();
+  };
+
+  document.querySelectorAll('.manual-field').forEach(el => {
+    const key = el.dataset.key;
+    const field = state.manualEntry[key];
+    el.querySelectorAll('.manual-mode .toggle-option').forEach(btn => {
+      btn.onclick = () => {
+        field.mode = btn.dataset.mode;
+        renderManualEntry();
+      };
+    });
+    const updateHint = () => {
+      const hint = el.querySelector('.manual-converted');
+      if (hint) hint.textContent = dropHint(key, kit);
+    };
+    el.querySelector('.manual-value')?.addEventListener('input', (e) => { field.value = e.target.value; });
+    el.querySelector('.manual-drops')?.addEventListener('input', (e) => { field.drops = e.target.value; updateHint(); });
+    el.querySelector('.manual-sample')?.addEventListener('change', (e) => { field.sampleMl = Number(e.target.value); updateHint(); });
+  });
+
+  document.getElementById('btn-manual-results').onclick = () => {
+    const readings = {};
+    const dropCounts = {};
+    for (const key of params) {
+      const value = manualReading(key, kit);
+      if (value === undefined) continue;
+      readings[key] = value;
+      const field = state.manualEntry[key];
+      if (field.mode === 'drops') dropCounts[key] = { drops: parseFloat(field.drops), sampleMl: field.sampleMl };
+    }
+    if (Object.keys(readings).length === 0) {
+      alert(t('manual.noReadings'));
+      return;
+    }
+    if (readings.pH !== undefined && readings.pH > 14) {
+      alert(t('manual.badPH'));
+      return;
+    }
+    useEnteredReadings(readings, 'manual', dropCounts);
+    render();
+  };
+}
+
+// Readings that didn't come from a photo go straight to Results
+function useEnteredReadings(readings, source, dropCounts = {}) {
+  state.readings = readings;
+  state.readingSource = source;
+  state.dropCounts = dropCounts;
+  state.analysisParams = Object.keys(readings);
+  state.analysisProfile = null;
+  state.capturedImage = null;
+  state.reanalyzing = null;
+  state.whiteRef = null;
+  state.screen = 'results';
+}
+
+// ---- Dictated readings ----
+// One phrase with every reading in it. The recognizer's alternatives are all
+// parsed and the one with the most readings is kept.
+function listenForReadings() {
+  const button = document.getElementById('btn-dictate');
+  const hint = document.getElementById('dictate-hint');
+  const keys = manualParams();
+  let heard = false;
+  button.textContent = t('manual.listening');
+  button.classList.add('listening');
+  button.disabled = true;
+  stopSpeaking();
+
+  startListening((transcript, alternatives) => {
+    heard = true;
+    const parsed = alternatives
+      .map(text => ({ transcript: text, ...parseDictation(text, keys) }))
+      .reduce((best, p) => (Object.keys(p.readings).length > Object.keys(best.readings).length ? p : best));
+    state.dictation = parsed;
+    state.screen = 'dictation';
+    render();
+  }, (error) => {
+    if (heard || state.screen !== 'manual' || !document.getElementById('btn-dictate')) return;
+    button.textContent = t('manual.dictate');
+    button.classList.remove('listening');
+    button.disabled = false;
+    if (error === 'not-allowed' || error === 'service-not-allowed') hint.textContent = t('voice.denied');
+    else if (error) hint.textContent = t('manual.notHeard');
+  });
+}
+
+// Read the values back and let the user accept, fix or redo them
+function renderDictation() {
+  const { transcript, readings, problems } = state.dictation;
+  const found = Object.keys(readings).length > 0;
+
+  app.innerHTML = `
+    <div class="screen manual-screen">
+      <div class="screen-header">
+        <button class="btn btn-icon" id="btn-back-dictation">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <h2>${t('dictation.title')}</h2>
+        <button class="btn btn-icon" id="btn-speak-dictation">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 010 14.14M15.54 8.46a5 5 0 010 7.07"/></svg>
+        </button>
+      </div>
+
+      <div class="history-card">
+        <div class="history-date">${t('dictation.heard', { transcript: escapeHtml(transcript) })}</div>
+        ${found ? `<div class="history-readings">${historyPills(readings)}</div>` : `<p class="empty-msg">${t('dictation.none')}</p>`}
+        ${problems.map(p => `<p class="field-hint">${escapeHtml(p)}</p>`).join('')}
+      </div>
+
+      ${found ? `<button class="btn btn-primary btn-large" id="btn-use-dictation">${t('dictation.use')}</button>` : ''}
+      <div class="btn-row">
+        <button class="btn btn-secondary" id="btn-edit-dictation" ${found ? '' : 'hidden'}>${t('dictation.edit')}</button>
+        <button class="btn btn-secondary" id="btn-redo-dictation">${t('dictation.again')}</button>
+      </div>
+    </div>
+  `;
+
+  const readBack = () => {
+    const script = found
+      ? buildSpeechScript(readings, state.sanitizerType, state.ranges).replace(t('speech.intro'), t('dictation.heardSpeech'))
+      : t('dictation.noneSpeech');
+    speak(`${script}${problems.length > 0 ? ` ${t('dictation.unclearSpeech', { count: problems.length })}` : ''}`);
+  };
+  if (isTTSAvailable()) readBack();
+
+  document.getElementById('btn-speak-dictation').onclick = () => (isSpeaking() ? stopSpeaking() : readBack());
+  document.getElementById('btn-back-dictation').onclick = () => {
+    stopSpeaking();
+    state.screen = 'manual';
+    render();
+  };
+  document.getElementById('btn-redo-dictation').onclick = () => {
+    state.screen = 'manual';
+    render();
+    listenForReadings();
+  };
+  // Fill the manual form with what was heard, to fix a value by hand
+  document.getElementById('btn-edit-dictation').onclick = () => {
+    stopSpeaking();
+    const kit = getDropKit(state.dropKitId);
+    for (const [key, value] of Object.entries(readings)) {
+      const field = state.manualEntry[key] || { drops: '', sampleMl: sampleSizes(kit, key).at(-1) };
+      state.manualEntry[key] = { ...field, mode: 'value', value: String(value) };
+    }
+    state.screen = 'manual';
+    render();
+  };
+  document.getElementById('btn-use-dictation')?.addEventListener('click', () => {
+    stopSpeaking();
+    useEnteredReadings({ ...readings }, 'voice');
+    // Already read back on this screen
+    renderResults({ autoSpeak: false });
+  });
+}
+
+// ---- Bottle chart in the same photo ----
+function bottleChartBar() {
+  const marked = state.analysisProfile.sameImage;
+  return `
+    <div class="wb-bar">
+      <span>${marked ? t('analyze.bottleChartInUse') : t('analyze.bottleChartPrompt')}</span>
+      <button class="btn btn-small btn-secondary" id="btn-bottle-chart">${marked ? t('analyze.remark') : t('analyze.useBottleChart')}</button>
+    </div>
+  `;
+}
+
+function bindBottleChartBar() {
+  document.getElementById('btn-bottle-chart').onclick = () => {
+    state.chartMarking = {
+      returnMode: state.analysisMode,
+      paramIndex: 0,
+      levelIndex: 0,
+      marks: {},
+    };
+    state.calibratingWhite = false;
+    state.analysisMode = 'chart';
+    render();
+  };
+}
+
+// Printed values to mark for a parameter: the levels of the strip's own chart
+function chartLevels(key) {
+  const base = getProfile(state.analysisProfile.baseId || state.analysisProfile.id, state.customProfiles)
+    || state.analysisProfile;
+  return base.charts[key].colors.map(c => c.value);
+}
+
+// Walk through each parameter's printed scale, one swatch tap per level
+function renderChartMarking() {
+  const params = state.analysisParams;
+  const cm = state.chartMarking;
+  const key = params[cm.paramIndex];
+  const levels = chartLevels(key);
+  const marks = cm.marks[key] || [];
+  const level = levels[cm.levelIndex];
+
+  app.innerHTML = `
+    <div class="screen analyze-screen">
+      <div class="analyze-header">
+        <button class="btn btn-icon" id="btn-back-analyze">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <div class="analyze-progress">
+          <span class="step-label">${t('chart.progress', { step: cm.paramIndex + 1, total: params.length })}</span>
+          <div class="progress-bar"><div class="progress-fill" style="width:${((cm.paramIndex + 1) / params.length) * 100}%"></div></div>
+        </div>
+      </div>
+
+      <div class="analyze-instruction">
+        <h2>${t('chart.tapSwatch', { value: `<strong>${formatNumber(level)}</strong>`, name: PARAMETERS[key].name })}</h2>
+        <p>${t('chart.changeValue')}</p>
+        <div class="chart-value-row">
+          <label for="chart-value">${t('chart.printedValue')}</label>
+          <input type="number" id="chart-value" value="${level}" step="any" inputmode="decimal">
+        </div>
+      </div>
+
+      <div class="canvas-container" id="canvas-container">
+        <canvas id="photo-canvas"></canvas>
+        ${marks.map(m => `
+          <div class="pad-marker swatch-marker" style="left:${m.x * 100}%;top:${m.y * 100}%;background:rgb(${m.r},${m.g},${m.b})"></div>
+        `).join('')}
+      </div>
+
+      <div class="color-ref">
+        ${marks.map(m => `
+          <div class="ref-swatch" style="background:rgb(${m.r},${m.g},${m.b})"><span>${formatNumber(m.value)}</span></div>
+        `).join('')}
+      </div>
+
+      <div class="btn-row">
+        <button class="btn btn-secondary" id="btn-chart-undo" ${marks.length === 0 ? 'disabled' : ''}>${t('chart.undo')}</button>
+        <button class="btn btn-secondary" id="btn-chart-skip">${t('chart.notOnChart')}</button>
+        <button class="btn btn-secondary" id="btn-chart-next" ${marks.length < 2 ? 'disabled' : ''}>${t('chart.next')}</button>
+      </div>
+    </div>
+  `;
+
+  const canvas = document.getElementById('photo-canvas');
+  const container = document.getElementById('canvas-container');
+  const ctx = drawCapturedImage(canvas, container);
+
+  const advanceLevel = () => {
+    cm.levelIndex++;
+    if (cm.levelIndex >= levels.length) finishChartParam();
+    else render();
+  };
+
+  canvas.onclick = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+    const value = parseFloat(document.getElementById('chart-value').value);
+    if (!Number.isFinite(value)) {
+      alert(t('chart.enterValue'));
+      return;
+    }
+    const color = extractAverageColor(canvas, ctx, x, y, 6);
+    if (!color) return;
+    cm.marks[key] = [...marks, { value, ...color, x: x / canvas.width, y: y / canvas.height }];
+    advanceLevel();
+  };
+
+  document.getElementById('btn-chart-undo').onclick = () => {
+    cm.marks[key] = marks.slice(0, -1);
+    cm.levelIndex = Math.max(0, cm.levelIndex - 1);
+    render();
+  };
+  document.getElementById('btn-chart-skip').onclick = advanceLevel;
+  document.getElementById('btn-chart-next').onclick = finishChartParam;
+
+  document.getElementById('btn-back-analyze').onclick = () => {
+    state.analysisMode = cm.returnMode;
+    state.chartMarking = null;
+    render();
+  };
+}
+
+function finishChartParam() {
+  const cm = state.chartMarking;
+  const key = state.analysisParams[cm.paramIndex];
+  const marks = cm.marks[key] || [];
+  const values = new Set(marks.map(m => m.value));
+  if (marks.length < 2 || values.size < 2) {
+    alert(t('chart.needTwo', { name: PARAMETERS[key].name }));
+    cm.levelIndex = Math.min(cm.levelIndex, chartLevels(key).length - 1);
+    render();
+    return;
+  }
+  cm.paramIndex++;
+  cm.levelIndex = 0;
+  if (cm.paramIndex < state.analysisParams.length) {
+    render();
+    return;
+  }
+  applyBottleChart();
+}
+
+// Swap the marked swatches in as the charts for this scan, then offer to save
+function applyBottleChart() {
+  const cm = state.chartMarking;
+  const base = state.analysisProfile;
+  const charts = { ...base.charts };
+  for (const [key, marks] of Object.entries(cm.marks)) {
+    charts[key] = {
+      colors: marks
+        .map(({ value, r, g, b }) => ({ value, r, g, b }))
+        .sort((a, b) => a.value - b.value),
+    };
+  }
+
+  state.analysisProfile = {
+    ...base,
+    baseId: base.baseId || base.id,
+    charts,
+    sameImage: true,
+  };
+  if (state.padSamples) {
+    state.padSamples = state.padSamples.map(s => ({ ...s, match: matchPad(s.color, s.key) }));
+  }
+  state.analysisMode = cm.returnMode;
+  state.chartMarking = null;
+  render();
+
+  const name = prompt(t('chart.savePrompt'), t('chart.defaultName', { name: base.name }));
+  if (name && name.trim()) saveBottleChartProfile(name.trim());
+}
+
+function saveBottleChartProfile(name) {
+  const marked = state.analysisProfile;
+  let profile;
+  try {
+    profile = parseStripProfile(serializeStripProfile({
+      ...marked,
+      id: `custom-${Date.now()}`,
+      name,
+    }));
+  } catch (err) {
+    alert(t('chart.saveFailed', { message: err.message }));
+    return;
+  }
+  state.customProfiles.push(profile);
+  saveCustomProfiles();
+  state.stripProfileId = profile.id;
+  saveSettings();
+  state.analysisProfile = { ...marked, id: profile.id, name: profile.name };
+  alert(t('chart.saved', { name }));
+}
+
+// ---- Re-analysis of a saved test ----
+// Lets a reopened test be read again against another strip profile or matcher
+function reanalysisBar() {
+  if (!state.reanalyzing) return '';
+  const saved = state.reanalyzing.profile;
+  const current = state.analysisProfile;
+  const savedIsCurrent = current === saved;
+  return `
+    <div class="reanalysis-bar">
+      <div class="field">
+        <label for="reanalysis-profile">${t('reanalysis.profile')}</label>
+        <select id="reanalysis-profile">
+          <option value="" ${savedIsCurrent ? 'selected' : ''}>${t('reanalysis.asSaved', { name: escapeHtml(saved.name) })}</option>
+          ${listProfiles(state.customProfiles).map(p =>
+            `<option value="${escapeHtml(p.id)}" ${!savedIsCurrent && current.id === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+          ).join('')}
+        </select>
+      </div>
+      <div class="field">
+        <label for="reanalysis-metric">${t('settings.colorMatching')}</label>
+        <select id="reanalysis-metric">
+          ${Object.entries(DELTA_E_METHODS).map(([key, m]) =>
+            `<option value="${key}" ${state.analysisMetric === key ? 'selected' : ''}>${m.name}</option>`
+          ).join('')}
+        </select>
+      </div>
+    </div>
+  `;
+}
+
+function bindReanalysisBar() {
+  if (!state.reanalyzing) return;
+  document.getElementById('reanalysis-profile').onchange = (e) => {
+    const profile = e.target.value ? getProfile(e.target.value, state.customProfiles) : state.reanalyzing.profile;
+    state.analysisProfile = profile;
+    state.analysisParams = getAnalysisParams(profile);
+    rematchSamples(state.padSamples || []);
+    render();
+  };
+  document.getElementById('reanalysis-metric').onchange = (e) => {
+    state.analysisMetric = e.target.value;
+    if (state.padSamples) rematchSamples(state.padSamples);
+    render();
+  };
+}
+
+function renderAnalyze() {
+  if (state.analysisMode === 'chart') {
+    renderChartMarking();
+  } else if (state.analysisMode === 'manual') {
+    renderManualAnalyze();
+  } else {
+    renderPadReview();
+  }
+}
+
+// Auto mode: detect every pad at once, let the user confirm or move them.
+// All pads on the strip are located (so spacing and flipping work), but only
+// the ones in analysisParams are shown and read.
+function renderPadReview() {
+  const params = state.analysisParams;
+  const layout = state.analysisProfile.padOrder;
+
+  app.innerHTML = `
+    <div class="screen analyze-screen">
+      <div class="analyze-header">
+        <button class="btn btn-icon" id="btn-back-analyze">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <div class="analyze-progress">
+          <span class="step-label">${t('analyze.reviewPads')}</span>
+          <div class="progress-bar"><div class="progress-fill" style="width:100%"></div></div>
+        </div>
+      </div>
+
+      <div class="analyze-instruction">
+        <h2>${t('analyze.checkPads')}</h2>
+        <p>${escapeHtml(state.analysisProfile.name)}</p>
+        <p>${t('analyze.movePadHint')}</p>
+      </div>
+
+      <div class="canvas-container" id="canvas-container">
+        <canvas id="photo-canvas"></canvas>
+        <div id="pad-markers"></div>
+      </div>
+
+      ${reanalysisBar()}
+      ${whiteBalanceBar()}
+      ${bottleChartBar()}
+
+      <div class="pad-list" id="pad-list"></div>
+
+      <div class="btn-row">
+        ${state.padSamples && state.padSamples.length !== layout.length ? '' : `<button class="btn btn-secondary" id="btn-flip-pads">${t('analyze.flip')}</button>`}
+        <button class="btn btn-secondary" id="btn-manual-pads">${t('analyze.tapManually')}</button>
+      </div>
+      <button class="btn btn-primary btn-large" id="btn-confirm-pads">${t('analyze.confirm')}</button>
+    </div>
+  `;
+
+  const canvas = document.getElementById('photo-canvas');
+  const container = document.getElementById('canvas-container');
+  const ctx = drawCapturedImage(canvas, container);
+
+  if (!state.padSamples) {
+    const detected = detectStripPads(ctx, canvas.width, canvas.height, layout.length);
+    const samples = detected
+      ? detected.pads.map((p, i) => samplePad(canvas, ctx, layout[i], p.x, p.y))
+      : null;
+    if (!samples || samples.some(s => !s)) {
+      state.analysisMode = 'manual';
+      state.detectionFailed = true;
+      render();
+      return;
+    }
+    state.padSamples = samples;
+    state.selectedPad = samples.findIndex(s => params.includes(s.key));
+  }
+
+  const isRead = (s) => params.includes(s.key);
+
+  const drawPads = () => {
+    document.getElementById('pad-markers').innerHTML = state.padSamples.map((s, i) => `
+      <div class="pad-marker ${i === state.selectedPad ? 'selected' : ''} ${isRead(s) ? '' : 'ignored'}" style="left:${s.x * 100}%;top:${s.y * 100}%">${i + 1}</div>
+    `).join('');
+
+    document.getElementById('pad-list').innerHTML = state.padSamples.map((s, i) => !isRead(s) ? '' : `
+      <button type="button" class="pad-row ${i === state.selectedPad ? 'selected' : ''}" data-index="${i}">
+        <span class="pad-index">${i + 1}</span>
+        <div class="sampled-color" style="background:rgb(${s.color.r},${s.color.g},${s.color.b})"></div>
+        <div class="sampled-info">
+          <span class="pad-name">${PARAMETERS[s.key].name}</span>
+          <span class="sampled-value">${formatReading(s.key, s.match.value)}</span>
+          <span class="sampled-confidence conf-${s.match.confidence}">${formatConfidence(s.match)}</span>
+        </div>
+      </button>
+    `).join('');
+
+    document.querySelectorAll('#pad-list .pad-row').forEach(row => {
+      row.onclick = () => {
+        state.selectedPad = parseInt(row.dataset.index, 10);
+        drawPads();
+      };
+    });
+  };
+  drawPads();
+
+  bindReanalysisBar();
+  bindWhiteBalanceBar();
+  bindBottleChartBar();
+
+  canvas.onclick = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+    if (handleWhiteBalanceTap(canvas, ctx, x, y)) return;
+    const key = state.padSamples[state.selectedPad].key;
+    const sample = samplePad(canvas, ctx, key, x, y);
+    if (!sample) return;
+    state.padSamples[state.selectedPad] = sample;
+    // Advance to the next pad so a full fix-up is one tap per pad
+    const next = state.padSamples.findIndex((s, i) => i > state.selectedPad && isRead(s));
+    if (next >= 0) state.selectedPad = next;
+    drawPads();
+  };
+
+  document.getElementById('btn-back-analyze').onclick = () => {
+    state.screen = 'home';
+    render();
+  };
+
+  // Pads were read from the wrong end: keep the positions, swap the parameters
+  document.getElementById('btn-flip-pads')?.addEventListener('click', () => {
+    const positions = [...state.padSamples].reverse();
+    state.padSamples = positions.map((s, i) => ({
+      ...s,
+      key: layout[i],
+      match: matchPad(s.color, layout[i]),
+    }));
+    state.selectedPad = state.padSamples.findIndex(isRead);
+    drawPads();
+  });
+
+  document.getElementById('btn-manual-pads').onclick = () => {
+    state.analysisMode = 'manual';
+    state.analysisStep = 0;
+    state.readings = {};
+    state.manualSamples = {};
+    render();
+  };
+
+  document.getElementById('btn-confirm-pads').onclick = () => {
+    state.readings = {};
+    for (const s of state.padSamples.filter(isRead)) state.readings[s.key] = s.match.value;
+    state.screen = 'results';
+    render();
+  };
+}
+
+// Manual mode: tap each pad in turn
+function renderManualAnalyze() {
+  const params = state.analysisParams;
+  const step = state.analysisStep;
+
+  if (step >= params.length) {
+    // All done, go to results
+    state.screen = 'results';
+    render();
+    return;
+  }
+
+  const paramKey = params[step];
+  const chart = state.analysisProfile.charts[paramKey];
+  const progress = `${step + 1} / ${params.length}`;
+
+  app.innerHTML = `
+    <div class="screen analyze-screen">
+      <div class="analyze-header">
+        <button class="btn btn-icon" id="btn-back-analyze">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <div class="analyze-progress">
+          <span class="step-label">${t('analyze.step', { progress })}</span>
+          <div class="progress-bar"><div class="progress-fill" style="width:${((step + 1) / params.length) * 100}%"></div></div>
+        </div>
+      </div>
+
+      <div class="analyze-instruction">
+        <h2>${t('analyze.tapPad', { name: `<strong>${PARAMETERS[paramKey].name}</strong>` })}</h2>
+        <p>${state.detectionFailed && step === 0 ? `${t('analyze.detectionFailed')} ` : ''}${t('analyze.tapPadHint')}</p>
+        <div class="color-ref">
+          ${chart.colors.map(c =>
+            `<div class="ref-swatch" style="background:rgb(${c.r},${c.g},${c.b})" title="${formatNumber(c.value)}${PARAMETERS[paramKey].unit}">
+              <span>${formatNumber(c.value)}</span>
+            </div>`
+          ).join('')}
+        </div>
+      </div>
+
+      <div class="canvas-container" id="canvas-container">
+        <canvas id="photo-canvas"></canvas>
+        <div class="tap-indicator" id="tap-indicator" style="display:none"></div>
+      </div>
+
+      ${whiteBalanceBar()}
+      ${bottleChartBar()}
+
+      <div class="sampled-result" id="sampled-result" style="display:none">
+        <div class="sampled-color" id="sampled-color-swatch"></div>
+        <div class="sampled-info">
+          <span class="sampled-value" id="sampled-value"></span>
+          <span class="sampled-confidence" id="sampled-confidence"></span>
+        </div>
+        <button class="btn btn-small btn-primary" id="btn-confirm">${t('analyze.confirmPad')}</button>
+        <button class="btn btn-small btn-secondary" id="btn-retry">${t('analyze.retry')}</button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('btn-back-analyze').onclick = () => {
+    if (step > 0) {
+      state.analysisStep = step - 1;
+      // Remove the last reading
+      const prevKey = params[step - 1];
+      delete state.readings[prevKey];
+      delete state.manualSamples[prevKey];
+    } else if (state.padSamples) {
+      state.analysisMode = 'auto';
+    } else {
+      state.screen = 'home';
+    }
+    render();
+  };
+
+  // Draw image on canvas
+  const canvas = document.getElementById('photo-canvas');
+  const container = document.getElementById('canvas-container');
+  const ctx = drawCapturedImage(canvas, container);
+
+  let pendingMatch = null;
+
+  bindWhiteBalanceBar();
+  bindBottleChartBar();
+
+  canvas.onclick = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+    if (handleWhiteBalanceTap(canvas, ctx, x, y)) return;
+
+    // Extract color
+    const color = extractAverageColor(canvas, ctx, x, y, 12);
+    if (!color) return;
+
+    // Match against chart
+    const match = matchPad(color, paramKey);
+    if (!match) return;
+
+    pendingMatch = { key: paramKey, x: x / canvas.width, y: y / canvas.height, color, match };
+
+    // Show tap indicator
+    const indicator = document.getElementById('tap-indicator');
+    const dispX = (x / canvas.width) * rect.width;
+    const dispY = (y / canvas.height) * rect.height;
+    indicator.style.display = 'block';
+    indicator.style.left = `${dispX - 18}px`;
+    indicator.style.top = `${dispY - 18}px`;
+
+    // Show result
+    const resultEl = document.getElementById('sampled-result');
+    resultEl.style.display = 'flex';
+    document.getElementById('sampled-color-swatch').style.background = `rgb(${color.r},${color.g},${color.b})`;
+
+    document.getElementById('sampled-value').textContent = formatReading(paramKey, match.value);
+    document.getElementById('sampled-confidence').textContent = formatConfidence(match);
+    document.getElementById('sampled-confidence').className = `sampled-confidence conf-${match.confidence}`;
+  };
+
+  // Confirm button
+  setTimeout(() => {
+    const confirmBtn = document.getElementById('btn-confirm');
+    const retryBtn = document.getElementById('btn-retry');
+    if (confirmBtn) {
+      confirmBtn.onclick = () => {
+        if (!pendingMatch) return;
+        state.readings[paramKey] = pendingMatch.match.value;
+        state.manualSamples[paramKey] = pendingMatch;
+        state.analysisStep = step + 1;
+        render();
+      };
+    }
+    if (retryBtn) {
+      retryBtn.onclick = () => {
+        pendingMatch = null;
+        document.getElementById('sampled-result').style.display = 'none';
+        document.getElementById('tap-indicator').style.display = 'none';
+      };
+    }
+  }, 0);
+}
+
+function renderResults({ autoSpeak = true } = {}) {
+  const params = state.analysisParams;
+  const readings = state.readings;
+  const conditions = getWaterConditions();
+  const balance = getWaterBalance(readings, conditions);
+  // A retest after guided treatment is compared with what the plan expected
+  const retest = state.treatmentSession?.finishedAt && state.treatmentSession.waterId === state.waterId
+    ? state.treatmentSession : null;
+
+  // Calculate corrections
+  state.corrections = calculatePlan(readings);
+
+  // Combined chlorine is derived from the total and free chlorine pads
+  const values = { ...readings };
+  const rowKeys = [...params];
+  const cc = state.sanitizerType === 'bromine' ? undefined : getCombinedChlorine(readings);
+  if (cc !== undefined) {
+    values.combinedChlorine = cc;
+    rowKeys.splice(rowKeys.indexOf('totalChlorine') + 1, 0, 'combinedChlorine');
+  }
+
+  // Build results rows
+  const rows = rowKeys.map(key => {
+    if (values[key] === undefined) return '';
+    const param = getRange(key, state.ranges);
+    const val = values[key];
+    const status = getStatus(key, val, state.ranges);
+    const statusLabel = getStatusLabel(status);
+    const valStr = key === 'pH' ? formatNumber(val, 1) : `${formatNumber(val)} ${param.unit}`;
+
+    return `
+      <div class="result-row status-${status}">
+        <div class="result-name">${param.name}</div>
+        <div class="result-value">${valStr}</div>
+        <div class="result-status">${statusLabel}</div>
+        <div class="result-range">${formatNumber(param.idealMin)}${param.unit ? ' ' + param.unit : ''} - ${formatNumber(param.idealMax)}${param.unit ? ' ' + param.unit : ''}</div>
+      </div>
+    `;
+  }).join('');
+
+  // Every value can be in range while the water as a whole is unbalanced
+  const allOk = state.corrections.length === 0
+    && rowKeys.every(k => values[k] === undefined || getStatus(k, values[k], state.ranges) === 'ok');
+
+  app.innerHTML = `
+    <div class="screen results-screen">
+      <div class="screen-header">
+        <button class="btn btn-icon" id="btn-back-results">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <h2>${t('results.title')}</h2>
+        <button class="btn btn-icon" id="btn-speak">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 010 14.14M15.54 8.46a5 5 0 010 7.07"/></svg>
         </button>
       </div>
 
       <div class="results-card">
         <div class="results-header-row">
-          <span>Parameter</span><span>Value</span><span>Status</span><span>Ideal</span>
+          <span>${t('results.parameter')}</span><span>${t('results.value')}</span><span>${t('results.status')}</span><span>${t('results.ideal')}</span>
         </div>
         ${rows}
       </div>
 
+      ${voiceBar()}
+
+      <div class="balance-card ${balance ? `balance-${balance.status}` : ''}">
+        <div class="balance-header">
+          <span>${t('balance.title')}</span>
+          <span class="balance-value">${balance
+            ? `${balance.name} ${balance.value > 0 ? '+' : ''}${formatNumber(balance.value, 2)} \u00B7 ${t(`balance.${balance.status}`)}`
+            : t('balance.enterTemp')}</span>
+        </div>
+        <div class="input-row">
+          <input type="number" id="water-temp" value="${state.waterTemp ?? ''}" placeholder="${t('balance.temp')}" inputmode="decimal" step="any">
+          <select id="temp-unit">
+            <option value="F" ${state.tempUnit === 'F' ? 'selected' : ''}>\u00B0F</option>
+            <option value="C" ${state.tempUnit === 'C' ? 'selected' : ''}>\u00B0C</option>
+          </select>
+        </div>
+        <div class="input-row">
+          <input type="number" id="water-tds" value="${state.tds ?? ''}" placeholder="${t('balance.tdsOptional')}" inputmode="numeric" min="0" step="1">
+          <span class="input-suffix">ppm TDS</span>
+        </div>
+        <p class="field-hint">${balance
+          ? `${SATURATION_INDICES[balance.index].fullName}. ${t('balance.range', { min: '\u22120.3', max: '+0.3' })}${balance.tdsAssumed ? ` ${t('balance.tdsAssumed')}` : ''} ${t('balance.planTargets')}`
+          : t('balance.hint')}</p>
+      </div>
+
+      ${state.whiteRef ? `<p class="results-note">${t('results.whiteBalanced', { cct: state.whiteRef.cct })}</p>` : ''}
+      ${retest ? `
+        <div class="expected-readings">
+          <strong>${t('results.expectedAfterTreatment')}</strong>
+          <div class="history-readings">${expectedReadings(expectedAfter(retest), retest.readings)}</div>
+        </div>
+      ` : ''}
+      ${state.readingSource === 'voice' ? `<p class="results-note">${t('results.dictated')}</p>` : ''}
+      ${state.readingSource === 'manual' ? `<p class="results-note">${Object.keys(state.dropCounts).length > 0 ? t('results.enteredDrops', { kit: getDropKit(state.dropKitId).name }) : t('results.entered')}</p>` : ''}
+
       ${allOk ? `
         <div class="all-ok-card">
-          <h3>All Clear!</h3>
-          <p>Your water chemistry is within ideal ranges. Enjoy your spa!</p>
+          <h3>${t('results.allClear')}</h3>
+          <p>${t('results.allClearText')}</p>
         </div>
       ` : `
         <button class="btn btn-primary btn-large" id="btn-corrections">
-          View Treatment Plan (${state.corrections.length} steps)
+          ${t('results.viewPlan', { count: state.corrections.length })}
         </button>
       `}
 
-      <button class="btn btn-secondary" id="btn-save-results">Save to History</button>
-      <button class="btn btn-secondary" id="btn-new-scan">New Scan</button>
+      <button class="btn btn-secondary" id="btn-save-results">${state.reanalyzing ? t('results.update') : t('results.save')}</button>
+      <button class="btn btn-secondary" id="btn-new-scan">${t('results.newScan')}</button>
     </div>
   `;
 
   document.getElementById('btn-back-results').onclick = () => {
-    state.screen = 'home';
+    state.screen = state.readingSource === 'manual' ? 'manual' : state.readingSource === 'voice' ? 'dictation' : 'home';
     render();
   };
 
+  const updateConditions = () => {
+    const temp = parseFloat(document.getElementById('water-temp').value);
+    const tds = parseFloat(document.getElementById('water-tds').value);
+    state.waterTemp = Number.isFinite(temp) ? temp : null;
+    state.tempUnit = document.getElementById('temp-unit').value;
+    state.tds = Number.isFinite(tds) && tds > 0 ? tds : null;
+    saveSettings();
+    renderResults({ autoSpeak: false });
+  };
+  document.getElementById('water-temp').onchange = updateConditions;
+  document.getElementById('temp-unit').onchange = updateConditions;
+  document.getElementById('water-tds').onchange = updateConditions;
+
   document.getElementById('btn-speak').onclick = () => {
     if (isSpeaking()) {
       stopSpeaking();
     } else {
-      const script = buildSpeechScript(readings, state.sanitizerType);
+      const script = buildSpeechScript(readings, state.sanitizerType, state.ranges);
       speak(script);
     }
   };
 
+  // By voice, "next step" starts guided treatment with this plan
+  const firstStep = state.corrections[0];
+  const notStarted = () => say(firstStep ? t('voice.sayNextStep') : t('voice.noTreatment'));
+  bindVoiceBar({
+    readResults: () => say(buildSpeechScript(readings, state.sanitizerType, state.ranges)),
+    nextStep: () => {
+      if (!firstStep) {
+        notStarted();
+      } else if (state.treatmentSession && state.treatmentSession.waterId === state.waterId && !state.treatmentSession.finishedAt) {
+        say(t('voice.inProgress'));
+        state.screen = 'guide';
+        render();
+      } else {
+        startTreatment(state.corrections, readings);
+        say(stepSpeech(firstStep, 0));
+      }
+    },
+    howMuch: () => (firstStep ? say(t('voice.firstAmount', { amount: firstStep.amount, chemical: firstStep.chemical })) : notStarted()),
+    startTimer: notStarted,
+    pause: notStarted,
+    skip: notStarted,
+  });
+
   if (!allOk) {
     document.getElementById('btn-corrections').onclick = () => {
       state.screen = 'corrections';
@@ -350,15 +1801,67 @@ function renderResults() {
   }
 
   document.getElementById('btn-save-results').onclick = () => {
-    state.history.push({
+    // What the readings were taken from, so the test can be reopened later
+    const analysis = state.capturedImage ? {
+      samples: analysisSamples(),
+      profile: state.analysisProfile,
+      colorMetric: state.analysisMetric,
+    } : {};
+
+    if (state.reanalyzing) {
+      const { id, waterId } = state.reanalyzing;
+      const entry = waterId === state.waterId ? state.history.find(e => e.id === id) : null;
+      if (!entry || id === undefined) {
+        state.reanalyzing = null;
+        alert(t('results.updateGone'));
+        render();
+        return;
+      }
+      // Saturation index from the conditions recorded with the test, not today's
+      const savedBalance = getWaterBalance(readings, {
+        temperatureC: !Number.isFinite(entry.temperature) ? undefined
+          : entry.tempUnit === 'C' ? entry.temperature : fahrenheitToCelsius(entry.temperature),
+        tds: entry.tds || undefined,
+        index: entry.saturationIndex?.index || state.saturationIndex,
+      });
+      Object.assign(entry, {
+        originalReadings: entry.originalReadings || entry.readings,
+        readings: { ...readings },
+        saturationIndex: savedBalance ? { index: savedBalance.index, value: savedBalance.value } : null,
+        whiteBalance: state.whiteRef,
+        stripProfile: state.analysisProfile.id,
+        ...analysis,
+        reanalyzedAt: new Date().toISOString(),
+      });
+      state.reanalyzing = null;
+      persist(storage.updateTest(entry));
+      alert(t('results.updated'));
+      render();
+      return;
+    }
+
+    const photoId = state.capturedImage ? `photo-${Date.now()}` : undefined;
+    if (photoId) persist(storage.savePhoto(photoId, state.waterId, compressImage(state.capturedImage)));
+    saveHistoryEntry({
       date: new Date().toISOString(),
       readings: { ...readings },
       volume: state.volume,
       volumeUnit: state.volumeUnit,
       sanitizerType: state.sanitizerType,
+      whiteBalance: state.whiteRef,
+      temperature: state.waterTemp,
+      tempUnit: state.tempUnit,
+      tds: state.tds,
+      saturationIndex: balance ? { index: balance.index, value: balance.value } : null,
+      stripProfile: state.analysisProfile?.id,
+      ...analysis,
+      photoId,
+      source: state.readingSource,
+      ...(Object.keys(state.dropCounts).length > 0 ? { dropKit: state.dropKitId, dropCounts: { ...state.dropCounts } } : {}),
     });
-    saveHistory();
-    alert('Results saved to history.');
+    // The retest is in: the guided treatment is over
+    if (retest) stopTreatment();
+    alert(t('results.saved'));
   };
 
   document.getElementById('btn-new-scan').onclick = () => {
@@ -367,45 +1870,63 @@ function renderResults() {
   };
 
   // Auto-speak results
-  if (isTTSAvailable()) {
-    const script = buildSpeechScript(readings, state.sanitizerType);
+  if (autoSpeak && isTTSAvailable()) {
+    const script = buildSpeechScript(readings, state.sanitizerType, state.ranges);
     // Small delay to let the screen render
     setTimeout(() => speak(script), 500);
   }
 }
 
+// Predicted readings after a step, with the values it changed highlighted
+function expectedReadings(expected, before) {
+  return Object.keys(expected).filter(k => PARAMETERS[k]).map(k => {
+    const val = expected[k];
+    const status = getStatus(k, val, state.ranges);
+    const changed = before[k] !== val;
+    const valStr = k === 'pH' ? formatNumber(val, 1) : formatNumber(val);
+    return `<span class="history-pill status-${status} ${changed ? 'changed' : ''}">${PARAMETERS[k].name}: ${valStr}</span>`;
+  }).join('');
+}
+
 function renderCorrections() {
   const corrections = state.corrections;
+  const predicted = corrections.filter(c => c.expected);
 
   const correctionCards = corrections.map((c, i) => `
     <div class="correction-card">
-      <div class="correction-order">Step ${i + 1}</div>
-      <div class="correction-param">${c.parameter}</div>
-      <div class="correction-action">${c.action}</div>
+      <div class="correction-order">${t('plan.step', { number: i + 1 })}</div>
+      <div class="correction-param">${escapeHtml(c.parameter)}</div>
+      <div class="correction-action">${escapeHtml(c.action)}</div>
       ${c.reason ? `
         <div class="correction-reason">
-          <strong>Why this step?</strong>
-          ${c.reason}
+          <strong>${t('plan.why')}</strong>
+          ${escapeHtml(c.reason)}
         </div>
       ` : ''}
       <div class="correction-detail">
-        <div class="detail-row"><span>Chemical:</span><span>${c.chemical}</span></div>
-        <div class="detail-row"><span>Amount:</span><span class="amount-highlight">${c.amount}</span></div>
-        <div class="detail-row"><span>Wait:</span><span>${c.waitMinutes} minutes</span></div>
+        <div class="detail-row"><span>${t('plan.chemical')}</span><span>${escapeHtml(c.chemical)}</span></div>
+        <div class="detail-row"><span>${t('plan.amount')}</span><span class="amount-highlight">${escapeHtml(c.amount)}</span></div>
+        <div class="detail-row"><span>${t('plan.wait')}</span><span>${t('plan.minutes', { count: c.waitMinutes })}</span></div>
       </div>
+      ${c.expected ? `
+        <div class="expected-readings">
+          <strong>${t('plan.expectedAfterStep')}</strong>
+          <div class="history-readings">${expectedReadings(c.expected, predicted[predicted.indexOf(c) - 1]?.expected || state.readings)}</div>
+        </div>
+      ` : ''}
       ${c.calcBreakdown ? `
         <div class="calc-breakdown">
-          <strong>How this was calculated</strong>
-          ${c.calcBreakdown.map(line => `<div class="calc-step">${line}</div>`).join('')}
+          <strong>${t('plan.howCalculated')}</strong>
+          ${c.calcBreakdown.map(line => `<div class="calc-step">${escapeHtml(line)}</div>`).join('')}
         </div>
       ` : ''}
-      <div class="correction-notes">${c.notes}</div>
+      <div class="correction-notes">${escapeHtml(c.notes)}</div>
     </div>
   `).join('');
 
   // Build speech text for corrections
   const corrSpeech = corrections.map((c, i) =>
-    `Step ${i + 1}: ${c.action}. Add ${c.amount} of ${c.chemical}. Wait ${c.waitMinutes} minutes.`
+    t('plan.stepSpeech', { number: i + 1, action: c.action, amount: c.amount, chemical: c.chemical, minutes: c.waitMinutes })
   ).join(' ');
 
   app.innerHTML = `
@@ -414,114 +1935,800 @@ function renderCorrections() {
         <button class="btn btn-icon" id="btn-back-corr">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
         </button>
-        <h2>Treatment Plan</h2>
+        <h2>${t('plan.title')}</h2>
         <button class="btn btn-icon" id="btn-speak-corr">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 010 14.14"/></svg>
         </button>
       </div>
 
       <div class="treatment-info">
-        <h3>Why Treatment Order Matters</h3>
-        <p>These steps follow a specific sequence because each chemical parameter affects the ones after it. Alkalinity buffers pH, pH controls sanitizer effectiveness, and sanitizer must be added to balanced water to work at full strength. Skipping ahead wastes chemicals and time.</p>
+        <h3>${t('plan.orderTitle')}</h3>
+        <p>${t('plan.orderText')}</p>
+      </div>
+
+      <div class="corrections-list">
+        ${correctionCards}
+      </div>
+
+      <div class="calendar-section">
+        <h3>${t('plan.scheduleTitle')}</h3>
+        <p>${t('plan.scheduleText')}</p>
+        <div class="time-picker">
+          <label>${t('plan.startTime')}</label>
+          <input type="datetime-local" id="start-time" value="${getDefaultStartTime()}">
+        </div>
+        <button class="btn btn-primary btn-large" id="btn-add-calendar">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
+          ${t('plan.addToCalendar')}
+        </button>
+      </div>
+
+      <button class="btn btn-primary btn-large" id="btn-start-treatment">${t('plan.start')}</button>
+      <button class="btn btn-secondary btn-large" id="btn-log-treatment">${t('plan.markDone')}</button>
+      <button class="btn btn-secondary" id="btn-home-corr">${t('common.done')}</button>
+    </div>
+  `;
+
+  document.getElementById('btn-back-corr').onclick = () => { state.screen = 'results'; render(); };
+  document.getElementById('btn-home-corr').onclick = () => { state.screen = 'home'; render(); };
+
+  document.getElementById('btn-log-treatment').onclick = () => {
+    logTreatment(corrections, state.readings);
+    alert(t('plan.logged'));
+  };
+
+  document.getElementById('btn-start-treatment').onclick = () => {
+    if (state.treatmentSession && !confirm(t('plan.restartConfirm'))) return;
+    startTreatment(corrections, state.readings);
+  };
+
+  document.getElementById('btn-speak-corr').onclick = () => {
+    if (isSpeaking()) {
+      stopSpeaking();
+    } else {
+      speak(spokenUnits(`${t('plan.speechIntro')} ${corrSpeech} ${t('plan.speechOutro')}`));
+    }
+  };
+
+  document.getElementById('btn-add-calendar').onclick = () => {
+    const timeInput = document.getElementById('start-time');
+    const startTime = new Date(timeInput.value);
+    if (isNaN(startTime.getTime())) {
+      alert(t('plan.invalidStart'));
+      return;
+    }
+    downloadICS(corrections, startTime);
+  };
+}
+
+function getDefaultStartTime() {
+  const d = new Date(Date.now() + 30 * 60000);
+  d.setMinutes(Math.ceil(d.getMinutes() / 15) * 15, 0, 0);
+  return d.toISOString().slice(0, 16);
+}
+
+// ---- Voice commands ----
+// The results and guided treatment screens can be driven by voice. Each screen
+// registers what the commands do there; the bar shows what was heard.
+let voiceHandlers = {};
+let voiceStatus = { active: false, listening: false, heard: '', error: null };
+let lastSpoken = '';
+
+const voice = createVoiceControl({
+  onCommand: (command) => handleVoiceCommand(command),
+  onChange: (status) => {
+    voiceStatus = status;
+    updateVoiceBar();
+  },
+});
+
+// Speak a reply, with the microphone off while talking
+function say(text) {
+  lastSpoken = spokenUnits(text);
+  voice.say(lastSpoken);
+}
+
+function handleVoiceCommand(command) {
+  if (command === 'stop') {
+    stopSpeaking();
+    voice.stop();
+    return;
+  }
+  const handler = voiceHandlers[command];
+  if (handler) {
+    handler();
+  } else if (command === 'repeat') {
+    say(lastSpoken || t('voice.nothingToRepeat'));
+  } else {
+    say(t('voice.notHere'));
+  }
+}
+
+function voiceBar() {
+  if (!isVoiceAvailable()) return '';
+  return `
+    <div class="voice-bar" id="voice-bar">
+      <button type="button" class="btn btn-small btn-secondary" id="btn-voice"></button>
+      <span class="voice-status" id="voice-status"></span>
+    </div>
+  `;
+}
+
+function updateVoiceBar() {
+  const bar = document.getElementById('voice-bar');
+  if (!bar) return;
+  const { active, listening, heard, error } = voiceStatus;
+  bar.classList.toggle('active', active);
+  bar.classList.toggle('listening', listening);
+  document.getElementById('btn-voice').textContent = active ? t('voice.stop') : t('voice.start');
+  document.getElementById('voice-status').textContent = error
+    || (!active ? t('voice.hint')
+      : `${listening ? t('voice.listening') : t('voice.speaking')}${heard ? ` ${t('voice.heard', { text: heard })}` : ''}`);
+}
+
+function bindVoiceBar(handlers) {
+  voiceHandlers = handlers;
+  const button = document.getElementById('btn-voice');
+  if (!button) return;
+  button.onclick = () => {
+    if (voice.isActive()) {
+      voice.stop();
+    } else {
+      voice.start();
+    }
+  };
+  updateVoiceBar();
+}
+
+function stepSpeech(step, index) {
+  const speech = t('guide.stepSpeech', { number: index + 1, action: step.action, amount: step.amount, chemical: step.chemical });
+  return step.waitMinutes > 0 ? `${speech} ${t('guide.thenWait', { count: step.waitMinutes })}` : speech;
+}
+
+function minutesLeft(ms) {
+  return t('plan.minutes', { count: Math.ceil(ms / 60000) });
+}
+
+// ---- Guided treatment ----
+// Walks through the plan one step at a time. The session is saved after every
+// change, and waits are wall-clock, so a reload resumes where it left off.
+let guideTicker = null;
+
+function formatCountdown(ms) {
+  const total = Math.ceil(ms / 1000);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function stopTreatment() {
+  clearInterval(guideTicker);
+  allowScreenOff();
+  clearNotification();
+  logSession(state.treatmentSession);
+  state.treatmentSession = null;
+  saveTreatmentSession();
+}
+
+function startTreatment(corrections, readings) {
+  requestNotifications();
+  logSession(state.treatmentSession);
+  state.treatmentSession = createSession(corrections, readings, state.waterId);
+  saveTreatmentSession();
+  state.screen = 'guide';
+  render();
+}
+
+// Wait is over: move on and tell the user, even if they're in another app
+function finishWait(session) {
+  const step = session.current;
+  endWait(session);
+  saveTreatmentSession();
+  const next = session.steps[session.current];
+  const message = next ? t('guide.nextAction', { number: session.current + 1, action: next.action }) : t('guide.allDoneShort');
+  notify(t('guide.waitOverTitle', { number: step + 1 }), message);
+  if (navigator.vibrate) navigator.vibrate(200);
+  if (isTTSAvailable()) say(`${t('guide.waitOver')} ${message}`);
+}
+
+function notifyWait(session) {
+  const readyAt = formatTime(session.timer.endsAt, { hour: 'numeric', minute: '2-digit' });
+  notify(t('guide.waitTitle', { number: session.current + 1 }), t('guide.readyAt', { time: readyAt }), { silent: true });
+}
+
+// What to say after moving on: the next step, or that it's time to retest
+function nextStepSpeech(session) {
+  const next = session.steps[session.current];
+  return next ? stepSpeech(next, session.current) : t('guide.allDone');
+}
+
+// Shared by the buttons and voice commands. Each saves and redraws.
+function guideCheckOff(session) {
+  checkOffStep(session);
+  saveTreatmentSession();
+  if (session.timer) notifyWait(session);
+  renderGuide();
+}
+
+function guideTogglePause(session) {
+  if (isTimerPaused(session)) {
+    resumeTimer(session);
+    notifyWait(session);
+  } else {
+    pauseTimer(session);
+    clearNotification();
+  }
+  saveTreatmentSession();
+  renderGuide();
+}
+
+function guideSkip(session) {
+  if (session.timer) {
+    endWait(session);
+    clearNotification();
+  } else {
+    skipStep(session);
+  }
+  saveTreatmentSession();
+  renderGuide();
+}
+
+function guideVoiceHandlers(session) {
+  const step = () => session.steps[session.current];
+  const readResults = () => say(buildSpeechScript(session.readings, state.sanitizerType, state.ranges));
+  if (session.finishedAt) {
+    const done = () => say(t('guide.allDone'));
+    return { nextStep: done, repeat: done, howMuch: done, startTimer: done, skip: done, pause: done, readResults };
+  }
+  return {
+    nextStep: () => {
+      if (session.timer) {
+        say(`${t(isTimerPaused(session) ? 'guide.leftPaused' : 'guide.left', { time: minutesLeft(timerRemaining(session)) })} ${t('guide.saySkip')}`);
+        return;
+      }
+      guideCheckOff(session);
+      say(session.timer ? t('guide.timerStarted', { time: minutesLeft(timerRemaining(session)) }) : nextStepSpeech(session));
+    },
+    repeat: () => say(stepSpeech(step(), session.current)),
+    howMuch: () => say(t('guide.amount', { amount: step().amount, chemical: step().chemical })),
+    startTimer: () => {
+      if (isTimerPaused(session)) {
+        guideTogglePause(session);
+        say(`${t('guide.timerResumed')} ${t('guide.left', { time: minutesLeft(timerRemaining(session)) })}`);
+      } else if (session.timer) {
+        say(t('guide.left', { time: minutesLeft(timerRemaining(session)) }));
+      } else if (step().waitMinutes > 0) {
+        guideCheckOff(session);
+        say(t('guide.timerStarted', { time: minutesLeft(timerRemaining(session)) }));
+      } else {
+        say(t('guide.noWait'));
+      }
+    },
+    pause: () => {
+      if (session.timer && !isTimerPaused(session)) {
+        guideTogglePause(session);
+        say(t('guide.timerPaused'));
+      } else {
+        say(t('guide.noTimer'));
+      }
+    },
+    skip: () => {
+      guideSkip(session);
+      say(nextStepSpeech(session));
+    },
+    readResults,
+  };
+}
+
+function guideChecklist(session) {
+  return `
+    <ol class="guide-checklist">
+      ${session.steps.map((step, i) => `
+        <li class="${session.done[i] ? 'done' : ''} ${i === session.current ? 'current' : ''}">
+          <span class="guide-check">${session.done[i] ? '\u2713' : i + 1}</span>
+          <span>${escapeHtml(step.parameter)} \u00B7 ${escapeHtml(step.chemical)}</span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+function renderGuide() {
+  clearInterval(guideTicker);
+  const session = state.treatmentSession;
+  if (!session || session.waterId !== state.waterId) {
+    allowScreenOff();
+    state.screen = 'home';
+    renderHome();
+    return;
+  }
+  // The wait may have run out while the app was closed
+  if (session.timer && !isTimerPaused(session) && timerRemaining(session) === 0) {
+    endWait(session);
+    saveTreatmentSession();
+  }
+  if (session.finishedAt) {
+    renderGuideRetest(session);
+    return;
+  }
+
+  const step = session.steps[session.current];
+  const remaining = timerRemaining(session);
+  const paused = isTimerPaused(session);
+  const progress = (session.done.filter(Boolean).length / session.steps.length) * 100;
+
+  app.innerHTML = `
+    <div class="screen guide-screen">
+      <div class="analyze-header">
+        <button class="btn btn-icon" id="btn-back-guide">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <div class="analyze-progress">
+          <span class="step-label">${t('guide.progress', { number: session.current + 1, total: session.steps.length })}</span>
+          <div class="progress-bar"><div class="progress-fill" style="width:${progress}%"></div></div>
+        </div>
+      </div>
+
+      <div class="correction-card">
+        <div class="correction-order">${t('plan.step', { number: session.current + 1 })}</div>
+        <div class="correction-param">${escapeHtml(step.parameter)}</div>
+        <div class="correction-action">${escapeHtml(step.action)}</div>
+        <div class="correction-detail">
+          <div class="detail-row"><span>${t('plan.chemical')}</span><span>${escapeHtml(step.chemical)}</span></div>
+          <div class="detail-row"><span>${t('plan.amount')}</span><span class="amount-highlight">${escapeHtml(step.amount)}</span></div>
+          <div class="detail-row"><span>${t('plan.wait')}</span><span>${t('plan.minutes', { count: step.waitMinutes })}</span></div>
+        </div>
+        <div class="correction-notes">${escapeHtml(step.notes)}</div>
+      </div>
+
+      ${remaining !== null ? `
+        <div class="guide-timer ${paused ? 'paused' : ''}">
+          <div class="guide-countdown" id="guide-countdown">${formatCountdown(remaining)}</div>
+          <p>${paused ? t('guide.paused') : t('guide.circulate')}</p>
+          <div class="btn-row">
+            <button class="btn btn-secondary" id="btn-pause-timer">${paused ? t('guide.resume') : t('guide.pause')}</button>
+            <button class="btn btn-secondary" id="btn-skip-wait">${t('guide.skipWait')}</button>
+          </div>
+        </div>
+      ` : `
+        <button class="btn btn-primary btn-large" id="btn-check-step">
+          ${step.waitMinutes > 0 ? t('guide.addedStartWait', { minutes: step.waitMinutes }) : t('guide.doneNext')}
+        </button>
+      `}
+
+      ${voiceBar()}
+
+      ${guideChecklist(session)}
+
+      <div class="btn-row">
+        <button class="btn btn-secondary" id="btn-guide-plan">${t('guide.viewPlan')}</button>
+        <button class="btn btn-danger" id="btn-stop-treatment">${t('guide.stop')}</button>
+      </div>
+    </div>
+  `;
+
+  // Leaving the screen doesn't stop the wait; it keeps counting in the session
+  document.getElementById('btn-back-guide').onclick = () => {
+    clearInterval(guideTicker);
+    allowScreenOff();
+    state.screen = 'home';
+    render();
+  };
+
+  document.getElementById('btn-check-step')?.addEventListener('click', () => guideCheckOff(session));
+  document.getElementById('btn-pause-timer')?.addEventListener('click', () => guideTogglePause(session));
+  document.getElementById('btn-skip-wait')?.addEventListener('click', () => guideSkip(session));
+  bindVoiceBar(guideVoiceHandlers(session));
+
+  document.getElementById('btn-guide-plan').onclick = () => showSessionPlan(session);
+
+  document.getElementById('btn-stop-treatment').onclick = () => {
+    if (!confirm(t('guide.stopConfirm'))) return;
+    stopTreatment();
+    state.screen = 'home';
+    render();
+  };
+
+  if (remaining === null || paused) {
+    allowScreenOff();
+    return;
+  }
+  keepScreenOn();
+  guideTicker = setInterval(() => {
+    const countdown = document.getElementById('guide-countdown');
+    if (!countdown || state.treatmentSession !== session) {
+      // Left the guide screen
+      clearInterval(guideTicker);
+      allowScreenOff();
+      return;
+    }
+    const left = timerRemaining(session);
+    countdown.textContent = formatCountdown(left);
+    if (left === 0) {
+      finishWait(session);
+      renderGuide();
+    }
+  }, 1000);
+}
+
+// Every step done: prompt a quick retest and compare it with the plan
+function renderGuideRetest(session) {
+  allowScreenOff();
+  const expected = expectedAfter(session);
+
+  app.innerHTML = `
+    <div class="screen guide-screen">
+      <div class="screen-header">
+        <button class="btn btn-icon" id="btn-back-guide">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <h2>${t('guide.doneTitle')}</h2>
+      </div>
+
+      <div class="all-ok-card">
+        <h3>${t('guide.retestTitle')}</h3>
+        <p>${t('guide.retestText', { count: session.steps.length })}</p>
+      </div>
+
+      <div class="expected-readings">
+        <strong>${t('guide.expectedNow')}</strong>
+        <div class="history-readings">${expectedReadings(expected, session.readings)}</div>
+      </div>
+
+      ${voiceBar()}
+
+      ${guideChecklist(session)}
+
+      <input type="file" id="camera-input" accept="image/*" capture="environment" style="display:none">
+
+      <button class="btn btn-primary btn-large" id="btn-retest-scan">${t('home.scan')}</button>
+      <button class="btn btn-secondary btn-large" id="btn-retest-manual">${t('home.enterReadings')}</button>
+      <div class="btn-row">
+        <button class="btn btn-secondary" id="btn-guide-plan">${t('guide.viewPlan')}</button>
+        <button class="btn btn-secondary" id="btn-finish-treatment">${t('guide.skipRetest')}</button>
       </div>
+    </div>
+  `;
+
+  document.getElementById('btn-back-guide').onclick = () => { state.screen = 'home'; render(); };
+  bindVoiceBar(guideVoiceHandlers(session));
+  document.getElementById('btn-retest-scan').onclick = startScan;
+  document.getElementById('btn-retest-manual').onclick = startManualEntry;
+  document.getElementById('camera-input').onchange = handleImageCapture;
+  document.getElementById('btn-guide-plan').onclick = () => showSessionPlan(session);
+  document.getElementById('btn-finish-treatment').onclick = () => {
+    stopTreatment();
+    state.screen = 'home';
+    render();
+  };
+}
+
+// The plan being followed, on the Treatment Plan screen
+function showSessionPlan(session) {
+  loadPlan(session.readings, session.steps);
+  state.screen = 'corrections';
+  render();
+}
 
-      <div class="corrections-list">
-        ${correctionCards}
-      </div>
+function loadPlan(readings, corrections) {
+  state.readings = readings;
+  state.analysisParams = Object.keys(readings).filter(key => PARAMETERS[key] && !PARAMETERS[key].derived);
+  state.corrections = corrections;
+}
 
-      <div class="calendar-section">
-        <h3>Schedule Tasks</h3>
-        <p>Add all steps to your calendar with timed reminders:</p>
-        <div class="time-picker">
-          <label>Start time:</label>
-          <input type="datetime-local" id="start-time" value="${getDefaultStartTime()}">
-        </div>
-        <button class="btn btn-primary btn-large" id="btn-add-calendar">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
-          Add to Calendar
-        </button>
+// One product picker per dosing job. Jobs for the other sanitizer are hidden.
+function productFields() {
+  return Object.keys(DEFAULT_PRODUCTS).map(job => {
+    const selected = getProducts()[job];
+    const sanitizer = JOBS[job].sanitizer;
+    return `
+      <div class="field" data-sanitizer="${sanitizer || ''}" ${sanitizer && sanitizer !== state.sanitizerType ? 'hidden' : ''}>
+        <label for="product-${job}">${JOBS[job].name}</label>
+        <select id="product-${job}" class="product-select" data-job="${job}">
+          ${productsForJob(job, state.customProducts).map(p =>
+            `<option value="${escapeHtml(p.id)}" ${p.id === selected.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+          ).join('')}
+        </select>
       </div>
+    `;
+  }).join('');
+}
 
-      <button class="btn btn-secondary" id="btn-home-corr">Done</button>
-    </div>
-  `;
+// Target ranges the user can adjust per body of water
+const RANGE_KEYS = Object.keys(PARAMETERS).filter(k => !PARAMETERS[k].derived || k === 'combinedChlorine');
 
-  document.getElementById('btn-back-corr').onclick = () => { state.screen = 'results'; render(); };
-  document.getElementById('btn-home-corr').onclick = () => { state.screen = 'home'; render(); };
+function rangeRows() {
+  return RANGE_KEYS.map(key => {
+    const param = PARAMETERS[key];
+    const custom = state.ranges[key] || {};
+    return `
+      <div class="range-row">
+        <span class="range-name">${param.name}${param.unit ? ` (${param.unit})` : ''}</span>
+        <input type="number" class="range-min" data-key="${key}" value="${custom.idealMin ?? ''}" placeholder="${formatNumber(param.idealMin)}" inputmode="decimal" step="any">
+        <span class="range-sep">–</span>
+        <input type="number" class="range-max" data-key="${key}" value="${custom.idealMax ?? ''}" placeholder="${formatNumber(param.idealMax)}" inputmode="decimal" step="any">
+      </div>
+    `;
+  }).join('');
+}
 
-  document.getElementById('btn-speak-corr').onclick = () => {
-    if (isSpeaking()) {
-      stopSpeaking();
-    } else {
-      speak(`Here is your treatment plan. ${corrSpeech} After all steps, retest your water.`);
+// Read the range inputs. Blank fields keep the default. Returns null after
+// alerting when a range is invalid.
+function readRanges() {
+  const ranges = {};
+  for (const key of RANGE_KEYS) {
+    const param = PARAMETERS[key];
+    const minVal = parseFloat(document.querySelector(`.range-min[data-key="${key}"]`).value);
+    const maxVal = parseFloat(document.querySelector(`.range-max[data-key="${key}"]`).value);
+    if (!Number.isFinite(minVal) && !Number.isFinite(maxVal)) continue;
+    const idealMin = Number.isFinite(minVal) ? minVal : param.idealMin;
+    const idealMax = Number.isFinite(maxVal) ? maxVal : param.idealMax;
+    if (idealMin >= idealMax) {
+      alert(t('settings.rangeInvalid', { name: param.name }));
+      return null;
     }
-  };
+    if (idealMin !== param.idealMin || idealMax !== param.idealMax) ranges[key] = { idealMin, idealMax };
+  }
+  return ranges;
+}
 
-  document.getElementById('btn-add-calendar').onclick = () => {
-    const timeInput = document.getElementById('start-time');
-    const startTime = new Date(timeInput.value);
-    if (isNaN(startTime.getTime())) {
-      alert('Please select a valid start time.');
-      return;
-    }
-    downloadICS(corrections, startTime);
-  };
+// Fill water is usually tap or well water. Unknown values are left blank and
+// treated as zero (pH as unchanged) by the drain planner.
+const FILL_KEYS = ['pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid'];
+
+function fillWaterRows() {
+  return FILL_KEYS.map(key => {
+    const param = PARAMETERS[key];
+    return `
+      <div class="range-row">
+        <span class="range-name">${param.name}${param.unit ? ` (${param.unit})` : ''}</span>
+        <input type="number" class="fill-value" data-key="${key}" value="${state.fillWater[key] ?? ''}" placeholder="${t('settings.notTested')}" inputmode="decimal" step="any" min="0">
+      </div>
+    `;
+  }).join('');
 }
 
-function getDefaultStartTime() {
-  const d = new Date(Date.now() + 30 * 60000);
-  d.setMinutes(Math.ceil(d.getMinutes() / 15) * 15, 0, 0);
-  return d.toISOString().slice(0, 16);
+function readFillWater() {
+  const fillWater = {};
+  for (const input of document.querySelectorAll('.fill-value')) {
+    const val = parseFloat(input.value);
+    if (Number.isFinite(val) && val >= 0) fillWater[input.dataset.key] = val;
+  }
+  return fillWater;
 }
 
 function renderSettings() {
-  const isFirstTime = state.volume <= 0;
+  const isFirstTime = state.volume <= 0 && state.waters.length === 1;
+  const isNewWater = state.volume <= 0 && state.waters.length > 1;
+  const water = getActiveWater();
 
   app.innerHTML = `
     <div class="screen settings-screen">
       <div class="screen-header">
-        ${isFirstTime ? '' : `
+        ${isFirstTime || isNewWater ? '' : `
           <button class="btn btn-icon" id="btn-back-settings">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
           </button>
         `}
-        <h2>${isFirstTime ? 'Welcome to SparoBot' : 'Settings'}</h2>
+        <h2>${isFirstTime ? t('settings.welcome') : isNewWater ? t('settings.newWater') : t('settings.title')}</h2>
       </div>
 
-      ${isFirstTime ? '<p class="welcome-text">Set up your spa or pool to get started.</p>' : ''}
+      ${isFirstTime ? `<p class="welcome-text">${t('settings.welcomeText')}</p>` : ''}
+      ${isNewWater ? `<p class="welcome-text">${t('settings.newWaterText')}</p>` : ''}
+
+      <div class="settings-card">
+        <div class="field">
+          <label for="locale">${t('settings.language')}</label>
+          <select id="locale">
+            <option value="" ${state.locale === '' ? 'selected' : ''}>${t('settings.deviceLanguage')}</option>
+            ${Object.entries(LOCALES).map(([code, locale]) =>
+              `<option value="${code}" ${state.locale === code ? 'selected' : ''}>${locale.name}</option>`
+            ).join('')}
+          </select>
+        </div>
+        ${isTTSAvailable() ? `
+          <div class="field">
+            <label for="speech-voice">${t('settings.voice')}</label>
+            <select id="speech-voice"></select>
+            <p class="field-hint">${t('settings.voiceHint')}</p>
+          </div>
+        ` : ''}
+      </div>
 
       <div class="settings-card">
         <div class="field">
-          <label for="volume-input">Water Volume</label>
+          <label for="water-name">${t('settings.name')}</label>
+          <input type="text" id="water-name" value="${escapeHtml(water.name)}" placeholder="${t('settings.namePlaceholder')}" maxlength="40">
+        </div>
+
+        <div class="field">
+          <label for="volume-input">${t('settings.volume')}</label>
           <div class="input-row">
             <input type="number" id="volume-input" value="${state.volume || ''}"
-              placeholder="e.g. 400" inputmode="numeric" pattern="[0-9]*" min="1" step="1">
+              placeholder="${t('settings.volumePlaceholder', { volume: 400 })}" inputmode="numeric" pattern="[0-9]*" min="1" step="1">
             <select id="volume-unit">
-              <option value="gallons" ${state.volumeUnit === 'gallons' ? 'selected' : ''}>Gallons</option>
-              <option value="liters" ${state.volumeUnit === 'liters' ? 'selected' : ''}>Liters</option>
+              <option value="gallons" ${state.volumeUnit === 'gallons' ? 'selected' : ''}>${t('settings.gallons')}</option>
+              <option value="liters" ${state.volumeUnit === 'liters' ? 'selected' : ''}>${t('settings.liters')}</option>
             </select>
           </div>
-          <p class="field-hint">Typical hot tub: 300-500 gallons. Check your owner's manual.</p>
+          <p class="field-hint">${state.unitSystem === 'metric'
+            ? t('settings.volumeHintLiters', { min: 1100, max: 1900 })
+            : t('settings.volumeHintGallons', { min: 300, max: 500 })}</p>
         </div>
 
         <div class="field">
-          <label>Sanitizer Type</label>
+          <label>${t('settings.sanitizer')}</label>
           <div class="toggle-group" id="sanitizer-toggle">
-            <button type="button" class="toggle-option ${state.sanitizerType === 'chlorine' ? 'active' : ''}" data-value="chlorine">Chlorine</button>
-            <button type="button" class="toggle-option ${state.sanitizerType === 'bromine' ? 'active' : ''}" data-value="bromine">Bromine</button>
+            <button type="button" class="toggle-option ${state.sanitizerType === 'chlorine' ? 'active' : ''}" data-value="chlorine">${t('sanitizer.chlorine')}</button>
+            <button type="button" class="toggle-option ${state.sanitizerType === 'bromine' ? 'active' : ''}" data-value="bromine">${t('sanitizer.bromine')}</button>
+          </div>
+        </div>
+
+        <div class="field">
+          <label for="strip-profile">${t('settings.strips')}</label>
+          <select id="strip-profile">
+            <option value="" ${state.stripProfileId === '' ? 'selected' : ''}>${t('settings.stripsAuto')}</option>
+            ${listProfiles(state.customProfiles).map(p =>
+              `<option value="${escapeHtml(p.id)}" ${state.stripProfileId === p.id ? 'selected' : ''}>${p.builtin ? p.name : t('settings.custom', { name: escapeHtml(p.name) })}</option>`
+            ).join('')}
+          </select>
+          <div class="btn-row">
+            <button type="button" class="btn btn-small btn-secondary" id="btn-import-profile">${t('common.import')}</button>
+            <button type="button" class="btn btn-small btn-secondary" id="btn-export-profile">${t('common.export')}</button>
+            <button type="button" class="btn btn-small btn-secondary" id="btn-delete-profile">${t('common.delete')}</button>
+          </div>
+          <input type="file" id="profile-input" accept="application/json,.json" style="display:none">
+          <p class="field-hint">${t('settings.stripsHint')}</p>
+        </div>
+
+        <div class="field">
+          <label for="saturation-index">${t('settings.balanceIndex')}</label>
+          <select id="saturation-index">
+            ${Object.entries(SATURATION_INDICES).map(([key, idx]) =>
+              `<option value="${key}" ${state.saturationIndex === key ? 'selected' : ''}>${idx.fullName} (${idx.name})</option>`
+            ).join('')}
+          </select>
+          <p class="field-hint">${t('settings.balanceIndexHint')}</p>
+        </div>
+
+        <div class="field">
+          <label for="color-metric">${t('settings.colorMatching')}</label>
+          <select id="color-metric">
+            ${Object.entries(DELTA_E_METHODS).map(([key, m]) =>
+              `<option value="${key}" ${state.colorMetric === key ? 'selected' : ''}>${m.name}</option>`
+            ).join('')}
+          </select>
+          <p class="field-hint">${t('settings.colorMatchingHint')}</p>
+        </div>
+      </div>
+
+      <div class="settings-card">
+        <h3>${t('settings.units')}</h3>
+        <div class="field">
+          <label for="unit-system">${t('settings.unitSystem')}</label>
+          <select id="unit-system">
+            ${Object.entries(UNIT_SYSTEMS).map(([key, name]) =>
+              `<option value="${key}" ${state.unitSystem === key ? 'selected' : ''}>${name}</option>`
+            ).join('')}
+          </select>
+        </div>
+        <div class="field">
+          <label for="measure">${t('settings.measure')}</label>
+          <select id="measure">
+            ${Object.entries(MEASURES).map(([key, name]) =>
+              `<option value="${key}" ${state.measure === key ? 'selected' : ''}>${name}</option>`
+            ).join('')}
+          </select>
+        </div>
+        <div class="field" id="scoop-field" ${state.measure === 'scoop' ? '' : 'hidden'}>
+          <label for="scoop-ml">${t('settings.scoopSize')}</label>
+          <div class="input-row">
+            <input type="number" id="scoop-ml" value="${state.scoopMl}" inputmode="decimal" min="1" step="any">
+            <span class="input-suffix">mL</span>
+          </div>
+          <p class="field-hint">${t('settings.scoopHint')}</p>
+        </div>
+        <p class="field-hint">${t('settings.measureHint')}</p>
+      </div>
+
+      <div class="settings-card">
+        <h3>${t('settings.products')}</h3>
+        <p class="field-hint">${t('settings.productsHint')}</p>
+        <div class="product-list">${productFields()}</div>
+
+        <div class="field product-add">
+          <label for="product-name">${t('settings.addProductTitle')}</label>
+          <input type="text" id="product-name" placeholder="${t('settings.productName')}" maxlength="60">
+          <div class="input-row">
+            <select id="product-ingredient">
+              ${Object.entries(INGREDIENTS).map(([key, ing]) => `<option value="${key}">${ing.name}</option>`).join('')}
+            </select>
+            <input type="number" id="product-strength" placeholder="%" inputmode="decimal" step="any" min="0" max="100">
+          </div>
+          <div class="input-row">
+            <select id="product-form">
+              <option value="granular">${t('product.granular')}</option>
+              <option value="liquid">${t('product.liquid')}</option>
+            </select>
+            <input type="number" id="product-density" placeholder="g/mL" inputmode="decimal" step="any">
           </div>
+          <button type="button" class="btn btn-small btn-secondary" id="btn-add-product">${t('settings.addProduct')}</button>
+          <p class="field-hint">${t('settings.addProductHint')}</p>
         </div>
+
+        ${state.customProducts.length > 0 ? `
+          <div class="field">
+            <label>${t('settings.yourProducts')}</label>
+            ${state.customProducts.map(p => `
+              <div class="custom-product-row">
+                <span>${escapeHtml(p.name)} \u00B7 ${formatNumber(p.strength)}% ${t(`product.${p.form}`).toLowerCase()}${p.density ? ` \u00B7 ${formatNumber(p.density)} g/mL` : ''}</span>
+                <button type="button" class="btn btn-small btn-secondary btn-delete-product" data-id="${escapeHtml(p.id)}">${t('common.delete')}</button>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+
+      <div class="settings-card">
+        <h3>${t('settings.ranges')}</h3>
+        <p class="field-hint">${t('settings.rangesHint', { name: escapeHtml(water.name) })}</p>
+        <div class="range-list">${rangeRows()}</div>
+      </div>
+
+      <div class="settings-card">
+        <h3>${t('settings.fillWater')}</h3>
+        <p class="field-hint">${t('settings.fillWaterHint')}</p>
+        <div class="range-list">${fillWaterRows()}</div>
       </div>
 
       <button class="btn btn-primary btn-large" id="btn-save-settings">
-        ${isFirstTime ? 'Get Started' : 'Save Settings'}
+        ${isFirstTime ? t('settings.getStarted') : isNewWater ? t('settings.add') : t('settings.save')}
       </button>
+      ${isNewWater ? `<button class="btn btn-secondary btn-large" id="btn-cancel-water">${t('common.cancel')}</button>` : ''}
+
+      ${!isFirstTime && !isNewWater ? `
+        <div class="settings-card">
+          <h3>${t('maintenance.title')}</h3>
+          <p class="field-hint">${t('maintenance.hint')}</p>
+          <div class="field">
+            <label>${t('maintenance.testsPerWeek')}</label>
+            <div class="toggle-group" id="tests-toggle">
+              ${[2, 3].map(n => `<button type="button" class="toggle-option ${water.maintenance.testsPerWeek === n ? 'active' : ''}" data-value="${n}">${n}\u00D7</button>`).join('')}
+            </div>
+          </div>
+          <div class="field">
+            <label for="bathers-input">${t('maintenance.bathers')}</label>
+            <input type="number" id="bathers-input" value="${water.maintenance.bathersPerDay}" inputmode="decimal" min="0.1" step="any">
+            <p class="field-hint" id="drain-hint"></p>
+          </div>
+          <div class="field">
+            <label for="maintenance-time">${t('maintenance.time')}</label>
+            <input type="time" id="maintenance-time" value="${water.maintenance.time}">
+          </div>
+          <button type="button" class="btn btn-small btn-secondary" id="btn-export-maintenance">${t('maintenance.export')}</button>
+        </div>
+      ` : ''}
+
+      ${!isNewWater ? `
+        <div class="settings-card">
+          <h3>${t('backup.title')}</h3>
+          <p class="field-hint">${isFirstTime ? t('backup.hintFirst') : t('backup.hint')}</p>
+          <div class="btn-row">
+            ${isFirstTime ? '' : `
+              <button type="button" class="btn btn-small btn-secondary" id="btn-export-backup">${t('backup.exportJson')}</button>
+              <button type="button" class="btn btn-small btn-secondary" id="btn-export-csv">${t('backup.exportCsv')}</button>
+            `}
+            <button type="button" class="btn btn-small btn-secondary" id="btn-import-backup">${t('common.import')}</button>
+          </div>
+          <input type="file" id="backup-input" accept="application/json,.json" style="display:none">
+        </div>
+      ` : ''}
 
-      ${!isFirstTime ? `
+      ${!isFirstTime && !isNewWater ? `
         <div class="settings-card danger-zone">
-          <h3>Data</h3>
-          <button class="btn btn-danger" id="btn-clear-history">Clear History</button>
-          <button class="btn btn-danger" id="btn-reset-all">Reset All Data</button>
+          <h3>${t('data.title')}</h3>
+          <button class="btn btn-danger" id="btn-clear-history">${t('data.clearHistory')}</button>
+          ${state.waters.length > 1 ? `<button class="btn btn-danger" id="btn-delete-water">${t('data.deleteWater')}</button>` : ''}
+          <button class="btn btn-danger" id="btn-reset-all">${t('data.resetAll')}</button>
         </div>
       ` : ''}
     </div>
@@ -531,67 +2738,303 @@ function renderSettings() {
     btn.onclick = () => {
       document.querySelectorAll('#sanitizer-toggle .toggle-option').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+      document.querySelectorAll('.product-list [data-sanitizer]').forEach(field => {
+        field.hidden = !!field.dataset.sanitizer && field.dataset.sanitizer !== btn.dataset.value;
+      });
+    };
+  });
+
+  document.getElementById('measure').onchange = (e) => {
+    document.getElementById('scoop-field').hidden = e.target.value !== 'scoop';
+  };
+
+  // Voices for the language picked above, before it is saved
+  const fillVoices = () => {
+    const select = document.getElementById('speech-voice');
+    if (!select) return;
+    const code = document.getElementById('locale').value || detectLocale();
+    const current = select.value || state.speechVoice;
+    select.innerHTML = `<option value="">${t('settings.voiceAuto')}</option>${listVoices(LOCALES[code].speech).map(v =>
+      `<option value="${escapeHtml(v.name)}" ${v.name === current ? 'selected' : ''}>${escapeHtml(v.name)}</option>`
+    ).join('')}`;
+  };
+  fillVoices();
+  onVoicesChanged(fillVoices);
+  document.getElementById('locale').onchange = fillVoices;
+
+  const readProductSelection = () => {
+    document.querySelectorAll('.product-select').forEach(select => {
+      state.productSelection[select.dataset.job] = select.value;
+    });
+  };
+
+  document.getElementById('btn-add-product').onclick = () => {
+    let product;
+    try {
+      product = validateProduct({
+        name: document.getElementById('product-name').value,
+        ingredient: document.getElementById('product-ingredient').value,
+        strength: parseFloat(document.getElementById('product-strength').value),
+        form: document.getElementById('product-form').value,
+        density: parseFloat(document.getElementById('product-density').value) || undefined,
+      });
+    } catch (err) {
+      alert(t('settings.addProductFailed', { message: err.message }));
+      return;
+    }
+    const existing = state.customProducts.findIndex(p => p.id === product.id);
+    if (existing >= 0 && !confirm(t('settings.replaceProduct', { name: state.customProducts[existing].name }))) return;
+    if (existing >= 0) state.customProducts[existing] = product;
+    else state.customProducts.push(product);
+    saveCustomProducts();
+    // Start using the new product for its first job with this sanitizer
+    readProductSelection();
+    const job = Object.keys(DEFAULT_PRODUCTS).find(j =>
+      productsForJob(j, [product]).includes(product) && (!JOBS[j].sanitizer || JOBS[j].sanitizer === state.sanitizerType));
+    if (job) state.productSelection[job] = product.id;
+    saveSettings();
+    renderSettings();
+  };
+
+  document.querySelectorAll('.btn-delete-product').forEach(btn => {
+    btn.onclick = () => {
+      const product = state.customProducts.find(p => p.id === btn.dataset.id);
+      if (!product || !confirm(t('settings.deleteProduct', { name: product.name }))) return;
+      state.customProducts = state.customProducts.filter(p => p.id !== product.id);
+      saveCustomProducts();
+      renderSettings();
     };
   });
 
-  if (!isFirstTime) {
+  const profileSelect = document.getElementById('strip-profile');
+  const selectedProfile = () => getProfile(profileSelect.value || defaultProfileId(state.sanitizerType), state.customProfiles);
+  const updateDeleteButton = () => {
+    document.getElementById('btn-delete-profile').disabled = !selectedProfile() || selectedProfile().builtin;
+  };
+  profileSelect.onchange = updateDeleteButton;
+  updateDeleteButton();
+
+  document.getElementById('btn-import-profile').onclick = () => document.getElementById('profile-input').click();
+  document.getElementById('profile-input').onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let profile;
+      try {
+        profile = parseStripProfile(reader.result);
+      } catch (err) {
+        alert(t('settings.importProfileFailed', { message: err.message }));
+        return;
+      }
+      const existing = state.customProfiles.findIndex(p => p.id === profile.id);
+      if (existing >= 0 && !confirm(t('settings.replaceProfile', { name: state.customProfiles[existing].name }))) return;
+      if (existing >= 0) state.customProfiles[existing] = profile;
+      else state.customProfiles.push(profile);
+      saveCustomProfiles();
+      state.stripProfileId = profile.id;
+      saveSettings();
+      renderSettings();
+    };
+    reader.readAsText(file);
+  };
+
+  document.getElementById('btn-export-profile').onclick = () => {
+    const profile = selectedProfile();
+    if (!profile) return;
+    downloadFile(serializeStripProfile(profile), `${profile.id}.json`, 'application/json');
+  };
+
+  document.getElementById('btn-delete-profile').onclick = () => {
+    const profile = selectedProfile();
+    if (!profile || profile.builtin) return;
+    if (!confirm(t('settings.deleteProfile', { name: profile.name }))) return;
+    state.customProfiles = state.customProfiles.filter(p => p.id !== profile.id);
+    saveCustomProfiles();
+    if (state.stripProfileId === profile.id) {
+      state.stripProfileId = '';
+      saveSettings();
+    }
+    renderSettings();
+  };
+
+  if (isNewWater) {
+    document.getElementById('btn-cancel-water').onclick = async () => {
+      await deleteWater(water.id);
+      state.screen = 'home';
+      render();
+    };
+  }
+
+  if (!isFirstTime && !isNewWater) {
     document.getElementById('btn-back-settings').onclick = () => { state.screen = 'home'; render(); };
-    document.getElementById('btn-clear-history')?.addEventListener('click', () => {
-      if (confirm('Clear all test history?')) {
+    document.getElementById('btn-clear-history')?.addEventListener('click', async () => {
+      if (confirm(t('data.clearConfirm', { name: water.name }))) {
         state.history = [];
-        saveHistory();
-        alert('History cleared.');
+        state.treatments = [];
+        await persist(storage.clearHistory(water.id));
+        alert(t('data.cleared'));
+      }
+    });
+    document.getElementById('btn-delete-water')?.addEventListener('click', async () => {
+      if (confirm(t('data.deleteConfirm', { name: water.name }))) {
+        await deleteWater(water.id);
+        state.screen = 'home';
+        render();
       }
     });
-    document.getElementById('btn-reset-all')?.addEventListener('click', () => {
-      if (confirm('Reset all data and settings?')) {
-        localStorage.clear();
+    document.getElementById('btn-reset-all')?.addEventListener('click', async () => {
+      if (confirm(t('data.resetConfirm'))) {
+        await persist(storage.clearAll());
         location.reload();
       }
     });
   }
 
+  if (!isFirstTime && !isNewWater) {
+    const bathersInput = document.getElementById('bathers-input');
+    const updateDrainHint = () => {
+      const bathers = parseFloat(bathersInput.value);
+      document.getElementById('drain-hint').textContent = bathers > 0
+        ? `${t('maintenance.waterLasts', { count: drainIntervalDays(getVolumeInGallons(), bathers) })} ${t('maintenance.drainsEvery', { count: drainIntervalMonths(getVolumeInGallons(), bathers) })}`
+        : '';
+    };
+    updateDrainHint();
+    bathersInput.oninput = updateDrainHint;
+
+    document.querySelectorAll('#tests-toggle .toggle-option').forEach(btn => {
+      btn.onclick = () => {
+        document.querySelectorAll('#tests-toggle .toggle-option').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+      };
+    });
+
+    document.getElementById('btn-export-maintenance').onclick = () => {
+      const bathersPerDay = parseFloat(bathersInput.value);
+      const time = document.getElementById('maintenance-time').value;
+      if (!(bathersPerDay > 0)) {
+        alert(t('maintenance.enterBathers'));
+        return;
+      }
+      if (!/^\d{2}:\d{2}$/.test(time)) {
+        alert(t('maintenance.pickTime'));
+        return;
+      }
+      const water = getActiveWater();
+      water.maintenance = {
+        testsPerWeek: parseInt(document.querySelector('#tests-toggle .toggle-option.active').dataset.value, 10),
+        bathersPerDay,
+        time,
+        sequence: (water.maintenance.sequence || 0) + 1,
+      };
+      saveWaters();
+      downloadMaintenanceICS(water, getVolumeInGallons(), { ...water.maintenance, units: getUnits() }, water.maintenance.sequence);
+    };
+  }
+
+  document.getElementById('btn-export-backup')?.addEventListener('click', async () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(serializeBackup(await collectBackupData()), `sparobot-backup-${stamp}.json`, 'application/json');
+  });
+  document.getElementById('btn-export-csv')?.addEventListener('click', async () => {
+    const data = await collectBackupData();
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(historyToCSV(data.waters, data.history), `sparobot-readings-${stamp}.csv`, 'text/csv');
+  });
+  document.getElementById('btn-import-backup')?.addEventListener('click', () => document.getElementById('backup-input').click());
+  document.getElementById('backup-input')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        state.pendingBackup = parseBackup(reader.result);
+      } catch (err) {
+        alert(t('backup.importFailed', { message: err.message }));
+        return;
+      }
+      state.screen = 'restore';
+      render();
+    };
+    reader.readAsText(file);
+  });
+
   document.getElementById('btn-save-settings').onclick = () => {
     const vol = parseFloat(document.getElementById('volume-input').value);
     if (!vol || vol <= 0) {
-      alert('Please enter a valid water volume.');
+      alert(t('settings.invalidVolume'));
       return;
     }
+    const ranges = readRanges();
+    if (!ranges) return;
+    water.name = document.getElementById('water-name').value.trim() || water.name;
+    state.ranges = ranges;
+    state.fillWater = readFillWater();
     state.volume = vol;
     state.volumeUnit = document.getElementById('volume-unit').value;
     state.sanitizerType = document.querySelector('#sanitizer-toggle .toggle-option.active')?.dataset.value || 'chlorine';
+    state.colorMetric = document.getElementById('color-metric').value;
+    state.stripProfileId = profileSelect.value;
+    state.saturationIndex = document.getElementById('saturation-index').value;
+    const scoopMl = parseFloat(document.getElementById('scoop-ml').value);
+    state.measure = document.getElementById('measure').value;
+    if (scoopMl > 0) state.scoopMl = scoopMl;
+    setUnitSystem(document.getElementById('unit-system').value);
+    state.locale = document.getElementById('locale').value;
+    state.speechVoice = document.getElementById('speech-voice')?.value ?? state.speechVoice;
+    setLocale(state.locale || detectLocale());
+    setSpeechVoice(state.speechVoice);
+    readProductSelection();
     saveSettings();
     state.screen = 'home';
     render();
   };
 }
 
+function historyPills(readings) {
+  return Object.keys(readings).map(k => {
+    const param = PARAMETERS[k];
+    if (!param) return '';
+    const val = readings[k];
+    const status = getStatus(k, val, state.ranges);
+    const valStr = k === 'pH' ? formatNumber(val, 1) : formatNumber(val);
+    return `<span class="history-pill status-${status}">${param.name}: ${valStr}</span>`;
+  }).join('');
+}
+
+function formatEntryDate(date) {
+  return `${formatDate(date)} ${formatTime(date)}`;
+}
+
+const HISTORY_WINDOWS = [7, 30, 90];
+
+// Where a saved test's readings came from. Tests saved before manual entry
+// existed were all strip scans.
+function sourceLabel(entry) {
+  if (entry.source === 'voice') return t('history.dictated');
+  if (entry.source !== 'manual') return t('history.strip');
+  return entry.dropCounts ? t('history.dropKit', { kit: getDropKit(entry.dropKit).name }) : t('history.manual');
+}
+
 function renderHistory() {
-  const entries = [...state.history].reverse();
+  const entries = state.history.map((entry, index) => ({ entry, index })).reverse();
+  const chartKeys = chartedParameters(state.history);
 
-  const rows = entries.length === 0
-    ? '<p class="empty-msg">No test results saved yet. Scan a test strip to get started.</p>'
-    : entries.map((entry, i) => {
-      const date = new Date(entry.date);
-      const readings = entry.readings;
-      const paramKeys = Object.keys(readings);
+  const charts = chartKeys.map(key => `
+    <div class="trend-card">
+      <div class="trend-title">${PARAMETERS[key].name}${PARAMETERS[key].unit ? ` <span>${PARAMETERS[key].unit}</span>` : ''}</div>
+      ${trendChart(key, state.history, state.treatments, { days: state.historyDays, ranges: state.ranges })}
+    </div>
+  `).join('');
 
-      return `
-        <div class="history-card">
-          <div class="history-date">${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
-          <div class="history-readings">
-            ${paramKeys.map(k => {
-              const param = PARAMETERS[k];
-              if (!param) return '';
-              const val = readings[k];
-              const status = getStatus(k, val);
-              const valStr = k === 'pH' ? val.toFixed(1) : `${val}`;
-              return `<span class="history-pill status-${status}">${param.name}: ${valStr}</span>`;
-            }).join('')}
-          </div>
+  const rows = entries.length === 0
+    ? `<p class="empty-msg">${t('history.empty')}</p>`
+    : entries.map(({ entry, index }) => `
+        <div class="history-card" data-entry="${index}">
+          <div class="history-date">${formatEntryDate(new Date(entry.date))}${entry.source === 'manual' || entry.source === 'voice' ? ` \u00B7 ${escapeHtml(sourceLabel(entry))}` : ''}</div>
+          <div class="history-readings">${historyPills(entry.readings)}</div>
         </div>
-      `;
-    }).join('');
+      `).join('');
 
   app.innerHTML = `
     <div class="screen history-screen">
@@ -599,17 +3042,288 @@ function renderHistory() {
         <button class="btn btn-icon" id="btn-back-history">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
         </button>
-        <h2>Test History</h2>
+        <h2>${t('history.title')}</h2>
       </div>
+      ${chartKeys.length > 0 ? `
+        <div class="toggle-group" id="history-window">
+          ${HISTORY_WINDOWS.map(days => `
+            <button type="button" class="toggle-option ${state.historyDays === days ? 'active' : ''}" data-days="${days}">${t('history.days', { count: days })}</button>
+          `).join('')}
+        </div>
+        <p class="field-hint">${t('history.chartHint')}</p>
+        <div class="trend-list">${charts}</div>
+      ` : ''}
       <div class="history-list">${rows}</div>
     </div>
   `;
 
   document.getElementById('btn-back-history').onclick = () => { state.screen = 'home'; render(); };
+
+  document.querySelectorAll('#history-window .toggle-option').forEach(btn => {
+    btn.onclick = () => {
+      state.historyDays = parseInt(btn.dataset.days, 10);
+      renderHistory();
+    };
+  });
+
+  document.querySelectorAll('.trend-point, .history-card').forEach(el => {
+    el.addEventListener('click', () => {
+      state.historyEntry = parseInt(el.dataset.entry, 10);
+      state.screen = 'test';
+      render();
+    });
+  });
+}
+
+// A single saved test, opened from the History list or a chart point
+function renderTest() {
+  const entry = state.history[state.historyEntry];
+  if (!entry) {
+    state.screen = 'history';
+    renderHistory();
+    return;
+  }
+  const date = new Date(entry.date);
+
+  // Treatments logged between this test and the next one
+  const next = state.history[state.historyEntry + 1];
+  const treated = state.treatments.filter(treatment => treatment.date >= entry.date && (!next || treatment.date < next.date));
+
+  const details = [
+    [t('test.source'), sourceLabel(entry)],
+    ...Object.entries(entry.dropCounts || {}).map(([key, count]) =>
+      [t('test.drops', { name: PARAMETERS[key]?.name || key }), t('test.dropCount', { drops: count.drops, sampleMl: count.sampleMl })]),
+    Number.isFinite(entry.temperature) ? [t('test.waterTemp'), formatTemperature((entry.tempUnit || 'F') === 'C' ? entry.temperature : fahrenheitToCelsius(entry.temperature), getUnits())] : null,
+    entry.tds != null ? ['TDS', `${formatNumber(entry.tds)} ppm`] : null,
+    entry.saturationIndex ? [SATURATION_INDICES[entry.saturationIndex.index]?.name || t('test.saturationIndex'), formatNumber(entry.saturationIndex.value, 2)] : null,
+    entry.stripProfile ? [t('test.strip'), entry.profile?.name || getProfile(entry.stripProfile, state.customProfiles)?.name || entry.stripProfile] : null,
+    entry.colorMetric ? [t('settings.colorMatching'), DELTA_E_METHODS[entry.colorMetric]?.name || entry.colorMetric] : null,
+    entry.reanalyzedAt ? [t('test.reanalyzed'), formatEntryDate(new Date(entry.reanalyzedAt))] : null,
+  ].filter(Boolean);
+
+  app.innerHTML = `
+    <div class="screen history-screen">
+      <div class="screen-header">
+        <button class="btn btn-icon" id="btn-back-test">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 12H5M12 19l-7-7 7-7"/></svg>
+        </button>
+        <h2>${formatEntryDate(date)}</h2>
+      </div>
+      ${entry.photoId ? `<img class="test-photo" id="test-photo" alt="${t('test.photoAlt')}" hidden>` : ''}
+      <div class="history-card">
+        <div class="history-readings">${historyPills(entry.readings)}</div>
+        ${details.map(([label, value]) => `<div class="info-row"><span>${label}</span><span>${escapeHtml(value)}</span></div>`).join('')}
+      </div>
+      ${entry.originalReadings ? `
+        <div class="history-card">
+          <div class="history-date">${t('test.firstRead')}</div>
+          <div class="history-readings">${historyPills(entry.originalReadings)}</div>
+        </div>
+      ` : ''}
+      ${entry.photoId ? `<button class="btn btn-secondary btn-large" id="btn-reanalyze">${t('test.reanalyze')}</button>` : ''}
+      ${treated.map(treatment => `
+        <div class="history-card">
+          <div class="history-date">${t('test.treated', { date: formatEntryDate(new Date(treatment.date)) })}</div>
+          ${treatment.steps.map(step => `<div class="info-row"><span>${escapeHtml(step.parameter)}</span><span>${escapeHtml(step.chemical)}</span></div>`).join('')}
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  document.getElementById('btn-back-test').onclick = () => { state.screen = 'history'; render(); };
+
+  if (entry.photoId) {
+    storage.getPhoto(entry.photoId).catch(() => null).then(src => {
+      const photo = document.getElementById('test-photo');
+      if (src && photo) {
+        photo.src = src;
+        photo.hidden = false;
+      }
+    });
+    document.getElementById('btn-reanalyze').onclick = () => reopenTest(state.historyEntry);
+  }
+}
+
+// ---- Backup ----
+// Everything a backup holds, gathered from state and storage. Storage record
+// ids are left out; they are assigned again on import.
+async function collectBackupData() {
+  const strip = ({ id, waterId, ...entry }) => entry;
+  const history = {};
+  const treatments = {};
+  for (const water of state.waters) {
+    history[water.id] = (water.id === state.waterId ? state.history : await loadHistory(water.id)).map(strip);
+    treatments[water.id] = (water.id === state.waterId ? state.treatments : await loadTreatments(water.id)).map(strip);
+  }
+  return {
+    settings: {
+      activeWater: state.waterId,
+      colorMetric: state.colorMetric,
+      tempUnit: state.tempUnit,
+      unitSystem: state.unitSystem,
+      measure: state.measure,
+      scoopMl: state.scoopMl,
+      saturationIndex: state.saturationIndex,
+      locale: state.locale,
+      speechVoice: state.speechVoice,
+      dropKit: state.dropKitId,
+    },
+    waters: state.waters,
+    history,
+    treatments,
+    customProfiles: state.customProfiles,
+    customProducts: state.customProducts,
+    productSelection: state.productSelection,
+  };
+}
+
+// Replace everything stored with the given data, then start over from it
+async function writeBackupData(data) {
+  const activeWater = data.waters.some(w => w.id === data.settings.activeWater) ? data.settings.activeWater : data.waters[0].id;
+  try {
+    await storage.replaceAll({ ...data, settings: { ...data.settings, activeWater } });
+  } catch (err) {
+    alert(t('backup.importFailed', { message: err.message }));
+    return;
+  }
+  location.reload();
+}
+
+// Preview of an imported backup before anything is written
+function renderRestore() {
+  const backup = state.pendingBackup;
+  if (!backup) {
+    state.screen = 'settings';
+    renderSettings();
+    return;
+  }
+  const hasData = state.volume > 0 || state.waters.length > 1 || state.history.length > 0;
+  const dateRange = (w) => w.first
+    ? `${formatDate(w.first)} – ${formatDate(w.last)}`
+    : t('restore.noTests');
+
+  app.innerHTML = `
+    <div class="screen settings-screen">
+      <div class="screen-header">
+        <h2>${t('restore.title')}</h2>
+      </div>
+
+      <div class="settings-card">
+        <h3>${backup.exportedAt ? t('restore.exported', { date: formatDateTime(backup.exportedAt) }) : t('restore.contents')}</h3>
+        ${describeBackup(backup).map(w => `
+          <div class="info-row">
+            <span>${state.waters.some(x => x.id === w.id) ? t('restore.alreadyHere', { name: escapeHtml(w.name) }) : escapeHtml(w.name)}</span>
+            <span>${t('restore.tests', { count: w.tests })}</span>
+          </div>
+          <p class="field-hint">${dateRange(w)}${w.treatments > 0 ? `, ${t('restore.treatments', { count: w.treatments })}` : ''}</p>
+        `).join('')}
+        ${backup.customProfiles.length + backup.customProducts.length > 0 ? `
+          <p class="field-hint">${t('restore.also', { profiles: t('restore.profiles', { count: backup.customProfiles.length }), products: t('restore.products', { count: backup.customProducts.length }) })}</p>
+        ` : ''}
+      </div>
+
+      ${hasData ? `
+        <button class="btn btn-primary btn-large" id="btn-merge-backup">${t('restore.merge')}</button>
+        <p class="field-hint">${t('restore.mergeHint')}</p>
+        <button class="btn btn-danger btn-large" id="btn-replace-backup">${t('restore.replace')}</button>
+      ` : `
+        <button class="btn btn-primary btn-large" id="btn-replace-backup">${t('restore.restore')}</button>
+      `}
+      <button class="btn btn-secondary btn-large" id="btn-cancel-backup">${t('common.cancel')}</button>
+    </div>
+  `;
+
+  document.getElementById('btn-merge-backup')?.addEventListener('click', async () => {
+    writeBackupData(mergeBackup(await collectBackupData(), backup));
+  });
+  document.getElementById('btn-replace-backup').onclick = () => {
+    if (hasData && !confirm(t('restore.replaceConfirm'))) return;
+    writeBackupData(backup);
+  };
+  document.getElementById('btn-cancel-backup').onclick = () => {
+    state.pendingBackup = null;
+    state.screen = 'settings';
+    render();
+  };
+}
+
+// ---- Routing ----
+// Every screen has a URL hash (see router.js). render() records the screen
+// shown; going back or forward, or opening a link, comes in through openRoute().
+const router = createRouter({ onRoute: openRoute });
+let replaceRoute = false; // the next screen shown takes the current history entry
+
+function currentRoute() {
+  if (state.screen === 'test') return { screen: 'test', id: state.history[state.historyEntry]?.id };
+  return { screen: state.screen };
+}
+
+// Screens for work in progress (a photo being read, readings not yet saved)
+// fall back to where that work starts once it is gone, as after a reload
+async function openRoute(route) {
+  switch (route.screen) {
+    case 'test':
+      // Not found: the test screen falls back to the History list
+      state.historyEntry = await findTest(Number(route.id));
+      state.screen = 'test';
+      break;
+    case 'analyze':
+      state.screen = state.capturedImage && state.analysisProfile ? 'analyze' : 'home';
+      break;
+    case 'dictation':
+      state.screen = state.dictation ? 'dictation' : 'manual';
+      break;
+    case 'results':
+      state.screen = Object.keys(state.readings).length > 0 ? 'results' : 'home';
+      break;
+    case 'corrections':
+      state.screen = Object.keys(state.readings).length > 0 || restorePlan() ? 'corrections' : 'home';
+      break;
+    case 'restore':
+      state.screen = state.pendingBackup ? 'restore' : 'settings';
+      break;
+    default:
+      state.screen = route.screen;
+  }
+  replaceRoute = true;
+  render();
+}
+
+// Index in history of a linked test. Test ids span every water, so a test
+// taken on another one switches to it first. -1 when it is gone.
+async function findTest(id) {
+  const index = state.history.findIndex(entry => entry.id === id);
+  if (index !== -1) return index;
+  const test = await storage.getTest(id).catch(() => null);
+  if (test && state.waters.some(w => w.id === test.waterId)) {
+    await switchWater(test.waterId);
+    return state.history.findIndex(entry => entry.id === id);
+  }
+  alert(t('test.notFound'));
+  return -1;
+}
+
+// A linked plan: the treatment in progress, or else the last saved test's
+function restorePlan() {
+  const session = state.treatmentSession;
+  if (session && session.waterId === state.waterId) {
+    loadPlan(session.readings, session.steps);
+    return true;
+  }
+  const latest = state.history[state.history.length - 1];
+  if (!latest) return false;
+  loadPlan({ ...latest.readings }, calculatePlan(latest.readings));
+  return true;
 }
 
 // ---- Init ----
-render();
+// A link or reload opens the screen in the address bar
+if (location.hash) {
+  await openRoute(router.current());
+} else {
+  replaceRoute = true;
+  render();
+}
 
 // Register service worker for offline support
 if ('serviceWorker' in navigator) {
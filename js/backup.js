@@ -0,0 +1,217 @@
+// Backup export and import: every body of water, its history and the settings
+//
+// BACKUP FORMAT (JSON):
+//   {
+//     "format": "sparobot-backup",
+//     "version": 1,
+//     "exportedAt": "2026-05-01T18:00:00.000Z",
+//     "settings": { "activeWater": "water-1", "colorMetric": "ciede2000", ... },
+//     "waters": [{ "id": "water-1", "name": "My Spa", "volume": 400, ... }],
+//     "history": { "water-1": [{ "date": "...", "readings": { "pH": 7.4, ... } }] },
+//     "treatments": { "water-1": [{ "date": "...", "steps": [...], "changes": {...} }] },
+//     "customProfiles": [...],      // strip profiles, see stripProfiles.js
+//     "customProducts": [...],      // see products.js
+//     "productSelection": { "phDown": "dry-acid", ... }
+//   }
+//
+// IMPORT validates the whole file before anything is written, then either
+// replaces all data or merges it in: new waters are added, history and
+// treatments for waters already here are combined by date, and custom
+// profiles and products with new ids are added.
+
+import { PARAMETERS } from './chemistry.js';
+import { validateStripProfile, PROFILE_FORMAT, PROFILE_VERSION } from './stripProfiles.js';
+import { validateProduct } from './products.js';
+import { t } from './i18n.js';
+
+export const BACKUP_FORMAT = 'sparobot-backup';
+export const BACKUP_VERSION = 1;
+
+const SETTING_KEYS = ['activeWater', 'colorMetric', 'tempUnit', 'unitSystem', 'measure', 'scoopMl', 'saturationIndex', 'locale', 'speechVoice', 'dropKit'];
+
+export function serializeBackup(data) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: data.settings,
+    waters: data.waters,
+    history: data.history,
+    treatments: data.treatments,
+    customProfiles: data.customProfiles,
+    customProducts: data.customProducts,
+    productSelection: data.productSelection,
+  }, null, 2);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+function validateEntry(entry, waterName) {
+  if (!entry || !isDate(entry.date)) throw new Error(t('backup.testNoDate', { name: waterName }));
+  if (!entry.readings || typeof entry.readings !== 'object') {
+    throw new Error(t('backup.testNoReadings', { date: entry.date, name: waterName }));
+  }
+  for (const [key, value] of Object.entries(entry.readings)) {
+    if (!PARAMETERS[key] || !Number.isFinite(value)) {
+      throw new Error(t('backup.testInvalidReading', { date: entry.date, name: waterName, key }));
+    }
+  }
+  return entry;
+}
+
+function validateTreatment(treatment, waterName) {
+  if (!treatment || !isDate(treatment.date) || !Array.isArray(treatment.steps)) {
+    throw new Error(t('backup.treatmentIncomplete', { name: waterName }));
+  }
+  return treatment;
+}
+
+// Validate a backup object. Throws an Error describing the first problem
+// found, so the message can be shown to the user as-is.
+export function validateBackup(data) {
+  if (!data || typeof data !== 'object') throw new Error(t('backup.notObject'));
+  if (data.format !== BACKUP_FORMAT) throw new Error(t('backup.wrongFormat', { format: BACKUP_FORMAT }));
+  if (data.version > BACKUP_VERSION) throw new Error(t('backup.tooNew', { version: String(data.version) }));
+  if (!Array.isArray(data.waters) || data.waters.length === 0) throw new Error(t('backup.noWaters'));
+
+  const ids = new Set();
+  for (const water of data.waters) {
+    if (typeof water?.id !== 'string' || !water.id || typeof water.name !== 'string') {
+      throw new Error(t('backup.waterNeedsId'));
+    }
+    if (ids.has(water.id)) throw new Error(t('backup.waterTwice', { id: water.id }));
+    if (!Number.isFinite(water.volume) || water.volume < 0) throw new Error(t('backup.invalidVolume', { name: water.name }));
+    ids.add(water.id);
+  }
+
+  const history = {};
+  const treatments = {};
+  for (const water of data.waters) {
+    history[water.id] = (data.history?.[water.id] || []).map(e => validateEntry(e, water.name));
+    treatments[water.id] = (data.treatments?.[water.id] || []).map(treatment => validateTreatment(treatment, water.name));
+  }
+
+  const customProfiles = (data.customProfiles || []).map(p => {
+    try {
+      return validateStripProfile({ format: PROFILE_FORMAT, version: PROFILE_VERSION, ...p });
+    } catch (err) {
+      throw new Error(t('backup.profileError', { name: String(p?.name), message: err.message }));
+    }
+  });
+  const customProducts = (data.customProducts || []).map(p => {
+    try {
+      return validateProduct(p);
+    } catch (err) {
+      throw new Error(t('backup.productError', { name: String(p?.name), message: err.message }));
+    }
+  });
+
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    const value = data.settings?.[key];
+    if (typeof value === 'string' || Number.isFinite(value)) settings[key] = value;
+  }
+
+  return {
+    exportedAt: isDate(data.exportedAt) ? data.exportedAt : null,
+    settings,
+    waters: data.waters.map(w => ({ ...w })),
+    history,
+    treatments,
+    customProfiles,
+    customProducts,
+    productSelection: data.productSelection && typeof data.productSelection === 'object' ? { ...data.productSelection } : {},
+  };
+}
+
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('common.notJson'));
+  }
+  return validateBackup(data);
+}
+
+// Union of two date-keyed lists, oldest first. Entries already here win.
+function mergeByDate(current = [], incoming = []) {
+  const dates = new Set(current.map(e => e.date));
+  return [...current, ...incoming.filter(e => !dates.has(e.date))]
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function mergeById(current, incoming) {
+  const ids = new Set(current.map(item => item.id));
+  return [...current, ...incoming.filter(item => !ids.has(item.id))];
+}
+
+// Merge a validated backup into the current data (same shape). Settings of
+// waters, profiles and products that already exist are kept as they are.
+export function mergeBackup(current, incoming) {
+  const waters = mergeById(current.waters, incoming.waters);
+  const history = {};
+  const treatments = {};
+  for (const water of waters) {
+    history[water.id] = mergeByDate(current.history[water.id], incoming.history[water.id]);
+    treatments[water.id] = mergeByDate(current.treatments[water.id], incoming.treatments[water.id]);
+  }
+  return {
+    settings: current.settings,
+    waters,
+    history,
+    treatments,
+    customProfiles: mergeById(current.customProfiles, incoming.customProfiles),
+    customProducts: mergeById(current.customProducts, incoming.customProducts),
+    productSelection: { ...incoming.productSelection, ...current.productSelection },
+  };
+}
+
+// Summary shown before importing: per water, how many tests and over what dates
+export function describeBackup(backup) {
+  return backup.waters.map(water => {
+    const entries = backup.history[water.id];
+    return {
+      id: water.id,
+      name: water.name,
+      tests: entries.length,
+      treatments: backup.treatments[water.id].length,
+      first: entries[0]?.date || null,
+      last: entries[entries.length - 1]?.date || null,
+    };
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per test across every body of water, for spreadsheets
+export function historyToCSV(waters, history) {
+  const keys = Object.keys(PARAMETERS);
+  const header = [
+    'Body of Water', 'Date', 'Source', 'Sanitizer',
+    ...keys.map(k => `${PARAMETERS[k].name}${PARAMETERS[k].unit ? ` (${PARAMETERS[k].unit})` : ''}`),
+    'Water Temp', 'Temp Unit', 'TDS (ppm)',
+  ];
+  const rows = [];
+  for (const water of waters) {
+    for (const entry of history[water.id] || []) {
+      rows.push([
+        water.name,
+        entry.date,
+        entry.source || 'strip',
+        entry.sanitizerType,
+        ...keys.map(k => entry.readings[k]),
+        entry.temperature,
+        entry.temperature != null ? entry.tempUnit : null,
+        entry.tds,
+      ]);
+    }
+  }
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
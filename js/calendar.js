@@ -1,13 +1,36 @@
 // ICS calendar file generation for spa maintenance tasks
+//
+// Two kinds of calendar:
+//   - generateICS: one-off events for a treatment plan, spaced by wait times.
+//   - generateMaintenanceICS: recurring upkeep (RRULE) for a body of water.
+//
+// TIME ZONES: event times are written in the device's time zone (TZID) with a
+// VTIMEZONE built from that zone's actual offsets, so they stay put when the
+// calendar is viewed elsewhere or across daylight saving changes.
+//
+// UPDATES: maintenance events have UIDs made from the water id and the task,
+// and a SEQUENCE that goes up with each export. Importing a newer export
+// replaces the earlier events instead of adding copies.
+
+import { DEFAULT_UNITS, usesMetricVolume, formatVolume } from './units.js';
+import { t } from './i18n.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
 
 function pad(n) {
   return n.toString().padStart(2, '0');
 }
 
+// Local wall-clock time, for use with TZID
 function formatDate(date) {
   return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
 }
 
+function formatUTC(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
 function uid() {
   return `sparobot-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
 }
@@ -16,14 +39,116 @@ function escapeICS(text) {
   return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
 }
 
-// Generate a single ICS event
-function makeEvent(title, startDate, durationMinutes, description, alarmMinutes = 15) {
+// ── Time zones ──
+
+function deviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+const offsetFormats = {};
+
+// Offset from UTC in minutes at an instant, e.g. -420 for "GMT-07:00"
+function utcOffset(timeZone, time) {
+  offsetFormats[timeZone] ||= new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' });
+  const name = offsetFormats[timeZone].formatToParts(new Date(time)).find(p => p.type === 'timeZoneName').value;
+  const m = /GMT([+-])(\d{1,2}):?(\d{2})?/.exec(name);
+  return m ? (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3] || '0', 10)) : 0;
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+// English locales know the abbreviations of their own region's zones only
+// (en-US has MDT but shows Berlin as "GMT+2"), so each is tried in turn
+const ABBREVIATION_LOCALES = ['en-US', 'en-GB', 'en-CA', 'en-AU', 'en-NZ', 'en-IN', 'en-ZA', 'en-IE'];
+
+// TZNAME lines, e.g. ['TZNAME:CEST']; none when no locale has a name for the zone
+function tzName(timeZone, time) {
+  for (const locale of ABBREVIATION_LOCALES) {
+    const name = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(time)).find(p => p.type === 'timeZoneName').value;
+    if (!/^(GMT|UTC)[+\-−]/.test(name)) return [`TZNAME:${name}`];
+  }
+  return [];
+}
+
+// Offset changes during a year: [{ time, from, to }], found day by day and
+// narrowed to the minute
+function offsetTransitions(timeZone, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  for (let day = Date.UTC(year, 0, 1); day < end; day += DAY_MS) {
+    const from = utcOffset(timeZone, day);
+    const to = utcOffset(timeZone, day + DAY_MS);
+    if (from === to) continue;
+    let lo = day;
+    let hi = day + DAY_MS;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (utcOffset(timeZone, mid) === from) lo = mid; else hi = mid;
+    }
+    transitions.push({ time: hi, from, to });
+  }
+  return transitions;
+}
+
+// VTIMEZONE for a zone, with yearly rules such as "second Sunday in March".
+// Zones without daylight saving get a single fixed offset.
+function buildTimeZone(timeZone, year) {
+  const transitions = offsetTransitions(timeZone, year);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(utcOffset(timeZone, Date.UTC(year, 0, 1)));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      ...tzName(timeZone, Date.UTC(year, 0, 1)),
+      'END:STANDARD',
+    );
+  }
+
+  for (const t of transitions) {
+    // Written as the local time on the clock before the change
+    const local = new Date(t.time + t.from * 60000);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const kind = t.to > t.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatUTC(local).slice(0, 15)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${WEEKDAYS[local.getUTCDay()]}`,
+      `TZOFFSETFROM:${formatOffset(t.from)}`,
+      `TZOFFSETTO:${formatOffset(t.to)}`,
+      ...tzName(timeZone, t.time),
+      `END:${kind}`,
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines.join('\r\n');
+}
+
+// Generate a single ICS event.
+//   options.uid: stable id (default: a new random one)
+//   options.rrule: recurrence rule, e.g. 'FREQ=WEEKLY;BYDAY=MO,TH'
+//   options.sequence: revision of the event, higher replaces lower
+function makeEvent(title, startDate, durationMinutes, description, alarmMinutes = 15, options = {}) {
   const endDate = new Date(startDate.getTime() + durationMinutes * 60000);
+  const tzid = deviceTimeZone();
   return [
     'BEGIN:VEVENT',
-    `UID:${uid()}`,
-    `DTSTART:${formatDate(startDate)}`,
-    `DTEND:${formatDate(endDate)}`,
+    `UID:${options.uid || uid()}`,
+    `DTSTAMP:${formatUTC(new Date())}`,
+    ...(options.sequence ? [`SEQUENCE:${options.sequence}`] : []),
+    `DTSTART;TZID=${tzid}:${formatDate(startDate)}`,
+    `DTEND;TZID=${tzid}:${formatDate(endDate)}`,
+    ...(options.rrule ? [`RRULE:${options.rrule}`] : []),
     `SUMMARY:${escapeICS(title)}`,
     `DESCRIPTION:${escapeICS(description)}`,
     `BEGIN:VALARM`,
@@ -35,6 +160,20 @@ function makeEvent(title, startDate, durationMinutes, description, alarmMinutes
   ].join('\r\n');
 }
 
+function wrapCalendar(events, firstDate, name = null) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SparoBot//Water Test//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeICS(name)}`] : []),
+    buildTimeZone(deviceTimeZone(), firstDate.getFullYear()),
+    ...events,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
 // Generate an ICS file containing multiple events from corrections
 // Each correction becomes a task spaced waitMinutes apart
 export function generateICS(corrections, startTime = null) {
@@ -42,12 +181,12 @@ export function generateICS(corrections, startTime = null) {
   let currentTime = new Date(start);
 
   const events = corrections.map((c, i) => {
-    const title = `Spa: ${c.action}`;
+    const title = t('ics.stepTitle', { action: c.action });
     const description = [
-      `Step ${i + 1}: ${c.parameter}`,
-      `Chemical: ${c.chemical}`,
-      `Amount: ${c.amount}`,
-      `Notes: ${c.notes}`,
+      t('ics.step', { number: i + 1, parameter: c.parameter }),
+      t('ics.chemical', { chemical: c.chemical }),
+      t('ics.amount', { amount: c.amount }),
+      t('ics.notes', { notes: c.notes }),
     ].join('\\n');
 
     const event = makeEvent(title, currentTime, c.waitMinutes, description);
@@ -60,33 +199,125 @@ export function generateICS(corrections, startTime = null) {
 
   // Add a final "Retest Water" event
   events.push(makeEvent(
-    'Spa: Retest Water',
+    t('ics.retestTitle'),
     currentTime,
     15,
-    'All chemicals have been added. Retest your spa water to verify levels are in range.',
+    t('ics.retest'),
   ));
 
-  const ics = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//SparoBot//Water Test//EN',
-    'CALSCALE:GREGORIAN',
-    ...events,
-    'END:VCALENDAR',
-  ].join('\r\n');
+  return wrapCalendar(events, start);
+}
+
+// ── Maintenance schedule ──
+//
+// DRAIN INTERVAL: the usual rule of thumb is
+//   days between drains = (volume in gallons ÷ 3) ÷ bathers per day
+// (liters ÷ 11.4 in metric). Dissolved solids build up with use whatever the
+// chemistry looks like.
+// The schedule drains at least quarterly and at most monthly.
 
-  return ics;
+const TEST_DAYS = { 2: ['MO', 'TH'], 3: ['MO', 'WE', 'FR'] };
+
+export function drainIntervalDays(volumeGallons, bathersPerDay) {
+  return Math.round(volumeGallons / 3 / Math.max(bathersPerDay, 0.1));
 }
 
-// Download the ICS file (triggers native calendar import on iOS)
-export function downloadICS(corrections, startTime = null) {
-  const ics = generateICS(corrections, startTime);
+export function drainIntervalMonths(volumeGallons, bathersPerDay) {
+  return Math.min(3, Math.max(1, Math.round(drainIntervalDays(volumeGallons, bathersPerDay) / 30)));
+}
+
+// First day on or after `from` that falls on one of the weekdays, at `time` ('HH:MM').
+// firstInMonth: only the first of those weekdays in a month, for rules like
+// BYDAY=1SA (DTSTART counts as an occurrence even when the rule skips it).
+function firstOccurrence(from, weekdays, time, { firstInMonth = false } = {}) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(from);
+  date.setHours(hours, minutes, 0, 0);
+  while (!weekdays.includes(WEEKDAYS[date.getDay()]) || date < from || (firstInMonth && date.getDate() > 7)) {
+    date.setDate(date.getDate() + 1);
+    date.setHours(hours, minutes, 0, 0);
+  }
+  return date;
+}
+
+// Recurring tasks for a body of water:
+//   water: { id, name, sanitizerType }
+//   volumeGallons
+//   options: { testsPerWeek: 2 | 3, bathersPerDay, time: 'HH:MM', start: Date, units }
+// Returns [{ id, title, start, durationMinutes, rrule, description }]
+export function maintenanceSchedule(water, volumeGallons, { testsPerWeek = 3, bathersPerDay = 2, time = '18:00', start = new Date(), units = DEFAULT_UNITS } = {}) {
+  const testDays = TEST_DAYS[testsPerWeek] || TEST_DAYS[3];
+  const bromine = water.sanitizerType === 'bromine';
+  const drainMonths = drainIntervalMonths(volumeGallons, bathersPerDay);
+  const drainDays = drainIntervalDays(volumeGallons, bathersPerDay);
+
+  // First drain one interval from now, on a day of the month every month has
+  const drainStart = new Date(start);
+  drainStart.setDate(Math.min(drainStart.getDate(), 28));
+  drainStart.setMonth(drainStart.getMonth() + drainMonths);
+  drainStart.setHours(9, 0, 0, 0);
+
+  return [
+    {
+      id: 'test',
+      title: t('ics.test', { name: water.name }),
+      start: firstOccurrence(start, testDays, time),
+      durationMinutes: 15,
+      rrule: `FREQ=WEEKLY;BYDAY=${testDays.join(',')}`,
+      description: t(bromine ? 'ics.testBromine' : 'ics.testChlorine'),
+    },
+    {
+      id: 'shock',
+      title: t('ics.shock', { name: water.name }),
+      start: firstOccurrence(start, ['SU'], time),
+      durationMinutes: 30,
+      rrule: 'FREQ=WEEKLY;BYDAY=SU',
+      description: t(bromine ? 'ics.shockBromine' : 'ics.shockChlorine'),
+    },
+    {
+      id: 'filter-rinse',
+      title: t('ics.filterRinse', { name: water.name }),
+      start: firstOccurrence(start, ['SA'], '10:00', { firstInMonth: true }),
+      durationMinutes: 30,
+      rrule: 'FREQ=MONTHLY;BYDAY=1SA',
+      description: t('ics.filterRinseDescription'),
+    },
+    {
+      id: 'drain',
+      title: t('ics.drain', { name: water.name }),
+      start: drainStart,
+      durationMinutes: 180,
+      rrule: `FREQ=MONTHLY;INTERVAL=${drainMonths}`,
+      description: t('ics.drainDescription', {
+        volume: formatVolume(volumeGallons, units),
+        bathers: t('ics.bathers', { count: bathersPerDay }),
+        days: t('ics.days', { count: drainDays }),
+        rule: t(usesMetricVolume(units) ? 'ics.ruleLiters' : 'ics.ruleGallons', { divisor: usesMetricVolume(units) ? 11.4 : 3 }),
+        every: t('ics.months', { count: drainMonths }),
+      }),
+    },
+  ];
+}
+
+// Same UIDs on every export for a water; a higher sequence marks the update
+export function generateMaintenanceICS(water, volumeGallons, options = {}, sequence = 0) {
+  const tasks = maintenanceSchedule(water, volumeGallons, options);
+  const events = tasks.map(task => makeEvent(task.title, task.start, task.durationMinutes, task.description, 15, {
+    uid: `${water.id}-${task.id}@sparobot`,
+    rrule: task.rrule,
+    sequence,
+  }));
+  const first = tasks.reduce((min, task) => (task.start < min ? task.start : min), tasks[0].start);
+  return wrapCalendar(events, first, t('ics.calendarName', { name: water.name }));
+}
+
+function downloadCalendar(ics, filename) {
   const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `spa-maintenance-${new Date().toISOString().slice(0, 10)}.ics`;
+  a.download = filename;
   a.style.display = 'none';
   document.body.appendChild(a);
   a.click();
@@ -94,3 +325,13 @@ export function downloadICS(corrections, startTime = null) {
 
   setTimeout(() => URL.revokeObjectURL(url), 5000);
 }
+
+// Download the ICS file (triggers native calendar import on iOS)
+export function downloadICS(corrections, startTime = null) {
+  downloadCalendar(generateICS(corrections, startTime), `spa-maintenance-${new Date().toISOString().slice(0, 10)}.ics`);
+}
+
+export function downloadMaintenanceICS(water, volumeGallons, options = {}, sequence = 0) {
+  const slug = water.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'spa';
+  downloadCalendar(generateMaintenanceICS(water, volumeGallons, options, sequence), `${slug}-maintenance.ics`);
+}
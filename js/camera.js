@@ -0,0 +1,113 @@
+// Live camera viewfinder using getUserMedia, with frame steadiness and focus checks
+//
+// The auto-shutter fires when two conditions hold for a short run of frames:
+//   - Steady: little change between consecutive frames (mean absolute difference)
+//   - In focus: sharpness (variance of the Laplacian) close to the best seen
+//     recently. Sharpness depends on the scene, so it is compared against the
+//     recent peak rather than a fixed number.
+
+let stream = null;
+
+export function isCameraAvailable() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+// Start the rear camera and attach it to a <video> element
+export async function startCamera(video) {
+  stopCamera();
+  stream = await navigator.mediaDevices.getUserMedia({
+    video: {
+      facingMode: 'environment',
+      width: { ideal: 1920 },
+      height: { ideal: 1080 },
+    },
+    audio: false,
+  });
+  video.srcObject = stream;
+  video.setAttribute('playsinline', '');
+  video.muted = true;
+  await video.play();
+  return stream;
+}
+
+export function stopCamera() {
+  if (stream) {
+    stream.getTracks().forEach(t => t.stop());
+    stream = null;
+  }
+}
+
+// Grab the current video frame at full resolution as a JPEG data URL
+export function captureFrame(video, quality = 0.92) {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+// Smaller JPEG copy of a photo (an <img> or canvas) for storing with a test
+export function compressImage(source, maxSide = 1024, quality = 0.7) {
+  const scale = Math.min(1, maxSide / Math.max(source.width, source.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+// Tracks motion and sharpness across frames to decide when to fire the shutter.
+// Returns an update(ctx, width, height) function to call with each downscaled
+// frame; it reports { motion, sharpness, steady, focused, ready, progress }.
+export function createStabilityMeter({ motionThreshold = 4, focusRatio = 0.85, steadyFrames = 6, peakWindow = 15 } = {}) {
+  let prevGray = null;
+  const sharpHistory = [];
+  let steadyCount = 0;
+
+  return function update(ctx, width, height) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+
+    let motion = Infinity;
+    if (prevGray) {
+      let sum = 0;
+      for (let i = 0; i < gray.length; i++) sum += Math.abs(gray[i] - prevGray[i]);
+      motion = sum / gray.length;
+    }
+    prevGray = gray;
+
+    // Variance of the 4-neighbour Laplacian
+    let n = 0, mean = 0, m2 = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+        n++;
+        const delta = lap - mean;
+        mean += delta / n;
+        m2 += delta * (lap - mean);
+      }
+    }
+    const sharpness = n > 1 ? m2 / (n - 1) : 0;
+
+    sharpHistory.push(sharpness);
+    if (sharpHistory.length > peakWindow) sharpHistory.shift();
+    const peak = Math.max(...sharpHistory);
+
+    const steady = motion < motionThreshold;
+    const focused = sharpness >= peak * focusRatio && sharpness > 5;
+    steadyCount = steady && focused ? steadyCount + 1 : 0;
+
+    return {
+      motion,
+      sharpness,
+      steady,
+      focused,
+      ready: steadyCount >= steadyFrames,
+      progress: Math.min(1, steadyCount / steadyFrames),
+    };
+  };
+}
@@ -0,0 +1,104 @@
+// SVG trend charts for test history, one per parameter
+//
+// Each chart plots a parameter's saved readings over a time window. The ideal
+// range is a shaded band behind the line, and logged treatments are dashed
+// vertical markers. Points carry data-entry (index into the history array) so
+// the screen can open the test behind a tapped point.
+
+import { PARAMETERS, getRange, getStatus } from './chemistry.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+const WIDTH = 320;
+const HEIGHT = 150;
+const PAD = { top: 12, right: 12, bottom: 22, left: 36 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function formatValue(key, value) {
+  if (key === 'pH') return formatNumber(value, 1);
+  return Number.isInteger(value) ? formatNumber(value) : formatNumber(value, 1);
+}
+
+function shortDate(time) {
+  return formatDate(time, { month: 'short', day: 'numeric' });
+}
+
+// Parameters with at least one reading among the entries, in PARAMETERS order
+export function chartedParameters(entries) {
+  return Object.keys(PARAMETERS).filter(key =>
+    entries.some(e => Number.isFinite(e.readings?.[key])));
+}
+
+// SVG markup for one parameter.
+//   history: [{ date, readings }] (all entries; indexes are kept for data-entry)
+//   treatments: [{ date, steps: [{ parameter, chemical, amount }] }]
+//   days: window length ending now
+export function trendChart(key, history, treatments, { days, ranges = {}, now = Date.now() }) {
+  const start = now - days * DAY_MS;
+  const range = getRange(key, ranges);
+
+  const points = history
+    .map((entry, index) => ({ index, time: new Date(entry.date).getTime(), value: entry.readings?.[key] }))
+    .filter(p => Number.isFinite(p.value) && p.time >= start && p.time <= now);
+  const markers = treatments
+    .map(t => ({ ...t, time: new Date(t.date).getTime() }))
+    .filter(t => t.time >= start && t.time <= now);
+
+  // Y axis covers the readings and the ideal band, with a little headroom
+  const values = [...points.map(p => p.value), range.idealMin, range.idealMax];
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  const margin = (hi - lo) * 0.1 || 1;
+  lo = Math.max(0, lo - margin);
+  hi += margin;
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const x = time => PAD.left + (time - start) / (now - start) * plotW;
+  const y = value => PAD.top + (1 - (value - lo) / (hi - lo)) * plotH;
+
+  const bandTop = y(range.idealMax);
+  const band = `<rect class="trend-band" x="${PAD.left}" y="${bandTop.toFixed(1)}" width="${plotW}" height="${(y(range.idealMin) - bandTop).toFixed(1)}"/>`;
+
+  const line = points.length > 1
+    ? `<polyline class="trend-line" points="${points.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')}"/>`
+    : '';
+
+  const markerSvg = markers.map(marker => {
+    const mx = x(marker.time).toFixed(1);
+    const title = `${shortDate(marker.time)}: ${marker.steps.map(s => `${s.parameter} (${s.chemical})`).join(', ')}`;
+    return `
+      <g class="trend-marker">
+        <title>${escapeXml(title)}</title>
+        <line x1="${mx}" y1="${PAD.top}" x2="${mx}" y2="${PAD.top + plotH}"/>
+        <path d="M${mx} ${PAD.top + 6} l-4 -6 h8 z"/>
+      </g>`;
+  }).join('');
+
+  // A larger transparent circle under each point makes it easy to tap
+  const pointSvg = points.map(p => {
+    const cx = x(p.time).toFixed(1);
+    const cy = y(p.value).toFixed(1);
+    return `
+      <g class="trend-point status-${getStatus(key, p.value, ranges)}" data-entry="${p.index}">
+        <title>${shortDate(p.time)}: ${formatValue(key, p.value)}</title>
+        <circle class="trend-hit" cx="${cx}" cy="${cy}" r="14"/>
+        <circle cx="${cx}" cy="${cy}" r="4.5"/>
+      </g>`;
+  }).join('');
+
+  const axis = `
+    <text class="trend-label" x="${PAD.left - 6}" y="${(y(range.idealMax) + 4).toFixed(1)}" text-anchor="end">${formatValue(key, range.idealMax)}</text>
+    <text class="trend-label" x="${PAD.left - 6}" y="${(y(range.idealMin) + 4).toFixed(1)}" text-anchor="end">${formatValue(key, range.idealMin)}</text>
+    <text class="trend-label" x="${PAD.left}" y="${HEIGHT - 6}">${shortDate(start)}</text>
+    <text class="trend-label" x="${WIDTH - PAD.right}" y="${HEIGHT - 6}" text-anchor="end">${shortDate(now)}</text>`;
+
+  const empty = points.length === 0
+    ? `<text class="trend-label" x="${PAD.left + plotW / 2}" y="${PAD.top + plotH / 2}" text-anchor="middle">${t('trends.empty')}</text>`
+    : '';
+
+  return `<svg class="trend-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeXml(t('trends.label', { name: PARAMETERS[key].name, count: days }))}">${band}${axis}${markerSvg}${line}${pointSvg}${empty}</svg>`;
+}
@@ -4,51 +4,66 @@
 // This sequence is critical because each parameter affects the ones after it.
 // See calculateCorrections() for detailed rationale on each step.
 
+import { INGREDIENTS, JOBS, DEFAULT_PRODUCTS, getProduct, calculateDose } from './products.js';
+import { DEFAULT_UNITS, LITERS_PER_GALLON, usesMetricVolume, formatDose, formatTemperature, formatVolume } from './units.js';
+import { t, formatNumber, formatList } from './i18n.js';
+
+// Names, and every text in a treatment plan, are in the message catalog (see
+// i18n.js). Parameter names have a second form, 'param.<key>.inText', for use
+// inside a sentence.
 export const PARAMETERS = {
   freeChlorine: {
-    name: 'Free Chlorine',
+    get name() { return t('param.freeChlorine'); },
     unit: 'ppm',
     idealMin: 3,
     idealMax: 5,
     levels: [0, 1, 2, 3, 5, 10],
   },
   totalChlorine: {
-    name: 'Total Chlorine',
+    get name() { return t('param.totalChlorine'); },
     unit: 'ppm',
     idealMin: 3,
     idealMax: 5,
     levels: [0, 0.5, 1, 2, 5, 10],
   },
+  // Derived: total chlorine minus free chlorine (chloramines). Not read from a pad.
+  combinedChlorine: {
+    get name() { return t('param.combinedChlorine'); },
+    unit: 'ppm',
+    idealMin: 0,
+    idealMax: 0.5,
+    derived: true,
+  },
   bromine: {
-    name: 'Total Bromine',
+    get name() { return t('param.bromine'); },
     unit: 'ppm',
     idealMin: 4,
     idealMax: 6,
     levels: [0, 1, 2, 4, 10, 20],
   },
   pH: {
-    name: 'pH',
+    get name() { return t('param.pH'); },
     unit: '',
     idealMin: 7.2,
     idealMax: 7.8,
     levels: [6.4, 6.8, 7.2, 7.8, 8.4],
   },
   totalAlkalinity: {
-    name: 'Total Alkalinity',
+    get name() { return t('param.totalAlkalinity'); },
     unit: 'ppm',
     idealMin: 80,
     idealMax: 120,
     levels: [0, 40, 80, 120, 180, 240],
   },
   totalHardness: {
-    name: 'Calcium Hardness',
+    get name() { return t('param.totalHardness'); },
     unit: 'ppm',
     idealMin: 175,
     idealMax: 250,
     levels: [0, 100, 200, 400, 800],
   },
   cyanuricAcid: {
-    name: 'Cyanuric Acid',
+    get name() { return t('param.cyanuricAcid'); },
     unit: 'ppm',
     idealMin: 30,
     idealMax: 50,
@@ -56,55 +71,26 @@ export const PARAMETERS = {
   },
 };
 
-// Dosage data per 10,000 gallons
-// Sources: Pool Chemistry Training Manual, APSP/PHTA standards, chemical manufacturer guidelines
-const DOSAGES = {
-  alkalinityUp: {
-    chemical: 'Sodium Bicarbonate (Baking Soda)',
-    per10kGal: 1.5, // lbs per 10 ppm increase per 10,000 gallons
-    unit: 'lbs',
-    ppmPer: 10,
-  },
-  phUp: {
-    chemical: 'Soda Ash (Sodium Carbonate)',
-    per10kGal: 6, // oz per 0.2 pH increase per 10,000 gallons
-    unit: 'oz',
-    phPer: 0.2,
-  },
-  phDown: {
-    chemical: 'Sodium Bisulfate (pH Decreaser)',
-    per10kGal: 12, // oz per 0.2 pH decrease per 10,000 gallons
-    unit: 'oz',
-    phPer: 0.2,
-  },
-  chlorineUp: {
-    chemical: 'Sodium Dichlor (56% Chlorine Granules)',
-    per10kGal: 2, // oz per 1.5 ppm increase per 10,000 gallons
-    unit: 'oz',
-    ppmPer: 1.5,
-  },
-  bromineUp: {
-    chemical: 'Sodium Bromide + MPS Shock',
-    per10kGal: 2, // oz per 2 ppm increase per 10,000 gallons
-    unit: 'oz',
-    ppmPer: 2,
-  },
-  hardnessUp: {
-    chemical: 'Calcium Chloride',
-    per10kGal: 1.25, // lbs per 10 ppm increase per 10,000 gallons
-    unit: 'lbs',
-    ppmPer: 10,
-  },
-  cyaUp: {
-    chemical: 'Cyanuric Acid (Stabilizer)',
-    per10kGal: 1, // lbs per 12 ppm increase per 10,000 gallons
-    unit: 'lbs',
-    ppmPer: 12,
-  },
-};
+// Breakpoint chlorination: free chlorine must reach 10× the combined chlorine
+// to oxidize chloramines completely.
+const BREAKPOINT_FACTOR = 10;
 
-export function getStatus(paramKey, value) {
+// Combined chlorine (chloramines) = total − free. Undefined unless both were read.
+export function getCombinedChlorine(readings) {
+  if (readings.totalChlorine === undefined || readings.freeChlorine === undefined) return undefined;
+  return Math.max(0, Math.round((readings.totalChlorine - readings.freeChlorine) * 10) / 10);
+}
+
+// Parameter definition with a body of water's own target range applied.
+// ranges: { [paramKey]: { idealMin, idealMax } }, any subset of parameters
+export function getRange(paramKey, ranges = {}) {
   const param = PARAMETERS[paramKey];
+  if (!param) return undefined;
+  return ranges[paramKey] ? { ...param, ...ranges[paramKey] } : param;
+}
+
+export function getStatus(paramKey, value, ranges = {}) {
+  const param = getRange(paramKey, ranges);
   if (!param) return 'unknown';
   if (value < param.idealMin) return 'low';
   if (value > param.idealMax) return 'high';
@@ -113,27 +99,189 @@ export function getStatus(paramKey, value) {
 
 export function getStatusLabel(status) {
   switch (status) {
-    case 'low': return 'LOW';
-    case 'high': return 'HIGH';
-    case 'ok': return 'OK';
+    case 'low': return t('status.low');
+    case 'high': return t('status.high');
+    case 'ok': return t('status.ok');
     default: return '?';
   }
 }
 
-function formatAmount(value, unit) {
-  if (unit === 'oz') {
-    if (value < 0.5) return `${Math.round(value * 6)} teaspoons`;
-    if (value < 1) return `${(value * 2).toFixed(1)} tablespoons`;
-    if (value < 4) return `${value.toFixed(1)} oz`;
-    return `${value.toFixed(1)} oz (${(value / 16).toFixed(2)} lbs)`;
+// ── Water balance: Langelier (LSI) and Calcite (CSI) saturation indices ──
+//
+// The index says whether water will dissolve calcium (negative, corrosive) or
+// deposit it (positive, scaling). It depends on pH, carbonate alkalinity,
+// calcium hardness, temperature and dissolved solids together, which is why
+// a parameter can be "in range" and the water still unbalanced: hot water
+// scales at values that are fine in a cool pool.
+//
+//   LSI = pH − pHs
+//   pHs = (9.3 + A + B) − (C + D)               (Carrier form)
+//     A = (log10(TDS) − 1) / 10
+//     B = −13.12 × log10(°C + 273) + 34.55
+//     C = log10(CH as CaCO3) − 0.4
+//     D = log10(carbonate alkalinity)
+//
+// Carbonate alkalinity removes the part of TA contributed by cyanurate:
+//   CA = TA − 0.38772 × CYA / (1 + 10^(6.83 − pH))
+//
+// CSI is the simplified Wojtowicz form, with ionic strength estimated from TDS.
+const BALANCE_TOLERANCE = 0.3; // |index| at or below this counts as balanced
+const DEFAULT_TDS = 1000;      // assumed when not measured (typical spa)
+
+export const SATURATION_INDICES = {
+  lsi: { name: 'LSI', get fullName() { return t('balance.lsi'); } },
+  csi: { name: 'CSI', get fullName() { return t('balance.csi'); } },
+};
+
+export function fahrenheitToCelsius(f) {
+  return (f - 32) * 5 / 9;
+}
+
+function carbonateAlkalinity(readings) {
+  const cya = readings.cyanuricAcid || 0;
+  return readings.totalAlkalinity - 0.38772 * cya / (1 + Math.pow(10, 6.83 - readings.pH));
+}
+
+// pH after acid turns `ppm` of carbonate alkalinity into dissolved CO2, before
+// any of it escapes: pH = pKa1 + log10(HCO3⁻ / CO2), pKa1 ≈ 6.35.
+const CARBONIC_PKA1 = 6.35;
+function pHAfterAcid(readings, ppm) {
+  const hco3 = carbonateAlkalinity(readings);
+  const co2 = hco3 / Math.pow(10, readings.pH - CARBONIC_PKA1);
+  if (hco3 - ppm <= 0) return CARBONIC_PKA1 - 1;
+  return CARBONIC_PKA1 + Math.log10((hco3 - ppm) / (co2 + ppm));
+}
+
+function canComputeIndex(readings, conditions) {
+  return readings.pH !== undefined
+    && readings.totalAlkalinity > 0
+    && readings.totalHardness > 0
+    && Number.isFinite(conditions.temperatureC);
+}
+
+export function calculateLSI(readings, conditions) {
+  if (!canComputeIndex(readings, conditions)) return undefined;
+  const ca = carbonateAlkalinity(readings);
+  if (ca <= 0) return undefined;
+  const tds = conditions.tds > 0 ? conditions.tds : DEFAULT_TDS;
+  const a = (Math.log10(tds) - 1) / 10;
+  const b = -13.12 * Math.log10(conditions.temperatureC + 273) + 34.55;
+  const c = Math.log10(readings.totalHardness) - 0.4;
+  const d = Math.log10(ca);
+  const pHs = (9.3 + a + b) - (c + d);
+  return readings.pH - pHs;
+}
+
+export function calculateCSI(readings, conditions) {
+  if (!canComputeIndex(readings, conditions)) return undefined;
+  const ca = carbonateAlkalinity(readings);
+  if (ca <= 0) return undefined;
+  const tds = conditions.tds > 0 ? conditions.tds : DEFAULT_TDS;
+  const ionic = 2.5e-5 * tds;
+  const sqrtI = Math.sqrt(ionic);
+  return readings.pH - 6.9395
+    + Math.log10(readings.totalHardness)
+    + Math.log10(ca)
+    - (2.56 * sqrtI) / (1 + 1.65 * sqrtI)
+    - 1412.5 / (conditions.temperatureC + 273.15);
+}
+
+function saturationIndex(readings, conditions) {
+  return conditions.index === 'csi'
+    ? calculateCSI(readings, conditions)
+    : calculateLSI(readings, conditions);
+}
+
+// Water balance summary for display, or null if it can't be computed.
+// conditions: { temperatureC, tds (optional), index: 'lsi' | 'csi' }
+export function getWaterBalance(readings, conditions = {}) {
+  const value = saturationIndex(readings, conditions);
+  if (value === undefined) return null;
+  const index = SATURATION_INDICES[conditions.index] ? conditions.index : 'lsi';
+  return {
+    index,
+    name: SATURATION_INDICES[index].name,
+    value: Math.round(value * 100) / 100,
+    status: value < -BALANCE_TOLERANCE ? 'corrosive' : value > BALANCE_TOLERANCE ? 'scaling' : 'balanced',
+    tdsAssumed: !(conditions.tds > 0),
+  };
+}
+
+function roundTo(value, step) {
+  return step < 1 ? Math.round(value * 10) / 10 : Math.round(value);
+}
+
+// Candidate targets per parameter in the balance search
+const MAX_GRID_STEPS = 20;
+
+// Pick pH, TA and CH targets that keep every parameter in its ideal range and
+// bring the saturation index within tolerance, with the least chemical change.
+// In-range values may stay as they are; out-of-range values are measured from
+// their usual target. Calcium can only be raised chemically, so an in-range
+// hardness is never lowered. Returns {} when the index can't be computed.
+function chooseBalancedTargets(readings, conditions, ranges = {}) {
+  if (!canComputeIndex(readings, conditions)) return {};
+
+  // Candidate targets across each ideal range. Wide custom ranges get coarser
+  // steps, so the search stays at most MAX_GRID_STEPS³ combinations.
+  const steps = { pH: 0.1, totalAlkalinity: 10, totalHardness: 25 };
+  const defaults = {};
+  const grids = {};
+  for (const [key, step] of Object.entries(steps)) {
+    const p = getRange(key, ranges);
+    const stride = Math.max(step, (p.idealMax - p.idealMin) / MAX_GRID_STEPS);
+    defaults[key] = (p.idealMin + p.idealMax) / 2;
+    grids[key] = [];
+    for (let v = p.idealMin; v <= p.idealMax + stride / 2; v += stride) grids[key].push(roundTo(v, step));
   }
-  if (unit === 'lbs') {
-    if (value < 0.03) return `${Math.round(value * 96)} teaspoons`;
-    if (value < 0.0625) return `${(value * 32).toFixed(1)} tablespoons`;
-    if (value < 0.25) return `${(value * 16).toFixed(1)} oz`;
-    return `${value.toFixed(2)} lbs (${(value * 16).toFixed(1)} oz)`;
+
+  const options = (key) => {
+    const val = readings[key];
+    const p = getRange(key, ranges);
+    const inRange = val >= p.idealMin && val <= p.idealMax;
+    const grid = grids[key].filter(g => !(inRange && key === 'totalHardness' && g < val));
+    return (inRange ? [val, ...grid] : grid).map(target => ({
+      target,
+      // Change cost, relative to the width of the ideal range
+      cost: Math.abs(target - (inRange ? val : defaults[key])) / (p.idealMax - p.idealMin),
+    }));
+  };
+
+  let best = null;
+  for (const ph of options('pH')) {
+    for (const ta of options('totalAlkalinity')) {
+      for (const ch of options('totalHardness')) {
+        const index = saturationIndex({
+          ...readings,
+          pH: ph.target,
+          totalAlkalinity: ta.target,
+          totalHardness: ch.target,
+        }, conditions);
+        if (index === undefined) continue;
+        const cost = 10 * Math.max(0, Math.abs(index) - BALANCE_TOLERANCE) + ph.cost + ta.cost + ch.cost;
+        if (!best || cost < best.cost) {
+          best = { cost, index, pH: ph.target, totalAlkalinity: ta.target, totalHardness: ch.target };
+        }
+      }
+    }
   }
-  return `${value.toFixed(2)} ${unit}`;
+  return best || {};
+}
+
+function ppm(value) {
+  return `${formatNumber(value)} ppm`;
+}
+
+function formatChange(key, value) {
+  if (key === 'pH') return formatNumber(value, 2);
+  const rounded = roundReading(key, value);
+  return `${rounded ? formatNumber(rounded) : formatNumber(value, 1)} ppm`;
+}
+
+// Predicted readings keep the precision a test could show
+function roundReading(key, value) {
+  const decimals = key === 'pH' ? 2 : ['freeChlorine', 'totalChlorine', 'bromine'].includes(key) ? 1 : 0;
+  return Math.round(value * 10 ** decimals) / 10 ** decimals;
 }
 
 // Calculate corrections needed and return them in priority order.
@@ -167,80 +315,209 @@ function formatAmount(value, unit) {
 // │    Low urgency, long-term maintenance adjustment.                  │
 // └─────────────────────────────────────────────────────────────────────┘
 //
-// DOSAGE FORMULA (linear scaling):
-//   amount = (needed_change / rate_per_unit) × dosage_per_10k_gal × (volume / 10000)
+// SIMULATION: each step records `expected`, the predicted readings once it's
+// done, and later steps are calculated from that prediction (see addStep).
+//
+// DOSAGE: amounts are for the user's own products (see products.js), passed as
+// { [job]: product }. Jobs without a product use DEFAULT_PRODUCTS.
 //
-export function calculateCorrections(readings, volumeGallons, sanitizerType = 'chlorine') {
+// WATER BALANCE: when conditions.temperatureC is given, TA, pH and CH targets
+// are chosen together to balance the saturation index (see
+// chooseBalancedTargets) instead of each aiming at its own midpoint.
+//
+// RANGES: a body of water's own target ranges override PARAMETERS (see getRange).
+//
+// DRAINS: dilution uses the body of water's fill-water readings (see
+// calculateCorrections for how drains combine into one refill).
+//
+// UNITS: amounts, volumes and temperatures in the text are in the user's unit
+// system (see units.js). Metric working shows rates per 1,000 L.
+//
+function planCorrections(readings, volumeGallons, sanitizerType, conditions, ranges, products, fillWater, units) {
   const corrections = [];
-  const scale = volumeGallons / 10000;
-  const volLabel = Math.round(volumeGallons).toLocaleString();
+  const metric = usesMetricVolume(units);
+  const scale = metric ? volumeGallons * LITERS_PER_GALLON / 1000 : volumeGallons / 10000;
+  const volLabel = formatVolume(volumeGallons, units);
+  const rateVolume = metric ? `${formatNumber(1000)} L` : `${formatNumber(10000)} gal`;
+
+  // Dose of the user's product for a job, with the working shown
+  const dose = (job, change) => {
+    const pickJob = JOBS[job].uses || job;
+    const product = products[pickJob] || getProduct(DEFAULT_PRODUCTS[pickJob]);
+    const ingredient = INGREDIENTS[product.ingredient];
+    const d = calculateDose(product, job, change, volumeGallons);
+    const stepLabel = `${formatNumber(JOBS[job].step)} ${JOBS[job].unit}`;
+    const rate = metric ? d.rate * 1000 / (10000 * LITERS_PER_GALLON) : d.rate;
+    const liquidDensity = product.form === 'liquid' && product.density;
+    const strength = liquidDensity
+      ? t('calc.strengthDensity', { strength: product.strength, density: product.density })
+      : t('calc.strength', { strength: product.strength });
+    const ingredientName = t(`ingredient.${product.ingredient}.inText`);
+    const sideEffectLines = Object.entries(d.effects)
+      .filter(([key, delta]) => key !== JOBS[job].param && Math.abs(delta) >= 0.05)
+      .map(([key, delta]) => t('calc.sideEffect', { name: PARAMETERS[key].name, change: `${delta > 0 ? '+' : '\u2212'}${formatChange(key, Math.abs(delta))}` }));
+    const grams = formatNumber(d.ingredientGrams, 1);
+    return {
+      chemical: product.name,
+      amount: formatDose(d, product, units),
+      breakdown: [
+        t('calc.product', { product: product.name, ingredient: ingredientName, strength }),
+        t('calc.rate', { rate: +rate.toFixed(2), basis: ingredient.basis || ingredientName, step: stepLabel, volume: rateVolume }),
+        t('calc.yourSpa', { volume: volLabel, steps: +d.steps.toFixed(2), rate: +rate.toFixed(2), scale: formatNumber(scale, 4), grams }),
+        d.ml !== undefined
+          ? t('calc.asLiquid', {
+            grams,
+            divisor: liquidDensity
+              ? `(${formatNumber(product.strength)}% \u00D7 ${formatNumber(product.density)} g/mL)`
+              : t('calc.perHundredMl', { strength: product.strength }),
+            ml: Math.round(d.ml),
+          })
+          : t('calc.asSolid', { grams, strength: product.strength, product: formatNumber(d.grams, 1) }),
+        ...(d.ml === undefined && units.measure !== 'weight'
+          ? [t('calc.byVolume', {
+            grams: formatNumber(d.grams, 1),
+            density: product.density ? t('calc.bulkDensity', { density: product.density }) : t('calc.noBulkDensity'),
+            ml: Math.round(d.grams / (product.density || 1)),
+          })]
+          : []),
+        ...sideEffectLines,
+      ],
+      effects: d.effects,
+    };
+  };
+
+  const balanced = chooseBalancedTargets(readings, conditions, ranges);
+  const balance = balanced.index !== undefined ? {
+    name: SATURATION_INDICES[conditions.index]?.name || 'LSI',
+    before: saturationIndex(readings, conditions),
+    after: balanced.index,
+    tempLabel: formatTemperature(conditions.temperatureC, units),
+  } : null;
+  const targetNote = (fallback) => balance
+    ? t('calc.balanceTarget', { index: balance.name, temp: balance.tempLabel })
+    : fallback;
+  const balanceLine = () => t('calc.balanceLine', {
+    index: balance.name,
+    before: formatNumber(balance.before, 2),
+    after: formatNumber(balance.after, 2),
+    tolerance: BALANCE_TOLERANCE,
+  });
+  // Reason for moving an in-range value purely to balance the water
+  const balanceReason = (name, target) => t(balance.before < 0 ? 'calc.balanceCorrosive' : 'calc.balanceScaling', {
+    name,
+    temp: balance.tempLabel,
+    index: balance.name,
+    value: formatNumber(balance.before, 2),
+    target,
+  });
+  const midpoint = (p) => t('calc.midpoint', { min: p.idealMin, max: p.idealMax });
+  const center = (p) => t('calc.center', { min: p.idealMin, max: p.idealMax });
+
+  // Predicted water after each step. Later steps dose from this instead of
+  // the original readings, so side effects (acid for TA also lowering pH,
+  // dichlor adding CYA...) aren't corrected twice.
+  const water = { ...readings };
+  const addStep = (correction, effects) => {
+    for (const [key, delta] of Object.entries(effects)) {
+      if (water[key] === undefined) continue;
+      water[key] = roundReading(key, Math.max(0, water[key] + delta));
+    }
+    // Chlorine added as free chlorine also shows in the total
+    if (effects.freeChlorine && effects.totalChlorine === undefined && water.totalChlorine !== undefined) {
+      water.totalChlorine = roundReading('totalChlorine', water.totalChlorine + effects.freeChlorine);
+    }
+    corrections.push({ ...correction, expected: { ...water } });
+  };
+  // A partial drain and refill mixes the water with the fill water
+  const dilution = (pct) => {
+    const mixed = mixWater(water, fillWater, pct);
+    return Object.fromEntries(Object.keys(water).map(key => [key, mixed[key] - water[key]]));
+  };
+  const drainFor = (key, target) => drainPercent(water, fillWater, key, target);
+  const fillOf = (key) => fillWater[key] ?? 0;
+
+  let alkalinityLoweredWithAcid = false;
 
   // ── Step 1: Total Alkalinity ──────────────────────────────────────
   // Always first — TA is the pH buffer. If TA is wrong, pH won't hold.
-  if (readings.totalAlkalinity !== undefined) {
-    const val = readings.totalAlkalinity;
-    const p = PARAMETERS.totalAlkalinity;
-    const target = (p.idealMin + p.idealMax) / 2;
-    if (val < p.idealMin) {
+  if (water.totalAlkalinity !== undefined) {
+    const val = water.totalAlkalinity;
+    const p = getRange('totalAlkalinity', ranges);
+    const target = balanced.totalAlkalinity ?? (p.idealMin + p.idealMax) / 2;
+    if (val < p.idealMin || (balance && target > val)) {
       const ppmNeeded = target - val;
-      const d = DOSAGES.alkalinityUp;
-      const amt = (ppmNeeded / d.ppmPer) * d.per10kGal * scale;
-      corrections.push({
+      const d = dose('alkalinityUp', ppmNeeded);
+      addStep({
         order: 1,
-        parameter: 'Total Alkalinity',
-        action: `Raise from ${val} to ~${Math.round(target)} ppm`,
+        parameter: p.name,
+        action: t('calc.raiseFrom', { from: val, to: ppm(Math.round(target)) }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 20,
-        reason: 'Total Alkalinity is your pH buffering system. If TA is low, pH will swing wildly and won\'t hold after adjustment. Stabilizing the buffer first ensures all subsequent pH changes stick.',
+        reason: val >= p.idealMin
+          ? balanceReason(p.name, ppm(Math.round(target)))
+          : t('ta.lowReason'),
         calcBreakdown: [
-          `Target: ${Math.round(target)} ppm (midpoint of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Raise by: ${ppmNeeded} ppm`,
-          `Dosage rate: ${d.per10kGal} lbs per ${d.ppmPer} ppm per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${ppmNeeded} \u00F7 ${d.ppmPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(3)} lbs`,
+          t('calc.target', { target: ppm(Math.round(target)), note: targetNote(midpoint(p)) }),
+          t('calc.raiseBy', { amount: ppm(ppmNeeded) }),
+          ...d.breakdown,
+          ...(balance ? [balanceLine()] : []),
         ],
-        notes: 'Add slowly with pump running. Retest after 20 minutes.',
-      });
-    } else if (val > p.idealMax) {
-      const excess = val - p.idealMax;
-      if (excess > 60) {
+        notes: t('ta.raiseNotes'),
+      }, d.effects);
+    } else if (val > p.idealMax || (balance && target < val)) {
+      const goal = balance ? target : p.idealMax;
+      const excess = val - goal;
+      const pct = excess > 60 ? drainFor('totalAlkalinity', goal) : null;
+      if (pct !== null) {
         // Very high TA — partial drain is more practical than large amounts of acid
-        const pct = Math.round((1 - p.idealMax / val) * 100);
-        const acidAmt = excess * 0.1 * scale;
-        corrections.push({
+        const acid = dose('alkalinityDown', excess);
+        addStep({
           order: 1,
-          parameter: 'Total Alkalinity',
-          action: `Lower from ${val} to ~${p.idealMax} ppm`,
-          chemical: 'Partial Drain + pH Decreaser',
-          amount: `Drain ~${pct}% and refill, then fine-tune with sodium bisulfate`,
+          parameter: p.name,
+          action: t('calc.lowerFrom', { from: val, to: ppm(goal) }),
+          chemical: t('ta.drainChemical'),
+          amount: t('ta.drainAmount', { pct, chemical: acid.chemical }),
           waitMinutes: 30,
-          reason: `At ${val} ppm, alkalinity is far over range. Using acid alone would require ${formatAmount(acidAmt, 'oz')} of pH decreaser, which risks crashing your pH. A partial drain brings TA closer to range with less chemical stress on the water.`,
+          reason: t('ta.drainReason', { value: val, amount: acid.amount, chemical: acid.chemical }),
           calcBreakdown: [
-            `Current: ${val} ppm (maximum: ${p.idealMax} ppm, excess: ${excess} ppm)`,
-            `Chemical-only approach would need: ${formatAmount(acidAmt, 'oz')} sodium bisulfate`,
-            `Recommended: drain ~${pct}% (reduces TA to ~${Math.round(val * (1 - pct / 100))} ppm)`,
-            `Then fine-tune remaining excess with small amount of pH decreaser`,
+            t('ta.drainCurrent', { value: val, target: goal, excess }),
+            t('ta.chemicalOnly', { amount: acid.amount, chemical: acid.chemical }),
+            t('ta.drainRecommended', { pct, result: Math.round(mixWater(water, fillWater, pct).totalAlkalinity) }),
+            t('ta.drainFormula', { value: val, target: goal, fill: fillOf('totalAlkalinity'), pct }),
+            t('ta.fineTune'),
           ],
-          notes: 'Drain with pump off. After refill, let water circulate 15 min, then retest TA and pH.',
-        });
+          notes: t('ta.drainNotes'),
+          drain: { key: 'totalAlkalinity', target: goal },
+        }, dilution(pct));
       } else {
-        const amt = excess * 0.1 * scale;
-        corrections.push({
+        const d = dose('alkalinityDown', excess);
+        // The same acid turns bicarbonate into dissolved CO2, dropping pH
+        const effects = { ...d.effects };
+        if (water.pH !== undefined) {
+          const pHAfter = pHAfterAcid(water, excess);
+          effects.pH = pHAfter - water.pH;
+          d.breakdown.push(t('ta.pHSideEffect', { before: formatNumber(water.pH, 1), after: formatNumber(pHAfter, 1) }));
+        }
+        alkalinityLoweredWithAcid = true;
+        addStep({
           order: 1,
-          parameter: 'Total Alkalinity',
-          action: `Lower from ${val} to ~${p.idealMax} ppm`,
-          chemical: 'Sodium Bisulfate (pH Decreaser)',
-          amount: formatAmount(amt, 'oz'),
+          parameter: p.name,
+          action: t('calc.lowerFrom', { from: val, to: ppm(goal) }),
+          chemical: d.chemical,
+          amount: d.amount,
           waitMinutes: 20,
-          reason: 'High alkalinity resists pH changes and tends to push pH upward. Lowering TA first prevents fighting against the buffer when adjusting pH in the next step.',
+          reason: val <= p.idealMax
+            ? balanceReason(p.name, ppm(goal))
+            : t('ta.highReason'),
           calcBreakdown: [
-            `Target: \u2264${p.idealMax} ppm (top of ideal range)`,
-            `Excess: ${excess} ppm over maximum`,
-            `Approximate rate: 0.1 oz per 1 ppm reduction per 10,000 gal`,
-            `Your spa (${volLabel} gal): ${excess} \u00D7 0.1 \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(2)} oz`,
+            balance ? t('calc.target', { target: ppm(goal), note: targetNote() }) : t('ta.targetMax', { max: p.idealMax }),
+            t('ta.excess', { excess }),
+            ...d.breakdown,
+            ...(balance ? [balanceLine()] : []),
           ],
-          notes: 'Add pH decreaser. This will also lower pH. Aerate to raise pH back if needed.',
-        });
+          notes: t('ta.acidNotes'),
+        }, effects);
       }
     }
   }
@@ -248,50 +525,72 @@ export function calculateCorrections(readings, volumeGallons, sanitizerType = 'c
   // ── Step 2: pH ────────────────────────────────────────────────────
   // After TA is correct, pH adjustments will hold. pH directly controls
   // sanitizer kill rate and bather comfort.
-  if (readings.pH !== undefined) {
-    const val = readings.pH;
-    const p = PARAMETERS.pH;
-    const target = 7.5;
-    if (val < p.idealMin) {
+  if (water.pH !== undefined) {
+    const val = water.pH;
+    const p = getRange('pH', ranges);
+    const target = balanced.pH ?? Math.round((p.idealMin + p.idealMax) * 5) / 10;
+    if (alkalinityLoweredWithAcid && target > val + 0.05) {
+      // pH is low from the alkalinity step. Aerating releases the CO2 the acid
+      // made and raises pH without putting alkalinity back, unlike soda ash.
       const phNeeded = target - val;
-      const d = DOSAGES.phUp;
-      const amt = (phNeeded / d.phPer) * d.per10kGal * scale;
-      corrections.push({
+      addStep({
         order: 2,
-        parameter: 'pH',
-        action: `Raise from ${val.toFixed(1)} to ~${target}`,
+        parameter: p.name,
+        action: t('ph.aerateAction', { from: formatNumber(val, 1), to: target }),
+        chemical: t('ph.aeration'),
+        amount: t('ph.aerationAmount'),
+        waitMinutes: 60,
+        reason: t('ph.aerationReason'),
+        calcBreakdown: [
+          t('ph.expectedAfterTa', { value: formatNumber(val, 1) }),
+          t('calc.target', { target, note: targetNote(center(p)) }),
+          t('ph.aerationRaiseBy', { amount: formatNumber(phNeeded, 1) }),
+          ...(balance ? [balanceLine()] : []),
+        ],
+        notes: t('ph.aerationNotes'),
+      }, { pH: phNeeded });
+    } else if (val < p.idealMin || (balance && target > val + 0.05)) {
+      const phNeeded = target - val;
+      const d = dose('phUp', phNeeded);
+      addStep({
+        order: 2,
+        parameter: p.name,
+        action: t('calc.raiseFrom', { from: formatNumber(val, 1), to: target }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 20,
-        reason: 'pH directly controls sanitizer strength. At pH 7.5, chlorine is about 50% active as hypochlorous acid. Below 7.2, water becomes corrosive and irritates skin. Adjusted after alkalinity so the buffer holds this change.',
+        reason: val >= p.idealMin
+          ? balanceReason(p.name, formatNumber(target))
+          : t('ph.lowReason'),
         calcBreakdown: [
-          `Target: ${target} (center of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Raise by: ${phNeeded.toFixed(1)} pH units`,
-          `Dosage rate: ${d.per10kGal} oz per ${d.phPer} pH per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${phNeeded.toFixed(1)} \u00F7 ${d.phPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(2)} oz`,
+          t('calc.target', { target, note: targetNote(center(p)) }),
+          t('calc.raiseByPh', { amount: formatNumber(phNeeded, 1) }),
+          ...d.breakdown,
+          ...(balance ? [balanceLine()] : []),
         ],
-        notes: 'Add with pump running. Wait 20 min and retest.',
-      });
-    } else if (val > p.idealMax) {
+        notes: t('ph.notes'),
+      }, d.effects);
+    } else if (val > p.idealMax || (balance && target < val - 0.05)) {
       const phNeeded = val - target;
-      const d = DOSAGES.phDown;
-      const amt = (phNeeded / d.phPer) * d.per10kGal * scale;
-      corrections.push({
+      const d = dose('phDown', phNeeded);
+      addStep({
         order: 2,
-        parameter: 'pH',
-        action: `Lower from ${val.toFixed(1)} to ~${target}`,
+        parameter: p.name,
+        action: t('calc.lowerFrom', { from: formatNumber(val, 1), to: target }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 20,
-        reason: 'High pH dramatically reduces sanitizer effectiveness \u2014 at pH 8.0, chlorine is only ~22% active. It also causes cloudy water and scale buildup. Adjusted after alkalinity so the buffer holds this change.',
+        reason: val <= p.idealMax
+          ? balanceReason(p.name, formatNumber(target))
+          : t('ph.highReason'),
         calcBreakdown: [
-          `Target: ${target} (center of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Lower by: ${phNeeded.toFixed(1)} pH units`,
-          `Dosage rate: ${d.per10kGal} oz per ${d.phPer} pH per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${phNeeded.toFixed(1)} \u00F7 ${d.phPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(2)} oz`,
+          t('calc.target', { target, note: targetNote(center(p)) }),
+          t('calc.lowerByPh', { amount: formatNumber(phNeeded, 1) }),
+          ...d.breakdown,
+          ...(balance ? [balanceLine()] : []),
         ],
-        notes: 'Add with pump running. Wait 20 min and retest.',
-      });
+        notes: t('ph.notes'),
+      }, d.effects);
     }
   }
 
@@ -299,117 +598,169 @@ export function calculateCorrections(readings, volumeGallons, sanitizerType = 'c
   // Independent of pH/TA but affects water balance (LSI). Low hardness
   // = corrosive water that attacks equipment. Must be correct before
   // adding sanitizer.
-  if (readings.totalHardness !== undefined) {
-    const val = readings.totalHardness;
-    const p = PARAMETERS.totalHardness;
-    const target = (p.idealMin + p.idealMax) / 2;
-    if (val < p.idealMin) {
+  if (water.totalHardness !== undefined) {
+    const val = water.totalHardness;
+    const p = getRange('totalHardness', ranges);
+    const target = balanced.totalHardness ?? (p.idealMin + p.idealMax) / 2;
+    if (val < p.idealMin || (balance && target > val)) {
       const ppmNeeded = target - val;
-      const d = DOSAGES.hardnessUp;
-      const amt = (ppmNeeded / d.ppmPer) * d.per10kGal * scale;
-      corrections.push({
+      const d = dose('hardnessUp', ppmNeeded);
+      addStep({
         order: 3,
-        parameter: 'Calcium Hardness',
-        action: `Raise from ${val} to ~${Math.round(target)} ppm`,
+        parameter: p.name,
+        action: t('calc.raiseFrom', { from: val, to: ppm(Math.round(target)) }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 20,
-        reason: 'Low calcium makes water "aggressive" \u2014 it dissolves minerals from grout, plaster, metal fittings, and heater elements to satisfy its mineral demand. Corrected before sanitizer since corrosive water degrades chlorine faster.',
+        reason: val >= p.idealMin
+          ? balanceReason(p.name, ppm(Math.round(target)))
+          : t('ch.lowReason'),
         calcBreakdown: [
-          `Target: ${Math.round(target)} ppm (midpoint of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Raise by: ${ppmNeeded} ppm`,
-          `Dosage rate: ${d.per10kGal} lbs per ${d.ppmPer} ppm per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${ppmNeeded} \u00F7 ${d.ppmPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(3)} lbs`,
+          t('calc.target', { target: ppm(Math.round(target)), note: targetNote(midpoint(p)) }),
+          t('calc.raiseBy', { amount: ppm(ppmNeeded) }),
+          ...d.breakdown,
+          ...(balance ? [balanceLine()] : []),
         ],
-        notes: 'Pre-dissolve in warm water before adding to spa.',
-      });
+        notes: t('ch.raiseNotes'),
+      }, d.effects);
     } else if (val > p.idealMax) {
-      const pct = Math.round((1 - p.idealMax / val) * 100);
-      corrections.push({
-        order: 3,
-        parameter: 'Calcium Hardness',
-        action: `Lower from ${val} ppm (too high)`,
-        chemical: 'Partial Water Replacement',
-        amount: `Drain ~${pct}% and refill with fresh water`,
-        waitMinutes: 60,
-        reason: 'High calcium causes white scale deposits on surfaces, jets, and heater elements. There is no chemical that removes dissolved calcium \u2014 dilution with fresh water is the only solution.',
-        calcBreakdown: [
-          `Current: ${val} ppm (maximum: ${p.idealMax} ppm)`,
-          `Dilution needed: ~${pct}% water replacement`,
-          `Formula: 1 \u2212 (${p.idealMax} \u00F7 ${val}) = ${(1 - p.idealMax / val).toFixed(2)} \u2248 ${pct}%`,
-        ],
-        notes: 'Only way to lower calcium hardness is dilution.',
-      });
+      const pct = drainFor('totalHardness', p.idealMax);
+      if (pct !== null) {
+        addStep({
+          order: 3,
+          parameter: p.name,
+          action: t('ch.lowerHigh', { value: val }),
+          chemical: t('calc.partialReplacement'),
+          amount: t('ch.drainAmount', { pct }),
+          waitMinutes: 60,
+          reason: t('ch.highReason'),
+          calcBreakdown: [
+            t('ch.drainCurrent', { value: val, max: p.idealMax, fill: fillOf('totalHardness') }),
+            t('calc.dilutionNeeded', { pct }),
+            t('ch.drainFormula', {
+              value: val,
+              max: p.idealMax,
+              fill: fillOf('totalHardness'),
+              ratio: formatNumber((val - p.idealMax) / (val - fillOf('totalHardness')), 2),
+              pct,
+            }),
+          ],
+          notes: t('ch.drainNotes'),
+          drain: { key: 'totalHardness', target: p.idealMax },
+        }, dilution(pct));
+      } else {
+        addStep({
+          order: 3,
+          parameter: p.name,
+          action: t('ch.hardFill', { value: val }),
+          chemical: t('ch.noChemical'),
+          amount: t('ch.hardFillAmount'),
+          waitMinutes: 0,
+          reason: t('ch.hardFillReason', { fill: fillOf('totalHardness'), max: p.idealMax }),
+          calcBreakdown: [
+            t('calc.currentMax', { value: val, max: p.idealMax }),
+            t('ch.hardFillLine', { fill: fillOf('totalHardness') }),
+          ],
+          notes: t('ch.hardFillNotes'),
+        }, {});
+      }
     }
   }
 
   // ── Step 4: Sanitizer ─────────────────────────────────────────────
   // Must come after pH/TA are correct. Sanitizer effectiveness depends
   // entirely on water balance being in range first.
-  const sanKey = sanitizerType === 'bromine' ? 'bromine' : 'freeChlorine';
-  if (readings[sanKey] !== undefined) {
-    const val = readings[sanKey];
-    const p = PARAMETERS[sanKey];
+  const sanKey = sanitizerKey(sanitizerType);
+  const cc = sanitizerType === 'bromine' ? undefined : getCombinedChlorine(water);
+  const ccMax = getRange('combinedChlorine', ranges).idealMax;
+  if (cc !== undefined && cc > ccMax) {
+    // Chloramines present — breakpoint shock replaces the normal chlorine top-up,
+    // since reaching breakpoint also restores free chlorine.
+    const fc = water.freeChlorine;
+    const target = Math.round(cc * BREAKPOINT_FACTOR * 10) / 10;
+    const ppmNeeded = Math.max(0, Math.round((target - fc) * 10) / 10);
+    const d = dose('chlorineUp', ppmNeeded);
+    // Past breakpoint the chloramines are gone, so total chlorine equals free
+    const breakpointEffects = { ...d.effects };
+    if (water.totalChlorine !== undefined) breakpointEffects.totalChlorine = fc + ppmNeeded - water.totalChlorine;
+    addStep({
+      order: 4,
+      parameter: PARAMETERS.combinedChlorine.name,
+      action: t('cc.action', { target }),
+      chemical: ppmNeeded > 0 ? d.chemical : t('calc.waitAerate'),
+      amount: ppmNeeded > 0 ? d.amount : t('cc.noDose'),
+      waitMinutes: 30,
+      reason: t('cc.reason', { combined: cc, total: water.totalChlorine, free: fc, factor: BREAKPOINT_FACTOR }),
+      calcBreakdown: [
+        t('cc.combinedLine', { total: water.totalChlorine, free: fc, combined: cc, max: ccMax }),
+        t('cc.targetLine', { combined: cc, factor: BREAKPOINT_FACTOR, target }),
+        t('cc.raiseBy', { target, free: fc, amount: ppmNeeded }),
+        ...(ppmNeeded > 0 ? d.breakdown : []),
+      ],
+      notes: t('cc.notes'),
+    }, breakpointEffects);
+  } else if (water[sanKey] !== undefined) {
+    const val = water[sanKey];
+    const p = getRange(sanKey, ranges);
     const target = (p.idealMin + p.idealMax) / 2;
     if (val < p.idealMin) {
       const ppmNeeded = target - val;
-      const dKey = sanitizerType === 'bromine' ? 'bromineUp' : 'chlorineUp';
-      const d = DOSAGES[dKey];
-      const amt = (ppmNeeded / d.ppmPer) * d.per10kGal * scale;
-      corrections.push({
+      const d = dose(sanitizerType === 'bromine' ? 'bromineUp' : 'chlorineUp', ppmNeeded);
+      addStep({
         order: 4,
         parameter: p.name,
-        action: `Raise from ${val} to ~${target} ppm`,
+        action: t('calc.raiseFrom', { from: val, to: ppm(target) }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 15,
-        reason: `Sanitizer is added after pH and alkalinity are correct because its effectiveness depends entirely on water balance. At the proper pH of 7.2\u20137.8, ${sanitizerType === 'bromine' ? 'bromine' : 'chlorine'} works at maximum killing power against bacteria and algae.`,
+        reason: t(sanitizerType === 'bromine' ? 'san.lowReasonBromine' : 'san.lowReasonChlorine'),
         calcBreakdown: [
-          `Target: ${target} ppm (midpoint of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Raise by: ${ppmNeeded} ppm`,
-          `Dosage rate: ${d.per10kGal} oz per ${d.ppmPer} ppm per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${ppmNeeded} \u00F7 ${d.ppmPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(2)} oz`,
+          t('calc.target', { target: ppm(target), note: midpoint(p) }),
+          t('calc.raiseBy', { amount: ppm(ppmNeeded) }),
+          ...d.breakdown,
         ],
-        notes: `Add with pump running. Wait 15 min and retest. Don't enter spa until level is safe.`,
-      });
+        notes: t('san.lowNotes'),
+      }, d.effects);
     } else if (val > p.idealMax) {
       const excess = val - p.idealMax;
       const isExtreme = (sanitizerType === 'bromine' && val >= 15) || (sanitizerType !== 'bromine' && val >= 8);
-      if (isExtreme) {
+      const pct = isExtreme ? drainFor(sanKey, p.idealMax) : null;
+      const inText = t(`param.${sanKey}.inText`);
+      if (pct !== null) {
         // Very high sanitizer — drain to bring it down faster
-        const pct = Math.round((1 - p.idealMax / val) * 100);
-        corrections.push({
+        addStep({
           order: 4,
           parameter: p.name,
-          action: `${p.name} dangerously high at ${val} ppm`,
-          chemical: 'Partial Drain + Aerate',
-          amount: `Drain ~${pct}% and refill, then run jets with cover off`,
+          action: t('san.dangerous', { name: p.name, value: val }),
+          chemical: t('san.drainChemical'),
+          amount: t('san.drainAmount', { pct }),
           waitMinutes: 30,
-          reason: `At ${val} ppm, ${p.name.toLowerCase()} is far above the safe maximum of ${p.idealMax} ppm. Waiting for natural dissipation could take hours. Draining ~${pct}% immediately dilutes the concentration, then aeration handles the rest.`,
+          reason: t('san.drainReason', { value: val, name: inText, max: p.idealMax, pct }),
           calcBreakdown: [
-            `Current: ${val} ppm (safe max: ${p.idealMax} ppm, excess: ${excess} ppm)`,
-            `Drain ~${pct}% to reduce to ~${Math.round(val * (1 - pct / 100))} ppm`,
-            `Formula: 1 \u2212 (${p.idealMax} \u00F7 ${val}) = ~${pct}%`,
-            `After refill, aerate with jets to dissipate remaining excess`,
+            t('san.drainCurrent', { value: val, max: p.idealMax, excess }),
+            t('san.drainTo', { pct, result: Math.round(mixWater(water, fillWater, pct)[sanKey]) }),
+            t('san.drainFormula', { value: val, max: p.idealMax, fill: fillOf(sanKey), pct }),
+            t('san.aerateAfter'),
           ],
-          notes: `Do not use spa until ${p.name.toLowerCase()} drops below ${p.idealMax} ppm. Test again after 15 minutes.`,
-        });
+          notes: t('san.drainNotes', { name: inText, max: p.idealMax }),
+          drain: { key: sanKey, target: p.idealMax },
+        }, dilution(pct));
       } else {
-        corrections.push({
+        addStep({
           order: 4,
           parameter: p.name,
-          action: `${p.name} is high at ${val} ppm`,
-          chemical: 'Wait & Aerate',
-          amount: 'Leave cover off, run jets',
+          action: t('san.high', { name: p.name, value: val }),
+          chemical: t('calc.waitAerate'),
+          amount: t('san.aerateAmount'),
           waitMinutes: 30,
-          reason: `High ${p.name.toLowerCase()} levels dissipate naturally through aeration and UV exposure. No chemical neutralizer is needed \u2014 time and air circulation bring levels down safely.`,
+          reason: t('san.highReason', { name: inText }),
           calcBreakdown: [
-            `Current: ${val} ppm (maximum safe: ${p.idealMax} ppm)`,
-            `No chemical dosage \u2014 natural dissipation through aeration`,
-            `Running jets with cover off accelerates the process`,
+            t('san.highCurrent', { value: val, max: p.idealMax }),
+            t('san.noDose'),
+            t('san.jets'),
           ],
-          notes: `Do not use spa until ${p.name.toLowerCase()} drops below ${p.idealMax} ppm.`,
-        });
+          notes: t('san.highNotes', { name: inText, max: p.idealMax }),
+        }, { [sanKey]: p.idealMax - val });
       }
     }
   }
@@ -417,98 +768,282 @@ export function calculateCorrections(readings, volumeGallons, sanitizerType = 'c
   // ── Step 5: Cyanuric Acid (chlorine systems only) ─────────────────
   // UV stabilizer. Very slow to dissolve (24+ hours). Low urgency,
   // long-term maintenance. Only relevant for outdoor installations.
-  if (sanitizerType === 'chlorine' && readings.cyanuricAcid !== undefined) {
-    const val = readings.cyanuricAcid;
-    const p = PARAMETERS.cyanuricAcid;
+  if (sanitizerType === 'chlorine' && water.cyanuricAcid !== undefined) {
+    const val = water.cyanuricAcid;
+    const p = getRange('cyanuricAcid', ranges);
     const target = (p.idealMin + p.idealMax) / 2;
     if (val < p.idealMin) {
       const ppmNeeded = target - val;
-      const d = DOSAGES.cyaUp;
-      const amt = (ppmNeeded / d.ppmPer) * d.per10kGal * scale;
-      corrections.push({
+      const d = dose('cyaUp', ppmNeeded);
+      addStep({
         order: 5,
-        parameter: 'Cyanuric Acid',
-        action: `Raise from ${val} to ~${Math.round(target)} ppm`,
+        parameter: p.name,
+        action: t('calc.raiseFrom', { from: val, to: ppm(Math.round(target)) }),
         chemical: d.chemical,
-        amount: formatAmount(amt, d.unit),
+        amount: d.amount,
         waitMinutes: 30,
-        reason: 'Cyanuric acid (CYA) forms a protective bond around chlorine molecules, shielding them from UV destruction. Without it, sunlight destroys ~90% of free chlorine within 2 hours. Done last because CYA dissolves very slowly (24+ hours for full effect).',
+        reason: t('cya.lowReason'),
+        calcBreakdown: [
+          t('calc.target', { target: ppm(Math.round(target)), note: midpoint(p) }),
+          t('calc.raiseBy', { amount: ppm(ppmNeeded) }),
+          ...d.breakdown,
+        ],
+        notes: t('cya.lowNotes'),
+      }, d.effects);
+    } else if (val > p.idealMax && drainFor('cyanuricAcid', p.idealMax) === null) {
+      addStep({
+        order: 5,
+        parameter: p.name,
+        action: t('cya.stabilizedFill', { value: val }),
+        chemical: t('ch.noChemical'),
+        amount: t('cya.stabilizedFillAmount'),
+        waitMinutes: 0,
+        reason: t('cya.stabilizedFillReason', { fill: fillOf('cyanuricAcid'), max: p.idealMax }),
         calcBreakdown: [
-          `Target: ${Math.round(target)} ppm (midpoint of ${p.idealMin}\u2013${p.idealMax} ideal range)`,
-          `Raise by: ${ppmNeeded} ppm`,
-          `Dosage rate: ${d.per10kGal} lbs per ${d.ppmPer} ppm per 10,000 gal`,
-          `Your spa (${volLabel} gal): (${ppmNeeded} \u00F7 ${d.ppmPer}) \u00D7 ${d.per10kGal} \u00D7 ${scale.toFixed(4)} = ${amt.toFixed(3)} lbs`,
+          t('calc.currentMax', { value: val, max: p.idealMax }),
+          t('cya.stabilizedFillLine', { fill: fillOf('cyanuricAcid') }),
         ],
-        notes: 'Dissolve in warm water. CYA is slow to dissolve; retest after 24 hours.',
-      });
+        notes: t('cya.stabilizedFillNotes'),
+      }, {});
     } else if (val > p.idealMax) {
-      const pct = Math.round((1 - p.idealMax / val) * 100);
-      corrections.push({
+      const pct = drainFor('cyanuricAcid', p.idealMax);
+      addStep({
         order: 5,
-        parameter: 'Cyanuric Acid',
-        action: `CYA too high at ${val} ppm`,
-        chemical: 'Partial Water Replacement',
-        amount: `Drain ~${pct}% and refill`,
+        parameter: p.name,
+        action: t('cya.high', { value: val }),
+        chemical: t('calc.partialReplacement'),
+        amount: t('calc.drainRefill', { pct }),
         waitMinutes: 60,
-        reason: 'Excess CYA "locks up" chlorine \u2014 it over-stabilizes the sanitizer so it can\'t effectively kill bacteria (called "chlorine lock"). Like calcium, CYA cannot be chemically removed; dilution is the only solution.',
+        reason: t('cya.highReason'),
         calcBreakdown: [
-          `Current: ${val} ppm (maximum: ${p.idealMax} ppm)`,
-          `Dilution needed: ~${pct}% water replacement`,
-          `Formula: 1 \u2212 (${p.idealMax} \u00F7 ${val}) = ${(1 - p.idealMax / val).toFixed(2)} \u2248 ${pct}%`,
+          t('calc.currentMax', { value: val, max: p.idealMax }),
+          t('calc.dilutionNeeded', { pct }),
+          t('cya.drainFormula', {
+            value: val,
+            max: p.idealMax,
+            fill: fillOf('cyanuricAcid'),
+            ratio: formatNumber((val - p.idealMax) / (val - fillOf('cyanuricAcid')), 2),
+            pct,
+          }),
         ],
-        notes: 'High CYA reduces sanitizer effectiveness. Dilution is the only fix.',
-      });
+        notes: t('cya.highNotes'),
+        drain: { key: 'cyanuricAcid', target: p.idealMax },
+      }, dilution(pct));
     }
   }
 
-  // ── Overall assessment: recommend partial drain when water is very off ──
+  return corrections.sort((a, b) => a.order - b.order);
+}
+
+// Share of the water (percent) to replace with fill water so `key` falls to
+// `target`: (current − target) ÷ (current − fill). null when the fill water
+// itself is at or above the target, so no amount of dilution gets there.
+export function drainPercent(readings, fillWater, key, target) {
+  const fill = fillWater[key] ?? 0;
+  if (fill >= target) return null;
+  return Math.min(100, Math.ceil((readings[key] - target) / (readings[key] - fill) * 100));
+}
+
+// Water after replacing `pct` percent with fill water. Parameters missing from
+// the fill readings count as zero, except pH, which then stays as it is. pH is
+// mixed linearly, a fair approximation for partial refills.
+export function mixWater(readings, fillWater = {}, pct) {
+  const f = pct / 100;
+  const mixed = {};
+  for (const [key, val] of Object.entries(readings)) {
+    const fill = fillWater[key] ?? (key === 'pH' ? val : 0);
+    mixed[key] = roundReading(key, val * (1 - f) + fill * f);
+  }
+  return mixed;
+}
+
+// Full treatment plan. When any step needs a drain, one drain big enough for
+// all of them goes first and the remaining doses are worked out for the
+// refilled water, so the plan reads as drain → refill → dose.
+//
+// fillWater: readings of the water used to refill, e.g. { totalHardness: 250 }
+// units: how amounts are shown, e.g. { system: 'metric', measure: 'kitchen' }
+export function calculateCorrections(readings, volumeGallons, sanitizerType = 'chlorine', conditions = {}, ranges = {}, products = {}, fillWater = {}, units = DEFAULT_UNITS) {
+  const plan = (water) => planCorrections(water, volumeGallons, sanitizerType, conditions, ranges, products, fillWater, units);
+  const corrections = plan(readings);
+  const drains = corrections.filter(c => c.drain)
+    .map(c => ({ parameter: c.parameter, pct: drainPercent(readings, fillWater, c.drain.key, c.drain.target) }));
+  const fillLine = fillWaterLine(fillWater);
+
+  // Each drain is sized against the original water, so the largest covers all
+  if (drains.length > 0) {
+    const pct = Math.max(...drains.map(d => d.pct));
+    const refilled = mixWater(readings, fillWater, pct);
+    const drained = formatVolume(volumeGallons * pct / 100, units);
+    return [{
+      order: 0,
+      parameter: t('refresh.parameter'),
+      action: t('refresh.drainAction', { pct }),
+      chemical: t('refresh.fillWater'),
+      amount: t('refresh.drainAmount', { volume: drained, pct }),
+      waitMinutes: 45,
+      reason: t('refresh.drainReason', { count: drains.length, parameters: formatList(drains.map(c => c.parameter)), pct }),
+      calcBreakdown: [
+        ...drains.map(d => t('refresh.needs', { parameter: d.parameter, pct: d.pct })),
+        fillLine,
+        ...Object.keys(refilled).filter(k => PARAMETERS[k]).map(k =>
+          t('refresh.afterRefill', { name: PARAMETERS[k].name, before: readings[k], after: refilled[k] })),
+      ],
+      notes: t('refresh.drainNotes'),
+      expected: refilled,
+    }, ...plan(refilled)];
+  }
+
+  // ── Overall assessment: suggest a refresh when water is very off ──
   // When 3+ parameters need correction, a partial drain-and-refill is often
   // simpler and more effective than dosing many chemicals sequentially.
   if (corrections.length >= 3) {
-    const drainAlreadySuggested = corrections.some(c =>
-      c.chemical.includes('Partial') || c.chemical.includes('Drain'));
-    const suggestedPct = drainAlreadySuggested ? 20 : 30;
+    const suggestedPct = 30;
+    const refilled = mixWater(readings, fillWater, suggestedPct);
     corrections.unshift({
       order: 0,
-      parameter: 'Water Refresh',
-      action: 'Consider a partial drain and refill first',
-      chemical: 'Fresh Water',
-      amount: `Drain ~${suggestedPct}% and refill`,
+      parameter: t('refresh.parameter'),
+      action: t('refresh.considerAction'),
+      chemical: t('refresh.freshWater'),
+      amount: t('calc.drainRefill', { pct: suggestedPct }),
       waitMinutes: 45,
-      reason: `With ${corrections.length} parameters needing correction, a partial water change is often the fastest path to balanced water. Fresh water dilutes all problem values simultaneously \u2014 you may eliminate 1\u20132 corrections entirely and reduce the chemical amounts for the rest.`,
+      reason: t('refresh.considerReason', { count: corrections.length }),
       calcBreakdown: [
-        `${corrections.length} corrections currently needed`,
-        `A ${suggestedPct}% drain reduces all dissolved levels by ~${suggestedPct}%`,
-        `After refill, retest all parameters before adding chemicals`,
-        `This often simplifies the remaining treatment to 1\u20132 steps`,
+        t('refresh.correctionsNeeded', { count: corrections.length }),
+        fillLine,
+        t('refresh.after', {
+          pct: suggestedPct,
+          values: Object.keys(refilled).filter(k => PARAMETERS[k]).map(k => `${PARAMETERS[k].name} ${formatNumber(refilled[k])}`).join(', '),
+        }),
+        t('refresh.retestAll'),
       ],
-      notes: 'Optional but recommended. Drain with pump off. After refill, circulate 15 min at temperature, then retest everything.',
+      notes: t('refresh.considerNotes'),
     });
   }
 
-  return corrections.sort((a, b) => a.order - b.order);
+  return corrections;
+}
+
+function fillWaterLine(fillWater) {
+  const known = Object.entries(fillWater).filter(([k]) => PARAMETERS[k]);
+  return known.length > 0
+    ? t('refresh.fillLine', { values: known.map(([k, v]) => `${PARAMETERS[k].name} ${formatNumber(v)}`).join(', ') })
+    : t('refresh.fillUntested');
+}
+
+// ── Sanitizer demand ──
+// Daily use is worked out from consecutive tests: the first level, plus what
+// logged treatments added in between, minus the second level, over the days
+// between them. Heat and bather load change demand, so only recent pairs
+// count. Treatments record what each step changed as { [paramKey]: delta }.
+const DEMAND_PAIRS = 5;
+const DEMAND_MAX_GAP_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sanitizerKey(sanitizerType) {
+  return sanitizerType === 'bromine' ? 'bromine' : 'freeChlorine';
+}
+
+// Sanitizer added by treatments logged in [from, to). null when one of them
+// predates change tracking, so the amount is unknown.
+function sanitizerAdded(treatments, key, from, to) {
+  let added = 0;
+  for (const t of treatments) {
+    const time = new Date(t.date).getTime();
+    if (time < from || time >= to) continue;
+    if (!t.changes) return null;
+    added += t.changes[key] || 0;
+  }
+  return added;
+}
+
+// Average sanitizer use in ppm per day, or null with too little history.
+// Returns { key, ratePerDay, pairs }.
+export function estimateSanitizerDemand(history, treatments = [], sanitizerType = 'chlorine') {
+  const key = sanitizerKey(sanitizerType);
+  const tests = history
+    .filter(e => Number.isFinite(e.readings?.[key]) && (e.sanitizerType || sanitizerType) === sanitizerType)
+    .map(e => ({ time: new Date(e.date).getTime(), value: e.readings[key] }))
+    .sort((a, b) => a.time - b.time);
+
+  let used = 0, days = 0, pairs = 0;
+  for (let i = tests.length - 1; i > 0 && pairs < DEMAND_PAIRS; i--) {
+    const a = tests[i - 1], b = tests[i];
+    const gap = (b.time - a.time) / DAY_MS;
+    if (gap < 1 / 24 || gap > DEMAND_MAX_GAP_DAYS) continue;
+    const added = sanitizerAdded(treatments, key, a.time, b.time);
+    if (added === null) continue;
+    const pairUsed = a.value + added - b.value;
+    // A rise with nothing logged is a missed treatment or strip error
+    if (pairUsed < 0) continue;
+    used += pairUsed;
+    days += gap;
+    pairs++;
+  }
+  if (pairs === 0) return null;
+  return { key, ratePerDay: used / days, pairs };
+}
+
+// Predicted sanitizer level now, when it drops below the range minimum, and
+// the dose that brings it back to the middle of the range at that point.
+// Returns null without a demand estimate, otherwise
+//   { key, ratePerDay, level, belowAt: Date | null, dose: { chemical, amount, change, lastsDays } | null }
+export function predictSanitizer(history, treatments = [], { volumeGallons, sanitizerType = 'chlorine', ranges = {}, products = {}, units = DEFAULT_UNITS, now = Date.now() }) {
+  const demand = estimateSanitizerDemand(history, treatments, sanitizerType);
+  if (!demand) return null;
+  const { key, ratePerDay } = demand;
+
+  const last = [...history].reverse().find(e => Number.isFinite(e.readings?.[key]));
+  const lastTime = new Date(last.date).getTime();
+  const added = sanitizerAdded(treatments, key, lastTime, now) || 0;
+  const level = roundReading(key, Math.max(0, last.readings[key] + added - ratePerDay * (now - lastTime) / DAY_MS));
+
+  const range = getRange(key, ranges);
+  if (ratePerDay <= 0) return { key, ratePerDay, level, belowAt: null, dose: null };
+
+  const daysLeft = Math.max(0, (level - range.idealMin) / ratePerDay);
+  const target = (range.idealMin + range.idealMax) / 2;
+  // Dosed at the minimum, or from today's level if it's already below
+  const change = roundReading(key, target - Math.min(level, range.idealMin));
+  const job = key === 'bromine' ? 'bromineUp' : 'chlorineUp';
+  const product = products[job] || getProduct(DEFAULT_PRODUCTS[job]);
+  return {
+    key,
+    ratePerDay,
+    level,
+    belowAt: new Date(now + daysLeft * DAY_MS),
+    dose: {
+      chemical: product.name,
+      amount: formatDose(calculateDose(product, job, change, volumeGallons), product, units),
+      change,
+      lastsDays: (target - range.idealMin) / ratePerDay,
+    },
+  };
 }
 
 // Build a spoken summary of the test results
-export function buildSpeechScript(readings, sanitizerType = 'chlorine') {
-  const lines = ['Here are your spa water test results.'];
+export function buildSpeechScript(readings, sanitizerType = 'chlorine', ranges = {}) {
+  const lines = [t('speech.intro')];
 
   const paramsToRead = sanitizerType === 'bromine'
     ? ['pH', 'totalAlkalinity', 'totalHardness', 'bromine']
-    : ['pH', 'totalAlkalinity', 'totalHardness', 'freeChlorine', 'cyanuricAcid'];
+    : ['pH', 'totalAlkalinity', 'totalHardness', 'freeChlorine', 'combinedChlorine', 'cyanuricAcid'];
+
+  const values = sanitizerType === 'bromine'
+    ? readings
+    : { ...readings, combinedChlorine: getCombinedChlorine(readings) };
 
   for (const key of paramsToRead) {
-    if (readings[key] === undefined) continue;
-    const val = readings[key];
+    if (values[key] === undefined) continue;
+    const val = values[key];
     const param = PARAMETERS[key];
-    const status = getStatus(key, val);
-    const statusWord = status === 'ok' ? 'in the ideal range'
-      : status === 'low' ? 'low' : 'high';
+    const status = getStatus(key, val, ranges);
+    const statusWord = t(`speech.${status}`);
 
     if (key === 'pH') {
-      lines.push(`pH is ${val.toFixed(1)}, which is ${statusWord}.`);
+      lines.push(t('speech.pH', { value: formatNumber(val, 1), status: statusWord }));
     } else {
-      lines.push(`${param.name} is ${val} ${param.unit}, which is ${statusWord}.`);
+      lines.push(t('speech.reading', { name: param.name, value: val, unit: param.unit, status: statusWord }));
     }
   }
 
@@ -91,8 +91,31 @@ export const COLOR_CHARTS = {
 
 // --- Color space conversion and matching ---
 
-// sRGB (0-1) to CIELAB
-function rgbToLab(r, g, b) {
+// D65 reference white (the illuminant the chart colors are defined under)
+const D65 = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+// Bradford cone response matrix and its inverse, for chromatic adaptation
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296],
+];
+const BRADFORD_INV = [
+  [0.9869929, -0.1470543, 0.1599627],
+  [0.4323053, 0.5183603, 0.0492912],
+  [-0.0085287, 0.0400428, 0.9684867],
+];
+
+function mul3(m, v) {
+  return [
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2],
+  ];
+}
+
+// sRGB (0-1) to CIE XYZ (D65)
+function rgbToXyz(r, g, b) {
   // Linearize sRGB
   const linearize = c => c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
   const rL = linearize(r);
@@ -100,17 +123,41 @@ function rgbToLab(r, g, b) {
   const bL = linearize(b);
 
   // Linear RGB to XYZ (D65)
-  const x = rL * 0.4124564 + gL * 0.3575761 + bL * 0.1804375;
-  const y = rL * 0.2126729 + gL * 0.7151522 + bL * 0.0721750;
-  const z = rL * 0.0193339 + gL * 0.1191920 + bL * 0.9503041;
+  return {
+    x: rL * 0.4124564 + gL * 0.3575761 + bL * 0.1804375,
+    y: rL * 0.2126729 + gL * 0.7151522 + bL * 0.0721750,
+    z: rL * 0.0193339 + gL * 0.1191920 + bL * 0.9503041,
+  };
+}
+
+// Bradford von Kries adaptation: map XYZ seen under the photographed white
+// to what it would be under D65. Also normalizes exposure, since the white
+// reference is mapped to Y = 1.
+function adaptToD65(xyz, whiteXyz) {
+  const src = mul3(BRADFORD, [whiteXyz.x, whiteXyz.y, whiteXyz.z]);
+  const dst = mul3(BRADFORD, [D65.x, D65.y, D65.z]);
+  const cone = mul3(BRADFORD, [xyz.x, xyz.y, xyz.z]);
+  const scaled = cone.map((c, i) => c * dst[i] / Math.max(src[i], 1e-6));
+  const [x, y, z] = mul3(BRADFORD_INV, scaled);
+  return { x, y, z };
+}
+
+// sRGB (0-1) to CIELAB. Pass a white reference ({ r, g, b }, 0-255) from
+// calibration to correct for the lighting before conversion.
+export function rgbToLab(r, g, b, whiteRef = null) {
+  let { x, y, z } = rgbToXyz(r, g, b);
+
+  if (whiteRef) {
+    const whiteXyz = rgbToXyz(whiteRef.r / 255, whiteRef.g / 255, whiteRef.b / 255);
+    ({ x, y, z } = adaptToD65({ x, y, z }, whiteXyz));
+  }
 
   // XYZ to Lab
-  const xRef = 0.95047, yRef = 1.0, zRef = 1.08883;
   const f = t => t > 0.008856 ? Math.cbrt(t) : (t * 7.787) + 16 / 116;
 
-  const fx = f(x / xRef);
-  const fy = f(y / yRef);
-  const fz = f(z / zRef);
+  const fx = f(x / D65.x);
+  const fy = f(y / D65.y);
+  const fz = f(z / D65.z);
 
   return {
     l: 116 * fy - 16,
@@ -119,6 +166,26 @@ function rgbToLab(r, g, b) {
   };
 }
 
+// Build a white reference from a sampled white area (strip handle, white card).
+// Estimates the illuminant's correlated color temperature (McCamy's formula)
+// so it can be shown to the user and stored with the reading.
+// Returns null if the sample is too dark or too colorful to be a white surface.
+export function createWhiteReference(r, g, b) {
+  const xyz = rgbToXyz(r / 255, g / 255, b / 255);
+  const sum = xyz.x + xyz.y + xyz.z;
+  if (xyz.y < 0.1 || sum <= 0) return null;
+
+  const cx = xyz.x / sum;
+  const cy = xyz.y / sum;
+  // Far from the daylight/blackbody locus: probably not a white surface
+  if (Math.hypot(cx - 0.3127, cy - 0.3290) > 0.12) return null;
+
+  const n = (cx - 0.3320) / (0.1858 - cy);
+  const cct = Math.round(449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33);
+
+  return { r, g, b, cct };
+}
+
 // CIE76 Delta-E (Euclidean distance in Lab space)
 function deltaE76(lab1, lab2) {
   const dl = lab1.l - lab2.l;
@@ -127,20 +194,107 @@ function deltaE76(lab1, lab2) {
   return Math.sqrt(dl * dl + da * da + db * db);
 }
 
+// CIE94 Delta-E (graphic arts weights: kL = 1, K1 = 0.045, K2 = 0.015)
+function deltaE94(lab1, lab2) {
+  const dl = lab1.l - lab2.l;
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const dc = c1 - c2;
+  const da = lab1.a - lab2.a;
+  const db = lab1.b - lab2.b;
+  const dh2 = Math.max(0, da * da + db * db - dc * dc);
+  const sc = 1 + 0.045 * c1;
+  const sh = 1 + 0.015 * c1;
+  return Math.sqrt(dl * dl + (dc / sc) ** 2 + dh2 / (sh * sh));
+}
+
+// CIEDE2000 Delta-E (Sharma, Wu & Dalal reference implementation, kL = kC = kH = 1)
+function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cBar7 = ((c1 + c2) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + 25 ** 7)));
+
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const hp1 = hue(lab1.b, a1);
+  const hp2 = hue(lab2.b, a2);
+
+  const dLp = lab2.l - lab1.l;
+  const dCp = cp2 - cp1;
+  let dhp = 0;
+  if (cp1 * cp2 !== 0) {
+    dhp = hp2 - hp1;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dhp / 2) * rad);
+
+  const lBar = (lab1.l + lab2.l) / 2;
+  const cpBar = (cp1 + cp2) / 2;
+  let hpBar = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    if (Math.abs(hp1 - hp2) <= 180) hpBar /= 2;
+    else hpBar = hpBar < 360 ? (hpBar + 360) / 2 : (hpBar - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hpBar - 30) * rad)
+    + 0.24 * Math.cos(2 * hpBar * rad)
+    + 0.32 * Math.cos((3 * hpBar + 6) * rad)
+    - 0.20 * Math.cos((4 * hpBar - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hpBar - 275) / 25) ** 2));
+  const cpBar7 = cpBar ** 7;
+  const rc = 2 * Math.sqrt(cpBar7 / (cpBar7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lBar - 50) ** 2) / Math.sqrt(20 + (lBar - 50) ** 2);
+  const sc = 1 + 0.045 * cpBar;
+  const sh = 1 + 0.015 * cpBar * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    (dLp / sl) ** 2
+    + (dCp / sc) ** 2
+    + (dHp / sh) ** 2
+    + rt * (dCp / sc) * (dHp / sh)
+  );
+}
+
+// Available color difference formulas, selectable in Settings
+export const DELTA_E_METHODS = {
+  ciede2000: { name: 'CIEDE2000', fn: deltaE2000 },
+  cie94: { name: 'CIE94', fn: deltaE94 },
+  cie76: { name: 'CIE76', fn: deltaE76 },
+};
+
+function getDeltaE(metric) {
+  return (DELTA_E_METHODS[metric] || DELTA_E_METHODS.ciede2000).fn;
+}
+
 // Match a sampled RGB color against a reference chart
 // Returns { value, deltaE, refColor } for the best match
-export function matchColor(sampledR, sampledG, sampledB, chartKey) {
-  const chart = COLOR_CHARTS[chartKey];
+// Options: whiteRef (white balance reference), metric (key of DELTA_E_METHODS),
+// charts (chart set from a strip profile; defaults to COLOR_CHARTS)
+export function matchColor(sampledR, sampledG, sampledB, chartKey, { whiteRef = null, metric = 'ciede2000', charts = COLOR_CHARTS } = {}) {
+  const chart = charts[chartKey];
   if (!chart) return null;
 
-  const sampledLab = rgbToLab(sampledR / 255, sampledG / 255, sampledB / 255);
+  const deltaE = getDeltaE(metric);
+  const sampledLab = rgbToLab(sampledR / 255, sampledG / 255, sampledB / 255, whiteRef);
 
   let bestMatch = null;
   let bestDeltaE = Infinity;
 
   for (const ref of chart.colors) {
     const refLab = rgbToLab(ref.r / 255, ref.g / 255, ref.b / 255);
-    const dE = deltaE76(sampledLab, refLab);
+    const dE = deltaE(sampledLab, refLab);
     if (dE < bestDeltaE) {
       bestDeltaE = dE;
       bestMatch = ref;
@@ -154,36 +308,62 @@ export function matchColor(sampledR, sampledG, sampledB, chartKey) {
   };
 }
 
-// Interpolated match: use inverse-distance weighting between two closest matches
-export function matchColorInterpolated(sampledR, sampledG, sampledB, chartKey) {
-  const chart = COLOR_CHARTS[chartKey];
+// Interpolated match along the chart's color curve.
+//
+// The swatches, ordered by value, form a polyline in Lab space. The sample is
+// projected onto each segment between neighbouring levels and the closest
+// projection wins. Its position along that segment gives the value, so only
+// adjacent levels are ever blended. The distance from the sample to the curve
+// (offCurve) measures how well the color fits the scale at all, and drives
+// the confidence rating.
+//
+// Returns { value, deltaE, offCurve, confidence, between: [lowValue, highValue] }
+export function matchColorInterpolated(sampledR, sampledG, sampledB, chartKey, { whiteRef = null, metric = 'ciede2000', charts = COLOR_CHARTS } = {}) {
+  const chart = charts[chartKey];
   if (!chart) return null;
 
-  const sampledLab = rgbToLab(sampledR / 255, sampledG / 255, sampledB / 255);
+  const deltaE = getDeltaE(metric);
+  const sampledLab = rgbToLab(sampledR / 255, sampledG / 255, sampledB / 255, whiteRef);
 
-  const matches = chart.colors.map(ref => {
-    const refLab = rgbToLab(ref.r / 255, ref.g / 255, ref.b / 255);
-    return { ref, deltaE: deltaE76(sampledLab, refLab) };
-  }).sort((a, b) => a.deltaE - b.deltaE);
+  const levels = [...chart.colors]
+    .sort((a, b) => a.value - b.value)
+    .map(ref => ({ ref, lab: rgbToLab(ref.r / 255, ref.g / 255, ref.b / 255) }));
 
-  const m1 = matches[0];
-  const m2 = matches[1];
+  // Distance to the nearest swatch, reported alongside the curve fit
+  const nearest = Math.min(...levels.map(lv => deltaE(sampledLab, lv.lab)));
 
-  // If perfect match, return directly
-  if (m1.deltaE < 1) return { value: m1.ref.value, deltaE: m1.deltaE, confidence: 'high' };
+  let best = null;
+  for (let i = 0; i < levels.length - 1; i++) {
+    const a = levels[i].lab;
+    const b = levels[i + 1].lab;
+    const seg = { l: b.l - a.l, a: b.a - a.a, b: b.b - a.b };
+    const len2 = seg.l * seg.l + seg.a * seg.a + seg.b * seg.b;
+    const rel = {
+      l: sampledLab.l - a.l,
+      a: sampledLab.a - a.a,
+      b: sampledLab.b - a.b,
+    };
+    const t = len2 > 0
+      ? Math.min(1, Math.max(0, (rel.l * seg.l + rel.a * seg.a + rel.b * seg.b) / len2))
+      : 0;
+    const point = { l: a.l + seg.l * t, a: a.a + seg.a * t, b: a.b + seg.b * t };
+    const dist = deltaE(sampledLab, point);
+    if (!best || dist < best.dist) best = { i, t, dist };
+  }
 
-  // Inverse-distance weighted interpolation
-  const w1 = 1 / Math.max(m1.deltaE, 0.001);
-  const w2 = 1 / Math.max(m2.deltaE, 0.001);
-  const value = (m1.ref.value * w1 + m2.ref.value * w2) / (w1 + w2);
+  const lo = levels[best.i].ref.value;
+  const hi = levels[best.i + 1].ref.value;
+  const value = lo + (hi - lo) * best.t;
 
-  // Confidence based on deltaE of best match
-  const confidence = m1.deltaE < 10 ? 'high' : m1.deltaE < 25 ? 'medium' : 'low';
+  // Confidence based on how far the sample sits off the color curve
+  const confidence = best.dist < 6 ? 'high' : best.dist < 15 ? 'medium' : 'low';
 
   return {
     value: Math.round(value * 10) / 10, // round to 1 decimal
-    deltaE: m1.deltaE,
+    deltaE: nearest,
+    offCurve: best.dist,
     confidence,
+    between: [lo, hi],
   };
 }
 
@@ -0,0 +1,258 @@
+// Readings dictated by voice: "pH seven point four, alkalinity one twenty"
+//
+// A transcript is read left to right. Each parameter name (or synonym) is
+// followed by its value, spoken in words or given as digits by the
+// recognizer. Values are whatever number words follow the name up to the
+// next name.
+//
+// SPOKEN NUMBERS:
+//   "seven point four"        → 7.4   ("oh" or "zero" for 0 after the point)
+//   "one hundred twenty"      → 120
+//   "one twenty"              → 120   (said in parts, as people read gauges)
+//   "two fifty" / "2 50"      → 250
+//   "a hundred and five"      → 105
+//
+// LANGUAGES: names and number words for each locale, written the way
+// tokenize() leaves them: lowercase and without accents. Spanish and German
+// say and write a decimal comma ("siete coma cuatro", "7,4"). German runs
+// numbers together, so those words are taken apart first:
+//   "zweihundertfünfundzwanzig" → zwei hundert zwanzig funf → 225
+
+import { PARAMETERS } from './chemistry.js';
+import { t, getLocale } from './i18n.js';
+
+// Longest names are tried first, so "total chlorine" wins over "chlorine"
+export const PARAMETER_NAMES = {
+  en: {
+    pH: ['ph', 'p h', 'pea h', 'p age'],
+    totalAlkalinity: ['total alkalinity', 'alkalinity', 'alk', 'alc', 'ta', 't a'],
+    totalHardness: ['calcium hardness', 'calcium', 'hardness', 'ch', 'c h'],
+    freeChlorine: ['free chlorine', 'chlorine', 'free', 'fc', 'f c'],
+    totalChlorine: ['total chlorine', 'tc', 't c'],
+    bromine: ['total bromine', 'bromine', 'br'],
+    cyanuricAcid: ['cyanuric acid', 'cyanuric', 'stabilizer', 'cya', 'c y a'],
+  },
+  es: {
+    pH: ['ph', 'p h', 'pe hache'],
+    totalAlkalinity: ['alcalinidad total', 'alcalinidad', 'ta', 't a'],
+    totalHardness: ['dureza calcica', 'dureza de calcio', 'calcio', 'dureza', 'ch', 'c h'],
+    freeChlorine: ['cloro libre', 'cloro', 'libre', 'cl'],
+    totalChlorine: ['cloro total', 'ct', 'c t'],
+    bromine: ['bromo total', 'bromo', 'br'],
+    cyanuricAcid: ['acido cianurico', 'cianurico', 'estabilizador', 'cya'],
+  },
+  de: {
+    pH: ['ph', 'ph wert', 'p h', 'pe ha'],
+    totalAlkalinity: ['gesamtalkalitat', 'alkalitat', 'alkalinitat', 'ta', 't a'],
+    totalHardness: ['calciumharte', 'kalziumharte', 'calcium', 'kalzium', 'harte', 'ch', 'c h'],
+    freeChlorine: ['freies chlor', 'freichlor', 'chlor', 'frei', 'fc', 'f c'],
+    totalChlorine: ['gesamtchlor', 'gesamtes chlor', 'tc', 't c'],
+    bromine: ['gesamtbrom', 'brom', 'br'],
+    cyanuricAcid: ['cyanursaure', 'cyanur', 'stabilisator', 'cya'],
+  },
+};
+
+// units fill the ones place of a round number, teens and tens the tens
+// place of a hundred. hundreds are whole hundreds said in one word
+// ("doscientos"); hundred multiplies what came before it.
+const NUMBER_WORDS = {
+  en: {
+    units: {
+      zero: 0, oh: 0, o: 0, one: 1, two: 2, to: 2, too: 2, three: 3, four: 4, for: 4, five: 5,
+      six: 6, seven: 7, eight: 8, ate: 8, nine: 9,
+    },
+    teens: {
+      ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+      sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+    },
+    tens: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+    hundreds: {},
+    hundred: 'hundred',
+    a: 'a', // "a hundred"
+    point: ['point'],
+    and: 'and',
+    fillers: ['is', 'at', 'of', 'equals', 'reads', 'reading'],
+  },
+  es: {
+    units: {
+      cero: 0, uno: 1, un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5,
+      seis: 6, siete: 7, ocho: 8, nueve: 9,
+    },
+    teens: {
+      diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+      dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+      veintiuno: 21, veintiun: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+      veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+    },
+    tens: { veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90 },
+    hundreds: {
+      cien: 100, ciento: 100, doscientos: 200, trescientos: 300, cuatrocientos: 400,
+      quinientos: 500, seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900,
+    },
+    hundred: null,
+    a: null,
+    point: ['coma', 'punto'],
+    and: 'y',
+    fillers: ['es', 'de', 'en', 'esta', 'marca', 'igual', 'a'],
+    decimalComma: true,
+  },
+  de: {
+    units: {
+      null: 0, ein: 1, eins: 1, eine: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, funf: 5,
+      sechs: 6, sieben: 7, acht: 8, neun: 9,
+    },
+    teens: {
+      zehn: 10, elf: 11, zwolf: 12, dreizehn: 13, vierzehn: 14, funfzehn: 15,
+      sechzehn: 16, siebzehn: 17, achtzehn: 18, neunzehn: 19,
+    },
+    tens: { zwanzig: 20, dreissig: 30, vierzig: 40, funfzig: 50, sechzig: 60, siebzig: 70, achtzig: 80, neunzig: 90 },
+    hundreds: {},
+    hundred: 'hundert',
+    a: null,
+    point: ['komma', 'punkt'],
+    and: 'und',
+    fillers: ['ist', 'bei', 'von', 'liegt', 'hat', 'betragt', 'gleich', 'wert'],
+    decimalComma: true,
+    split: splitGermanNumber,
+  },
+};
+
+// "zweihundertfunfundzwanzig" → ['zwei', 'hundert', 'zwanzig', 'funf']:
+// tens before units, as the other languages say them
+function splitGermanNumber(token) {
+  const hundred = token.match(/^(.*?)hundert(.*)$/);
+  if (hundred) return [...splitGermanNumber(hundred[1]), 'hundert', ...splitGermanNumber(hundred[2])];
+  const compound = token.match(/^(\w+)und(\w+)$/);
+  if (compound && compound[1] in NUMBER_WORDS.de.units && compound[2] in NUMBER_WORDS.de.tens) {
+    return [compound[2], compound[1]];
+  }
+  return token ? [token] : [];
+}
+
+function isNumberWord(token, words) {
+  return token in words.units || token in words.teens || token in words.tens || token in words.hundreds
+    || token === words.hundred || words.point.includes(token) || token === words.a || /^\d+(\.\d+)?$/.test(token);
+}
+
+// Digit string for whole-number words, e.g. ['one', 'twenty'] → '120'.
+// A word that can't extend the number so far starts a new part, and the
+// parts are written one after another.
+function wholeNumber(tokens, words) {
+  const parts = [];
+  let current = null;
+  const flush = () => {
+    if (current !== null) parts.push(String(current));
+    current = null;
+  };
+  tokens.forEach((token, i) => {
+    if (/^\d+(\.\d+)?$/.test(token)) {
+      flush();
+      parts.push(token);
+    } else if (token in words.units) {
+      // Fills the ones place of "twenty" or "two hundred"
+      if (current !== null && current >= 20 && current % 10 === 0) current += words.units[token];
+      else {
+        flush();
+        current = words.units[token];
+      }
+    } else if (token in words.teens || token in words.tens) {
+      const value = words.teens[token] ?? words.tens[token];
+      if (current !== null && current >= 100 && current % 100 === 0) current += value;
+      else {
+        flush();
+        current = value;
+      }
+    } else if (token in words.hundreds) {
+      flush();
+      current = words.hundreds[token];
+    } else if (token === words.hundred) {
+      current = (current ?? 1) * 100;
+    } else if (token === words.a && tokens[i + 1] === words.hundred) {
+      flush();
+      current = 1;
+    }
+  });
+  flush();
+  return parts.join('');
+}
+
+// Value of a run of number words, or null if there is no number in it
+export function parseSpokenNumber(tokens, words = NUMBER_WORDS.en) {
+  const said = tokens.filter(token => token !== words.and);
+  const point = said.findIndex(token => words.point.includes(token));
+  const whole = wholeNumber(point < 0 ? said : said.slice(0, point), words);
+  // Digits after "point" are read one at a time: "seven point two five"
+  const fraction = point < 0 ? '' : wholeNumber(said.slice(point + 1), words);
+  const text = `${whole || (fraction ? '0' : '')}${fraction ? `.${fraction}` : ''}`;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+function tokenize(text, words) {
+  const plain = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+  const digits = words.decimalComma
+    ? plain.replace(/(\d)\.(\d{3})(?!\d)/g, '$1$2').replace(/(\d),(\d)/g, '$1.$2')
+    : plain.replace(/(\d),(\d{3})/g, '$1$2');
+  return digits
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .replace(/\.(?!\d)|(?<!\d)\./g, ' ')
+    .trim()
+    .split(/\s+/)
+    .flatMap(token => (words.split ? words.split(token) : [token]))
+    .filter(Boolean);
+}
+
+// Parameter name starting at tokens[i]: { key, length } or null
+function nameAt(tokens, i, keys, names) {
+  let best = null;
+  for (const key of keys) {
+    for (const name of names[key]) {
+      const words = name.split(' ');
+      if ((!best || words.length > best.length) && words.every((w, j) => tokens[i + j] === w)) {
+        best = { key, length: words.length };
+      }
+    }
+  }
+  return best;
+}
+
+// Readings in a transcript.
+//   keys: parameters that can be dictated (e.g. no chlorine for bromine spas)
+// Returns { readings: { [key]: value }, problems: [text] } — problems are
+// names heard without a usable value, for the confirmation screen.
+export function parseDictation(transcript, keys = Object.keys(PARAMETER_NAMES.en)) {
+  const names = PARAMETER_NAMES[getLocale()] || PARAMETER_NAMES.en;
+  const words = NUMBER_WORDS[getLocale()] || NUMBER_WORDS.en;
+  const tokens = tokenize(transcript, words);
+  const readings = {};
+  const problems = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    const name = nameAt(tokens, i, keys, names);
+    if (!name) {
+      i++;
+      continue;
+    }
+    i += name.length;
+    while (words.fillers.includes(tokens[i])) i++;
+    const start = i;
+    // "and" belongs to the number only inside it: "a hundred and five"
+    const inNumber = (j) => j < tokens.length && !nameAt(tokens, j, keys, names)
+      && (isNumberWord(tokens[j], words) || (tokens[j] === words.and && j > start && isNumberWord(tokens[j + 1] || '', words)));
+    while (inNumber(i)) i++;
+    const value = parseSpokenNumber(tokens.slice(start, i), words);
+    const param = PARAMETERS[name.key];
+    if (value === null) {
+      problems.push(t('dictation.noValue', { name: param.name }));
+    } else if (name.key === 'pH' && value > 14 && value < 100 && Number.isInteger(value)) {
+      // "pH seven four" is 7.4
+      readings.pH = value / 10;
+    } else if (name.key === 'pH' && (value < 0 || value > 14)) {
+      problems.push(t('dictation.notPh', { value }));
+    } else {
+      readings[name.key] = value;
+    }
+  }
+  return { readings, problems };
+}
@@ -0,0 +1,48 @@
+// Drop-count (titration) test kits: turning drops of reagent into readings
+//
+// A titration adds reagent one drop at a time until the sample changes color.
+// Each drop stands for a fixed amount, set by the kit and the sample size:
+//   reading = drops × factor
+// A smaller sample gives a coarser reading (more ppm per drop) and uses less
+// reagent. Factors follow the kit instructions.
+//
+// FAS-DPD reads total halogen. Bromine is reported as 2.25 × the chlorine
+// value (the mass ratio of Br2 to Cl2, as in products.js).
+//
+// Tests the kit has but that aren't titrations (pH comparator, CYA turbidity
+// tube) are typed in directly.
+
+// FAS-DPD: free chlorine first, then add the combined chlorine reagent and keep
+// counting. The total count (free plus the extra drops) is total chlorine.
+const FAS_DPD = { 10: 0.5, 25: 0.2 };
+
+export const DROP_KITS = [
+  {
+    id: 'taylor-k2006',
+    name: 'Taylor K-2006',
+    tests: {
+      freeChlorine: { reagent: 'FAS-DPD (R-0871)', factors: FAS_DPD },
+      totalChlorine: { reagent: 'FAS-DPD + R-0003, total drops', factors: FAS_DPD },
+      bromine: { reagent: 'FAS-DPD (R-0871)', factors: { 10: FAS_DPD[10] * 2.25, 25: FAS_DPD[25] * 2.25 } },
+      totalAlkalinity: { reagent: 'R-0009', factors: { 10: 25, 25: 10 } },
+      totalHardness: { reagent: 'R-0012', factors: { 10: 25, 25: 10 } },
+    },
+  },
+];
+
+export function getDropKit(id) {
+  return DROP_KITS.find(k => k.id === id) || DROP_KITS[0];
+}
+
+// Sample sizes (mL) the kit's test for a parameter allows, smallest first
+export function sampleSizes(kit, key) {
+  return Object.keys(kit.tests[key]?.factors || {}).map(Number).sort((a, b) => a - b);
+}
+
+// Reading from a drop count, or null if the kit has no titration for the
+// parameter at that sample size
+export function dropReading(kit, key, drops, sampleMl) {
+  const factor = kit.tests[key]?.factors[sampleMl];
+  if (factor === undefined || !Number.isFinite(drops) || drops < 0) return null;
+  return Math.round(drops * factor * 100) / 100;
+}
@@ -0,0 +1,93 @@
+// Localization: message catalogs, and numbers and dates in the user's language
+//
+// CATALOGS: one per language in js/locales/, mapping message keys to text.
+// Placeholders in braces are filled from params:
+//   t('home.dipTimer', { seconds: 15 })   'Read the strip {seconds} seconds after dipping.'
+// Number params are formatted for the locale (7.4 → "7,4" in German). A
+// message that depends on a count is an object of plural forms, picked with
+// Intl.PluralRules from params.count:
+//   { one: '{count} step', other: '{count} steps' }
+// Keys missing from a catalog fall back to English, so a new message can ship
+// before it is translated.
+//
+// SPEECH: each locale names the language spoken and listened for (see
+// speech.js).
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+import de from './locales/de.js';
+
+export const LOCALES = {
+  en: { name: 'English', speech: 'en-US', catalog: en },
+  es: { name: 'Español', speech: 'es-ES', catalog: es },
+  de: { name: 'Deutsch', speech: 'de-DE', catalog: de },
+};
+
+let locale = 'en';
+let numberFormats = {};
+let pluralRules = new Intl.PluralRules('en');
+
+// First of the browser's preferred languages that has a catalog
+export function detectLocale() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language || 'en'];
+  for (const tag of preferred) {
+    const code = tag.toLowerCase().split('-')[0];
+    if (LOCALES[code]) return code;
+  }
+  return 'en';
+}
+
+export function setLocale(code) {
+  locale = LOCALES[code] ? code : 'en';
+  numberFormats = {};
+  pluralRules = new Intl.PluralRules(locale);
+  document.documentElement.lang = locale;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+// BCP 47 tag for speech synthesis and recognition, e.g. 'de-DE'
+export function speechLanguage() {
+  return LOCALES[locale].speech;
+}
+
+export function t(key, params = {}) {
+  let message = LOCALES[locale].catalog[key] ?? en[key];
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+// decimals: exactly that many, or up to 2 when left out
+export function formatNumber(value, decimals) {
+  const id = decimals ?? 'auto';
+  numberFormats[id] ||= new Intl.NumberFormat(locale, decimals === undefined
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return numberFormats[id].format(value);
+}
+
+export function formatDate(date, options = {}) {
+  return new Date(date).toLocaleDateString(locale, options);
+}
+
+export function formatTime(date, options = { hour: '2-digit', minute: '2-digit' }) {
+  return new Date(date).toLocaleTimeString(locale, options);
+}
+
+export function formatDateTime(date, options) {
+  return new Date(date).toLocaleString(locale, options);
+}
+
+// "A, B and C" in the locale's words
+export function formatList(items) {
+  return new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+}
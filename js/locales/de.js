@@ -0,0 +1,680 @@
+// German messages (see en.js for the full list of keys)
+
+export default {
+  // ── Common ──
+  'common.cancel': 'Abbrechen',
+  'common.clear': 'Entfernen',
+  'common.done': 'Fertig',
+  'common.import': 'Importieren',
+  'common.export': 'Exportieren',
+  'common.delete': 'Löschen',
+  'common.notJson': 'Die Datei ist kein gültiges JSON.',
+
+  // ── Storage and bodies of water ──
+  'storage.saveFailed': 'Deine Änderungen konnten nicht gespeichert werden: {message}',
+  'storage.openFailed': 'Deine gespeicherten Daten konnten nicht geöffnet werden ({message}). Änderungen werden nicht gespeichert.',
+  'water.firstName': 'Mein Whirlpool',
+  'water.newName': 'Becken {number}',
+
+  // ── Home ──
+  'home.now': 'Jetzt',
+  'home.never': 'Nie',
+  'home.lastTest': 'Letzter Test',
+  'home.sanitizerUse': '{name}-Verbrauch',
+  'home.perDay': '~{rate} {unit}/Tag',
+  'home.nextDose': 'Nächste Dosis',
+  'home.nextDoseNote': {
+    one: '{amount} {chemical} zugeben (+{change} {unit}), reicht etwa {count} Tag.',
+    other: '{amount} {chemical} zugeben (+{change} {unit}), reicht etwa {count} Tage.',
+  },
+  'home.estimatedLevel': 'Jetzt geschätzt {level} {unit}; letzter Test {date}.',
+  'home.volume.gallons': '{volume} Gallonen',
+  'home.volume.liters': '{volume} Liter',
+  'home.notSet': 'Nicht festgelegt',
+  'home.subtitle': 'Wassertester für Whirlpool und Pool',
+  'home.addWater': 'Becken hinzufügen',
+  'home.volume': 'Volumen',
+  'home.sanitizer': 'Desinfektion',
+  'sanitizer.chlorine': 'Chlor',
+  'sanitizer.bromine': 'Brom',
+  'home.testStrips': 'Teststreifen',
+  'home.retestAfterTreatment': 'Nach der Behandlung neu testen',
+  'home.resumeTreatment': 'Behandlung fortsetzen · Schritt {step} von {total}',
+  'home.scan': 'Teststreifen scannen',
+  'home.enterReadings': 'Werte eingeben',
+  'home.dipTimer': 'Streifen {seconds} Sekunden nach dem Eintauchen ablesen.',
+  'home.startTimer': 'Timer starten',
+  'home.history': 'Verlauf',
+  'home.settings': 'Einstellungen',
+  'home.dipReady': 'Fertig – jetzt den Streifen scannen.',
+  'home.dipReadySpeech': 'Bereit zum Scannen.',
+  'home.dipCountdown': 'Ablesen in {seconds} s …',
+
+  // ── Camera and strip reading ──
+  'camera.title': 'Streifen scannen',
+  'camera.starting': 'Kamera wird gestartet …',
+  'camera.takePhoto': 'Foto aufnehmen',
+  'camera.choosePhoto': 'Stattdessen Foto wählen',
+  'camera.holdSteady': 'Ruhig halten …',
+  'camera.focusing': 'Fokussieren …',
+  'camera.capturing': 'Aufnahme …',
+  'camera.holdThere': 'So halten …',
+  'camera.unavailable': 'Kamera nicht verfügbar ({error}). Wähle stattdessen ein Foto.',
+  'analyze.confidence': 'Sicherheit: {confidence} (ΔE {deltaE} neben der Skala)',
+  'confidence.high': 'hoch',
+  'confidence.medium': 'mittel',
+  'confidence.low': 'niedrig',
+  'analyze.tapWhite': 'Tippe auf eine weiße Fläche: den Griff des Streifens oder eine weiße Karte',
+  'analyze.lightingCorrected': 'Beleuchtung korrigiert (~{cct} K)',
+  'analyze.lightingPrompt': 'Werte daneben? Beleuchtung korrigieren.',
+  'analyze.redo': 'Neu',
+  'analyze.setWhitePoint': 'Weißpunkt setzen',
+  'analyze.notWhite': 'Diese Stelle sieht nicht weiß aus. Tippe auf den weißen Griff des Streifens oder eine weiße Karte.',
+  'analyze.bottleChartInUse': 'Abgleich mit der Dosenskala auf diesem Foto',
+  'analyze.bottleChartPrompt': 'Streifen neben die Skala auf der Dose gehalten?',
+  'analyze.remark': 'Neu markieren',
+  'analyze.useBottleChart': 'Dosenskala verwenden',
+  'chart.progress': 'Dosenskala {step} / {total}',
+  'chart.tapSwatch': 'Tippe auf das Farbfeld {value} der Skala für {name}',
+  'chart.changeValue': 'Ändere den Wert, wenn auf deiner Dose eine andere Zahl steht',
+  'chart.printedValue': 'Aufgedruckter Wert',
+  'chart.undo': 'Rückgängig',
+  'chart.notOnChart': 'Nicht auf der Skala',
+  'chart.next': 'Weiter',
+  'chart.enterValue': 'Bitte gib den Wert ein, der neben diesem Farbfeld steht.',
+  'chart.needTwo': 'Markiere mindestens zwei verschiedene Farbfelder für {name}.',
+  'chart.savePrompt': 'Diese Skala als Streifenprofil für künftige Scans speichern? Gib einen Namen ein oder brich ab, um sie nur für diesen Scan zu verwenden.',
+  'chart.defaultName': '{name} (meine Dose)',
+  'chart.saveFailed': 'Profil konnte nicht gespeichert werden: {message}',
+  'chart.saved': '„{name}“ gespeichert und in den Einstellungen ausgewählt.',
+  'reanalysis.profile': 'Streifenprofil',
+  'reanalysis.asSaved': '{name} (wie gespeichert)',
+  'analyze.reviewPads': 'Felder prüfen',
+  'analyze.checkPads': 'Prüfe die erkannten Felder',
+  'analyze.movePadHint': 'Wähle unten ein Feld und tippe dann auf das Foto, um es zu verschieben',
+  'analyze.flip': 'Reihenfolge umkehren',
+  'analyze.tapManually': 'Von Hand antippen',
+  'analyze.confirm': 'Werte bestätigen',
+  'analyze.step': 'Schritt {progress}',
+  'analyze.tapPad': 'Tippe auf das Feld für {name}',
+  'analyze.detectionFailed': 'Der Streifen wurde nicht automatisch gefunden.',
+  'analyze.tapPadHint': 'Tippe im Foto unten auf das Testfeld',
+  'analyze.confirmPad': 'Bestätigen',
+  'analyze.retry': 'Erneut versuchen',
+  'profile.notObject': 'Das Profil muss ein JSON-Objekt sein.',
+  'profile.wrongFormat': 'Kein Streifenprofil (erwartetes Format: "{format}").',
+  'profile.tooNew': 'Profilversion {version} ist neuer, als diese App unterstützt.',
+  'profile.needsName': 'Das Profil braucht einen Namen.',
+  'profile.needsPadOrder': 'Das Profil braucht eine padOrder-Liste.',
+  'profile.unknownPad': 'Unbekanntes Testfeld "{key}".',
+  'profile.padTwice': 'Testfeld "{key}" ist doppelt aufgeführt.',
+  'profile.fewColors': 'Die Farbskala für "{key}" braucht mindestens zwei Farben.',
+  'profile.invalidColor': 'Die Farbskala für "{key}" hat einen ungültigen Farbeintrag.',
+  'profile.invalidDelay': 'readingDelaySeconds muss zwischen {min} und {max} liegen.',
+
+  // ── Manual entry and dictation ──
+  'manual.perDrop': '{reagent}, {factor} {unit} pro Tropfen',
+  'manual.value': 'Wert',
+  'manual.drops': 'Tropfen',
+  'manual.sample': '{ml} mL Probe',
+  'manual.title': 'Werte eingeben',
+  'manual.dictate': 'Werte diktieren',
+  'manual.dictateHint': 'Sag jeden Test mit seinem Wert, z. B. „pH sieben Komma vier, Alkalität hundertzwanzig, freies Chlor drei“.',
+  'manual.dropKit': 'Tropftest',
+  'manual.hint': 'Gib jeden Wert ein oder stelle eine Titration auf Tropfen um und gib die Anzahl ein. Lass einen Test leer, um ihn auszulassen.',
+  'manual.viewResults': 'Ergebnisse anzeigen',
+  'manual.noReadings': 'Gib mindestens einen Wert ein.',
+  'manual.badPH': 'Der pH-Wert muss zwischen 0 und 14 liegen.',
+  'manual.listening': 'Höre zu …',
+  'manual.notHeard': 'Das habe ich nicht verstanden. Tippe auf Werte diktieren und versuche es noch einmal.',
+  'dictation.title': 'Werte prüfen',
+  'dictation.heard': 'Gehört: „{transcript}“',
+  'dictation.none': 'Keine Werte erkannt.',
+  'dictation.use': 'Diese Werte übernehmen',
+  'dictation.edit': 'Bearbeiten',
+  'dictation.again': 'Erneut diktieren',
+  'dictation.heardSpeech': 'Ich habe verstanden:',
+  'dictation.noneSpeech': 'Ich habe keine Werte erkannt.',
+  'dictation.unclearSpeech': {
+    one: 'Ein Test war unklar.',
+    other: '{count} Tests waren unklar.',
+  },
+  'dictation.noValue': '{name}: kein Wert gehört',
+  'dictation.notPh': 'pH: {value} ist kein pH-Wert',
+
+  // ── Voice control ──
+  'voice.denied': 'Der Zugriff auf das Mikrofon wurde verweigert.',
+  'voice.sayNextStep': 'Sag nächster Schritt, um die Behandlung zu beginnen.',
+  'voice.noTreatment': 'Alles im Bereich. Keine Behandlung nötig.',
+  'voice.inProgress': 'Es läuft bereits eine Behandlung. Ich öffne sie.',
+  'voice.firstAmount': 'Zuerst {amount} {chemical}.',
+  'voice.nothingToRepeat': 'Noch nichts zu wiederholen.',
+  'voice.notHere': 'Das passt hier nicht.',
+  'voice.stop': 'Sprache aus',
+  'voice.start': 'Sprachsteuerung',
+  'voice.hint': 'Sag „nächster Schritt“, „wie viel“, „wiederholen“ …',
+  'voice.listening': 'Höre zu …',
+  'voice.speaking': 'Spreche …',
+  'voice.heard': 'Gehört: „{text}“',
+
+  // ── Results and water balance ──
+  'results.title': 'Testergebnisse',
+  'results.parameter': 'Parameter',
+  'results.value': 'Wert',
+  'results.status': 'Status',
+  'results.ideal': 'Ideal',
+  'balance.title': 'Wasserbalance',
+  'balance.balanced': 'ausgeglichen',
+  'balance.corrosive': 'korrosiv',
+  'balance.scaling': 'kalkabscheidend',
+  'balance.enterTemp': 'Temperatur eingeben',
+  'balance.temp': 'Temp.',
+  'balance.tdsOptional': 'TDS (optional)',
+  'balance.range': 'Zwischen {min} und {max} ist das Wasser ausgeglichen.',
+  'balance.tdsAssumed': 'TDS mit 1000 ppm angenommen.',
+  'balance.planTargets': 'Der Behandlungsplan zielt auf einen ausgeglichenen Index.',
+  'balance.hint': 'Mit der Wassertemperatur wählt der Plan Zielwerte für pH, Alkalität und Härte, die das Wasser als Ganzes ausgleichen.',
+  'results.whiteBalanced': 'Farben für ~{cct} K Licht korrigiert.',
+  'results.expectedAfterTreatment': 'Erwartet nach der Behandlung',
+  'results.dictated': 'Per Sprache diktiert.',
+  'results.entered': 'Von Hand eingegeben.',
+  'results.enteredDrops': 'Von Hand eingegeben, Tropfenzahlen für {kit} umgerechnet.',
+  'results.allClear': 'Alles in Ordnung!',
+  'results.allClearText': 'Deine Wasserwerte liegen in den idealen Bereichen. Viel Spaß im Whirlpool!',
+  'results.viewPlan': {
+    one: 'Behandlungsplan anzeigen ({count} Schritt)',
+    other: 'Behandlungsplan anzeigen ({count} Schritte)',
+  },
+  'results.update': 'Gespeicherten Test aktualisieren',
+  'results.save': 'Im Verlauf speichern',
+  'results.newScan': 'Neuer Scan',
+  'results.updated': 'Gespeicherter Test aktualisiert.',
+  'results.updateGone': 'Der gespeicherte Test, der neu ausgewertet wurde, ist nicht mehr im Verlauf dieses Beckens. Speichere die Werte stattdessen als neuen Test.',
+  'results.saved': 'Ergebnisse im Verlauf gespeichert.',
+  'status.low': 'NIEDRIG',
+  'status.high': 'HOCH',
+  'status.ok': 'OK',
+  'balance.lsi': 'Langelier-Sättigungsindex',
+  'balance.csi': 'Calcit-Sättigungsindex',
+  'speech.intro': 'Hier sind deine Testergebnisse.',
+  'speech.ok': 'im Idealbereich',
+  'speech.low': 'zu niedrig',
+  'speech.high': 'zu hoch',
+  'speech.pH': 'Der pH-Wert ist {value}, also {status}.',
+  'speech.reading': '{name} ist {value} {unit}, also {status}.',
+
+  // ── Treatment plan ──
+  'plan.step': 'Schritt {number}',
+  'plan.why': 'Warum dieser Schritt?',
+  'plan.chemical': 'Mittel:',
+  'plan.amount': 'Menge:',
+  'plan.wait': 'Warten:',
+  'plan.minutes': {
+    one: '{count} Minute',
+    other: '{count} Minuten',
+  },
+  'plan.expectedAfterStep': 'Erwartet nach diesem Schritt',
+  'plan.howCalculated': 'So wurde gerechnet',
+  'plan.stepSpeech': 'Schritt {number}: {action}. {amount} {chemical} zugeben. {minutes} Minuten warten.',
+  'plan.title': 'Behandlungsplan',
+  'plan.orderTitle': 'Warum die Reihenfolge zählt',
+  'plan.orderText': 'Diese Schritte folgen einer festen Reihenfolge, weil jeder Wert die nachfolgenden beeinflusst. Die Alkalität puffert den pH-Wert, der pH-Wert bestimmt die Wirksamkeit der Desinfektion, und das Desinfektionsmittel wirkt nur in ausgeglichenem Wasser mit voller Kraft. Wer Schritte überspringt, verschwendet Mittel und Zeit.',
+  'plan.scheduleTitle': 'Aufgaben planen',
+  'plan.scheduleText': 'Alle Schritte mit zeitgesteuerten Erinnerungen in den Kalender eintragen:',
+  'plan.startTime': 'Startzeit:',
+  'plan.addToCalendar': 'Zum Kalender hinzufügen',
+  'plan.start': 'Behandlung starten',
+  'plan.markDone': 'Behandlung als erledigt markieren',
+  'plan.logged': 'Behandlung eingetragen.',
+  'plan.restartConfirm': 'Es läuft bereits eine Behandlung. Mit diesem Plan neu beginnen?',
+  'plan.speechIntro': 'Hier ist dein Behandlungsplan.',
+  'plan.speechOutro': 'Teste dein Wasser nach allen Schritten erneut.',
+  'plan.invalidStart': 'Bitte wähle eine gültige Startzeit.',
+
+  // ── Plan steps (chemistry.js) ──
+  'calc.strength': '{strength} %',
+  'calc.strengthDensity': '{strength} % bei {density} g/mL',
+  'calc.sideEffect': 'Nebenwirkung: {name} {change} (in späteren Schritten berücksichtigt)',
+  'calc.product': 'Produkt: {product} ({ingredient}, {strength})',
+  'calc.rate': 'Dosierung: {rate} g {basis} pro {step} je {volume}',
+  'calc.yourSpa': 'Dein Becken ({volume}): {steps} × {rate} g × {scale} = {grams} g Wirkstoff',
+  'calc.asLiquid': 'Als Produkt: {grams} g ÷ {divisor} = {ml} mL',
+  'calc.perHundredMl': '{strength} g pro 100 mL',
+  'calc.asSolid': 'Als Produkt: {grams} g ÷ {strength} % = {product} g',
+  'calc.byVolume': 'Nach Volumen: {grams} g ÷ {density} = {ml} mL',
+  'calc.bulkDensity': '{density} g/mL Schüttdichte',
+  'calc.noBulkDensity': '1 g/mL (keine Schüttdichte hinterlegt)',
+  'calc.balanceTarget': 'zusammen mit den anderen Schritten gewählt, um den {index} bei {temp} auszugleichen',
+  'calc.balanceLine': '{index}: jetzt {before} → {after} nach der Behandlung (ausgeglichen ist ±{tolerance})',
+  'calc.balanceCorrosive': '{name} liegt im Idealbereich, aber bei {temp} ist das Wasser korrosiv ({index} {value}). Eine Anpassung auf ~{target} bringt den Index mit der kleinsten chemischen Änderung wieder ins Gleichgewicht.',
+  'calc.balanceScaling': '{name} liegt im Idealbereich, aber bei {temp} scheidet das Wasser Kalk ab ({index} {value}). Eine Anpassung auf ~{target} bringt den Index mit der kleinsten chemischen Änderung wieder ins Gleichgewicht.',
+  'calc.midpoint': 'Mitte des Idealbereichs {min}–{max}',
+  'calc.center': 'Mitte des Idealbereichs {min}–{max}',
+  'calc.target': 'Ziel: {target} ({note})',
+  'calc.raiseBy': 'Erhöhen um: {amount}',
+  'calc.raiseFrom': 'Von {from} auf ~{to} erhöhen',
+  'calc.lowerFrom': 'Von {from} auf ~{to} senken',
+  'calc.raiseByPh': 'Erhöhen um: {amount} pH-Einheiten',
+  'calc.lowerByPh': 'Senken um: {amount} pH-Einheiten',
+  'ta.lowReason': 'Die Gesamtalkalität ist der pH-Puffer des Wassers. Ist sie zu niedrig, schwankt der pH-Wert stark und hält nach dem Einstellen nicht. Wird zuerst der Puffer stabilisiert, halten alle späteren pH-Korrekturen.',
+  'ta.raiseNotes': 'Langsam bei laufender Pumpe zugeben. Nach 20 Minuten erneut testen.',
+  'ta.drainChemical': 'Teilablass + pH-Minus',
+  'ta.drainAmount': '~{pct} % ablassen und nachfüllen, dann mit {chemical} feinjustieren',
+  'ta.drainReason': 'Mit {value} ppm liegt die Alkalität weit über dem Bereich. Nur mit Säure wären {amount} {chemical} nötig, was den pH-Wert abstürzen lassen kann. Ein Teilablass bringt die Alkalität mit weniger chemischer Belastung näher an den Bereich.',
+  'ta.drainCurrent': 'Aktuell: {value} ppm (Ziel: {target} ppm, Überschuss: {excess} ppm)',
+  'ta.chemicalOnly': 'Nur mit Chemie wären nötig: {amount} {chemical}',
+  'ta.drainRecommended': 'Empfohlen: ~{pct} % ablassen (senkt die Alkalität auf ~{result} ppm)',
+  'ta.drainFormula': 'Formel: ({value} − {target}) ÷ ({value} − {fill} Füllwasser) ≈ {pct} %',
+  'ta.fineTune': 'Danach den restlichen Überschuss mit etwas pH-Minus feinjustieren',
+  'ta.drainNotes': 'Bei ausgeschalteter Pumpe ablassen. Nach dem Nachfüllen 15 Min. zirkulieren lassen, dann Alkalität und pH erneut testen.',
+  'ta.pHSideEffect': 'Nebenwirkung: pH {before} → ~{after}, bis das überschüssige CO2 ausgelüftet ist (im pH-Schritt berücksichtigt)',
+  'ta.highReason': 'Eine hohe Alkalität bremst pH-Änderungen und treibt den pH-Wert nach oben. Wird sie zuerst gesenkt, kämpft man im nächsten Schritt beim pH-Einstellen nicht gegen den Puffer.',
+  'ta.targetMax': 'Ziel: ≤{max} ppm (oberes Ende des Idealbereichs)',
+  'ta.excess': 'Überschuss: {excess} ppm über dem Ziel',
+  'ta.acidNotes': 'pH-Minus zugeben. Dadurch sinkt auch der pH-Wert. Bei Bedarf belüften, um ihn wieder anzuheben.',
+  'ph.aerateAction': 'Durch Belüften von {from} auf ~{to} erhöhen',
+  'ph.aeration': 'Belüftung',
+  'ph.aerationAmount': 'Düsen mit offenen Luftreglern und ohne Abdeckung laufen lassen',
+  'ph.aerationReason': 'Die Säure, die die Alkalität gesenkt hat, hat Hydrogencarbonat in gelöstes Kohlendioxid verwandelt, das den pH-Wert drückt. Durch Belüften entweicht das CO2, sodass der pH-Wert von selbst steigt, während die Alkalität bleibt, wo sie ist. Soda würde die Alkalität gleich wieder anheben.',
+  'ph.expectedAfterTa': 'Erwartet nach dem Alkalitätsschritt: {value}',
+  'ph.aerationRaiseBy': 'Erhöhen um: {amount} pH-Einheiten durch CO2-Verlust, ohne Chemie',
+  'ph.aerationNotes': 'pH stündlich testen. Mit dem Belüften aufhören, sobald das Ziel erreicht ist.',
+  'ph.lowReason': 'Der pH-Wert bestimmt direkt die Stärke der Desinfektion. Bei pH 7,5 ist Chlor zu etwa 50 % als hypochlorige Säure aktiv. Unter 7,2 wird das Wasser korrosiv und reizt die Haut. Wird nach der Alkalität eingestellt, damit der Puffer die Änderung hält.',
+  'ph.notes': 'Bei laufender Pumpe zugeben. 20 Min. warten und erneut testen.',
+  'ph.highReason': 'Ein hoher pH-Wert senkt die Wirksamkeit der Desinfektion stark – bei pH 8,0 ist Chlor nur noch zu ~22 % aktiv. Außerdem wird das Wasser trüb und Kalk setzt sich ab. Wird nach der Alkalität eingestellt, damit der Puffer die Änderung hält.',
+  'ch.lowReason': 'Wenig Calcium macht das Wasser „aggressiv“ – es löst Mineralien aus Fugen, Putz, Metallteilen und Heizstäben, um seinen Bedarf zu decken. Wird vor der Desinfektion korrigiert, weil korrosives Wasser Chlor schneller abbaut.',
+  'ch.raiseNotes': 'Vorher in warmem Wasser auflösen, dann ins Becken geben.',
+  'ch.lowerHigh': 'Von {value} ppm senken (zu hoch)',
+  'calc.partialReplacement': 'Teilwasserwechsel',
+  'ch.drainAmount': '~{pct} % ablassen und mit frischem Wasser nachfüllen',
+  'ch.highReason': 'Viel Calcium hinterlässt weiße Kalkablagerungen auf Flächen, Düsen und Heizstäben. Kein Mittel entfernt gelöstes Calcium – nur Verdünnen mit frischem Wasser hilft.',
+  'ch.drainCurrent': 'Aktuell: {value} ppm (Maximum: {max} ppm, Füllwasser: {fill} ppm)',
+  'calc.dilutionNeeded': 'Nötige Verdünnung: ~{pct} % Wasserwechsel',
+  'ch.drainFormula': 'Formel: ({value} − {max}) ÷ ({value} − {fill}) = {ratio} ≈ {pct} %',
+  'ch.drainNotes': 'Calciumhärte lässt sich nur durch Verdünnen senken.',
+  'ch.hardFill': 'Hoch mit {value} ppm, dein Füllwasser ebenso',
+  'ch.noChemical': 'Keins (Verdünnen hilft nicht)',
+  'ch.hardFillAmount': 'Beim Nachfüllen einen Schlauchvorfilter verwenden und pH und Alkalität am unteren Ende ihrer Bereiche halten',
+  'ch.hardFillReason': 'Dein Füllwasser hat bereits {fill} ppm Calcium, so viel wie oder mehr als das Maximum von {max} ppm, daher bringt Ablassen und Nachfüllen die Härte nicht in den Bereich. Niedrigere pH- und Alkalitätswerte gleichen stattdessen die Neigung zur Kalkbildung aus.',
+  'calc.currentMax': 'Aktuell: {value} ppm (Maximum: {max} ppm)',
+  'ch.hardFillLine': 'Füllwasser: {fill} ppm – auch ein kompletter Wasserwechsel läge außerhalb des Bereichs',
+  'ch.hardFillNotes': 'Achte auf weiße Kalkränder an Düsen und an der Wasserlinie. Ein Kalkschutzmittel hilft bei hartem Füllwasser.',
+  'cc.action': 'Stoßchlorung: freies Chlor auf ~{target} ppm erhöhen',
+  'calc.waitAerate': 'Warten und belüften',
+  'cc.noDose': 'Keine Dosis nötig, Abdeckung offen lassen und Düsen laufen lassen',
+  'cc.reason': 'Das gebundene Chlor liegt bei {combined} ppm (gesamt {total} − frei {free}). Diese Chloramine verursachen den „Chlorgeruch“ und gereizte Augen und desinfizieren kaum. Wird das freie Chlor auf das {factor}-Fache des gebundenen Werts angehoben, ist der Knickpunkt überschritten und die Chloramine werden vollständig oxidiert. Eine kleinere Dosis erzeugt nur noch mehr davon.',
+  'cc.combinedLine': 'Gebundenes Chlor: {total} − {free} = {combined} ppm (max. {max} ppm)',
+  'cc.targetLine': 'Ziel für den Knickpunkt: {combined} × {factor} = {target} ppm freies Chlor',
+  'cc.raiseBy': 'Erhöhen um: {target} − {free} = {amount} ppm',
+  'cc.notes': 'Alles auf einmal bei offener Abdeckung und laufenden Düsen zugeben. Nicht baden, bis das freie Chlor wieder unter 5 ppm liegt und das gebundene Chlor 0,5 ppm oder weniger anzeigt.',
+  'san.lowReasonChlorine': 'Das Desinfektionsmittel kommt nach pH und Alkalität, weil seine Wirkung ganz von der Wasserbalance abhängt. Beim richtigen pH-Wert von 7,2–7,8 wirkt Chlor mit voller Kraft gegen Bakterien und Algen.',
+  'san.lowReasonBromine': 'Das Desinfektionsmittel kommt nach pH und Alkalität, weil seine Wirkung ganz von der Wasserbalance abhängt. Beim richtigen pH-Wert von 7,2–7,8 wirkt Brom mit voller Kraft gegen Bakterien und Algen.',
+  'san.lowNotes': 'Bei laufender Pumpe zugeben. 15 Min. warten und erneut testen. Erst baden, wenn der Wert sicher ist.',
+  'san.dangerous': '{name} gefährlich hoch: {value} ppm',
+  'san.drainChemical': 'Teilablass + Belüften',
+  'san.drainAmount': '~{pct} % ablassen und nachfüllen, dann Düsen ohne Abdeckung laufen lassen',
+  'san.drainReason': 'Mit {value} ppm liegt {name} weit über dem sicheren Maximum von {max} ppm. Bis es von selbst abgebaut ist, können Stunden vergehen. Ein Ablass von ~{pct} % verdünnt sofort, den Rest erledigt das Belüften.',
+  'san.drainCurrent': 'Aktuell: {value} ppm (sicheres Maximum: {max} ppm, Überschuss: {excess} ppm)',
+  'san.drainTo': '~{pct} % ablassen, um auf ~{result} ppm zu senken',
+  'san.drainFormula': 'Formel: ({value} − {max}) ÷ ({value} − {fill} Füllwasser) = ~{pct} %',
+  'san.aerateAfter': 'Nach dem Nachfüllen mit den Düsen belüften, um den restlichen Überschuss abzubauen',
+  'san.drainNotes': 'Nicht baden, bis {name} unter {max} ppm gesunken ist. Nach 15 Minuten erneut testen.',
+  'san.high': '{name} zu hoch: {value} ppm',
+  'san.aerateAmount': 'Abdeckung offen lassen, Düsen laufen lassen',
+  'san.highReason': 'Hohe Werte bauen sich durch Belüftung und UV-Licht von selbst ab, auch {name}. Ein Neutralisator ist nicht nötig – Zeit und Luftumwälzung senken die Werte sicher.',
+  'san.highCurrent': 'Aktuell: {value} ppm (sicheres Maximum: {max} ppm)',
+  'san.noDose': 'Keine Dosierung – natürlicher Abbau durch Belüften',
+  'san.jets': 'Laufende Düsen ohne Abdeckung beschleunigen den Vorgang',
+  'san.highNotes': 'Nicht baden, bis {name} unter {max} ppm gesunken ist.',
+  'cya.lowReason': 'Cyanursäure (CYA) legt sich schützend um die Chlormoleküle und schirmt sie vor UV-Strahlung ab. Ohne sie zerstört Sonnenlicht ~90 % des freien Chlors innerhalb von 2 Stunden. Kommt zuletzt, weil sich CYA sehr langsam löst (24+ Stunden bis zur vollen Wirkung).',
+  'cya.lowNotes': 'In warmem Wasser auflösen. CYA löst sich langsam; nach 24 Stunden erneut testen.',
+  'cya.high': 'CYA zu hoch: {value} ppm',
+  'calc.drainRefill': '~{pct} % ablassen und nachfüllen',
+  'cya.highReason': 'Zu viel CYA „blockiert“ das Chlor – es stabilisiert das Desinfektionsmittel so stark, dass es Bakterien nicht mehr wirksam abtötet (die sogenannte „Chlorblockade“). Wie Calcium lässt sich CYA nicht chemisch entfernen; nur Verdünnen hilft.',
+  'cya.drainFormula': 'Formel: ({value} − {max}) ÷ ({value} − {fill} Füllwasser) = {ratio} ≈ {pct} %',
+  'cya.highNotes': 'Hohes CYA senkt die Wirksamkeit der Desinfektion. Nur Verdünnen hilft.',
+  'cya.stabilizedFill': 'Hoch mit {value} ppm, dein Füllwasser ebenso',
+  'cya.stabilizedFillAmount': 'Auf unstabilisiertes Chlor (flüssig oder Calciumhypochlorit) umsteigen und freies Chlor am oberen Ende seines Bereichs halten',
+  'cya.stabilizedFillReason': 'Dein Füllwasser hat bereits {fill} ppm CYA, so viel wie oder mehr als das Maximum von {max} ppm, daher bringt Ablassen und Nachfüllen CYA nicht in den Bereich. Gib mit stabilisiertem Chlor nicht noch mehr dazu und halte freies Chlor höher, damit genug davon wirksam bleibt.',
+  'cya.stabilizedFillLine': 'Füllwasser: {fill} ppm – auch ein kompletter Wasserwechsel läge außerhalb des Bereichs',
+  'cya.stabilizedFillNotes': 'Dichlor und Trichlor bringen mit jeder Dosis CYA ein. Verwende Flüssigchlor oder Calciumhypochlorit, bis CYA wieder im Bereich ist.',
+  'refresh.parameter': 'Wasserwechsel',
+  'refresh.drainAction': '{pct} % ablassen und nachfüllen',
+  'refresh.fillWater': 'Füllwasser',
+  'refresh.drainAmount': '~{volume} ({pct} %) ablassen und nachfüllen',
+  'refresh.drainReason': {
+    one: '{parameters} lässt sich nur durch Verdünnen senken. Ein Ablass von {pct} % reicht dafür, und die folgenden Dosen sind für das nachgefüllte Wasser berechnet.',
+    other: '{parameters} lassen sich nur durch Verdünnen senken. Ein Ablass von {pct} % reicht für alle, und die folgenden Dosen sind für das nachgefüllte Wasser berechnet.',
+  },
+  'refresh.needs': '{parameter}: braucht ~{pct} %',
+  'refresh.afterRefill': '{name}: {before} → {after} nach dem Nachfüllen',
+  'refresh.drainNotes': 'Bei ausgeschalteter Pumpe ablassen. Nach dem Nachfüllen 15 Min. bei Betriebstemperatur zirkulieren lassen und dann mit den nächsten Schritten weitermachen. Wenn möglich vorher erneut testen.',
+  'refresh.considerAction': 'Zuerst einen Teilwasserwechsel erwägen',
+  'refresh.freshWater': 'Frischwasser',
+  'refresh.considerReason': 'Wenn {count} Werte korrigiert werden müssen, ist ein Teilwasserwechsel oft der schnellste Weg zu ausgeglichenem Wasser. Frisches Wasser verdünnt alle Problemwerte gleichzeitig – 1–2 Korrekturen fallen womöglich ganz weg, und für den Rest braucht es weniger Chemie.',
+  'refresh.correctionsNeeded': 'Derzeit nötige Korrekturen: {count}',
+  'refresh.after': 'Nach {pct} % Wasserwechsel: {values}',
+  'refresh.retestAll': 'Nach dem Nachfüllen alle Werte erneut testen, bevor Chemie zugegeben wird',
+  'refresh.considerNotes': 'Optional, aber empfohlen. Bei ausgeschalteter Pumpe ablassen. Nach dem Nachfüllen 15 Min. bei Betriebstemperatur zirkulieren lassen, dann alles erneut testen.',
+  'refresh.fillLine': 'Füllwasser: {values}',
+  'refresh.fillUntested': 'Füllwasser: nicht getestet, als frei von gelösten Stoffen angenommen',
+
+  // ── Guided treatment ──
+  'guide.stepSpeech': 'Schritt {number}: {action}. {amount} {chemical} zugeben.',
+  'guide.thenWait': {
+    one: 'Dann {count} Minute warten.',
+    other: 'Dann {count} Minuten warten.',
+  },
+  'guide.nextAction': 'Schritt {number}: {action}',
+  'guide.allDoneShort': 'Alle Schritte erledigt. Teste dein Wasser erneut.',
+  'guide.waitOverTitle': 'Wartezeit von Schritt {number} ist vorbei',
+  'guide.waitOver': 'Die Wartezeit ist vorbei.',
+  'guide.waitTitle': 'Wartezeit Schritt {number}',
+  'guide.readyAt': 'Fertig um {time}.',
+  'guide.allDone': 'Alle Schritte sind erledigt. Teste dein Wasser erneut.',
+  'guide.left': 'Noch {time}.',
+  'guide.leftPaused': 'Noch {time}, pausiert.',
+  'guide.saySkip': 'Sag überspringen, um weiterzumachen.',
+  'guide.timerStarted': 'Timer für {time} gestartet.',
+  'guide.amount': '{amount} {chemical}.',
+  'guide.timerResumed': 'Timer läuft weiter.',
+  'guide.noWait': 'Dieser Schritt hat keine Wartezeit. Sag nächster Schritt, wenn er erledigt ist.',
+  'guide.timerPaused': 'Timer pausiert. Sag fortsetzen, um weiterzumachen.',
+  'guide.noTimer': 'Es läuft kein Timer.',
+  'guide.progress': 'Schritt {number} von {total}',
+  'guide.paused': 'Pausiert',
+  'guide.circulate': 'Mit laufenden Düsen oder laufender Pumpe zirkulieren lassen.',
+  'guide.resume': 'Fortsetzen',
+  'guide.pause': 'Pause',
+  'guide.skipWait': 'Wartezeit überspringen',
+  'guide.addedStartWait': 'Zugegeben – {minutes} Min. warten',
+  'guide.doneNext': 'Erledigt – nächster Schritt',
+  'guide.viewPlan': 'Plan anzeigen',
+  'guide.stop': 'Behandlung beenden',
+  'guide.stopConfirm': 'Diese Behandlung beenden? Der Fortschritt geht verloren.',
+  'guide.doneTitle': 'Behandlung abgeschlossen',
+  'guide.retestTitle': 'Zeit für einen neuen Test',
+  'guide.retestText': {
+    one: 'Der Schritt ist erledigt. Teste das Wasser erneut, um zu sehen, wie nah es dem Plan kommt.',
+    other: 'Alle {count} Schritte sind erledigt. Teste das Wasser erneut, um zu sehen, wie nah es dem Plan kommt.',
+  },
+  'guide.expectedNow': 'Jetzt erwartet',
+  'guide.skipRetest': 'Test überspringen',
+
+  // ── Settings ──
+  'settings.colorMatching': 'Farbabgleich',
+  'settings.rangeInvalid': '{name}: Das Minimum muss unter dem Maximum liegen.',
+  'settings.notTested': 'Nicht getestet',
+  'settings.welcome': 'Willkommen bei SparoBot',
+  'settings.newWater': 'Neues Becken',
+  'settings.title': 'Einstellungen',
+  'settings.welcomeText': 'Richte deinen Whirlpool oder Pool ein, um loszulegen.',
+  'settings.newWaterText': 'Jeder Whirlpool und jeder Pool hat eigene Einstellungen und einen eigenen Testverlauf.',
+  'settings.language': 'Sprache',
+  'settings.deviceLanguage': 'Sprache des Geräts',
+  'settings.voice': 'Stimme',
+  'settings.voiceHint': 'Auf diesem Gerät installierte Stimmen für die Sprache. Für Spanisch und Deutsch braucht es eine Stimme in dieser Sprache, um vorzulesen.',
+  'settings.name': 'Name',
+  'settings.namePlaceholder': 'z. B. Whirlpool',
+  'settings.volume': 'Wasservolumen',
+  'settings.volumePlaceholder': 'z. B. {volume}',
+  'settings.gallons': 'Gallonen',
+  'settings.liters': 'Liter',
+  'settings.volumeHintLiters': 'Typischer Whirlpool: {min}–{max} Liter. Sieh in der Bedienungsanleitung nach.',
+  'settings.volumeHintGallons': 'Typischer Whirlpool: {min}–{max} Gallonen. Sieh in der Bedienungsanleitung nach.',
+  'settings.sanitizer': 'Desinfektionsart',
+  'settings.strips': 'Teststreifen',
+  'settings.stripsAuto': 'Automatisch (generisch, passend zur Desinfektion)',
+  'settings.custom': '{name} (eigenes)',
+  'settings.stripsHint': 'Wähle die Marke, die du verwendest. Profile sind JSON-Dateien, die du exportieren, bearbeiten und importieren kannst.',
+  'settings.balanceIndex': 'Wasserbalance-Index',
+  'settings.balanceIndexHint': 'LSI ist der Branchenstandard. CSI berücksichtigt gelöste Feststoffe genauer.',
+  'settings.colorMatchingHint': 'CIEDE2000 ist am genauesten. CIE94 ist eine einfachere Alternative.',
+  'settings.units': 'Einheiten',
+  'settings.unitSystem': 'Einheitensystem',
+  'settings.measure': 'Dosen abmessen mit',
+  'settings.scoopSize': 'Messlöffelgröße',
+  'settings.scoopHint': 'Fülle den Messlöffel mit Wasser und miss es ab, oder sieh auf dem Etikett nach (1 fl oz sind 30 mL).',
+  'settings.measureHint': 'Löffel, Tassen und Messlöffel richten sich nach der Schüttdichte jedes Produkts. Die genauen Gewichte stehen daneben.',
+  'settings.products': 'Meine Produkte',
+  'settings.productsHint': 'Die Dosen werden für deine Produkte berechnet.',
+  'settings.addProductTitle': 'Produkt hinzufügen',
+  'settings.productName': 'Name auf dem Etikett',
+  'settings.addProduct': 'Produkt hinzufügen',
+  'settings.addProductHint': 'Die Konzentration ist die %-Angabe auf dem Etikett (Aktivchlor bei Chlorprodukten). Gib bei Flüssigkeiten nur dann eine Dichte ein, wenn die Angabe nach Gewicht ist, wie bei Salzsäure. Bei Granulat (Gewicht einer gestrichenen Tasse ÷ Tassengröße) lassen sich die Dosen mit der Dichte nach Volumen abmessen.',
+  'settings.yourProducts': 'Deine Produkte',
+  'settings.ranges': 'Zielbereiche',
+  'settings.rangesHint': 'Ideales Minimum und Maximum für {name}. Leer lassen, um die angezeigten Standardwerte zu verwenden.',
+  'settings.fillWater': 'Füllwasser',
+  'settings.fillWaterHint': 'Teste das Wasser, mit dem du nachfüllst (z. B. aus dem Schlauch), damit Ablasspläne berücksichtigen, was es mitbringt.',
+  'settings.getStarted': 'Los geht\'s',
+  'settings.add': 'Hinzufügen',
+  'settings.save': 'Einstellungen speichern',
+  'maintenance.title': 'Wartungskalender',
+  'maintenance.hint': 'Wiederkehrende Erinnerungen zum Testen, Schocken, Filterspülen und Ablassen. Nach Änderungen erneut exportieren, um dieselben Termine in deinem Kalender zu aktualisieren.',
+  'maintenance.testsPerWeek': 'Tests pro Woche',
+  'maintenance.bathers': 'Badende pro Tag',
+  'maintenance.time': 'Erinnerungszeit',
+  'maintenance.export': 'Plan exportieren',
+  'backup.title': 'Datensicherung',
+  'backup.hintFirst': 'Du kommst von einem anderen Gerät? Importiere eine Sicherungsdatei.',
+  'backup.hint': 'Speichere jedes Becken mit seinen Einstellungen und dem ganzen Testverlauf in einer Datei.',
+  'backup.exportJson': 'JSON exportieren',
+  'backup.exportCsv': 'Werte als CSV',
+  'data.title': 'Daten',
+  'data.clearHistory': 'Verlauf löschen',
+  'data.deleteWater': 'Dieses Becken löschen',
+  'data.resetAll': 'Alle Daten zurücksetzen',
+  'settings.addProductFailed': 'Produkt konnte nicht hinzugefügt werden: {message}',
+  'settings.replaceProduct': 'Dein vorhandenes Produkt „{name}“ ersetzen?',
+  'settings.deleteProduct': '„{name}“ löschen?',
+  'settings.importProfileFailed': 'Profil konnte nicht importiert werden: {message}',
+  'settings.replaceProfile': 'Dein vorhandenes Profil „{name}“ ersetzen?',
+  'settings.deleteProfile': 'Das Profil „{name}“ löschen?',
+  'data.clearConfirm': 'Den gesamten Testverlauf von {name} löschen?',
+  'data.cleared': 'Verlauf gelöscht.',
+  'data.deleteConfirm': '{name} mit dem Testverlauf löschen?',
+  'data.resetConfirm': 'Alle Daten und Einstellungen zurücksetzen?',
+  'maintenance.waterLasts': {
+    one: 'Bei dieser Nutzung hält das Wasser etwa {count} Tag.',
+    other: 'Bei dieser Nutzung hält das Wasser etwa {count} Tage.',
+  },
+  'maintenance.drainsEvery': {
+    one: 'Der Kalender sieht jeden Monat einen Wasserwechsel vor.',
+    other: 'Der Kalender sieht alle {count} Monate einen Wasserwechsel vor, mindestens vierteljährlich.',
+  },
+  'maintenance.enterBathers': 'Gib an, wie viele Personen das Wasser an einem normalen Tag nutzen.',
+  'maintenance.pickTime': 'Wähle eine Erinnerungszeit.',
+  'backup.importFailed': 'Sicherung konnte nicht importiert werden: {message}',
+  'settings.invalidVolume': 'Bitte gib ein gültiges Wasservolumen ein.',
+  'settings.voiceAuto': 'Automatisch',
+  'units.imperial': 'US (oz, Gallonen, °F)',
+  'units.metric': 'Metrisch (g, Liter, °C)',
+  'units.mixed': 'Gemischt (g und mL, Gallonen, °F)',
+  'measure.weight': 'Waage oder Messbecher',
+  'measure.kitchen': 'Löffel und Tassen',
+  'measure.scoop': 'Messlöffel',
+  'measure.teaspoons': {
+    one: '{amount} Teelöffel',
+    other: '{amount} Teelöffel',
+  },
+  'measure.tablespoons': {
+    one: '{amount} Esslöffel',
+    other: '{amount} Esslöffel',
+  },
+  'measure.cups': {
+    one: '{amount} Tasse',
+    other: '{amount} Tassen',
+  },
+  'measure.scoops': {
+    one: '{amount} Messlöffel',
+    other: '{amount} Messlöffel',
+  },
+  'backup.notObject': 'Die Sicherung muss ein JSON-Objekt sein.',
+  'backup.wrongFormat': 'Keine SparoBot-Sicherung (erwartetes Format: "{format}").',
+  'backup.tooNew': 'Sicherungsversion {version} ist neuer, als diese App unterstützt.',
+  'backup.noWaters': 'Die Sicherung enthält kein Becken.',
+  'backup.waterNeedsId': 'Jedes Becken braucht eine ID und einen Namen.',
+  'backup.waterTwice': 'Becken "{id}" ist doppelt aufgeführt.',
+  'backup.invalidVolume': '"{name}" hat ein ungültiges Volumen.',
+  'backup.testNoDate': 'Ein Test für "{name}" hat kein gültiges Datum.',
+  'backup.testNoReadings': 'Der Test vom {date} für "{name}" hat keine Werte.',
+  'backup.testInvalidReading': 'Der Test vom {date} für "{name}" hat einen ungültigen {key}-Wert.',
+  'backup.treatmentIncomplete': 'Eine Behandlung für "{name}" ist unvollständig.',
+  'backup.profileError': 'Streifenprofil "{name}": {message}',
+  'backup.productError': 'Produkt "{name}": {message}',
+
+  // ── Products ──
+  'product.granular': 'Granulat',
+  'product.liquid': 'Flüssig',
+  'job.alkalinityUp': 'Alkalität erhöhen',
+  'job.alkalinityDown': 'Alkalität senken',
+  'job.phUp': 'pH erhöhen',
+  'job.phDown': 'pH senken',
+  'job.chlorineUp': 'Chlor',
+  'job.bromineUp': 'Brom',
+  'job.hardnessUp': 'Calciumhärte erhöhen',
+  'job.cyaUp': 'Stabilisator (CYA)',
+  'ingredient.sodiumBicarbonate': 'Natriumhydrogencarbonat',
+  'ingredient.sodiumBicarbonate.inText': 'Natriumhydrogencarbonat',
+  'ingredient.sodiumCarbonate': 'Natriumcarbonat',
+  'ingredient.sodiumCarbonate.inText': 'Natriumcarbonat',
+  'ingredient.sodiumBisulfate': 'Natriumhydrogensulfat',
+  'ingredient.sodiumBisulfate.inText': 'Natriumhydrogensulfat',
+  'ingredient.hydrochloricAcid': 'Salzsäure',
+  'ingredient.hydrochloricAcid.inText': 'Salzsäure',
+  'ingredient.sodiumHypochlorite': 'Natriumhypochlorit',
+  'ingredient.sodiumHypochlorite.inText': 'Natriumhypochlorit',
+  'ingredient.calciumHypochlorite': 'Calciumhypochlorit',
+  'ingredient.calciumHypochlorite.inText': 'Calciumhypochlorit',
+  'ingredient.sodiumDichlor': 'Natriumdichlorisocyanurat',
+  'ingredient.sodiumDichlor.inText': 'Natriumdichlorisocyanurat',
+  'ingredient.potassiumMonopersulfate': 'Kaliummonopersulfat',
+  'ingredient.potassiumMonopersulfate.inText': 'Kaliummonopersulfat',
+  'ingredient.calciumChloride': 'Calciumchlorid',
+  'ingredient.calciumChloride.inText': 'Calciumchlorid',
+  'ingredient.cyanuricAcid': 'Cyanursäure',
+  'ingredient.cyanuricAcid.inText': 'Cyanursäure',
+  'ingredient.availableChlorine': 'Aktivchlor',
+  'builtinProduct.baking-soda': 'Natron (Natriumhydrogencarbonat)',
+  'builtinProduct.soda-ash': 'Soda (Natriumcarbonat, pH-Plus)',
+  'builtinProduct.dry-acid': 'Natriumhydrogensulfat (pH-Minus)',
+  'builtinProduct.muriatic-acid': 'Salzsäure 31,45 %',
+  'builtinProduct.dichlor': 'Dichlor (Chlorgranulat 56 %)',
+  'builtinProduct.liquid-chlorine': 'Flüssigchlor 12,5 %',
+  'builtinProduct.bleach': 'Chlorbleiche ohne Duft 6 %',
+  'builtinProduct.cal-hypo': 'Calciumhypochlorit-Schock 65 %',
+  'builtinProduct.mps': 'MPS-Schock (Bromaktivator)',
+  'builtinProduct.calcium-chloride': 'Calciumchlorid',
+  'builtinProduct.stabilizer': 'Cyanursäure (Stabilisator)',
+  'product.notObject': 'Das Produkt muss ein Objekt sein.',
+  'product.needsName': 'Das Produkt braucht einen Namen.',
+  'product.pickIngredient': 'Wähle den Wirkstoff.',
+  'product.invalidStrength': 'Die Konzentration muss ein Prozentwert zwischen 0 und 100 sein.',
+  'product.invalidForm': 'Die Form muss Granulat oder flüssig sein.',
+  'product.invalidDensity': 'Die Dichte muss zwischen {min} und {max} g/mL liegen.',
+
+  // ── Parameters ──
+  'param.freeChlorine': 'Freies Chlor',
+  'param.totalChlorine': 'Gesamtchlor',
+  'param.combinedChlorine': 'Gebundenes Chlor',
+  'param.bromine': 'Gesamtbrom',
+  'param.pH': 'pH',
+  'param.totalAlkalinity': 'Gesamtalkalität',
+  'param.totalHardness': 'Calciumhärte',
+  'param.cyanuricAcid': 'Cyanursäure',
+  'param.freeChlorine.inText': 'das freie Chlor',
+  'param.bromine.inText': 'das Gesamtbrom',
+
+  // ── History ──
+  'test.photoMissing': 'Das Foto zu diesem Test ist nicht mehr gespeichert.',
+  'test.notFound': 'Dieser Test ist nicht mehr gespeichert.',
+  'history.dictated': 'Diktiert',
+  'history.strip': 'Teststreifen',
+  'history.dropKit': 'Tropftest {kit}',
+  'history.manual': 'Von Hand eingegeben',
+  'history.empty': 'Noch keine Testergebnisse gespeichert. Scanne einen Teststreifen, um loszulegen.',
+  'history.title': 'Testverlauf',
+  'history.days': {
+    one: '{count} Tag',
+    other: '{count} Tage',
+  },
+  'history.chartHint': 'Schattierte Bänder sind deine Zielbereiche. Dreiecke markieren eingetragene Behandlungen. Tippe auf einen Punkt, um den Test zu öffnen.',
+  'test.source': 'Quelle',
+  'test.drops': '{name} Tropfen',
+  'test.dropCount': '{drops} in {sampleMl} mL',
+  'test.waterTemp': 'Wassertemperatur',
+  'test.saturationIndex': 'Sättigungsindex',
+  'test.strip': 'Streifen',
+  'test.reanalyzed': 'Neu ausgewertet',
+  'test.photoAlt': 'Foto des Teststreifens',
+  'test.firstRead': 'Erste Auswertung',
+  'test.reanalyze': 'Foto neu auswerten',
+  'test.treated': 'Behandelt am {date}',
+  'restore.noTests': 'Keine Tests',
+  'restore.title': 'Sicherung importieren',
+  'restore.exported': 'Exportiert am {date}',
+  'restore.contents': 'Inhalt der Sicherung',
+  'restore.alreadyHere': '{name} (schon vorhanden)',
+  'restore.tests': {
+    one: '{count} Test',
+    other: '{count} Tests',
+  },
+  'restore.treatments': {
+    one: '{count} eingetragene Behandlung',
+    other: '{count} eingetragene Behandlungen',
+  },
+  'restore.also': 'Außerdem {profiles} und {products}.',
+  'restore.profiles': {
+    one: '{count} eigenes Streifenprofil',
+    other: '{count} eigene Streifenprofile',
+  },
+  'restore.products': {
+    one: '{count} eigenes Produkt',
+    other: '{count} eigene Produkte',
+  },
+  'restore.merge': 'Mit meinen Daten zusammenführen',
+  'restore.mergeHint': 'Fügt neue Becken und alle Tests hinzu, die du noch nicht hast. Deine aktuellen Einstellungen bleiben erhalten.',
+  'restore.replace': 'Alle meine Daten ersetzen',
+  'restore.restore': 'Wiederherstellen',
+  'restore.replaceConfirm': 'Alle Becken, Einstellungen und den Verlauf auf diesem Gerät durch die Sicherung ersetzen?',
+  'trends.empty': 'Keine Tests in diesem Zeitraum',
+  'trends.label': {
+    one: '{name} am letzten Tag',
+    other: '{name} in den letzten {count} Tagen',
+  },
+
+  // ── Calendar export ──
+  'ics.stepTitle': 'Whirlpool: {action}',
+  'ics.step': 'Schritt {number}: {parameter}',
+  'ics.chemical': 'Mittel: {chemical}',
+  'ics.amount': 'Menge: {amount}',
+  'ics.notes': 'Hinweise: {notes}',
+  'ics.retestTitle': 'Whirlpool: Wasser erneut testen',
+  'ics.retest': 'Alle Mittel sind zugegeben. Teste das Wasser erneut, um zu prüfen, ob die Werte im Bereich liegen.',
+  'ics.test': '{name}: Wasser testen',
+  'ics.testChlorine': 'Freies und Gesamtchlor, pH und Alkalität testen und alles außerhalb des Bereichs behandeln.',
+  'ics.testBromine': 'Brom, pH und Alkalität testen und alles außerhalb des Bereichs behandeln.',
+  'ics.shock': '{name}: Schockbehandlung',
+  'ics.shockBromine': 'Mit MPS (chlorfreier Schock) schocken, um Bromid zu reaktivieren und Verunreinigungen abzubauen. Düsen bei offener Abdeckung laufen lassen.',
+  'ics.shockChlorine': 'Schocken, um Chloramine und Verunreinigungen abzubauen. Düsen bei offener Abdeckung laufen lassen.',
+  'ics.filterRinse': '{name}: Filter ausspülen',
+  'ics.filterRinseDescription': 'Die Filterkartusche zwischen den Lamellen von oben nach unten abspritzen. Alle paar Spülungen in Filterreiniger einweichen.',
+  'ics.drain': '{name}: Wasser wechseln',
+  'ics.drainDescription': 'Ablassen, Becken reinigen und neu befüllen. {volume} bei {bathers} am Tag halten etwa {days} ({rule} ÷ Badende pro Tag), also {every}.',
+  'ics.bathers': {
+    one: '{count} badenden Person',
+    other: '{count} Badenden',
+  },
+  'ics.days': {
+    one: '{count} Tag',
+    other: '{count} Tage',
+  },
+  'ics.ruleLiters': 'Liter ÷ {divisor}',
+  'ics.ruleGallons': 'Gallonen ÷ {divisor}',
+  'ics.months': {
+    one: 'jeden Monat',
+    other: 'alle {count} Monate',
+  },
+  'ics.calendarName': 'Wartung {name}',
+};
@@ -0,0 +1,681 @@
+// English messages. Keys are grouped by screen or module; see i18n.js for
+// placeholders and plural forms.
+
+export default {
+  // ── Common ──
+  'common.cancel': 'Cancel',
+  'common.clear': 'Clear',
+  'common.done': 'Done',
+  'common.import': 'Import',
+  'common.export': 'Export',
+  'common.delete': 'Delete',
+  'common.notJson': 'File is not valid JSON.',
+
+  // ── Storage and bodies of water ──
+  'storage.saveFailed': 'Couldn\'t save your changes: {message}',
+  'storage.openFailed': 'Couldn\'t open your saved data ({message}). Changes won\'t be saved.',
+  'water.firstName': 'My Spa',
+  'water.newName': 'Spa {number}',
+
+  // ── Home ──
+  'home.now': 'Now',
+  'home.never': 'Never',
+  'home.lastTest': 'Last Test',
+  'home.sanitizerUse': '{name} Use',
+  'home.perDay': '~{rate} {unit}/day',
+  'home.nextDose': 'Next Dose',
+  'home.nextDoseNote': {
+    one: 'Add {amount} of {chemical} (+{change} {unit}), enough for about {count} day.',
+    other: 'Add {amount} of {chemical} (+{change} {unit}), enough for about {count} days.',
+  },
+  'home.estimatedLevel': 'Estimated {level} {unit} now; last test {date}.',
+  'home.volume.gallons': '{volume} gallons',
+  'home.volume.liters': '{volume} liters',
+  'home.notSet': 'Not set',
+  'home.subtitle': 'Spa & Pool Water Tester',
+  'home.addWater': 'Add a body of water',
+  'home.volume': 'Volume',
+  'home.sanitizer': 'Sanitizer',
+  'sanitizer.chlorine': 'Chlorine',
+  'sanitizer.bromine': 'Bromine',
+  'home.testStrips': 'Test Strips',
+  'home.retestAfterTreatment': 'Retest After Treatment',
+  'home.resumeTreatment': 'Resume Treatment · Step {step} of {total}',
+  'home.scan': 'Scan Test Strip',
+  'home.enterReadings': 'Enter Readings',
+  'home.dipTimer': 'Read the strip {seconds} seconds after dipping.',
+  'home.startTimer': 'Start Timer',
+  'home.history': 'History',
+  'home.settings': 'Settings',
+  'home.dipReady': 'Ready — scan the strip now.',
+  'home.dipReadySpeech': 'Ready to scan.',
+  'home.dipCountdown': 'Reading in {seconds} s…',
+
+  // ── Camera and strip reading ──
+  'camera.title': 'Scan Strip',
+  'camera.starting': 'Starting camera…',
+  'camera.takePhoto': 'Take Photo',
+  'camera.choosePhoto': 'Choose Photo Instead',
+  'camera.holdSteady': 'Hold steady…',
+  'camera.focusing': 'Focusing…',
+  'camera.capturing': 'Capturing…',
+  'camera.holdThere': 'Hold it there…',
+  'camera.unavailable': 'Camera unavailable ({error}). Choose a photo instead.',
+  'analyze.confidence': 'Confidence: {confidence} (ΔE {deltaE} off scale)',
+  'confidence.high': 'high',
+  'confidence.medium': 'medium',
+  'confidence.low': 'low',
+  'analyze.tapWhite': 'Tap a white area: the strip handle or a white card',
+  'analyze.lightingCorrected': 'Lighting corrected (~{cct} K)',
+  'analyze.lightingPrompt': 'Readings off? Correct for the lighting.',
+  'analyze.redo': 'Redo',
+  'analyze.setWhitePoint': 'Set White Point',
+  'analyze.notWhite': 'That area doesn\'t look white. Tap the plain white handle of the strip or a white card.',
+  'analyze.bottleChartInUse': 'Matching against the bottle chart in this photo',
+  'analyze.bottleChartPrompt': 'Strip held next to the bottle chart?',
+  'analyze.remark': 'Re-mark',
+  'analyze.useBottleChart': 'Use Bottle Chart',
+  'chart.progress': 'Bottle Chart {step} / {total}',
+  'chart.tapSwatch': 'Tap the {value} swatch on the {name} scale',
+  'chart.changeValue': 'Change the value if your bottle prints a different number',
+  'chart.printedValue': 'Printed value',
+  'chart.undo': 'Undo',
+  'chart.notOnChart': 'Not on Chart',
+  'chart.next': 'Next',
+  'chart.enterValue': 'Please enter the value printed next to this swatch.',
+  'chart.needTwo': 'Mark at least two different {name} swatches.',
+  'chart.savePrompt': 'Save this chart as a strip profile for future scans? Enter a name, or cancel to use it for this scan only.',
+  'chart.defaultName': '{name} (my bottle)',
+  'chart.saveFailed': 'Could not save profile: {message}',
+  'chart.saved': 'Saved "{name}" and selected it in Settings.',
+  'reanalysis.profile': 'Strip Profile',
+  'reanalysis.asSaved': '{name} (as saved)',
+  'analyze.reviewPads': 'Review Pads',
+  'analyze.checkPads': 'Check the detected pads',
+  'analyze.movePadHint': 'Select a pad below, then tap the photo to move it',
+  'analyze.flip': 'Flip Order',
+  'analyze.tapManually': 'Tap Manually',
+  'analyze.confirm': 'Confirm Readings',
+  'analyze.step': 'Step {progress}',
+  'analyze.tapPad': 'Tap the {name} pad',
+  'analyze.detectionFailed': 'Couldn\'t find the strip automatically.',
+  'analyze.tapPadHint': 'Tap on the test strip pad in the photo below',
+  'analyze.confirmPad': 'Confirm',
+  'analyze.retry': 'Retry',
+  'profile.notObject': 'Profile must be a JSON object.',
+  'profile.wrongFormat': 'Not a strip profile (expected format "{format}").',
+  'profile.tooNew': 'Profile version {version} is newer than this app supports.',
+  'profile.needsName': 'Profile needs a name.',
+  'profile.needsPadOrder': 'Profile needs a padOrder list.',
+  'profile.unknownPad': 'Unknown pad "{key}".',
+  'profile.padTwice': 'Pad "{key}" is listed twice.',
+  'profile.fewColors': 'Chart for "{key}" needs at least two colors.',
+  'profile.invalidColor': 'Chart for "{key}" has an invalid color entry.',
+  'profile.invalidDelay': 'readingDelaySeconds must be between {min} and {max}.',
+
+  // ── Manual entry and dictation ──
+  'manual.perDrop': '{reagent}, {factor} {unit} per drop',
+  'manual.value': 'Value',
+  'manual.drops': 'Drops',
+  'manual.sample': '{ml} mL sample',
+  'manual.title': 'Enter Readings',
+  'manual.dictate': 'Dictate Readings',
+  'manual.dictateHint': 'Say each test and its value, e.g. “pH seven point four, alkalinity one twenty, free chlorine three”.',
+  'manual.dropKit': 'Drop Test Kit',
+  'manual.hint': 'Type each value, or switch a titration to Drops and enter the count. Leave a test blank to skip it.',
+  'manual.viewResults': 'View Results',
+  'manual.noReadings': 'Enter at least one reading.',
+  'manual.badPH': 'pH must be between 0 and 14.',
+  'manual.listening': 'Listening…',
+  'manual.notHeard': 'Didn\'t catch that. Tap Dictate Readings and try again.',
+  'dictation.title': 'Check Readings',
+  'dictation.heard': 'Heard “{transcript}”',
+  'dictation.none': 'No readings recognized.',
+  'dictation.use': 'Use These Readings',
+  'dictation.edit': 'Edit',
+  'dictation.again': 'Dictate Again',
+  'dictation.heardSpeech': 'I heard:',
+  'dictation.noneSpeech': 'I didn\'t recognize any readings.',
+  'dictation.unclearSpeech': {
+    one: 'One test was unclear.',
+    other: '{count} tests were unclear.',
+  },
+  'dictation.noValue': '{name}: no value heard',
+  'dictation.notPh': 'pH: {value} is not a pH value',
+
+  // ── Voice control ──
+  'voice.denied': 'Microphone access was denied.',
+  'voice.sayNextStep': 'Say next step to start the treatment.',
+  'voice.noTreatment': 'Everything is in range. No treatment needed.',
+  'voice.inProgress': 'A treatment is already in progress. Opening it.',
+  'voice.firstAmount': 'First, {amount} of {chemical}.',
+  'voice.nothingToRepeat': 'Nothing to repeat yet.',
+  'voice.notHere': 'That doesn\'t apply here.',
+  'voice.stop': 'Stop Voice',
+  'voice.start': 'Voice Control',
+  'voice.hint': 'Say “next step”, “how much”, “repeat”…',
+  'voice.listening': 'Listening…',
+  'voice.speaking': 'Speaking…',
+  'voice.heard': 'Heard “{text}”',
+
+  // ── Results and water balance ──
+  'results.title': 'Test Results',
+  'results.parameter': 'Parameter',
+  'results.value': 'Value',
+  'results.status': 'Status',
+  'results.ideal': 'Ideal',
+  'balance.title': 'Water Balance',
+  'balance.balanced': 'balanced',
+  'balance.corrosive': 'corrosive',
+  'balance.scaling': 'scaling',
+  'balance.enterTemp': 'Enter temperature',
+  'balance.temp': 'Temp',
+  'balance.tdsOptional': 'TDS (optional)',
+  'balance.range': 'Between {min} and {max} is balanced.',
+  'balance.tdsAssumed': 'TDS assumed 1000 ppm.',
+  'balance.planTargets': 'The treatment plan targets a balanced index.',
+  'balance.hint': 'With water temperature, the plan picks pH, alkalinity and hardness targets that balance the water as a whole.',
+  'results.whiteBalanced': 'Colors corrected for ~{cct} K lighting.',
+  'results.expectedAfterTreatment': 'Expected after treatment',
+  'results.dictated': 'Dictated by voice.',
+  'results.entered': 'Entered by hand.',
+  'results.enteredDrops': 'Entered by hand, drop counts converted for the {kit}.',
+  'results.allClear': 'All Clear!',
+  'results.allClearText': 'Your water chemistry is within ideal ranges. Enjoy your spa!',
+  'results.viewPlan': {
+    one: 'View Treatment Plan ({count} step)',
+    other: 'View Treatment Plan ({count} steps)',
+  },
+  'results.update': 'Update Saved Test',
+  'results.save': 'Save to History',
+  'results.newScan': 'New Scan',
+  'results.updated': 'Saved test updated.',
+  'results.updateGone': 'The saved test being re-read is no longer in this spa or pool\'s history. Save the readings as a new test instead.',
+  'results.saved': 'Results saved to history.',
+  'status.low': 'LOW',
+  'status.high': 'HIGH',
+  'status.ok': 'OK',
+  'balance.lsi': 'Langelier Saturation Index',
+  'balance.csi': 'Calcite Saturation Index',
+  'speech.intro': 'Here are your spa water test results.',
+  'speech.ok': 'in the ideal range',
+  'speech.low': 'low',
+  'speech.high': 'high',
+  'speech.pH': 'pH is {value}, which is {status}.',
+  'speech.reading': '{name} is {value} {unit}, which is {status}.',
+
+  // ── Treatment plan ──
+  'plan.step': 'Step {number}',
+  'plan.why': 'Why this step?',
+  'plan.chemical': 'Chemical:',
+  'plan.amount': 'Amount:',
+  'plan.wait': 'Wait:',
+  'plan.minutes': {
+    one: '{count} minute',
+    other: '{count} minutes',
+  },
+  'plan.expectedAfterStep': 'Expected after this step',
+  'plan.howCalculated': 'How this was calculated',
+  'plan.stepSpeech': 'Step {number}: {action}. Add {amount} of {chemical}. Wait {minutes} minutes.',
+  'plan.title': 'Treatment Plan',
+  'plan.orderTitle': 'Why Treatment Order Matters',
+  'plan.orderText': 'These steps follow a specific sequence because each chemical parameter affects the ones after it. Alkalinity buffers pH, pH controls sanitizer effectiveness, and sanitizer must be added to balanced water to work at full strength. Skipping ahead wastes chemicals and time.',
+  'plan.scheduleTitle': 'Schedule Tasks',
+  'plan.scheduleText': 'Add all steps to your calendar with timed reminders:',
+  'plan.startTime': 'Start time:',
+  'plan.addToCalendar': 'Add to Calendar',
+  'plan.start': 'Start Treatment',
+  'plan.markDone': 'Mark Treatment Done',
+  'plan.logged': 'Treatment logged.',
+  'plan.restartConfirm': 'A treatment is already in progress. Start over with this plan?',
+  'plan.speechIntro': 'Here is your treatment plan.',
+  'plan.speechOutro': 'After all steps, retest your water.',
+  'plan.invalidStart': 'Please select a valid start time.',
+
+  // ── Plan steps (chemistry.js) ──
+  'calc.strength': '{strength}%',
+  'calc.strengthDensity': '{strength}% at {density} g/mL',
+  'calc.sideEffect': 'Side effect: {name} {change} (accounted for in later steps)',
+  'calc.product': 'Product: {product} ({ingredient}, {strength})',
+  'calc.rate': 'Dosage rate: {rate} g {basis} per {step} per {volume}',
+  'calc.yourSpa': 'Your spa ({volume}): {steps} × {rate} g × {scale} = {grams} g active',
+  'calc.asLiquid': 'As product: {grams} g ÷ {divisor} = {ml} mL',
+  'calc.perHundredMl': '{strength} g per 100 mL',
+  'calc.asSolid': 'As product: {grams} g ÷ {strength}% = {product} g',
+  'calc.byVolume': 'By volume: {grams} g ÷ {density} = {ml} mL',
+  'calc.bulkDensity': '{density} g/mL bulk density',
+  'calc.noBulkDensity': '1 g/mL (no bulk density on file)',
+  'calc.balanceTarget': 'chosen with the other steps to balance the {index} at {temp}',
+  'calc.balanceLine': '{index}: {before} now → {after} after treatment (balanced is ±{tolerance})',
+  'calc.balanceCorrosive': '{name} is inside its ideal range, but at {temp} the water is corrosive ({index} {value}). Moving it to ~{target} brings the index back into balance with the smallest chemical change.',
+  'calc.balanceScaling': '{name} is inside its ideal range, but at {temp} the water is scale-forming ({index} {value}). Moving it to ~{target} brings the index back into balance with the smallest chemical change.',
+  'calc.midpoint': 'midpoint of {min}–{max} ideal range',
+  'calc.center': 'center of {min}–{max} ideal range',
+  'calc.target': 'Target: {target} ({note})',
+  'calc.raiseBy': 'Raise by: {amount}',
+  'calc.raiseFrom': 'Raise from {from} to ~{to}',
+  'calc.lowerFrom': 'Lower from {from} to ~{to}',
+  'calc.raiseByPh': 'Raise by: {amount} pH units',
+  'calc.lowerByPh': 'Lower by: {amount} pH units',
+  'ta.lowReason': 'Total Alkalinity is your pH buffering system. If TA is low, pH will swing wildly and won\'t hold after adjustment. Stabilizing the buffer first ensures all subsequent pH changes stick.',
+  'ta.raiseNotes': 'Add slowly with pump running. Retest after 20 minutes.',
+  'ta.drainChemical': 'Partial Drain + pH Decreaser',
+  'ta.drainAmount': 'Drain ~{pct}% and refill, then fine-tune with {chemical}',
+  'ta.drainReason': 'At {value} ppm, alkalinity is far over range. Using acid alone would require {amount} of {chemical}, which risks crashing your pH. A partial drain brings TA closer to range with less chemical stress on the water.',
+  'ta.drainCurrent': 'Current: {value} ppm (target: {target} ppm, excess: {excess} ppm)',
+  'ta.chemicalOnly': 'Chemical-only approach would need: {amount} {chemical}',
+  'ta.drainRecommended': 'Recommended: drain ~{pct}% (reduces TA to ~{result} ppm)',
+  'ta.drainFormula': 'Formula: ({value} − {target}) ÷ ({value} − {fill} fill water) ≈ {pct}%',
+  'ta.fineTune': 'Then fine-tune remaining excess with small amount of pH decreaser',
+  'ta.drainNotes': 'Drain with pump off. After refill, let water circulate 15 min, then retest TA and pH.',
+  'ta.pHSideEffect': 'Side effect: pH {before} → ~{after} until the extra CO2 is aerated off (accounted for in the pH step)',
+  'ta.highReason': 'High alkalinity resists pH changes and tends to push pH upward. Lowering TA first prevents fighting against the buffer when adjusting pH in the next step.',
+  'ta.targetMax': 'Target: ≤{max} ppm (top of ideal range)',
+  'ta.excess': 'Excess: {excess} ppm over target',
+  'ta.acidNotes': 'Add pH decreaser. This will also lower pH. Aerate to raise pH back if needed.',
+  'ph.aerateAction': 'Raise from {from} to ~{to} by aerating',
+  'ph.aeration': 'Aeration',
+  'ph.aerationAmount': 'Run jets with air valves open and cover off',
+  'ph.aerationReason': 'The acid that lowered alkalinity turned bicarbonate into dissolved carbon dioxide, which pulls pH down. Aeration lets that CO2 escape so pH rises on its own while alkalinity stays where you put it. Soda ash would add the alkalinity straight back.',
+  'ph.expectedAfterTa': 'Expected after the alkalinity step: {value}',
+  'ph.aerationRaiseBy': 'Raise by: {amount} pH units through CO2 loss, no chemical needed',
+  'ph.aerationNotes': 'Retest pH every hour. Stop aerating once it reaches the target.',
+  'ph.lowReason': 'pH directly controls sanitizer strength. At pH 7.5, chlorine is about 50% active as hypochlorous acid. Below 7.2, water becomes corrosive and irritates skin. Adjusted after alkalinity so the buffer holds this change.',
+  'ph.notes': 'Add with pump running. Wait 20 min and retest.',
+  'ph.highReason': 'High pH dramatically reduces sanitizer effectiveness — at pH 8.0, chlorine is only ~22% active. It also causes cloudy water and scale buildup. Adjusted after alkalinity so the buffer holds this change.',
+  'ch.lowReason': 'Low calcium makes water "aggressive" — it dissolves minerals from grout, plaster, metal fittings, and heater elements to satisfy its mineral demand. Corrected before sanitizer since corrosive water degrades chlorine faster.',
+  'ch.raiseNotes': 'Pre-dissolve in warm water before adding to spa.',
+  'ch.lowerHigh': 'Lower from {value} ppm (too high)',
+  'calc.partialReplacement': 'Partial Water Replacement',
+  'ch.drainAmount': 'Drain ~{pct}% and refill with fresh water',
+  'ch.highReason': 'High calcium causes white scale deposits on surfaces, jets, and heater elements. There is no chemical that removes dissolved calcium — dilution with fresh water is the only solution.',
+  'ch.drainCurrent': 'Current: {value} ppm (maximum: {max} ppm, fill water: {fill} ppm)',
+  'calc.dilutionNeeded': 'Dilution needed: ~{pct}% water replacement',
+  'ch.drainFormula': 'Formula: ({value} − {max}) ÷ ({value} − {fill}) = {ratio} ≈ {pct}%',
+  'ch.drainNotes': 'Only way to lower calcium hardness is dilution.',
+  'ch.hardFill': 'High at {value} ppm, and so is your fill water',
+  'ch.noChemical': 'None (dilution can’t help)',
+  'ch.hardFillAmount': 'Use a hose pre-filter when refilling, and keep pH and alkalinity at the low end of their ranges',
+  'ch.hardFillReason': 'Your fill water already has {fill} ppm calcium, at or above the {max} ppm maximum, so draining and refilling can\'t bring hardness into range. Lower pH and alkalinity offset the scaling tendency instead.',
+  'calc.currentMax': 'Current: {value} ppm (maximum: {max} ppm)',
+  'ch.hardFillLine': 'Fill water: {fill} ppm — a full refill would still be out of range',
+  'ch.hardFillNotes': 'Watch for white scale on jets and the waterline. A scale inhibitor helps with hard fill water.',
+  'cc.action': 'Breakpoint shock: raise free chlorine to ~{target} ppm',
+  'calc.waitAerate': 'Wait & Aerate',
+  'cc.noDose': 'No dose needed, leave cover off and run jets',
+  'cc.reason': 'Combined chlorine is {combined} ppm (total {total} − free {free}). These chloramines cause the "chlorine smell" and eye irritation, and they barely sanitize. Raising free chlorine to {factor}× the combined level passes the breakpoint, where chloramines are oxidized completely. A smaller dose just makes more of them.',
+  'cc.combinedLine': 'Combined chlorine: {total} − {free} = {combined} ppm (max {max} ppm)',
+  'cc.targetLine': 'Breakpoint target: {combined} × {factor} = {target} ppm free chlorine',
+  'cc.raiseBy': 'Raise by: {target} − {free} = {amount} ppm',
+  'cc.notes': 'Add all at once with cover open and jets running. Stay out of the spa until free chlorine drops back below 5 ppm and combined chlorine reads 0.5 ppm or less.',
+  'san.lowReasonChlorine': 'Sanitizer is added after pH and alkalinity are correct because its effectiveness depends entirely on water balance. At the proper pH of 7.2–7.8, chlorine works at maximum killing power against bacteria and algae.',
+  'san.lowReasonBromine': 'Sanitizer is added after pH and alkalinity are correct because its effectiveness depends entirely on water balance. At the proper pH of 7.2–7.8, bromine works at maximum killing power against bacteria and algae.',
+  'san.lowNotes': 'Add with pump running. Wait 15 min and retest. Don\'t enter spa until level is safe.',
+  'san.dangerous': '{name} dangerously high at {value} ppm',
+  'san.drainChemical': 'Partial Drain + Aerate',
+  'san.drainAmount': 'Drain ~{pct}% and refill, then run jets with cover off',
+  'san.drainReason': 'At {value} ppm, {name} is far above the safe maximum of {max} ppm. Waiting for natural dissipation could take hours. Draining ~{pct}% immediately dilutes the concentration, then aeration handles the rest.',
+  'san.drainCurrent': 'Current: {value} ppm (safe max: {max} ppm, excess: {excess} ppm)',
+  'san.drainTo': 'Drain ~{pct}% to reduce to ~{result} ppm',
+  'san.drainFormula': 'Formula: ({value} − {max}) ÷ ({value} − {fill} fill water) = ~{pct}%',
+  'san.aerateAfter': 'After refill, aerate with jets to dissipate remaining excess',
+  'san.drainNotes': 'Do not use spa until {name} drops below {max} ppm. Test again after 15 minutes.',
+  'san.high': '{name} is high at {value} ppm',
+  'san.aerateAmount': 'Leave cover off, run jets',
+  'san.highReason': 'High {name} levels dissipate naturally through aeration and UV exposure. No chemical neutralizer is needed — time and air circulation bring levels down safely.',
+  'san.highCurrent': 'Current: {value} ppm (maximum safe: {max} ppm)',
+  'san.noDose': 'No chemical dosage — natural dissipation through aeration',
+  'san.jets': 'Running jets with cover off accelerates the process',
+  'san.highNotes': 'Do not use spa until {name} drops below {max} ppm.',
+  'cya.lowReason': 'Cyanuric acid (CYA) forms a protective bond around chlorine molecules, shielding them from UV destruction. Without it, sunlight destroys ~90% of free chlorine within 2 hours. Done last because CYA dissolves very slowly (24+ hours for full effect).',
+  'cya.lowNotes': 'Dissolve in warm water. CYA is slow to dissolve; retest after 24 hours.',
+  'cya.high': 'CYA too high at {value} ppm',
+  'calc.drainRefill': 'Drain ~{pct}% and refill',
+  'cya.highReason': 'Excess CYA "locks up" chlorine — it over-stabilizes the sanitizer so it can\'t effectively kill bacteria (called "chlorine lock"). Like calcium, CYA cannot be chemically removed; dilution is the only solution.',
+  'cya.drainFormula': 'Formula: ({value} − {max}) ÷ ({value} − {fill} fill water) = {ratio} ≈ {pct}%',
+  'cya.highNotes': 'High CYA reduces sanitizer effectiveness. Dilution is the only fix.',
+  'cya.stabilizedFill': 'High at {value} ppm, and so is your fill water',
+  'cya.stabilizedFillAmount': 'Switch to unstabilized chlorine (liquid or cal-hypo) and keep free chlorine at the high end of its range',
+  'cya.stabilizedFillReason': 'Your fill water already has {fill} ppm CYA, at or above the {max} ppm maximum, so draining and refilling can\'t bring CYA into range. Stop adding more with stabilized chlorine, and keep free chlorine higher so enough of it stays active.',
+  'cya.stabilizedFillLine': 'Fill water: {fill} ppm — a full refill would still be out of range',
+  'cya.stabilizedFillNotes': 'Dichlor and trichlor add CYA with every dose. Use liquid chlorine or cal-hypo until CYA is back in range.',
+  'refresh.parameter': 'Water Refresh',
+  'refresh.drainAction': 'Drain {pct}% and refill',
+  'refresh.fillWater': 'Fill Water',
+  'refresh.drainAmount': 'Drain ~{volume} ({pct}%) and refill',
+  'refresh.drainReason': {
+    one: '{parameters} can only come down by dilution. One {pct}% drain covers it, and the doses that follow are calculated for the refilled water.',
+    other: '{parameters} can only come down by dilution. One {pct}% drain covers all of them, and the doses that follow are calculated for the refilled water.',
+  },
+  'refresh.needs': '{parameter}: needs ~{pct}%',
+  'refresh.afterRefill': '{name}: {before} → {after} after refill',
+  'refresh.drainNotes': 'Drain with pump off. After refill, circulate 15 min at temperature, then continue with the next steps. Retest first if you can.',
+  'refresh.considerAction': 'Consider a partial drain and refill first',
+  'refresh.freshWater': 'Fresh Water',
+  'refresh.considerReason': 'With {count} parameters needing correction, a partial water change is often the fastest path to balanced water. Fresh water dilutes all problem values simultaneously — you may eliminate 1–2 corrections entirely and reduce the chemical amounts for the rest.',
+  'refresh.correctionsNeeded': '{count} corrections currently needed',
+  'refresh.after': 'After a {pct}% refresh: {values}',
+  'refresh.retestAll': 'After refill, retest all parameters before adding chemicals',
+  'refresh.considerNotes': 'Optional but recommended. Drain with pump off. After refill, circulate 15 min at temperature, then retest everything.',
+  'refresh.fillLine': 'Fill water: {values}',
+  'refresh.fillUntested': 'Fill water: not tested, assumed to contain nothing dissolved',
+
+  // ── Guided treatment ──
+  'guide.stepSpeech': 'Step {number}: {action}. Add {amount} of {chemical}.',
+  'guide.thenWait': {
+    one: 'Then wait {count} minute.',
+    other: 'Then wait {count} minutes.',
+  },
+  'guide.nextAction': 'Step {number}: {action}',
+  'guide.allDoneShort': 'All steps done. Retest your water.',
+  'guide.waitOverTitle': 'Step {number} wait is over',
+  'guide.waitOver': 'Wait is over.',
+  'guide.waitTitle': 'Step {number} wait',
+  'guide.readyAt': 'Ready at {time}.',
+  'guide.allDone': 'All steps are done. Retest your water.',
+  'guide.left': '{time} left.',
+  'guide.leftPaused': '{time} left, paused.',
+  'guide.saySkip': 'Say skip to move on.',
+  'guide.timerStarted': 'Timer started for {time}.',
+  'guide.amount': '{amount} of {chemical}.',
+  'guide.timerResumed': 'Timer resumed.',
+  'guide.noWait': 'This step has no wait. Say next step when it\'s done.',
+  'guide.timerPaused': 'Timer paused. Say resume to continue.',
+  'guide.noTimer': 'No timer is running.',
+  'guide.progress': 'Step {number} of {total}',
+  'guide.paused': 'Paused',
+  'guide.circulate': 'Let it circulate with the jets or pump on.',
+  'guide.resume': 'Resume',
+  'guide.pause': 'Pause',
+  'guide.skipWait': 'Skip Wait',
+  'guide.addedStartWait': 'Added — Start {minutes} min Wait',
+  'guide.doneNext': 'Done — Next Step',
+  'guide.viewPlan': 'View Plan',
+  'guide.stop': 'Stop Treatment',
+  'guide.stopConfirm': 'Stop this treatment? Progress on it will be lost.',
+  'guide.doneTitle': 'Treatment Done',
+  'guide.retestTitle': 'Time to Retest',
+  'guide.retestText': {
+    one: 'The step is done. Test the water again to see how close it came to the plan.',
+    other: 'All {count} steps are done. Test the water again to see how close it came to the plan.',
+  },
+  'guide.expectedNow': 'Expected now',
+  'guide.skipRetest': 'Skip Retest',
+
+  // ── Settings ──
+  'settings.colorMatching': 'Color Matching',
+  'settings.rangeInvalid': '{name}: the minimum must be below the maximum.',
+  'settings.notTested': 'Not tested',
+  'settings.welcome': 'Welcome to SparoBot',
+  'settings.newWater': 'New Body of Water',
+  'settings.title': 'Settings',
+  'settings.welcomeText': 'Set up your spa or pool to get started.',
+  'settings.newWaterText': 'Each spa or pool keeps its own settings and test history.',
+  'settings.language': 'Language',
+  'settings.deviceLanguage': 'Device language',
+  'settings.voice': 'Voice',
+  'settings.voiceHint': 'Voices installed on this device for the language. Spanish and German need a voice for that language to be read aloud.',
+  'settings.name': 'Name',
+  'settings.namePlaceholder': 'e.g. Hot Tub',
+  'settings.volume': 'Water Volume',
+  'settings.volumePlaceholder': 'e.g. {volume}',
+  'settings.gallons': 'Gallons',
+  'settings.liters': 'Liters',
+  'settings.volumeHintLiters': 'Typical hot tub: {min}–{max} liters. Check your owner\'s manual.',
+  'settings.volumeHintGallons': 'Typical hot tub: {min}–{max} gallons. Check your owner\'s manual.',
+  'settings.sanitizer': 'Sanitizer Type',
+  'settings.strips': 'Test Strips',
+  'settings.stripsAuto': 'Automatic (generic, matches sanitizer)',
+  'settings.custom': '{name} (custom)',
+  'settings.stripsHint': 'Pick the brand you use. Profiles are JSON files you can export, edit and import.',
+  'settings.balanceIndex': 'Water Balance Index',
+  'settings.balanceIndexHint': 'LSI is the industry standard. CSI also accounts for dissolved solids more precisely.',
+  'settings.colorMatchingHint': 'CIEDE2000 is the most accurate. CIE94 is a simpler alternative.',
+  'settings.units': 'Units',
+  'settings.unitSystem': 'Unit System',
+  'settings.measure': 'Measure Doses With',
+  'settings.scoopSize': 'Scoop Size',
+  'settings.scoopHint': 'Fill the scoop with water and measure it, or check the label (1 fl oz is 30 mL).',
+  'settings.measureHint': 'Spoons, cups and scoops go by each product\'s bulk density. Exact weights are shown alongside.',
+  'settings.products': 'My Products',
+  'settings.productsHint': 'Doses are calculated for the products you own.',
+  'settings.addProductTitle': 'Add a Product',
+  'settings.productName': 'Name on the label',
+  'settings.addProduct': 'Add Product',
+  'settings.addProductHint': 'Strength is the % on the label (available chlorine for chlorine products). For liquids, enter a density only if labeled by weight, such as muriatic acid. For granules, the density (weight of a level cup ÷ cup size) lets doses be measured by volume.',
+  'settings.yourProducts': 'Your Products',
+  'settings.ranges': 'Target Ranges',
+  'settings.rangesHint': 'Ideal minimum and maximum for {name}. Leave blank to use the defaults shown.',
+  'settings.fillWater': 'Fill Water',
+  'settings.fillWaterHint': 'Test the water you refill with (e.g. from the hose) so drain plans account for what it brings in.',
+  'settings.getStarted': 'Get Started',
+  'settings.add': 'Add',
+  'settings.save': 'Save Settings',
+  'maintenance.title': 'Maintenance Calendar',
+  'maintenance.hint': 'Recurring reminders to test, shock, rinse the filter and drain. Export again after changes to update the same events in your calendar.',
+  'maintenance.testsPerWeek': 'Tests per Week',
+  'maintenance.bathers': 'Bathers per Day',
+  'maintenance.time': 'Reminder Time',
+  'maintenance.export': 'Export Schedule',
+  'backup.title': 'Backup',
+  'backup.hintFirst': 'Moving from another device? Import a backup file.',
+  'backup.hint': 'Save every body of water, its settings and full test history to a file.',
+  'backup.exportJson': 'Export JSON',
+  'backup.exportCsv': 'Readings CSV',
+  'data.title': 'Data',
+  'data.clearHistory': 'Clear History',
+  'data.deleteWater': 'Delete This Body of Water',
+  'data.resetAll': 'Reset All Data',
+  'settings.addProductFailed': 'Could not add product: {message}',
+  'settings.replaceProduct': 'Replace your existing "{name}" product?',
+  'settings.deleteProduct': 'Delete "{name}"?',
+  'settings.importProfileFailed': 'Could not import profile: {message}',
+  'settings.replaceProfile': 'Replace your existing "{name}" profile?',
+  'settings.deleteProfile': 'Delete the "{name}" profile?',
+  'data.clearConfirm': 'Clear all test history for {name}?',
+  'data.cleared': 'History cleared.',
+  'data.deleteConfirm': 'Delete {name} and its test history?',
+  'data.resetConfirm': 'Reset all data and settings?',
+  'maintenance.waterLasts': {
+    one: 'Water lasts about {count} day at this use.',
+    other: 'Water lasts about {count} days at this use.',
+  },
+  'maintenance.drainsEvery': {
+    one: 'The calendar drains every month.',
+    other: 'The calendar drains every {count} months, at least quarterly.',
+  },
+  'maintenance.enterBathers': 'Enter how many people use the water on a typical day.',
+  'maintenance.pickTime': 'Pick a reminder time.',
+  'backup.importFailed': 'Could not import backup: {message}',
+  'settings.invalidVolume': 'Please enter a valid water volume.',
+  'settings.voiceAuto': 'Automatic',
+  'units.imperial': 'US (oz, gallons, °F)',
+  'units.metric': 'Metric (g, liters, °C)',
+  'units.mixed': 'Mixed (g and mL, gallons, °F)',
+  'measure.weight': 'Scale or measuring cup',
+  'measure.kitchen': 'Spoons and cups',
+  'measure.scoop': 'Measuring scoop',
+  'measure.teaspoons': {
+    one: '{amount} teaspoon',
+    other: '{amount} teaspoons',
+  },
+  'measure.tablespoons': {
+    one: '{amount} tablespoon',
+    other: '{amount} tablespoons',
+  },
+  'measure.cups': {
+    one: '{amount} cup',
+    other: '{amount} cups',
+  },
+  'measure.scoops': {
+    one: '{amount} scoop',
+    other: '{amount} scoops',
+  },
+  'backup.notObject': 'Backup must be a JSON object.',
+  'backup.wrongFormat': 'Not a SparoBot backup (expected format "{format}").',
+  'backup.tooNew': 'Backup version {version} is newer than this app supports.',
+  'backup.noWaters': 'Backup has no bodies of water.',
+  'backup.waterNeedsId': 'Each body of water needs an id and a name.',
+  'backup.waterTwice': 'Body of water "{id}" is listed twice.',
+  'backup.invalidVolume': '"{name}" has an invalid volume.',
+  'backup.testNoDate': 'A test for "{name}" has no valid date.',
+  'backup.testNoReadings': 'The {date} test for "{name}" has no readings.',
+  'backup.testInvalidReading': 'The {date} test for "{name}" has an invalid {key} reading.',
+  'backup.treatmentIncomplete': 'A treatment for "{name}" is incomplete.',
+  'backup.profileError': 'Strip profile "{name}": {message}',
+  'backup.productError': 'Product "{name}": {message}',
+
+  // ── Products ──
+  'product.granular': 'Granular',
+  'product.liquid': 'Liquid',
+  'job.alkalinityUp': 'Raise Alkalinity',
+  'job.alkalinityDown': 'Lower Alkalinity',
+  'job.phUp': 'Raise pH',
+  'job.phDown': 'Lower pH',
+  'job.chlorineUp': 'Chlorine',
+  'job.bromineUp': 'Bromine',
+  'job.hardnessUp': 'Raise Calcium Hardness',
+  'job.cyaUp': 'Stabilizer (CYA)',
+  'ingredient.sodiumBicarbonate': 'Sodium bicarbonate',
+  'ingredient.sodiumBicarbonate.inText': 'sodium bicarbonate',
+  'ingredient.sodiumCarbonate': 'Sodium carbonate',
+  'ingredient.sodiumCarbonate.inText': 'sodium carbonate',
+  'ingredient.sodiumBisulfate': 'Sodium bisulfate',
+  'ingredient.sodiumBisulfate.inText': 'sodium bisulfate',
+  'ingredient.hydrochloricAcid': 'Hydrochloric acid',
+  'ingredient.hydrochloricAcid.inText': 'hydrochloric acid',
+  'ingredient.sodiumHypochlorite': 'Sodium hypochlorite',
+  'ingredient.sodiumHypochlorite.inText': 'sodium hypochlorite',
+  'ingredient.calciumHypochlorite': 'Calcium hypochlorite',
+  'ingredient.calciumHypochlorite.inText': 'calcium hypochlorite',
+  'ingredient.sodiumDichlor': 'Sodium dichloroisocyanurate',
+  'ingredient.sodiumDichlor.inText': 'sodium dichloroisocyanurate',
+  'ingredient.potassiumMonopersulfate': 'Potassium monopersulfate',
+  'ingredient.potassiumMonopersulfate.inText': 'potassium monopersulfate',
+  'ingredient.calciumChloride': 'Calcium chloride',
+  'ingredient.calciumChloride.inText': 'calcium chloride',
+  'ingredient.cyanuricAcid': 'Cyanuric acid',
+  'ingredient.cyanuricAcid.inText': 'cyanuric acid',
+  'ingredient.availableChlorine': 'available chlorine',
+  'builtinProduct.baking-soda': 'Sodium Bicarbonate (Baking Soda)',
+  'builtinProduct.soda-ash': 'Soda Ash (Sodium Carbonate)',
+  'builtinProduct.dry-acid': 'Sodium Bisulfate (pH Decreaser)',
+  'builtinProduct.muriatic-acid': 'Muriatic Acid 31.45%',
+  'builtinProduct.dichlor': 'Sodium Dichlor (56% Chlorine Granules)',
+  'builtinProduct.liquid-chlorine': 'Liquid Chlorine 12.5%',
+  'builtinProduct.bleach': 'Unscented Bleach 6%',
+  'builtinProduct.cal-hypo': 'Cal-Hypo Shock 65%',
+  'builtinProduct.mps': 'MPS Shock (Bromine Activator)',
+  'builtinProduct.calcium-chloride': 'Calcium Chloride',
+  'builtinProduct.stabilizer': 'Cyanuric Acid (Stabilizer)',
+  'product.notObject': 'Product must be an object.',
+  'product.needsName': 'Product needs a name.',
+  'product.pickIngredient': 'Pick the active ingredient.',
+  'product.invalidStrength': 'Strength must be a percentage between 0 and 100.',
+  'product.invalidForm': 'Form must be granular or liquid.',
+  'product.invalidDensity': 'Density must be between {min} and {max} g/mL.',
+
+  // ── Parameters ──
+  'param.freeChlorine': 'Free Chlorine',
+  'param.totalChlorine': 'Total Chlorine',
+  'param.combinedChlorine': 'Combined Chlorine',
+  'param.bromine': 'Total Bromine',
+  'param.pH': 'pH',
+  'param.totalAlkalinity': 'Total Alkalinity',
+  'param.totalHardness': 'Calcium Hardness',
+  'param.cyanuricAcid': 'Cyanuric Acid',
+  'param.freeChlorine.inText': 'free chlorine',
+  'param.bromine.inText': 'total bromine',
+
+  // ── History ──
+  'test.photoMissing': 'The photo for this test is no longer stored.',
+  'test.notFound': 'That test is no longer saved.',
+  'history.dictated': 'Dictated',
+  'history.strip': 'Test strip',
+  'history.dropKit': '{kit} drop kit',
+  'history.manual': 'Entered by hand',
+  'history.empty': 'No test results saved yet. Scan a test strip to get started.',
+  'history.title': 'Test History',
+  'history.days': {
+    one: '{count} day',
+    other: '{count} days',
+  },
+  'history.chartHint': 'Shaded bands are your target ranges. Triangles mark logged treatments. Tap a point to open that test.',
+  'test.source': 'Source',
+  'test.drops': '{name} Drops',
+  'test.dropCount': '{drops} in {sampleMl} mL',
+  'test.waterTemp': 'Water Temp',
+  'test.saturationIndex': 'Saturation Index',
+  'test.strip': 'Strip',
+  'test.reanalyzed': 'Re-analyzed',
+  'test.photoAlt': 'Test strip photo',
+  'test.firstRead': 'As first read',
+  'test.reanalyze': 'Re-analyze Photo',
+  'test.treated': 'Treated {date}',
+  'restore.noTests': 'No tests',
+  'restore.title': 'Import Backup',
+  'restore.exported': 'Exported {date}',
+  'restore.contents': 'Backup contents',
+  'restore.alreadyHere': '{name} (already here)',
+  'restore.tests': {
+    one: '{count} test',
+    other: '{count} tests',
+  },
+  'restore.treatments': {
+    one: '{count} logged treatment',
+    other: '{count} logged treatments',
+  },
+  'restore.also': 'Also {profiles} and {products}.',
+  'restore.profiles': {
+    one: '{count} custom strip profile',
+    other: '{count} custom strip profiles',
+  },
+  'restore.products': {
+    one: '{count} custom product',
+    other: '{count} custom products',
+  },
+  'restore.merge': 'Merge With My Data',
+  'restore.mergeHint': 'Adds new bodies of water and any tests you don\'t already have. Your current settings are kept.',
+  'restore.replace': 'Replace All My Data',
+  'restore.restore': 'Restore',
+  'restore.replaceConfirm': 'Replace all bodies of water, settings and history on this device with the backup?',
+  'trends.empty': 'No tests in this period',
+  'trends.label': {
+    one: '{name} over the last day',
+    other: '{name} over the last {count} days',
+  },
+
+  // ── Calendar export ──
+  'ics.stepTitle': 'Spa: {action}',
+  'ics.step': 'Step {number}: {parameter}',
+  'ics.chemical': 'Chemical: {chemical}',
+  'ics.amount': 'Amount: {amount}',
+  'ics.notes': 'Notes: {notes}',
+  'ics.retestTitle': 'Spa: Retest Water',
+  'ics.retest': 'All chemicals have been added. Retest your spa water to verify levels are in range.',
+  'ics.test': '{name}: Test Water',
+  'ics.testChlorine': 'Test free and total chlorine, pH and alkalinity, and treat anything out of range.',
+  'ics.testBromine': 'Test bromine, pH and alkalinity, and treat anything out of range.',
+  'ics.shock': '{name}: Shock',
+  'ics.shockBromine': 'Shock with MPS (non-chlorine shock) to reactivate bromide and burn off contaminants. Run the jets with the cover open.',
+  'ics.shockChlorine': 'Shock to break down chloramines and contaminants. Run the jets with the cover open.',
+  'ics.filterRinse': '{name}: Rinse Filter',
+  'ics.filterRinseDescription': 'Hose off the filter cartridge between the pleats, top to bottom. Soak it in filter cleaner every few rinses.',
+  'ics.drain': '{name}: Drain and Refill',
+  'ics.drainDescription': 'Drain, clean the shell and refill. {volume} at {bathers} a day lasts about {days} ({rule} ÷ bathers per day), so every {every}.',
+  'ics.bathers': {
+    one: '{count} bather',
+    other: '{count} bathers',
+  },
+  'ics.days': {
+    one: '{count} day',
+    other: '{count} days',
+  },
+  'ics.ruleLiters': 'liters ÷ {divisor}',
+  'ics.ruleGallons': 'gallons ÷ {divisor}',
+  'ics.months': {
+    one: 'month',
+    other: '{count} months',
+  },
+  'ics.calendarName': '{name} Maintenance',
+};
@@ -0,0 +1,680 @@
+// Spanish messages (see en.js for the full list of keys)
+
+export default {
+  // ── Common ──
+  'common.cancel': 'Cancelar',
+  'common.clear': 'Quitar',
+  'common.done': 'Hecho',
+  'common.import': 'Importar',
+  'common.export': 'Exportar',
+  'common.delete': 'Eliminar',
+  'common.notJson': 'El archivo no es un JSON válido.',
+
+  // ── Storage and bodies of water ──
+  'storage.saveFailed': 'No se pudieron guardar los cambios: {message}',
+  'storage.openFailed': 'No se pudieron abrir tus datos guardados ({message}). Los cambios no se guardarán.',
+  'water.firstName': 'Mi spa',
+  'water.newName': 'Spa {number}',
+
+  // ── Home ──
+  'home.now': 'Ahora',
+  'home.never': 'Nunca',
+  'home.lastTest': 'Última prueba',
+  'home.sanitizerUse': 'Consumo de {name}',
+  'home.perDay': '~{rate} {unit}/día',
+  'home.nextDose': 'Próxima dosis',
+  'home.nextDoseNote': {
+    one: 'Añade {amount} de {chemical} (+{change} {unit}), suficiente para {count} día aproximadamente.',
+    other: 'Añade {amount} de {chemical} (+{change} {unit}), suficiente para unos {count} días.',
+  },
+  'home.estimatedLevel': 'Nivel estimado ahora: {level} {unit}; última prueba {date}.',
+  'home.volume.gallons': '{volume} galones',
+  'home.volume.liters': '{volume} litros',
+  'home.notSet': 'Sin configurar',
+  'home.subtitle': 'Analizador de agua para spa y piscina',
+  'home.addWater': 'Añadir un spa o piscina',
+  'home.volume': 'Volumen',
+  'home.sanitizer': 'Desinfectante',
+  'sanitizer.chlorine': 'Cloro',
+  'sanitizer.bromine': 'Bromo',
+  'home.testStrips': 'Tiras reactivas',
+  'home.retestAfterTreatment': 'Volver a medir tras el tratamiento',
+  'home.resumeTreatment': 'Reanudar tratamiento · Paso {step} de {total}',
+  'home.scan': 'Escanear tira reactiva',
+  'home.enterReadings': 'Introducir lecturas',
+  'home.dipTimer': 'Lee la tira {seconds} segundos después de sumergirla.',
+  'home.startTimer': 'Iniciar temporizador',
+  'home.history': 'Historial',
+  'home.settings': 'Ajustes',
+  'home.dipReady': 'Listo: escanea la tira ahora.',
+  'home.dipReadySpeech': 'Listo para escanear.',
+  'home.dipCountdown': 'Lectura en {seconds} s…',
+
+  // ── Camera and strip reading ──
+  'camera.title': 'Escanear tira',
+  'camera.starting': 'Iniciando la cámara…',
+  'camera.takePhoto': 'Hacer foto',
+  'camera.choosePhoto': 'Elegir una foto',
+  'camera.holdSteady': 'No te muevas…',
+  'camera.focusing': 'Enfocando…',
+  'camera.capturing': 'Capturando…',
+  'camera.holdThere': 'Mantenla ahí…',
+  'camera.unavailable': 'Cámara no disponible ({error}). Elige una foto.',
+  'analyze.confidence': 'Confianza: {confidence} (ΔE {deltaE} respecto a la escala)',
+  'confidence.high': 'alta',
+  'confidence.medium': 'media',
+  'confidence.low': 'baja',
+  'analyze.tapWhite': 'Toca una zona blanca: el mango de la tira o una tarjeta blanca',
+  'analyze.lightingCorrected': 'Iluminación corregida (~{cct} K)',
+  'analyze.lightingPrompt': '¿Lecturas raras? Corrige la iluminación.',
+  'analyze.redo': 'Rehacer',
+  'analyze.setWhitePoint': 'Fijar punto blanco',
+  'analyze.notWhite': 'Esa zona no parece blanca. Toca el mango blanco liso de la tira o una tarjeta blanca.',
+  'analyze.bottleChartInUse': 'Comparando con la carta del bote de esta foto',
+  'analyze.bottleChartPrompt': '¿Tienes la tira junto a la carta del bote?',
+  'analyze.remark': 'Volver a marcar',
+  'analyze.useBottleChart': 'Usar carta del bote',
+  'chart.progress': 'Carta del bote {step} / {total}',
+  'chart.tapSwatch': 'Toca el color {value} de la escala de {name}',
+  'chart.changeValue': 'Cambia el valor si tu bote indica otro número',
+  'chart.printedValue': 'Valor impreso',
+  'chart.undo': 'Deshacer',
+  'chart.notOnChart': 'No está en la carta',
+  'chart.next': 'Siguiente',
+  'chart.enterValue': 'Introduce el valor impreso junto a este color.',
+  'chart.needTwo': 'Marca al menos dos colores distintos de {name}.',
+  'chart.savePrompt': '¿Guardar esta carta como perfil de tira para próximos escaneos? Escribe un nombre, o cancela para usarla solo en este escaneo.',
+  'chart.defaultName': '{name} (mi bote)',
+  'chart.saveFailed': 'No se pudo guardar el perfil: {message}',
+  'chart.saved': 'Se guardó «{name}» y se seleccionó en Ajustes.',
+  'reanalysis.profile': 'Perfil de tira',
+  'reanalysis.asSaved': '{name} (como se guardó)',
+  'analyze.reviewPads': 'Revisar casillas',
+  'analyze.checkPads': 'Comprueba las casillas detectadas',
+  'analyze.movePadHint': 'Elige una casilla abajo y toca la foto para moverla',
+  'analyze.flip': 'Invertir orden',
+  'analyze.tapManually': 'Marcar a mano',
+  'analyze.confirm': 'Confirmar lecturas',
+  'analyze.step': 'Paso {progress}',
+  'analyze.tapPad': 'Toca la casilla de {name}',
+  'analyze.detectionFailed': 'No se encontró la tira automáticamente.',
+  'analyze.tapPadHint': 'Toca la casilla de la tira en la foto de abajo',
+  'analyze.confirmPad': 'Confirmar',
+  'analyze.retry': 'Reintentar',
+  'profile.notObject': 'El perfil debe ser un objeto JSON.',
+  'profile.wrongFormat': 'No es un perfil de tiras (formato esperado: "{format}").',
+  'profile.tooNew': 'La versión {version} del perfil es más nueva de lo que admite esta app.',
+  'profile.needsName': 'El perfil necesita un nombre.',
+  'profile.needsPadOrder': 'El perfil necesita una lista padOrder.',
+  'profile.unknownPad': 'Casilla desconocida: "{key}".',
+  'profile.padTwice': 'La casilla "{key}" aparece dos veces.',
+  'profile.fewColors': 'La carta de "{key}" necesita al menos dos colores.',
+  'profile.invalidColor': 'La carta de "{key}" tiene un color no válido.',
+  'profile.invalidDelay': 'readingDelaySeconds debe estar entre {min} y {max}.',
+
+  // ── Manual entry and dictation ──
+  'manual.perDrop': '{reagent}, {factor} {unit} por gota',
+  'manual.value': 'Valor',
+  'manual.drops': 'Gotas',
+  'manual.sample': 'Muestra de {ml} mL',
+  'manual.title': 'Introducir lecturas',
+  'manual.dictate': 'Dictar lecturas',
+  'manual.dictateHint': 'Di cada prueba y su valor, p. ej. «pH siete coma cuatro, alcalinidad ciento veinte, cloro libre tres».',
+  'manual.dropKit': 'Kit de gotas',
+  'manual.hint': 'Escribe cada valor, o cambia una titulación a Gotas e introduce el recuento. Deja una prueba en blanco para omitirla.',
+  'manual.viewResults': 'Ver resultados',
+  'manual.noReadings': 'Introduce al menos una lectura.',
+  'manual.badPH': 'El pH debe estar entre 0 y 14.',
+  'manual.listening': 'Escuchando…',
+  'manual.notHeard': 'No te he entendido. Toca Dictar lecturas e inténtalo de nuevo.',
+  'dictation.title': 'Revisar lecturas',
+  'dictation.heard': 'He oído «{transcript}»',
+  'dictation.none': 'No se reconoció ninguna lectura.',
+  'dictation.use': 'Usar estas lecturas',
+  'dictation.edit': 'Editar',
+  'dictation.again': 'Dictar de nuevo',
+  'dictation.heardSpeech': 'He oído:',
+  'dictation.noneSpeech': 'No he reconocido ninguna lectura.',
+  'dictation.unclearSpeech': {
+    one: 'Una prueba no quedó clara.',
+    other: '{count} pruebas no quedaron claras.',
+  },
+  'dictation.noValue': '{name}: no se oyó ningún valor',
+  'dictation.notPh': 'pH: {value} no es un valor de pH',
+
+  // ── Voice control ──
+  'voice.denied': 'Se denegó el acceso al micrófono.',
+  'voice.sayNextStep': 'Di siguiente paso para empezar el tratamiento.',
+  'voice.noTreatment': 'Todo está en rango. No hace falta tratamiento.',
+  'voice.inProgress': 'Ya hay un tratamiento en curso. Abriéndolo.',
+  'voice.firstAmount': 'Primero, {amount} de {chemical}.',
+  'voice.nothingToRepeat': 'Todavía no hay nada que repetir.',
+  'voice.notHere': 'Eso no se aplica aquí.',
+  'voice.stop': 'Detener voz',
+  'voice.start': 'Control por voz',
+  'voice.hint': 'Di «siguiente paso», «cuánto», «repite»…',
+  'voice.listening': 'Escuchando…',
+  'voice.speaking': 'Hablando…',
+  'voice.heard': 'He oído «{text}»',
+
+  // ── Results and water balance ──
+  'results.title': 'Resultados',
+  'results.parameter': 'Parámetro',
+  'results.value': 'Valor',
+  'results.status': 'Estado',
+  'results.ideal': 'Ideal',
+  'balance.title': 'Equilibrio del agua',
+  'balance.balanced': 'equilibrada',
+  'balance.corrosive': 'corrosiva',
+  'balance.scaling': 'incrustante',
+  'balance.enterTemp': 'Introduce la temperatura',
+  'balance.temp': 'Temp.',
+  'balance.tdsOptional': 'TDS (opcional)',
+  'balance.range': 'Entre {min} y {max} está equilibrada.',
+  'balance.tdsAssumed': 'Se suponen 1000 ppm de TDS.',
+  'balance.planTargets': 'El plan de tratamiento busca un índice equilibrado.',
+  'balance.hint': 'Con la temperatura del agua, el plan elige objetivos de pH, alcalinidad y dureza que equilibran el agua en su conjunto.',
+  'results.whiteBalanced': 'Colores corregidos para una luz de ~{cct} K.',
+  'results.expectedAfterTreatment': 'Esperado tras el tratamiento',
+  'results.dictated': 'Dictado por voz.',
+  'results.entered': 'Introducido a mano.',
+  'results.enteredDrops': 'Introducido a mano, gotas convertidas para el {kit}.',
+  'results.allClear': '¡Todo en orden!',
+  'results.allClearText': 'La química del agua está dentro de los rangos ideales. ¡Disfruta de tu spa!',
+  'results.viewPlan': {
+    one: 'Ver plan de tratamiento ({count} paso)',
+    other: 'Ver plan de tratamiento ({count} pasos)',
+  },
+  'results.update': 'Actualizar prueba guardada',
+  'results.save': 'Guardar en el historial',
+  'results.newScan': 'Nuevo escaneo',
+  'results.updated': 'Prueba guardada actualizada.',
+  'results.updateGone': 'La prueba guardada que se estaba releyendo ya no está en el historial de este spa o piscina. Guarda las lecturas como una prueba nueva.',
+  'results.saved': 'Resultados guardados en el historial.',
+  'status.low': 'BAJO',
+  'status.high': 'ALTO',
+  'status.ok': 'OK',
+  'balance.lsi': 'Índice de saturación de Langelier',
+  'balance.csi': 'Índice de saturación de calcita',
+  'speech.intro': 'Estos son los resultados de tu agua.',
+  'speech.ok': 'dentro del rango ideal',
+  'speech.low': 'bajo',
+  'speech.high': 'alto',
+  'speech.pH': 'El pH es {value}, {status}.',
+  'speech.reading': '{name}: {value} {unit}, {status}.',
+
+  // ── Treatment plan ──
+  'plan.step': 'Paso {number}',
+  'plan.why': '¿Por qué este paso?',
+  'plan.chemical': 'Producto:',
+  'plan.amount': 'Cantidad:',
+  'plan.wait': 'Espera:',
+  'plan.minutes': {
+    one: '{count} minuto',
+    other: '{count} minutos',
+  },
+  'plan.expectedAfterStep': 'Esperado tras este paso',
+  'plan.howCalculated': 'Cómo se ha calculado',
+  'plan.stepSpeech': 'Paso {number}: {action}. Añade {amount} de {chemical}. Espera {minutes} minutos.',
+  'plan.title': 'Plan de tratamiento',
+  'plan.orderTitle': 'Por qué importa el orden',
+  'plan.orderText': 'Estos pasos siguen un orden concreto porque cada parámetro químico afecta a los siguientes. La alcalinidad amortigua el pH, el pH determina la eficacia del desinfectante, y el desinfectante debe añadirse a agua equilibrada para actuar con toda su fuerza. Saltarse pasos desperdicia productos y tiempo.',
+  'plan.scheduleTitle': 'Programar tareas',
+  'plan.scheduleText': 'Añade todos los pasos a tu calendario con recordatorios:',
+  'plan.startTime': 'Hora de inicio:',
+  'plan.addToCalendar': 'Añadir al calendario',
+  'plan.start': 'Iniciar tratamiento',
+  'plan.markDone': 'Marcar tratamiento como hecho',
+  'plan.logged': 'Tratamiento registrado.',
+  'plan.restartConfirm': 'Ya hay un tratamiento en curso. ¿Empezar de nuevo con este plan?',
+  'plan.speechIntro': 'Este es tu plan de tratamiento.',
+  'plan.speechOutro': 'Después de todos los pasos, vuelve a medir el agua.',
+  'plan.invalidStart': 'Elige una hora de inicio válida.',
+
+  // ── Plan steps (chemistry.js) ──
+  'calc.strength': '{strength} %',
+  'calc.strengthDensity': '{strength} % a {density} g/mL',
+  'calc.sideEffect': 'Efecto secundario: {name} {change} (tenido en cuenta en los pasos siguientes)',
+  'calc.product': 'Producto: {product} ({ingredient}, {strength})',
+  'calc.rate': 'Dosis: {rate} g de {basis} por {step} cada {volume}',
+  'calc.yourSpa': 'Tu spa ({volume}): {steps} × {rate} g × {scale} = {grams} g de principio activo',
+  'calc.asLiquid': 'Como producto: {grams} g ÷ {divisor} = {ml} mL',
+  'calc.perHundredMl': '{strength} g por 100 mL',
+  'calc.asSolid': 'Como producto: {grams} g ÷ {strength} % = {product} g',
+  'calc.byVolume': 'Por volumen: {grams} g ÷ {density} = {ml} mL',
+  'calc.bulkDensity': '{density} g/mL de densidad aparente',
+  'calc.noBulkDensity': '1 g/mL (sin densidad aparente registrada)',
+  'calc.balanceTarget': 'elegido junto con los demás pasos para equilibrar el {index} a {temp}',
+  'calc.balanceLine': '{index}: {before} ahora → {after} tras el tratamiento (equilibrado es ±{tolerance})',
+  'calc.balanceCorrosive': '{name} está dentro de su rango ideal, pero a {temp} el agua es corrosiva ({index} {value}). Llevarlo a ~{target} devuelve el índice al equilibrio con el menor cambio químico.',
+  'calc.balanceScaling': '{name} está dentro de su rango ideal, pero a {temp} el agua es incrustante ({index} {value}). Llevarlo a ~{target} devuelve el índice al equilibrio con el menor cambio químico.',
+  'calc.midpoint': 'punto medio del rango ideal {min}–{max}',
+  'calc.center': 'centro del rango ideal {min}–{max}',
+  'calc.target': 'Objetivo: {target} ({note})',
+  'calc.raiseBy': 'Subir: {amount}',
+  'calc.raiseFrom': 'Subir de {from} a ~{to}',
+  'calc.lowerFrom': 'Bajar de {from} a ~{to}',
+  'calc.raiseByPh': 'Subir: {amount} unidades de pH',
+  'calc.lowerByPh': 'Bajar: {amount} unidades de pH',
+  'ta.lowReason': 'La alcalinidad total es el sistema amortiguador del pH. Si está baja, el pH oscila mucho y no se mantiene tras ajustarlo. Estabilizar primero el amortiguador hace que todos los cambios de pH posteriores se mantengan.',
+  'ta.raiseNotes': 'Añádelo despacio con la bomba en marcha. Vuelve a medir a los 20 minutos.',
+  'ta.drainChemical': 'Vaciado parcial + reductor de pH',
+  'ta.drainAmount': 'Vacía ~{pct} % y rellena; luego ajusta con {chemical}',
+  'ta.drainReason': 'Con {value} ppm, la alcalinidad está muy por encima del rango. Solo con ácido harían falta {amount} de {chemical}, con riesgo de desplomar el pH. Un vaciado parcial acerca la alcalinidad al rango con menos estrés químico para el agua.',
+  'ta.drainCurrent': 'Actual: {value} ppm (objetivo: {target} ppm, exceso: {excess} ppm)',
+  'ta.chemicalOnly': 'Solo con productos harían falta: {amount} de {chemical}',
+  'ta.drainRecommended': 'Recomendado: vaciar ~{pct} % (deja la alcalinidad en ~{result} ppm)',
+  'ta.drainFormula': 'Fórmula: ({value} − {target}) ÷ ({value} − {fill} del agua de llenado) ≈ {pct} %',
+  'ta.fineTune': 'Después, ajusta el exceso restante con un poco de reductor de pH',
+  'ta.drainNotes': 'Vacía con la bomba apagada. Tras rellenar, deja circular el agua 15 min y vuelve a medir alcalinidad y pH.',
+  'ta.pHSideEffect': 'Efecto secundario: pH {before} → ~{after} hasta que el CO2 sobrante se elimine por aireación (tenido en cuenta en el paso del pH)',
+  'ta.highReason': 'Una alcalinidad alta se resiste a los cambios de pH y tiende a subirlo. Bajarla primero evita luchar contra el amortiguador al ajustar el pH en el siguiente paso.',
+  'ta.targetMax': 'Objetivo: ≤{max} ppm (parte alta del rango ideal)',
+  'ta.excess': 'Exceso: {excess} ppm sobre el objetivo',
+  'ta.acidNotes': 'Añade reductor de pH. También bajará el pH. Airea para volver a subirlo si hace falta.',
+  'ph.aerateAction': 'Subir de {from} a ~{to} aireando',
+  'ph.aeration': 'Aireación',
+  'ph.aerationAmount': 'Pon los chorros con las entradas de aire abiertas y sin cubierta',
+  'ph.aerationReason': 'El ácido que bajó la alcalinidad convirtió el bicarbonato en dióxido de carbono disuelto, que baja el pH. Airear deja escapar ese CO2, así el pH sube solo mientras la alcalinidad se queda donde la dejaste. El carbonato sódico volvería a subir la alcalinidad.',
+  'ph.expectedAfterTa': 'Esperado tras el paso de alcalinidad: {value}',
+  'ph.aerationRaiseBy': 'Subir: {amount} unidades de pH por pérdida de CO2, sin productos',
+  'ph.aerationNotes': 'Mide el pH cada hora. Deja de airear cuando llegue al objetivo.',
+  'ph.lowReason': 'El pH determina directamente la fuerza del desinfectante. A pH 7,5, el cloro está activo en un 50 % como ácido hipocloroso. Por debajo de 7,2, el agua se vuelve corrosiva e irrita la piel. Se ajusta después de la alcalinidad para que el amortiguador mantenga el cambio.',
+  'ph.notes': 'Añádelo con la bomba en marcha. Espera 20 min y vuelve a medir.',
+  'ph.highReason': 'Un pH alto reduce mucho la eficacia del desinfectante: a pH 8,0, el cloro solo está activo en un ~22 %. También enturbia el agua y forma incrustaciones. Se ajusta después de la alcalinidad para que el amortiguador mantenga el cambio.',
+  'ch.lowReason': 'Con poco calcio el agua es «agresiva»: disuelve minerales de juntas, revestimientos, piezas metálicas y resistencias para saciar su demanda. Se corrige antes del desinfectante porque el agua corrosiva degrada antes el cloro.',
+  'ch.raiseNotes': 'Disuélvelo antes en agua tibia y luego añádelo al spa.',
+  'ch.lowerHigh': 'Bajar desde {value} ppm (demasiado alta)',
+  'calc.partialReplacement': 'Cambio parcial de agua',
+  'ch.drainAmount': 'Vacía ~{pct} % y rellena con agua nueva',
+  'ch.highReason': 'Mucho calcio deja depósitos blancos en superficies, chorros y resistencias. Ningún producto elimina el calcio disuelto: diluir con agua nueva es la única solución.',
+  'ch.drainCurrent': 'Actual: {value} ppm (máximo: {max} ppm, agua de llenado: {fill} ppm)',
+  'calc.dilutionNeeded': 'Dilución necesaria: cambiar ~{pct} % del agua',
+  'ch.drainFormula': 'Fórmula: ({value} − {max}) ÷ ({value} − {fill}) = {ratio} ≈ {pct} %',
+  'ch.drainNotes': 'La única forma de bajar la dureza cálcica es diluir.',
+  'ch.hardFill': 'Alta con {value} ppm, igual que tu agua de llenado',
+  'ch.noChemical': 'Ninguno (diluir no sirve)',
+  'ch.hardFillAmount': 'Usa un prefiltro en la manguera al rellenar y mantén el pH y la alcalinidad en la parte baja de sus rangos',
+  'ch.hardFillReason': 'Tu agua de llenado ya tiene {fill} ppm de calcio, igual o por encima del máximo de {max} ppm, así que vaciar y rellenar no puede dejar la dureza en rango. Un pH y una alcalinidad más bajos compensan la tendencia a incrustar.',
+  'calc.currentMax': 'Actual: {value} ppm (máximo: {max} ppm)',
+  'ch.hardFillLine': 'Agua de llenado: {fill} ppm; ni cambiándola entera quedaría en rango',
+  'ch.hardFillNotes': 'Vigila las incrustaciones blancas en chorros y en la línea de agua. Un antical ayuda con agua de llenado dura.',
+  'cc.action': 'Cloración de choque: subir el cloro libre a ~{target} ppm',
+  'calc.waitAerate': 'Esperar y airear',
+  'cc.noDose': 'No hace falta dosis; deja la cubierta abierta y los chorros en marcha',
+  'cc.reason': 'El cloro combinado es {combined} ppm (total {total} − libre {free}). Estas cloraminas causan el «olor a cloro» y la irritación de ojos, y apenas desinfectan. Subir el cloro libre a {factor}× el nivel combinado supera el punto de ruptura, donde las cloraminas se oxidan por completo. Una dosis menor solo produce más.',
+  'cc.combinedLine': 'Cloro combinado: {total} − {free} = {combined} ppm (máx. {max} ppm)',
+  'cc.targetLine': 'Objetivo de ruptura: {combined} × {factor} = {target} ppm de cloro libre',
+  'cc.raiseBy': 'Subir: {target} − {free} = {amount} ppm',
+  'cc.notes': 'Añádelo de una vez con la cubierta abierta y los chorros en marcha. No uses el spa hasta que el cloro libre baje de 5 ppm y el combinado marque 0,5 ppm o menos.',
+  'san.lowReasonChlorine': 'El desinfectante se añade después de corregir pH y alcalinidad porque su eficacia depende por completo del equilibrio del agua. Con el pH correcto de 7,2–7,8, el cloro actúa con la máxima fuerza contra bacterias y algas.',
+  'san.lowReasonBromine': 'El desinfectante se añade después de corregir pH y alcalinidad porque su eficacia depende por completo del equilibrio del agua. Con el pH correcto de 7,2–7,8, el bromo actúa con la máxima fuerza contra bacterias y algas.',
+  'san.lowNotes': 'Añádelo con la bomba en marcha. Espera 15 min y vuelve a medir. No entres en el spa hasta que el nivel sea seguro.',
+  'san.dangerous': '{name} peligrosamente alto: {value} ppm',
+  'san.drainChemical': 'Vaciado parcial + aireación',
+  'san.drainAmount': 'Vacía ~{pct} % y rellena; luego pon los chorros sin cubierta',
+  'san.drainReason': 'Con {value} ppm, {name} está muy por encima del máximo seguro de {max} ppm. Esperar a que baje solo podría llevar horas. Vaciar ~{pct} % lo diluye de inmediato y la aireación hace el resto.',
+  'san.drainCurrent': 'Actual: {value} ppm (máximo seguro: {max} ppm, exceso: {excess} ppm)',
+  'san.drainTo': 'Vacía ~{pct} % para bajar a ~{result} ppm',
+  'san.drainFormula': 'Fórmula: ({value} − {max}) ÷ ({value} − {fill} del agua de llenado) = ~{pct} %',
+  'san.aerateAfter': 'Tras rellenar, airea con los chorros para eliminar el exceso restante',
+  'san.drainNotes': 'No uses el spa hasta que {name} baje de {max} ppm. Vuelve a medir a los 15 minutos.',
+  'san.high': '{name} alto: {value} ppm',
+  'san.aerateAmount': 'Deja la cubierta abierta y los chorros en marcha',
+  'san.highReason': 'Los niveles altos de {name} bajan solos con la aireación y la luz UV. No hace falta neutralizador: el tiempo y la circulación de aire los bajan de forma segura.',
+  'san.highCurrent': 'Actual: {value} ppm (máximo seguro: {max} ppm)',
+  'san.noDose': 'Sin dosis: se elimina de forma natural con la aireación',
+  'san.jets': 'Los chorros en marcha sin cubierta aceleran el proceso',
+  'san.highNotes': 'No uses el spa hasta que {name} baje de {max} ppm.',
+  'cya.lowReason': 'El ácido cianúrico (CYA) forma un escudo alrededor de las moléculas de cloro que las protege de los rayos UV. Sin él, la luz solar destruye ~90 % del cloro libre en 2 horas. Va al final porque se disuelve muy despacio (más de 24 horas para su efecto completo).',
+  'cya.lowNotes': 'Disuélvelo en agua tibia. Tarda en disolverse; vuelve a medir a las 24 horas.',
+  'cya.high': 'CYA demasiado alto: {value} ppm',
+  'calc.drainRefill': 'Vacía ~{pct} % y rellena',
+  'cya.highReason': 'El exceso de CYA «bloquea» el cloro: lo estabiliza tanto que no mata bien las bacterias (el llamado «bloqueo del cloro»). Como el calcio, el CYA no se puede eliminar con productos; diluir es la única solución.',
+  'cya.drainFormula': 'Fórmula: ({value} − {max}) ÷ ({value} − {fill} del agua de llenado) = {ratio} ≈ {pct} %',
+  'cya.highNotes': 'Un CYA alto reduce la eficacia del desinfectante. Diluir es la única solución.',
+  'cya.stabilizedFill': 'Alto con {value} ppm, igual que tu agua de llenado',
+  'cya.stabilizedFillAmount': 'Cambia a cloro sin estabilizar (líquido o hipoclorito cálcico) y mantén el cloro libre en la parte alta de su rango',
+  'cya.stabilizedFillReason': 'Tu agua de llenado ya tiene {fill} ppm de CYA, igual o por encima del máximo de {max} ppm, así que vaciar y rellenar no puede dejar el CYA en rango. Deja de añadir más con cloro estabilizado y mantén el cloro libre más alto para que quede suficiente activo.',
+  'cya.stabilizedFillLine': 'Agua de llenado: {fill} ppm; ni cambiándola entera quedaría en rango',
+  'cya.stabilizedFillNotes': 'El dicloro y el tricloro añaden CYA en cada dosis. Usa cloro líquido o hipoclorito cálcico hasta que el CYA vuelva a estar en rango.',
+  'refresh.parameter': 'Renovación del agua',
+  'refresh.drainAction': 'Vaciar {pct} % y rellenar',
+  'refresh.fillWater': 'Agua de llenado',
+  'refresh.drainAmount': 'Vacía ~{volume} ({pct} %) y rellena',
+  'refresh.drainReason': {
+    one: '{parameters} solo puede bajar diluyendo. Un vaciado del {pct} % lo cubre, y las dosis siguientes se calculan para el agua ya renovada.',
+    other: '{parameters} solo pueden bajar diluyendo. Un vaciado del {pct} % los cubre todos, y las dosis siguientes se calculan para el agua ya renovada.',
+  },
+  'refresh.needs': '{parameter}: necesita ~{pct} %',
+  'refresh.afterRefill': '{name}: {before} → {after} tras rellenar',
+  'refresh.drainNotes': 'Vacía con la bomba apagada. Tras rellenar, deja circular 15 min a temperatura y sigue con los pasos siguientes. Si puedes, vuelve a medir antes.',
+  'refresh.considerAction': 'Plantéate primero un vaciado parcial',
+  'refresh.freshWater': 'Agua nueva',
+  'refresh.considerReason': 'Con {count} parámetros por corregir, un cambio parcial de agua suele ser el camino más rápido hacia un agua equilibrada. El agua nueva diluye todos los valores problemáticos a la vez: puedes ahorrarte 1–2 correcciones y reducir la cantidad de producto en el resto.',
+  'refresh.correctionsNeeded': 'Correcciones necesarias ahora: {count}',
+  'refresh.after': 'Tras renovar un {pct} %: {values}',
+  'refresh.retestAll': 'Tras rellenar, vuelve a medir todos los parámetros antes de añadir productos',
+  'refresh.considerNotes': 'Opcional pero recomendable. Vacía con la bomba apagada. Tras rellenar, deja circular 15 min a temperatura y vuelve a medirlo todo.',
+  'refresh.fillLine': 'Agua de llenado: {values}',
+  'refresh.fillUntested': 'Agua de llenado: sin medir, se supone sin nada disuelto',
+
+  // ── Guided treatment ──
+  'guide.stepSpeech': 'Paso {number}: {action}. Añade {amount} de {chemical}.',
+  'guide.thenWait': {
+    one: 'Luego espera {count} minuto.',
+    other: 'Luego espera {count} minutos.',
+  },
+  'guide.nextAction': 'Paso {number}: {action}',
+  'guide.allDoneShort': 'Todos los pasos hechos. Vuelve a medir el agua.',
+  'guide.waitOverTitle': 'Terminó la espera del paso {number}',
+  'guide.waitOver': 'Terminó la espera.',
+  'guide.waitTitle': 'Espera del paso {number}',
+  'guide.readyAt': 'Listo a las {time}.',
+  'guide.allDone': 'Todos los pasos están hechos. Vuelve a medir el agua.',
+  'guide.left': 'Quedan {time}.',
+  'guide.leftPaused': 'Quedan {time}, en pausa.',
+  'guide.saySkip': 'Di saltar para continuar.',
+  'guide.timerStarted': 'Temporizador iniciado: {time}.',
+  'guide.amount': '{amount} de {chemical}.',
+  'guide.timerResumed': 'Temporizador reanudado.',
+  'guide.noWait': 'Este paso no tiene espera. Di siguiente paso cuando esté hecho.',
+  'guide.timerPaused': 'Temporizador en pausa. Di reanudar para continuar.',
+  'guide.noTimer': 'No hay ningún temporizador en marcha.',
+  'guide.progress': 'Paso {number} de {total}',
+  'guide.paused': 'En pausa',
+  'guide.circulate': 'Deja que circule con los chorros o la bomba encendidos.',
+  'guide.resume': 'Reanudar',
+  'guide.pause': 'Pausa',
+  'guide.skipWait': 'Saltar espera',
+  'guide.addedStartWait': 'Añadido: iniciar espera de {minutes} min',
+  'guide.doneNext': 'Hecho: siguiente paso',
+  'guide.viewPlan': 'Ver plan',
+  'guide.stop': 'Detener tratamiento',
+  'guide.stopConfirm': '¿Detener este tratamiento? Se perderá su progreso.',
+  'guide.doneTitle': 'Tratamiento terminado',
+  'guide.retestTitle': 'Hora de volver a medir',
+  'guide.retestText': {
+    one: 'El paso está hecho. Vuelve a medir el agua para ver cuánto se acerca al plan.',
+    other: 'Los {count} pasos están hechos. Vuelve a medir el agua para ver cuánto se acerca al plan.',
+  },
+  'guide.expectedNow': 'Esperado ahora',
+  'guide.skipRetest': 'Omitir medición',
+
+  // ── Settings ──
+  'settings.colorMatching': 'Comparación de colores',
+  'settings.rangeInvalid': '{name}: el mínimo debe ser menor que el máximo.',
+  'settings.notTested': 'Sin medir',
+  'settings.welcome': 'Te damos la bienvenida a SparoBot',
+  'settings.newWater': 'Nuevo spa o piscina',
+  'settings.title': 'Ajustes',
+  'settings.welcomeText': 'Configura tu spa o piscina para empezar.',
+  'settings.newWaterText': 'Cada spa o piscina tiene sus propios ajustes e historial de pruebas.',
+  'settings.language': 'Idioma',
+  'settings.deviceLanguage': 'Idioma del dispositivo',
+  'settings.voice': 'Voz',
+  'settings.voiceHint': 'Voces instaladas en este dispositivo para el idioma. El español y el alemán necesitan una voz en ese idioma para leer en voz alta.',
+  'settings.name': 'Nombre',
+  'settings.namePlaceholder': 'p. ej. Jacuzzi',
+  'settings.volume': 'Volumen de agua',
+  'settings.volumePlaceholder': 'p. ej. {volume}',
+  'settings.gallons': 'Galones',
+  'settings.liters': 'Litros',
+  'settings.volumeHintLiters': 'Spa típico: {min}–{max} litros. Consulta el manual.',
+  'settings.volumeHintGallons': 'Spa típico: {min}–{max} galones. Consulta el manual.',
+  'settings.sanitizer': 'Tipo de desinfectante',
+  'settings.strips': 'Tiras reactivas',
+  'settings.stripsAuto': 'Automático (genéricas, según el desinfectante)',
+  'settings.custom': '{name} (personalizado)',
+  'settings.stripsHint': 'Elige la marca que usas. Los perfiles son archivos JSON que puedes exportar, editar e importar.',
+  'settings.balanceIndex': 'Índice de equilibrio del agua',
+  'settings.balanceIndexHint': 'El LSI es el estándar del sector. El CSI tiene en cuenta los sólidos disueltos con más precisión.',
+  'settings.colorMatchingHint': 'CIEDE2000 es el más preciso. CIE94 es una alternativa más sencilla.',
+  'settings.units': 'Unidades',
+  'settings.unitSystem': 'Sistema de unidades',
+  'settings.measure': 'Medir dosis con',
+  'settings.scoopSize': 'Tamaño del cacito',
+  'settings.scoopHint': 'Llena el cacito de agua y mídelo, o mira la etiqueta (1 fl oz son 30 mL).',
+  'settings.measureHint': 'Cucharas, tazas y cacitos se calculan con la densidad aparente de cada producto. Los pesos exactos se muestran al lado.',
+  'settings.products': 'Mis productos',
+  'settings.productsHint': 'Las dosis se calculan para los productos que tienes.',
+  'settings.addProductTitle': 'Añadir un producto',
+  'settings.productName': 'Nombre en la etiqueta',
+  'settings.addProduct': 'Añadir producto',
+  'settings.addProductHint': 'La concentración es el % de la etiqueta (cloro disponible en los productos de cloro). En líquidos, introduce una densidad solo si la etiqueta indica peso, como el ácido clorhídrico. En granulados, la densidad (peso de una taza rasa ÷ tamaño de la taza) permite medir las dosis por volumen.',
+  'settings.yourProducts': 'Tus productos',
+  'settings.ranges': 'Rangos objetivo',
+  'settings.rangesHint': 'Mínimo y máximo ideales de {name}. Déjalos en blanco para usar los valores mostrados.',
+  'settings.fillWater': 'Agua de llenado',
+  'settings.fillWaterHint': 'Mide el agua con la que rellenas (p. ej. de la manguera) para que los planes de vaciado tengan en cuenta lo que aporta.',
+  'settings.getStarted': 'Empezar',
+  'settings.add': 'Añadir',
+  'settings.save': 'Guardar ajustes',
+  'maintenance.title': 'Calendario de mantenimiento',
+  'maintenance.hint': 'Recordatorios periódicos para medir, hacer un choque, enjuagar el filtro y vaciar. Vuelve a exportar tras un cambio para actualizar los mismos eventos en tu calendario.',
+  'maintenance.testsPerWeek': 'Pruebas por semana',
+  'maintenance.bathers': 'Bañistas por día',
+  'maintenance.time': 'Hora del recordatorio',
+  'maintenance.export': 'Exportar calendario',
+  'backup.title': 'Copia de seguridad',
+  'backup.hintFirst': '¿Vienes de otro dispositivo? Importa una copia de seguridad.',
+  'backup.hint': 'Guarda en un archivo cada spa o piscina, sus ajustes y todo su historial de pruebas.',
+  'backup.exportJson': 'Exportar JSON',
+  'backup.exportCsv': 'Lecturas en CSV',
+  'data.title': 'Datos',
+  'data.clearHistory': 'Borrar historial',
+  'data.deleteWater': 'Eliminar este spa o piscina',
+  'data.resetAll': 'Restablecer todos los datos',
+  'settings.addProductFailed': 'No se pudo añadir el producto: {message}',
+  'settings.replaceProduct': '¿Sustituir tu producto «{name}»?',
+  'settings.deleteProduct': '¿Eliminar «{name}»?',
+  'settings.importProfileFailed': 'No se pudo importar el perfil: {message}',
+  'settings.replaceProfile': '¿Sustituir tu perfil «{name}»?',
+  'settings.deleteProfile': '¿Eliminar el perfil «{name}»?',
+  'data.clearConfirm': '¿Borrar todo el historial de pruebas de {name}?',
+  'data.cleared': 'Historial borrado.',
+  'data.deleteConfirm': '¿Eliminar {name} y su historial de pruebas?',
+  'data.resetConfirm': '¿Restablecer todos los datos y ajustes?',
+  'maintenance.waterLasts': {
+    one: 'Con este uso, el agua dura {count} día aproximadamente.',
+    other: 'Con este uso, el agua dura unos {count} días.',
+  },
+  'maintenance.drainsEvery': {
+    one: 'El calendario vacía cada mes.',
+    other: 'El calendario vacía cada {count} meses, al menos trimestralmente.',
+  },
+  'maintenance.enterBathers': 'Indica cuántas personas usan el agua un día normal.',
+  'maintenance.pickTime': 'Elige una hora para el recordatorio.',
+  'backup.importFailed': 'No se pudo importar la copia: {message}',
+  'settings.invalidVolume': 'Introduce un volumen de agua válido.',
+  'settings.voiceAuto': 'Automática',
+  'units.imperial': 'EE. UU. (oz, galones, °F)',
+  'units.metric': 'Métrico (g, litros, °C)',
+  'units.mixed': 'Mixto (g y mL, galones, °F)',
+  'measure.weight': 'Báscula o vaso medidor',
+  'measure.kitchen': 'Cucharas y tazas',
+  'measure.scoop': 'Cacito dosificador',
+  'measure.teaspoons': {
+    one: '{amount} cucharadita',
+    other: '{amount} cucharaditas',
+  },
+  'measure.tablespoons': {
+    one: '{amount} cucharada',
+    other: '{amount} cucharadas',
+  },
+  'measure.cups': {
+    one: '{amount} taza',
+    other: '{amount} tazas',
+  },
+  'measure.scoops': {
+    one: '{amount} medida',
+    other: '{amount} medidas',
+  },
+  'backup.notObject': 'La copia de seguridad debe ser un objeto JSON.',
+  'backup.wrongFormat': 'No es una copia de seguridad de SparoBot (formato esperado: "{format}").',
+  'backup.tooNew': 'La versión {version} de la copia de seguridad es más nueva de lo que admite esta app.',
+  'backup.noWaters': 'La copia de seguridad no contiene ningún spa o piscina.',
+  'backup.waterNeedsId': 'Cada spa o piscina necesita un id y un nombre.',
+  'backup.waterTwice': 'El spa o piscina "{id}" aparece dos veces.',
+  'backup.invalidVolume': '"{name}" tiene un volumen no válido.',
+  'backup.testNoDate': 'Una prueba de "{name}" no tiene una fecha válida.',
+  'backup.testNoReadings': 'La prueba del {date} de "{name}" no tiene lecturas.',
+  'backup.testInvalidReading': 'La prueba del {date} de "{name}" tiene una lectura de {key} no válida.',
+  'backup.treatmentIncomplete': 'Un tratamiento de "{name}" está incompleto.',
+  'backup.profileError': 'Perfil de tiras "{name}": {message}',
+  'backup.productError': 'Producto "{name}": {message}',
+
+  // ── Products ──
+  'product.granular': 'Granulado',
+  'product.liquid': 'Líquido',
+  'job.alkalinityUp': 'Subir alcalinidad',
+  'job.alkalinityDown': 'Bajar alcalinidad',
+  'job.phUp': 'Subir pH',
+  'job.phDown': 'Bajar pH',
+  'job.chlorineUp': 'Cloro',
+  'job.bromineUp': 'Bromo',
+  'job.hardnessUp': 'Subir dureza cálcica',
+  'job.cyaUp': 'Estabilizador (CYA)',
+  'ingredient.sodiumBicarbonate': 'Bicarbonato sódico',
+  'ingredient.sodiumBicarbonate.inText': 'bicarbonato sódico',
+  'ingredient.sodiumCarbonate': 'Carbonato sódico',
+  'ingredient.sodiumCarbonate.inText': 'carbonato sódico',
+  'ingredient.sodiumBisulfate': 'Bisulfato sódico',
+  'ingredient.sodiumBisulfate.inText': 'bisulfato sódico',
+  'ingredient.hydrochloricAcid': 'Ácido clorhídrico',
+  'ingredient.hydrochloricAcid.inText': 'ácido clorhídrico',
+  'ingredient.sodiumHypochlorite': 'Hipoclorito sódico',
+  'ingredient.sodiumHypochlorite.inText': 'hipoclorito sódico',
+  'ingredient.calciumHypochlorite': 'Hipoclorito cálcico',
+  'ingredient.calciumHypochlorite.inText': 'hipoclorito cálcico',
+  'ingredient.sodiumDichlor': 'Dicloroisocianurato sódico',
+  'ingredient.sodiumDichlor.inText': 'dicloroisocianurato sódico',
+  'ingredient.potassiumMonopersulfate': 'Monopersulfato potásico',
+  'ingredient.potassiumMonopersulfate.inText': 'monopersulfato potásico',
+  'ingredient.calciumChloride': 'Cloruro cálcico',
+  'ingredient.calciumChloride.inText': 'cloruro cálcico',
+  'ingredient.cyanuricAcid': 'Ácido cianúrico',
+  'ingredient.cyanuricAcid.inText': 'ácido cianúrico',
+  'ingredient.availableChlorine': 'cloro disponible',
+  'builtinProduct.baking-soda': 'Bicarbonato sódico',
+  'builtinProduct.soda-ash': 'Carbonato sódico (pH+)',
+  'builtinProduct.dry-acid': 'Bisulfato sódico (pH−)',
+  'builtinProduct.muriatic-acid': 'Ácido clorhídrico 31,45 %',
+  'builtinProduct.dichlor': 'Dicloro (cloro granulado 56 %)',
+  'builtinProduct.liquid-chlorine': 'Cloro líquido 12,5 %',
+  'builtinProduct.bleach': 'Lejía sin perfume 6 %',
+  'builtinProduct.cal-hypo': 'Choque de hipoclorito cálcico 65 %',
+  'builtinProduct.mps': 'Choque MPS (activador de bromo)',
+  'builtinProduct.calcium-chloride': 'Cloruro cálcico',
+  'builtinProduct.stabilizer': 'Ácido cianúrico (estabilizador)',
+  'product.notObject': 'El producto debe ser un objeto.',
+  'product.needsName': 'El producto necesita un nombre.',
+  'product.pickIngredient': 'Elige el principio activo.',
+  'product.invalidStrength': 'La concentración debe ser un porcentaje entre 0 y 100.',
+  'product.invalidForm': 'La forma debe ser granulado o líquido.',
+  'product.invalidDensity': 'La densidad debe estar entre {min} y {max} g/mL.',
+
+  // ── Parameters ──
+  'param.freeChlorine': 'Cloro libre',
+  'param.totalChlorine': 'Cloro total',
+  'param.combinedChlorine': 'Cloro combinado',
+  'param.bromine': 'Bromo total',
+  'param.pH': 'pH',
+  'param.totalAlkalinity': 'Alcalinidad total',
+  'param.totalHardness': 'Dureza cálcica',
+  'param.cyanuricAcid': 'Ácido cianúrico',
+  'param.freeChlorine.inText': 'el cloro libre',
+  'param.bromine.inText': 'el bromo total',
+
+  // ── History ──
+  'test.photoMissing': 'La foto de esta prueba ya no está guardada.',
+  'test.notFound': 'Esa prueba ya no está guardada.',
+  'history.dictated': 'Dictado',
+  'history.strip': 'Tira reactiva',
+  'history.dropKit': 'Kit de gotas {kit}',
+  'history.manual': 'Introducido a mano',
+  'history.empty': 'Aún no hay resultados guardados. Escanea una tira reactiva para empezar.',
+  'history.title': 'Historial de pruebas',
+  'history.days': {
+    one: '{count} día',
+    other: '{count} días',
+  },
+  'history.chartHint': 'Las franjas sombreadas son tus rangos objetivo. Los triángulos marcan los tratamientos registrados. Toca un punto para abrir esa prueba.',
+  'test.source': 'Origen',
+  'test.drops': 'Gotas de {name}',
+  'test.dropCount': '{drops} en {sampleMl} mL',
+  'test.waterTemp': 'Temp. del agua',
+  'test.saturationIndex': 'Índice de saturación',
+  'test.strip': 'Tira',
+  'test.reanalyzed': 'Reanalizada',
+  'test.photoAlt': 'Foto de la tira reactiva',
+  'test.firstRead': 'Primera lectura',
+  'test.reanalyze': 'Reanalizar foto',
+  'test.treated': 'Tratada el {date}',
+  'restore.noTests': 'Sin pruebas',
+  'restore.title': 'Importar copia de seguridad',
+  'restore.exported': 'Exportada el {date}',
+  'restore.contents': 'Contenido de la copia',
+  'restore.alreadyHere': '{name} (ya existe)',
+  'restore.tests': {
+    one: '{count} prueba',
+    other: '{count} pruebas',
+  },
+  'restore.treatments': {
+    one: '{count} tratamiento registrado',
+    other: '{count} tratamientos registrados',
+  },
+  'restore.also': 'Además, {profiles} y {products}.',
+  'restore.profiles': {
+    one: '{count} perfil de tira personalizado',
+    other: '{count} perfiles de tira personalizados',
+  },
+  'restore.products': {
+    one: '{count} producto personalizado',
+    other: '{count} productos personalizados',
+  },
+  'restore.merge': 'Combinar con mis datos',
+  'restore.mergeHint': 'Añade los spas y piscinas nuevos y las pruebas que aún no tengas. Se conservan tus ajustes actuales.',
+  'restore.replace': 'Sustituir todos mis datos',
+  'restore.restore': 'Restaurar',
+  'restore.replaceConfirm': '¿Sustituir todos los spas y piscinas, ajustes e historial de este dispositivo por la copia de seguridad?',
+  'trends.empty': 'No hay pruebas en este periodo',
+  'trends.label': {
+    one: '{name} en el último día',
+    other: '{name} en los últimos {count} días',
+  },
+
+  // ── Calendar export ──
+  'ics.stepTitle': 'Spa: {action}',
+  'ics.step': 'Paso {number}: {parameter}',
+  'ics.chemical': 'Producto: {chemical}',
+  'ics.amount': 'Cantidad: {amount}',
+  'ics.notes': 'Notas: {notes}',
+  'ics.retestTitle': 'Spa: volver a medir',
+  'ics.retest': 'Ya se han añadido todos los productos. Vuelve a medir el agua del spa para comprobar que los niveles están en rango.',
+  'ics.test': '{name}: medir el agua',
+  'ics.testChlorine': 'Mide cloro libre y total, pH y alcalinidad, y corrige lo que esté fuera de rango.',
+  'ics.testBromine': 'Mide bromo, pH y alcalinidad, y corrige lo que esté fuera de rango.',
+  'ics.shock': '{name}: choque',
+  'ics.shockBromine': 'Haz un choque con MPS (choque sin cloro) para reactivar el bromuro y eliminar contaminantes. Pon los chorros con la cubierta abierta.',
+  'ics.shockChlorine': 'Haz un choque para eliminar cloraminas y contaminantes. Pon los chorros con la cubierta abierta.',
+  'ics.filterRinse': '{name}: enjuagar el filtro',
+  'ics.filterRinseDescription': 'Enjuaga el cartucho del filtro con la manguera entre los pliegues, de arriba abajo. Déjalo en remojo con limpiador de filtros cada pocos enjuagues.',
+  'ics.drain': '{name}: vaciar y rellenar',
+  'ics.drainDescription': 'Vacía, limpia la carcasa y rellena. {volume} con {bathers} al día duran unos {days} ({rule} ÷ bañistas por día), así que cada {every}.',
+  'ics.bathers': {
+    one: '{count} bañista',
+    other: '{count} bañistas',
+  },
+  'ics.days': {
+    one: '{count} día',
+    other: '{count} días',
+  },
+  'ics.ruleLiters': 'litros ÷ {divisor}',
+  'ics.ruleGallons': 'galones ÷ {divisor}',
+  'ics.months': {
+    one: 'mes',
+    other: '{count} meses',
+  },
+  'ics.calendarName': 'Mantenimiento de {name}',
+};
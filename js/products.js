@@ -0,0 +1,191 @@
+// Chemical product catalog: active ingredient, strength and form of each product
+//
+// DOSE MATH (per product):
+//   ingredient grams = change ÷ step × rate × (volume / 10,000)
+//   product grams    = ingredient grams ÷ strength
+//   liquid volume    = ingredient grams ÷ (strength × density)
+//
+// Rates are grams of pure ingredient per step (1 ppm, or 0.1 pH) in 10,000
+// gallons (37,854 L, so 1 ppm = 37.85 g). They follow from stoichiometry except
+// for pH, which also depends on alkalinity; those are typical at TA 80–120 ppm.
+//
+// STRENGTH is the percentage printed on the label:
+//   - Chlorine products: percent available chlorine.
+//   - Liquids with a density (g/mL): percent by weight, e.g. muriatic acid.
+//   - Liquids without a density: weight per volume (trade percent, grams per
+//     100 mL), as on liquid chlorine jugs.
+//
+// DENSITY of a granular product is its bulk density (g/mL, loosely poured),
+// used only to measure doses with spoons, cups or a scoop (see units.js).
+//
+// SIDE EFFECTS: change in other parameters per step of a job. Acids lower
+// both pH and TA (the same H+ does both); soda ash adds alkalinity as it raises
+// pH; dichlor adds 0.9 ppm CYA and cal-hypo 0.7 ppm calcium per ppm chlorine.
+//
+// NAMES of jobs, ingredients and built-in products are in the message catalog
+// (see i18n.js). An ingredient has 'ingredient.<key>' for pickers and
+// 'ingredient.<key>.inText' for use inside a sentence.
+
+import { t } from './i18n.js';
+
+// Jobs the user picks a product for, and the parameter each one moves.
+// alkalinityDown has no pick of its own: it uses the acid chosen for lowering pH.
+export const JOBS = {
+  alkalinityUp: { get name() { return t('job.alkalinityUp'); }, param: 'totalAlkalinity', direction: 1, step: 1, unit: 'ppm' },
+  alkalinityDown: { get name() { return t('job.alkalinityDown'); }, param: 'totalAlkalinity', direction: -1, step: 1, unit: 'ppm', uses: 'phDown' },
+  phUp: { get name() { return t('job.phUp'); }, param: 'pH', direction: 1, step: 0.1, unit: 'pH' },
+  phDown: { get name() { return t('job.phDown'); }, param: 'pH', direction: -1, step: 0.1, unit: 'pH' },
+  chlorineUp: { get name() { return t('job.chlorineUp'); }, param: 'freeChlorine', direction: 1, step: 1, unit: 'ppm', sanitizer: 'chlorine' },
+  bromineUp: { get name() { return t('job.bromineUp'); }, param: 'bromine', direction: 1, step: 1, unit: 'ppm', sanitizer: 'bromine' },
+  hardnessUp: { get name() { return t('job.hardnessUp'); }, param: 'totalHardness', direction: 1, step: 1, unit: 'ppm' },
+  cyaUp: { get name() { return t('job.cyaUp'); }, param: 'cyanuricAcid', direction: 1, step: 1, unit: 'ppm', sanitizer: 'chlorine' },
+};
+
+// Chlorine rates are per gram of available chlorine (basis), matching labels.
+// Chlorine oxidizes bromide to bromine: 1 ppm as Cl2 gives 2.25 ppm as Br2
+const CHLORINE_RATES = { chlorineUp: 37.85, bromineUp: 16.8 };
+
+// 0.1 pH of acid consumes 1.74 ppm TA. The pH drop from acid used to lower TA
+// depends on the water itself and is worked out in chemistry.js.
+const ACID_SIDE_EFFECTS = { phDown: { totalAlkalinity: -1.74 } };
+
+export const INGREDIENTS = {
+  sodiumBicarbonate: { get name() { return t('ingredient.sodiumBicarbonate'); }, rates: { alkalinityUp: 63.5 } },
+  sodiumCarbonate: {
+    get name() { return t('ingredient.sodiumCarbonate'); },
+    rates: { phUp: 85 },
+    sideEffects: { phUp: { totalAlkalinity: 2.1 } },
+  },
+  sodiumBisulfate: {
+    get name() { return t('ingredient.sodiumBisulfate'); },
+    rates: { phDown: 158, alkalinityDown: 90.8 },
+    sideEffects: ACID_SIDE_EFFECTS,
+  },
+  hydrochloricAcid: {
+    get name() { return t('ingredient.hydrochloricAcid'); },
+    rates: { phDown: 48.1, alkalinityDown: 27.6 },
+    sideEffects: ACID_SIDE_EFFECTS,
+  },
+  sodiumHypochlorite: { get name() { return t('ingredient.sodiumHypochlorite'); }, get basis() { return t('ingredient.availableChlorine'); }, rates: CHLORINE_RATES },
+  calciumHypochlorite: {
+    get name() { return t('ingredient.calciumHypochlorite'); },
+    get basis() { return t('ingredient.availableChlorine'); },
+    rates: CHLORINE_RATES,
+    sideEffects: { chlorineUp: { totalHardness: 0.7 }, bromineUp: { totalHardness: 0.31 } },
+  },
+  sodiumDichlor: {
+    get name() { return t('ingredient.sodiumDichlor'); },
+    get basis() { return t('ingredient.availableChlorine'); },
+    rates: CHLORINE_RATES,
+    sideEffects: { chlorineUp: { cyanuricAcid: 0.9 }, bromineUp: { cyanuricAcid: 0.4 } },
+  },
+  potassiumMonopersulfate: { get name() { return t('ingredient.potassiumMonopersulfate'); }, rates: { bromineUp: 36.0 } },
+  calciumChloride: { get name() { return t('ingredient.calciumChloride'); }, rates: { hardnessUp: 42.0 } },
+  cyanuricAcid: { get name() { return t('ingredient.cyanuricAcid'); }, rates: { cyaUp: 37.85 } },
+};
+
+export const BUILTIN_PRODUCTS = [
+  { id: 'baking-soda', ingredient: 'sodiumBicarbonate', strength: 100, form: 'granular', density: 1.0 },
+  { id: 'soda-ash', ingredient: 'sodiumCarbonate', strength: 100, form: 'granular', density: 0.6 },
+  { id: 'dry-acid', ingredient: 'sodiumBisulfate', strength: 93.2, form: 'granular', density: 1.2 },
+  { id: 'muriatic-acid', ingredient: 'hydrochloricAcid', strength: 31.45, form: 'liquid', density: 1.16 },
+  { id: 'dichlor', ingredient: 'sodiumDichlor', strength: 56, form: 'granular', density: 0.95 },
+  { id: 'liquid-chlorine', ingredient: 'sodiumHypochlorite', strength: 12.5, form: 'liquid' },
+  { id: 'bleach', ingredient: 'sodiumHypochlorite', strength: 6, form: 'liquid' },
+  { id: 'cal-hypo', ingredient: 'calciumHypochlorite', strength: 65, form: 'granular', density: 0.9 },
+  { id: 'mps', ingredient: 'potassiumMonopersulfate', strength: 42.8, form: 'granular', density: 1.2 },
+  { id: 'calcium-chloride', ingredient: 'calciumChloride', strength: 94, form: 'granular', density: 0.85 },
+  { id: 'stabilizer', ingredient: 'cyanuricAcid', strength: 99, form: 'granular', density: 0.75 },
+].map(p => ({ ...p, builtin: true, get name() { return t(`builtinProduct.${p.id}`); } }));
+
+// Used for any job the user hasn't picked a product for
+export const DEFAULT_PRODUCTS = {
+  alkalinityUp: 'baking-soda',
+  phUp: 'soda-ash',
+  phDown: 'dry-acid',
+  chlorineUp: 'dichlor',
+  bromineUp: 'mps',
+  hardnessUp: 'calcium-chloride',
+  cyaUp: 'stabilizer',
+};
+
+export function getProduct(id, customProducts = []) {
+  return customProducts.find(p => p.id === id)
+    || BUILTIN_PRODUCTS.find(p => p.id === id)
+    || null;
+}
+
+// Products whose ingredient can do the job
+export function productsForJob(job, customProducts = []) {
+  return [...BUILTIN_PRODUCTS, ...customProducts]
+    .filter(p => INGREDIENTS[p.ingredient]?.rates[job] !== undefined);
+}
+
+// The user's product for each pickable job, falling back to the defaults.
+// selection: { [job]: productId }
+export function resolveProducts(selection = {}, customProducts = []) {
+  const products = {};
+  for (const job of Object.keys(DEFAULT_PRODUCTS)) {
+    const picked = getProduct(selection[job], customProducts);
+    products[job] = picked && productsForJob(job, customProducts).includes(picked)
+      ? picked
+      : getProduct(DEFAULT_PRODUCTS[job]);
+  }
+  return products;
+}
+
+// Amount of a product that changes a parameter by `change` (ppm, or pH units).
+// Returns { rate, steps, ingredientGrams, grams, ml, effects } — ml only for
+// liquids; effects is the predicted change in every parameter it touches.
+export function calculateDose(product, job, change, volumeGallons) {
+  const ingredient = INGREDIENTS[product.ingredient];
+  const rate = ingredient.rates[job];
+  const steps = change / JOBS[job].step;
+  const ingredientGrams = steps * rate * (volumeGallons / 10000);
+  const fraction = product.strength / 100;
+
+  const effects = { [JOBS[job].param]: JOBS[job].direction * change };
+  for (const [key, perStep] of Object.entries(ingredient.sideEffects?.[job] || {})) {
+    effects[key] = (effects[key] || 0) + perStep * steps;
+  }
+
+  const dose = { rate, steps, ingredientGrams, grams: ingredientGrams / fraction, effects };
+  if (product.form === 'liquid') {
+    const gramsPerMl = product.density ? fraction * product.density : fraction;
+    dose.ml = ingredientGrams / gramsPerMl;
+  }
+  return dose;
+}
+
+// Validate and normalize a custom product. Throws an Error describing the
+// first problem found, so the message can be shown to the user as-is.
+export function validateProduct(data) {
+  if (!data || typeof data !== 'object') throw new Error(t('product.notObject'));
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error(t('product.needsName'));
+  if (!INGREDIENTS[data.ingredient]) throw new Error(t('product.pickIngredient'));
+  if (!Number.isFinite(data.strength) || data.strength <= 0 || data.strength > 100) {
+    throw new Error(t('product.invalidStrength'));
+  }
+  if (data.form !== 'granular' && data.form !== 'liquid') throw new Error(t('product.invalidForm'));
+  const density = data.density || undefined;
+  const minDensity = data.form === 'liquid' ? 0.5 : 0.3;
+  if (density !== undefined && (!Number.isFinite(density) || density < minDensity || density > 2.5)) {
+    throw new Error(t('product.invalidDensity', { min: minDensity, max: 2.5 }));
+  }
+
+  // Ids are reduced to a slug, like the one made from the name, so they are
+  // safe to place in markup
+  const name = data.name.trim();
+  const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const slug = slugify(name);
+  const id = (typeof data.id === 'string' && slugify(data.id)) || `custom-${slug || Date.now()}`;
+
+  return {
+    id,
+    name,
+    ingredient: data.ingredient,
+    strength: data.strength,
+    form: data.form,
+    ...(density !== undefined ? { density } : {}),
+  };
+}
@@ -0,0 +1,78 @@
+// Routing: one URL hash per screen, so the back button steps through screens
+// and a screen can be linked to or reloaded
+//
+// ROUTES map screen names (state.screen in app.js) to hash paths. A segment
+// starting with ':' is a parameter:
+//   { screen: 'test', id: '12' }   ↔   '#/history/12'
+// Hashes that match no route open the home screen.
+
+export const ROUTES = {
+  home: '',
+  camera: 'camera',
+  analyze: 'analyze',
+  manual: 'manual',
+  dictation: 'dictation',
+  results: 'results',
+  corrections: 'plan',
+  guide: 'treatment',
+  settings: 'settings',
+  restore: 'settings/restore',
+  history: 'history',
+  test: 'history/:id',
+};
+
+export function parseRoute(hash) {
+  let segments;
+  try {
+    segments = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { screen: 'home' }; // malformed escape, e.g. '#/history/%'
+  }
+  for (const [screen, path] of Object.entries(ROUTES)) {
+    const pattern = path.split('/').filter(Boolean);
+    if (pattern.length !== segments.length) continue;
+    const route = { screen };
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        route[part.slice(1)] = segments[i];
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matches) return route;
+  }
+  return { screen: 'home' };
+}
+
+// null when a parameter the route needs is missing
+export function routeHash(route) {
+  const path = ROUTES[route.screen] ?? '';
+  const parts = path.split('/').filter(Boolean).map(part =>
+    part.startsWith(':') ? route[part.slice(1)] : part);
+  if (parts.some(part => part === undefined || part === null)) return null;
+  return `#/${parts.map(part => encodeURIComponent(part)).join('/')}`;
+}
+
+// Keeps the address bar and the browser history in step with the app.
+//   onRoute(route): the user went back or forward, or opened a link
+// Returns { current, show }. show() records the screen on display: a new
+// history entry, or in place of the current one with replace (for a screen
+// that redirected elsewhere).
+export function createRouter({ onRoute }) {
+  window.addEventListener('popstate', () => onRoute(parseRoute(location.hash)));
+
+  return {
+    current() {
+      return parseRoute(location.hash);
+    },
+    show(route, { replace = false } = {}) {
+      const hash = routeHash(route);
+      if (!hash || hash === location.hash) return;
+      if (replace) {
+        history.replaceState(null, '', hash);
+      } else {
+        history.pushState(null, '', hash);
+      }
+    },
+  };
+}
@@ -1,6 +1,10 @@
 // Text-to-Speech using Web Speech API (works offline on iOS Safari)
+// Speech and recognition use the language of the app's locale (see i18n.js).
+
+import { speechLanguage } from './i18n.js';
 
 let synth = null;
+let voiceName = ''; // chosen in Settings; '' = pick one for the language
 
 function getSynth() {
   if (!synth && 'speechSynthesis' in window) {
@@ -13,24 +17,58 @@ export function isTTSAvailable() {
   return 'speechSynthesis' in window;
 }
 
-export function speak(text, rate = 0.9) {
+// Voices for a language tag such as 'de-DE', any region. The list may be
+// empty until the browser has loaded its voices; onVoicesChanged() tells when.
+export function listVoices(lang = speechLanguage()) {
+  const s = getSynth();
+  const language = lang.split('-')[0];
+  return s ? s.getVoices().filter(v => v.lang.replace('_', '-').split('-')[0] === language) : [];
+}
+
+// Replaces any earlier callback
+export function onVoicesChanged(callback) {
+  const s = getSynth();
+  if (s) s.onvoiceschanged = callback;
+}
+
+export function setSpeechVoice(name) {
+  voiceName = name;
+}
+
+// The chosen voice if it speaks the language, else a local voice for the
+// exact language tag, else any voice for the language
+function pickVoice(lang) {
+  const voices = listVoices(lang);
+  return voices.find(v => v.name === voiceName)
+    || (lang === 'en-US' && voices.find(v => v.name.includes('Samantha'))) // iOS default
+    || voices.find(v => v.lang.replace('_', '-') === lang && v.localService)
+    || voices.find(v => v.lang.replace('_', '-') === lang)
+    || voices[0];
+}
+
+// onEnd runs when the utterance finishes or is cut off
+export function speak(text, rate = 0.9, onEnd = null) {
   const s = getSynth();
-  if (!s) return;
+  if (!s) {
+    onEnd?.();
+    return;
+  }
 
   // Stop any current speech
   if (s.speaking) s.cancel();
 
+  const lang = speechLanguage();
   const utterance = new SpeechSynthesisUtterance(text);
-  utterance.lang = 'en-US';
+  utterance.lang = lang;
   utterance.rate = rate;
   utterance.pitch = 1.0;
 
-  // Try to pick a good voice
-  const voices = s.getVoices();
-  const preferred = voices.find(v => v.name.includes('Samantha')) // iOS default
-    || voices.find(v => v.lang === 'en-US' && v.localService)
-    || voices.find(v => v.lang.startsWith('en'));
-  if (preferred) utterance.voice = preferred;
+  const voice = pickVoice(lang);
+  if (voice) utterance.voice = voice;
+  if (onEnd) {
+    utterance.onend = () => onEnd();
+    utterance.onerror = () => onEnd();
+  }
 
   s.speak(utterance);
 }
@@ -65,11 +103,14 @@ export function startListening(onResult, onEnd) {
   recognition = new SpeechRecognition();
   recognition.continuous = false;
   recognition.interimResults = false;
-  recognition.lang = 'en-US';
+  recognition.maxAlternatives = 3;
+  recognition.lang = speechLanguage();
 
+  // The best guess, then every alternative (including the best) for callers
+  // that match against a fixed set of phrases
   recognition.onresult = (event) => {
-    const transcript = event.results[0][0].transcript;
-    onResult?.(transcript);
+    const alternatives = Array.from(event.results[0], alt => alt.transcript);
+    onResult?.(alternatives[0], alternatives);
   };
 
   recognition.onerror = (event) => {
@@ -0,0 +1,364 @@
+// Persistent storage on IndexedDB: settings, bodies of water, tests and treatments
+//
+// SCHEMA: the database version is the number of MIGRATIONS. Opening runs every
+// migration after the stored version, in order, inside the upgrade transaction.
+// Add a migration to change the schema; never edit one that has shipped. A
+// migration returns true when it imported localStorage data.
+//
+// STORES
+//   settings    { key, value }                       app-wide settings
+//   waters      { id, name, volume, ... }            one per spa or pool
+//   tests       { id, waterId, date, readings, ... } saved test results
+//   treatments  { id, waterId, date, steps, changes }
+//   profiles    custom strip profiles (stripProfiles.js)
+//   products    custom products (products.js)
+//   quarantine  { id, store, record, reason, date }  records that failed to load
+//   photos      { id, waterId, image }               test photos (JPEG data URLs),
+//                                                    linked from a test's photoId
+//
+// RECOVERY: records that don't have the expected shape are moved to quarantine
+// when read, so one bad write can't stop the app from starting. Nothing is
+// deleted outright; quarantined records are kept for inspection.
+
+const DB_NAME = 'sparobot';
+
+// Keys used by earlier versions, which kept everything in localStorage
+const LEGACY_PREFIX = 'sparobot_';
+
+const MIGRATIONS = [
+  // 1: initial stores
+  (db) => {
+    db.createObjectStore('settings', { keyPath: 'key' });
+    db.createObjectStore('waters', { keyPath: 'id' });
+    for (const name of ['tests', 'treatments']) {
+      const store = db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('waterId', 'waterId');
+    }
+    db.createObjectStore('profiles', { keyPath: 'id' });
+    db.createObjectStore('products', { keyPath: 'id' });
+    db.createObjectStore('quarantine', { keyPath: 'id', autoIncrement: true });
+  },
+  // 2: one-time import of data saved in localStorage
+  (db, tx) => importLocalStorage(tx),
+  // 3: photos kept apart from tests, so listing history doesn't load images
+  (db) => {
+    db.createObjectStore('photos', { keyPath: 'id' }).createIndex('waterId', 'waterId');
+  },
+];
+
+let db = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted.'));
+  });
+}
+
+// Open the database, running any pending migrations. Must finish before any
+// other function here is used.
+export async function openStorage() {
+  if (!('indexedDB' in globalThis)) throw new Error('This browser has no IndexedDB.');
+  let imported = false;
+  const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+  request.onupgradeneeded = (e) => {
+    const tx = request.transaction;
+    for (let version = e.oldVersion; version < MIGRATIONS.length; version++) {
+      if (MIGRATIONS[version](request.result, tx)) imported = true;
+    }
+  };
+  request.onblocked = () => console.warn('Storage upgrade is waiting for another open tab to close.');
+  db = await promisify(request);
+  db.onversionchange = () => {
+    db.close();
+    location.reload();
+  };
+  // The import is committed, so the old copies can go
+  if (imported) {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LEGACY_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  }
+}
+
+// ── Import from localStorage ──
+// Earlier versions stored JSON under sparobot_* keys, and before that a single
+// spa's settings under flat keys. Values that don't parse are quarantined.
+function importLocalStorage(tx) {
+  if (typeof localStorage === 'undefined') return false;
+  const keys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_PREFIX));
+  if (keys.length === 0) return false;
+
+  const quarantine = tx.objectStore('quarantine');
+  const now = new Date().toISOString();
+  const readJSON = (key, fallback) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      quarantine.add({ store: 'localStorage', record: { key, raw }, reason: 'Invalid JSON', date: now });
+      return fallback;
+    }
+  };
+  const readNumber = (key) => {
+    const n = parseFloat(localStorage.getItem(key));
+    return Number.isFinite(n) ? n : null;
+  };
+
+  let waters = readJSON('sparobot_waters', null);
+  if (!Array.isArray(waters) || waters.length === 0) {
+    // Single-spa settings from before bodies of water
+    waters = [{
+      id: 'water-1',
+      name: 'My Spa',
+      volume: readNumber('sparobot_volume') || 0,
+      volumeUnit: localStorage.getItem('sparobot_volumeUnit') || 'gallons',
+      sanitizerType: localStorage.getItem('sparobot_sanitizer') || 'chlorine',
+      stripProfileId: localStorage.getItem('sparobot_stripProfile') || '',
+      waterTemp: readNumber('sparobot_waterTemp'),
+    }];
+    const history = readJSON('sparobot_history', null);
+    if (history) localStorage.setItem('sparobot_history_water-1', JSON.stringify(history));
+  }
+
+  const waterStore = tx.objectStore('waters');
+  const tests = tx.objectStore('tests');
+  const treatments = tx.objectStore('treatments');
+  for (const water of waters) {
+    if (!water || typeof water.id !== 'string') {
+      quarantine.add({ store: 'waters', record: water, reason: 'Missing id', date: now });
+      continue;
+    }
+    waterStore.put(water);
+    for (const entry of listOf(readJSON(`sparobot_history_${water.id}`, []))) {
+      tests.add({ ...withoutId(entry), waterId: water.id });
+    }
+    for (const entry of listOf(readJSON(`sparobot_treatments_${water.id}`, []))) {
+      treatments.add({ ...withoutId(entry), waterId: water.id });
+    }
+  }
+
+  const settings = tx.objectStore('settings');
+  const activeWater = localStorage.getItem('sparobot_activeWater');
+  if (activeWater) settings.put({ key: 'activeWater', value: activeWater });
+  for (const key of ['colorMetric', 'tempUnit', 'saturationIndex']) {
+    const value = localStorage.getItem(`sparobot_${key}`);
+    if (value) settings.put({ key, value });
+  }
+  settings.put({ key: 'productSelection', value: readJSON('sparobot_products', {}) });
+
+  for (const profile of listOf(readJSON('sparobot_customProfiles', []))) tx.objectStore('profiles').put(profile);
+  for (const product of listOf(readJSON('sparobot_customProducts', []))) tx.objectStore('products').put(product);
+  return true;
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : [];
+}
+
+function withoutId(record) {
+  const { id, ...rest } = record;
+  return rest;
+}
+
+// ── Record checks ──
+const VALIDATORS = {
+  waters: (w) => typeof w.id === 'string' && typeof w.name === 'string' && Number.isFinite(w.volume),
+  tests: (t) => !isNaN(new Date(t.date).getTime()) && t.readings && typeof t.readings === 'object'
+    && Object.values(t.readings).every(Number.isFinite),
+  treatments: (t) => !isNaN(new Date(t.date).getTime()) && Array.isArray(t.steps),
+  profiles: (p) => typeof p.id === 'string' && Array.isArray(p.padOrder) && p.charts && typeof p.charts === 'object',
+  products: (p) => typeof p.id === 'string' && typeof p.ingredient === 'string' && Number.isFinite(p.strength),
+};
+
+// Split records into usable ones and ones to quarantine
+async function recover(storeName, records, keyOf) {
+  const valid = VALIDATORS[storeName];
+  const good = records.filter(r => r && valid(r));
+  const bad = records.filter(r => !r || !valid(r));
+  if (bad.length > 0) {
+    console.warn(`Moved ${bad.length} unreadable ${storeName} record(s) to quarantine.`);
+    const tx = db.transaction([storeName, 'quarantine'], 'readwrite');
+    const date = new Date().toISOString();
+    for (const record of bad) {
+      tx.objectStore('quarantine').add({ store: storeName, record, reason: 'Unexpected shape', date });
+      const key = record && keyOf(record);
+      if (key !== undefined && key !== null) tx.objectStore(storeName).delete(key);
+    }
+    await done(tx);
+  }
+  return good;
+}
+
+async function readAll(storeName) {
+  const records = await promisify(db.transaction(storeName).objectStore(storeName).getAll());
+  return recover(storeName, records, r => r.id);
+}
+
+async function readByWater(storeName, waterId) {
+  const index = db.transaction(storeName).objectStore(storeName).index('waterId');
+  const records = await recover(storeName, await promisify(index.getAll(waterId)), r => r.id);
+  return records.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function deleteByWater(tx, storeName, waterId) {
+  const request = tx.objectStore(storeName).index('waterId').getAllKeys(waterId);
+  request.onsuccess = () => request.result.forEach(key => tx.objectStore(storeName).delete(key));
+}
+
+async function addRecord(storeName, record) {
+  const tx = db.transaction(storeName, 'readwrite');
+  const finished = done(tx);
+  const id = await promisify(tx.objectStore(storeName).add(record));
+  await finished;
+  return id;
+}
+
+async function replaceStore(storeName, records) {
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  store.clear();
+  for (const record of records) store.put(record);
+  await done(tx);
+}
+
+// ── Settings ──
+export async function getSettings() {
+  const records = await promisify(db.transaction('settings').objectStore('settings').getAll());
+  return Object.fromEntries(records.map(r => [r.key, r.value]));
+}
+
+export async function saveSettings(values) {
+  const tx = db.transaction('settings', 'readwrite');
+  for (const [key, value] of Object.entries(values)) tx.objectStore('settings').put({ key, value });
+  await done(tx);
+}
+
+// ── Bodies of water ──
+export function getWaters() {
+  return readAll('waters');
+}
+
+export function saveWaters(waters) {
+  return replaceStore('waters', waters);
+}
+
+// Remove a body of water with all its tests and treatments
+export async function deleteWater(waterId) {
+  const tx = db.transaction(['waters', 'tests', 'treatments', 'photos'], 'readwrite');
+  tx.objectStore('waters').delete(waterId);
+  deleteByWater(tx, 'tests', waterId);
+  deleteByWater(tx, 'treatments', waterId);
+  deleteByWater(tx, 'photos', waterId);
+  await done(tx);
+}
+
+// ── Tests and treatments ──
+// Entries come back oldest first, with their record id and waterId.
+export function getTests(waterId) {
+  return readByWater('tests', waterId);
+}
+
+// One test by record id, from whichever water it belongs to; null if none
+export async function getTest(id) {
+  return (await promisify(db.transaction('tests').objectStore('tests').get(id))) || null;
+}
+
+export function getTreatments(waterId) {
+  return readByWater('treatments', waterId);
+}
+
+// Save a test; returns its record id
+export function addTest(waterId, entry) {
+  return addRecord('tests', { ...withoutId(entry), waterId });
+}
+
+// Save changes to a test read back from getTests (it has its record id)
+export async function updateTest(entry) {
+  const tx = db.transaction('tests', 'readwrite');
+  tx.objectStore('tests').put(entry);
+  await done(tx);
+}
+
+export function addTreatment(waterId, treatment) {
+  return addRecord('treatments', { ...withoutId(treatment), waterId });
+}
+
+// Delete a body of water's tests, treatments and photos, keeping its settings
+export async function clearHistory(waterId) {
+  const tx = db.transaction(['tests', 'treatments', 'photos'], 'readwrite');
+  deleteByWater(tx, 'tests', waterId);
+  deleteByWater(tx, 'treatments', waterId);
+  deleteByWater(tx, 'photos', waterId);
+  await done(tx);
+}
+
+// ── Photos ──
+export async function savePhoto(id, waterId, image) {
+  const tx = db.transaction('photos', 'readwrite');
+  tx.objectStore('photos').put({ id, waterId, image });
+  await done(tx);
+}
+
+// The photo's data URL, or null if it is gone
+export async function getPhoto(id) {
+  const record = await promisify(db.transaction('photos').objectStore('photos').get(id));
+  return typeof record?.image === 'string' ? record.image : null;
+}
+
+// ── Custom profiles and products ──
+export function getCustomProfiles() {
+  return readAll('profiles');
+}
+
+export function saveCustomProfiles(profiles) {
+  return replaceStore('profiles', profiles);
+}
+
+export function getCustomProducts() {
+  return readAll('products');
+}
+
+export function saveCustomProducts(products) {
+  return replaceStore('products', products);
+}
+
+// ── Whole database ──
+// Replace everything with data in the backup shape (see backup.js). Backups
+// don't hold photos, so photos stay unless no test links to them any more.
+export async function replaceAll(data) {
+  const names = ['settings', 'waters', 'tests', 'treatments', 'profiles', 'products'];
+  const tx = db.transaction([...names, 'photos'], 'readwrite');
+  names.forEach(name => tx.objectStore(name).clear());
+  const linked = new Set(data.waters.flatMap(w => (data.history[w.id] || []).map(e => e.photoId)));
+  const photoKeys = tx.objectStore('photos').getAllKeys();
+  photoKeys.onsuccess = () => photoKeys.result
+    .filter(key => !linked.has(key))
+    .forEach(key => tx.objectStore('photos').delete(key));
+  for (const [key, value] of Object.entries(data.settings)) tx.objectStore('settings').put({ key, value });
+  tx.objectStore('settings').put({ key: 'productSelection', value: data.productSelection });
+  for (const water of data.waters) {
+    tx.objectStore('waters').put(water);
+    for (const entry of data.history[water.id] || []) tx.objectStore('tests').add({ ...withoutId(entry), waterId: water.id });
+    for (const entry of data.treatments[water.id] || []) tx.objectStore('treatments').add({ ...withoutId(entry), waterId: water.id });
+  }
+  data.customProfiles.forEach(p => tx.objectStore('profiles').put(p));
+  data.customProducts.forEach(p => tx.objectStore('products').put(p));
+  await done(tx);
+}
+
+// Delete the database entirely (Reset All Data)
+export async function clearAll() {
+  db?.close();
+  db = null;
+  await promisify(indexedDB.deleteDatabase(DB_NAME));
+}
@@ -0,0 +1,211 @@
+// Automatic test strip detection: locate the strip in a photo and split it into pads
+//
+// APPROACH
+//   1. Estimate the background color from the image border.
+//   2. Mask every pixel that differs clearly from the background (the strip).
+//   3. Use image moments of the mask to find the strip's center and long axis.
+//   4. Walk along the axis and build a color profile across the strip.
+//   5. Pads are runs in the profile that differ from the strip backing color.
+//   6. The end with the longest blank run is the handle; pads are ordered from
+//      the opposite end (the tip) inward, matching the physical pad order.
+
+import { rgbToLab } from './colorChart.js';
+
+const GRID_TARGET = 160;     // downsampled grid size (longest side) for masking
+const BG_THRESHOLD = 18;     // Lab distance from background to count as strip
+const PAD_THRESHOLD = 10;    // Lab distance from backing to count as pad
+const MIN_ELONGATION = 2.5;  // strip must be this many times longer than wide
+
+function labDistance(a, b) {
+  const dl = a.l - b.l;
+  const da = a.a - b.a;
+  const db = a.b - b.b;
+  return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+function pixelLab(data, width, x, y) {
+  const i = (Math.round(y) * width + Math.round(x)) * 4;
+  return rgbToLab(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Median color of the outermost ring of grid cells
+function estimateBackground(data, width, height, step) {
+  const ls = [], as = [], bs = [];
+  const push = (x, y) => {
+    const lab = pixelLab(data, width, x, y);
+    ls.push(lab.l); as.push(lab.a); bs.push(lab.b);
+  };
+  for (let x = 0; x < width; x += step) { push(x, 0); push(x, height - 1); }
+  for (let y = 0; y < height; y += step) { push(0, y); push(width - 1, y); }
+  return { l: median(ls), a: median(as), b: median(bs) };
+}
+
+// Split the profile into runs that differ from the backing color
+function findRuns(profile, backing) {
+  const runs = [];
+  let start = -1;
+  profile.forEach((sample, i) => {
+    const isPad = sample && labDistance(sample.lab, backing) > PAD_THRESHOLD;
+    if (isPad && start < 0) start = i;
+    if (!isPad && start >= 0) {
+      runs.push({ start, end: i - 1 });
+      start = -1;
+    }
+  });
+  if (start >= 0) runs.push({ start, end: profile.length - 1 });
+  return runs;
+}
+
+// Detect the strip and return pad centers in canvas pixel coordinates.
+// Returns null when no plausible strip is found.
+//   { pads: [{ x, y }], padSize, angle }
+export function detectStripPads(ctx, width, height, padCount) {
+  if (!padCount || width < 20 || height < 20) return null;
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const step = Math.max(1, Math.floor(Math.max(width, height) / GRID_TARGET));
+  const background = estimateBackground(data, width, height, step);
+
+  // ── Foreground mask and first/second moments ──
+  let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  let total = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      total++;
+      if (labDistance(pixelLab(data, width, x, y), background) <= BG_THRESHOLD) continue;
+      n++;
+      sx += x; sy += y;
+      sxx += x * x; syy += y * y; sxy += x * y;
+    }
+  }
+
+  const coverage = n / total;
+  if (coverage < 0.005 || coverage > 0.6) return null;
+
+  const cx = sx / n;
+  const cy = sy / n;
+  const varX = sxx / n - cx * cx;
+  const varY = syy / n - cy * cy;
+  const covXY = sxy / n - cx * cy;
+
+  // Principal axis of the mask = long axis of the strip
+  const angle = 0.5 * Math.atan2(2 * covXY, varX - varY);
+  const ux = Math.cos(angle), uy = Math.sin(angle);
+  const vx = -uy, vy = ux;
+
+  const common = (varX + varY) / 2;
+  const diff = Math.sqrt(((varX - varY) / 2) ** 2 + covXY * covXY);
+  const varLong = common + diff;
+  const varShort = Math.max(common - diff, 1);
+
+  // A uniform bar of width w has variance w²/12
+  const stripWidth = Math.sqrt(12 * varShort);
+  const stripLength = Math.sqrt(12 * varLong);
+  if (stripLength / stripWidth < MIN_ELONGATION) return null;
+
+  // ── Color profile along the axis ──
+  const halfLen = stripLength / 2;
+  const halfSample = stripWidth * 0.25;
+  const profile = [];
+  for (let t = -halfLen; t <= halfLen; t += 1) {
+    let l = 0, a = 0, b = 0, count = 0;
+    for (let s = -halfSample; s <= halfSample; s += Math.max(1, halfSample / 3)) {
+      const x = cx + ux * t + vx * s;
+      const y = cy + uy * t + vy * s;
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+      const lab = pixelLab(data, width, x, y);
+      l += lab.l; a += lab.a; b += lab.b;
+      count++;
+    }
+    profile.push(count > 0 ? { t, lab: { l: l / count, a: a / count, b: b / count } } : null);
+  }
+
+  // Backing = lightest, near-neutral color on the strip (white plastic handle)
+  let backing = { l: 95, a: 0, b: 0 };
+  let bestL = -Infinity;
+  for (const sample of profile) {
+    if (!sample) continue;
+    const chroma = Math.hypot(sample.lab.a, sample.lab.b);
+    if (chroma < 15 && sample.lab.l > bestL) {
+      bestL = sample.lab.l;
+      backing = sample.lab;
+    }
+  }
+
+  // ── Runs → pad centers along the axis ──
+  const minRun = Math.max(2, stripWidth * 0.3);
+  let runs = findRuns(profile, backing).filter(r => r.end - r.start + 1 >= minRun);
+  if (runs.length === 0) return null;
+
+  // Pads printed edge-to-edge merge into one run; split runs much longer than typical
+  const typical = median(runs.map(r => r.end - r.start + 1));
+  const padGuess = Math.min(typical, stripWidth * 1.2);
+  runs = runs.flatMap(r => {
+    const len = r.end - r.start + 1;
+    const parts = Math.max(1, Math.round(len / padGuess));
+    if (parts === 1) return [r];
+    const partLen = len / parts;
+    return Array.from({ length: parts }, (_, i) => ({
+      start: Math.round(r.start + i * partLen),
+      end: Math.round(r.start + (i + 1) * partLen - 1),
+    }));
+  });
+
+  const padSize = median(runs.map(r => r.end - r.start + 1));
+
+  // The handle is the longer blank stretch; pads are read from the opposite end
+  const last = profile.length - 1;
+  const gapStart = runs[0].start;
+  const gapEnd = last - runs[runs.length - 1].end;
+  const fromEnd = gapStart > gapEnd;
+
+  // Distance of each pad center from the tip, in profile samples
+  const centers = runs.map(r => (r.start + r.end) / 2)
+    .map(c => (fromEnd ? last - c : c))
+    .sort((a, b) => a - b);
+
+  // Spacing between neighbouring pads, used to fill in pads too pale to detect
+  const gaps = [];
+  for (let i = 1; i < centers.length; i++) gaps.push(centers[i] - centers[i - 1]);
+  const pitch = gaps.length > 0 ? Math.min(...gaps) : padSize * 1.5;
+
+  // Lay out evenly spaced slots from the tip, snapping to detected pads
+  let cursor = centers[0];
+  while (cursor - pitch - padSize / 2 >= 0) cursor -= pitch;
+  const slots = [];
+  let next = 0;
+  while (slots.length < padCount || next < centers.length) {
+    let detected = false;
+    while (next < centers.length && centers[next] < cursor - pitch / 2) next++;
+    if (next < centers.length && Math.abs(centers[next] - cursor) < pitch / 2) {
+      cursor = centers[next++];
+      detected = true;
+    }
+    slots.push({ d: cursor, detected });
+    cursor += pitch;
+  }
+
+  // Pick the run of padCount slots that covers the most detected pads
+  let bestOffset = 0, bestHits = -1;
+  for (let offset = 0; offset + padCount <= slots.length; offset++) {
+    const hits = slots.slice(offset, offset + padCount).filter(s => s.detected).length;
+    if (hits > bestHits) { bestHits = hits; bestOffset = offset; }
+  }
+  const positions = slots.slice(bestOffset, bestOffset + padCount)
+    .map(s => (fromEnd ? last - s.d : s.d));
+
+  const pads = positions.map(i => {
+    const t = i - halfLen;
+    return { x: cx + ux * t, y: cy + uy * t };
+  });
+
+  if (pads.some(p => p.x < 0 || p.y < 0 || p.x >= width || p.y >= height)) return null;
+
+  return { pads, padSize, angle };
+}
@@ -0,0 +1,281 @@
+// Test strip brand profiles: pad order, color charts and reading delay per brand
+//
+// PROFILE FORMAT (JSON, import/export):
+//   {
+//     "format": "sparobot-strip-profile",
+//     "version": 1,
+//     "id": "my-strips",
+//     "name": "My Strips",
+//     "readingDelaySeconds": 15,
+//     "padOrder": ["totalHardness", "freeChlorine", "pH", ...],   // from the tip
+//     "charts": {
+//       "pH": { "colors": [{ "value": 6.2, "r": 235, "g": 200, "b": 65 }, ...] },
+//       ...
+//     }
+//   }
+//
+// padOrder lists every pad on the strip in physical order, starting at the tip
+// (the end away from the handle). Every pad needs a chart. Charts use the same
+// shape as COLOR_CHARTS so the matcher can use either.
+//
+// Brand swatch colors are approximations of the printed bottle charts. If your
+// bottle looks different, export the profile, adjust the colors and import it.
+
+import { PARAMETERS } from './chemistry.js';
+import { COLOR_CHARTS } from './colorChart.js';
+import { t } from './i18n.js';
+
+export const PROFILE_FORMAT = 'sparobot-strip-profile';
+export const PROFILE_VERSION = 1;
+
+function chartsFrom(keys) {
+  const charts = {};
+  for (const key of keys) charts[key] = { colors: COLOR_CHARTS[key].colors.map(c => ({ ...c })) };
+  return charts;
+}
+
+export const BUILTIN_PROFILES = [
+  // Default for chlorine: the total chlorine pad gives combined chlorine
+  {
+    id: 'generic-chlorine-6',
+    name: 'Generic 6-in-1 (Chlorine)',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['totalChlorine', 'freeChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid'],
+    charts: chartsFrom(['totalChlorine', 'freeChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid']),
+  },
+  {
+    id: 'generic-chlorine-5',
+    name: 'Generic 5-in-1 (Chlorine)',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['freeChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid'],
+    charts: chartsFrom(['freeChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid']),
+  },
+  {
+    id: 'generic-bromine-4',
+    name: 'Generic 4-in-1 (Bromine)',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['bromine', 'pH', 'totalAlkalinity', 'totalHardness'],
+    charts: chartsFrom(['bromine', 'pH', 'totalAlkalinity', 'totalHardness']),
+  },
+  {
+    id: 'generic-7in1',
+    name: 'Generic 7-in-1 (Amazon)',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['totalHardness', 'totalChlorine', 'freeChlorine', 'bromine', 'cyanuricAcid', 'totalAlkalinity', 'pH'],
+    charts: chartsFrom(['totalHardness', 'totalChlorine', 'freeChlorine', 'bromine', 'cyanuricAcid', 'totalAlkalinity', 'pH']),
+  },
+  {
+    id: 'aquachek-7in1',
+    name: 'AquaChek 7-in-1',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['totalHardness', 'totalChlorine', 'freeChlorine', 'bromine', 'pH', 'totalAlkalinity', 'cyanuricAcid'],
+    charts: {
+      totalHardness: { colors: [
+        { value: 0,    r: 45,  g: 150, b: 140 },
+        { value: 100,  r: 80,  g: 110, b: 165 },
+        { value: 250,  r: 120, g: 85,  b: 160 },
+        { value: 500,  r: 160, g: 60,  b: 125 },
+        { value: 1000, r: 195, g: 45,  b: 85  },
+      ] },
+      totalChlorine: { colors: [
+        { value: 0,   r: 250, g: 245, b: 235 },
+        { value: 0.5, r: 240, g: 225, b: 230 },
+        { value: 1,   r: 225, g: 195, b: 215 },
+        { value: 3,   r: 195, g: 150, b: 195 },
+        { value: 5,   r: 165, g: 110, b: 175 },
+        { value: 10,  r: 130, g: 70,  b: 150 },
+      ] },
+      freeChlorine: { colors: [
+        { value: 0,   r: 250, g: 245, b: 235 },
+        { value: 0.5, r: 245, g: 220, b: 230 },
+        { value: 1,   r: 235, g: 190, b: 215 },
+        { value: 3,   r: 210, g: 140, b: 190 },
+        { value: 5,   r: 185, g: 100, b: 170 },
+        { value: 10,  r: 150, g: 60,  b: 145 },
+      ] },
+      bromine: { colors: [
+        { value: 0,   r: 250, g: 245, b: 235 },
+        { value: 1,   r: 240, g: 215, b: 225 },
+        { value: 2,   r: 230, g: 185, b: 210 },
+        { value: 6,   r: 200, g: 130, b: 185 },
+        { value: 10,  r: 175, g: 95,  b: 165 },
+        { value: 20,  r: 140, g: 55,  b: 140 },
+      ] },
+      pH: { colors: [
+        { value: 6.2, r: 240, g: 190, b: 60  },
+        { value: 6.8, r: 235, g: 160, b: 60  },
+        { value: 7.2, r: 230, g: 130, b: 70  },
+        { value: 7.8, r: 220, g: 95,  b: 80  },
+        { value: 8.4, r: 200, g: 60,  b: 95  },
+      ] },
+      totalAlkalinity: { colors: [
+        { value: 0,   r: 230, g: 215, b: 70  },
+        { value: 40,  r: 175, g: 200, b: 80  },
+        { value: 80,  r: 105, g: 175, b: 95  },
+        { value: 120, r: 65,  g: 150, b: 110 },
+        { value: 180, r: 50,  g: 125, b: 125 },
+        { value: 240, r: 40,  g: 100, b: 135 },
+      ] },
+      cyanuricAcid: { colors: [
+        { value: 0,   r: 240, g: 195, b: 120 },
+        { value: 30,  r: 225, g: 160, b: 120 },
+        { value: 50,  r: 210, g: 130, b: 125 },
+        { value: 100, r: 185, g: 95,  b: 125 },
+        { value: 150, r: 160, g: 70,  b: 125 },
+        { value: 300, r: 125, g: 50,  b: 120 },
+      ] },
+    },
+  },
+  {
+    id: 'taylor-6way',
+    name: 'Taylor 6-Way',
+    builtin: true,
+    readingDelaySeconds: 15,
+    padOrder: ['freeChlorine', 'totalChlorine', 'pH', 'totalAlkalinity', 'totalHardness', 'cyanuricAcid'],
+    charts: {
+      freeChlorine: { colors: [
+        { value: 0,   r: 252, g: 250, b: 240 },
+        { value: 0.5, r: 250, g: 225, b: 225 },
+        { value: 1,   r: 245, g: 200, b: 210 },
+        { value: 3,   r: 235, g: 150, b: 175 },
+        { value: 5,   r: 215, g: 105, b: 145 },
+        { value: 10,  r: 180, g: 55,  b: 110 },
+      ] },
+      totalChlorine: { colors: [
+        { value: 0,   r: 252, g: 250, b: 240 },
+        { value: 0.5, r: 245, g: 235, b: 215 },
+        { value: 1,   r: 235, g: 215, b: 200 },
+        { value: 3,   r: 215, g: 175, b: 180 },
+        { value: 5,   r: 190, g: 135, b: 160 },
+        { value: 10,  r: 155, g: 90,  b: 135 },
+      ] },
+      pH: { colors: [
+        { value: 6.4, r: 235, g: 205, b: 70  },
+        { value: 6.8, r: 230, g: 175, b: 60  },
+        { value: 7.2, r: 225, g: 145, b: 60  },
+        { value: 7.6, r: 215, g: 115, b: 65  },
+        { value: 8.2, r: 190, g: 75,  b: 85  },
+      ] },
+      totalAlkalinity: { colors: [
+        { value: 0,   r: 220, g: 205, b: 60  },
+        { value: 40,  r: 180, g: 200, b: 70  },
+        { value: 80,  r: 120, g: 185, b: 80  },
+        { value: 120, r: 70,  g: 160, b: 85  },
+        { value: 180, r: 50,  g: 135, b: 105 },
+        { value: 240, r: 40,  g: 110, b: 130 },
+      ] },
+      totalHardness: { colors: [
+        { value: 0,   r: 60,  g: 160, b: 150 },
+        { value: 100, r: 85,  g: 125, b: 175 },
+        { value: 250, r: 120, g: 95,  b: 170 },
+        { value: 500, r: 160, g: 65,  b: 135 },
+        { value: 1000, r: 195, g: 50, b: 90  },
+      ] },
+      cyanuricAcid: { colors: [
+        { value: 0,   r: 235, g: 215, b: 185 },
+        { value: 30,  r: 215, g: 190, b: 155 },
+        { value: 50,  r: 195, g: 170, b: 130 },
+        { value: 100, r: 160, g: 135, b: 100 },
+        { value: 150, r: 125, g: 105, b: 75  },
+        { value: 300, r: 90,  g: 70,  b: 50  },
+      ] },
+    },
+  },
+];
+
+// Profile used when the user hasn't picked one: matches the sanitizer type
+export function defaultProfileId(sanitizerType) {
+  return sanitizerType === 'bromine' ? 'generic-bromine-4' : 'generic-chlorine-6';
+}
+
+export function getProfile(id, customProfiles = []) {
+  return customProfiles.find(p => p.id === id)
+    || BUILTIN_PROFILES.find(p => p.id === id)
+    || null;
+}
+
+export function listProfiles(customProfiles = []) {
+  return [...BUILTIN_PROFILES, ...customProfiles];
+}
+
+function isChannel(n) {
+  return Number.isFinite(n) && n >= 0 && n <= 255;
+}
+
+// Validate and normalize a profile object. Throws an Error describing the
+// first problem found, so the message can be shown to the user as-is.
+export function validateStripProfile(data) {
+  if (!data || typeof data !== 'object') throw new Error(t('profile.notObject'));
+  if (data.format !== PROFILE_FORMAT) throw new Error(t('profile.wrongFormat', { format: PROFILE_FORMAT }));
+  if (data.version > PROFILE_VERSION) throw new Error(t('profile.tooNew', { version: String(data.version) }));
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error(t('profile.needsName'));
+  if (!Array.isArray(data.padOrder) || data.padOrder.length === 0) throw new Error(t('profile.needsPadOrder'));
+
+  const seen = new Set();
+  for (const key of data.padOrder) {
+    if (!PARAMETERS[key]) throw new Error(t('profile.unknownPad', { key }));
+    if (seen.has(key)) throw new Error(t('profile.padTwice', { key }));
+    seen.add(key);
+  }
+
+  const charts = {};
+  for (const key of data.padOrder) {
+    const colors = data.charts?.[key]?.colors;
+    if (!Array.isArray(colors) || colors.length < 2) {
+      throw new Error(t('profile.fewColors', { key }));
+    }
+    for (const c of colors) {
+      if (!Number.isFinite(c.value) || !isChannel(c.r) || !isChannel(c.g) || !isChannel(c.b)) {
+        throw new Error(t('profile.invalidColor', { key }));
+      }
+    }
+    charts[key] = {
+      colors: colors
+        .map(c => ({ value: c.value, r: Math.round(c.r), g: Math.round(c.g), b: Math.round(c.b) }))
+        .sort((a, b) => a.value - b.value),
+    };
+  }
+
+  const delay = data.readingDelaySeconds ?? 15;
+  if (!Number.isFinite(delay) || delay < 0 || delay > 600) {
+    throw new Error(t('profile.invalidDelay', { min: 0, max: 600 }));
+  }
+
+  // Ids are reduced to a slug, like the one made from the name, so they are
+  // safe to place in markup
+  const name = data.name.trim();
+  const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const slug = slugify(name);
+  let id = (typeof data.id === 'string' && slugify(data.id)) || `custom-${slug || Date.now()}`;
+  // An edited export of a built-in profile becomes a custom copy
+  if (BUILTIN_PROFILES.some(p => p.id === id)) id = `${id}-custom`;
+
+  return { id, name, readingDelaySeconds: delay, padOrder: [...data.padOrder], charts };
+}
+
+export function parseStripProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('common.notJson'));
+  }
+  return validateStripProfile(data);
+}
+
+export function serializeStripProfile(profile) {
+  return JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    id: profile.id,
+    name: profile.name,
+    readingDelaySeconds: profile.readingDelaySeconds,
+    padOrder: profile.padOrder,
+    charts: profile.charts,
+  }, null, 2);
+}
@@ -0,0 +1,162 @@
+// Guided treatment: working through a plan one step at a time
+//
+// SESSION (plain JSON, saved so progress survives a reload):
+//   {
+//     "waterId": "water-1",
+//     "startedAt": "2026-05-01T18:00:00.000Z",
+//     "readings": { "pH": 7.9, ... },       // the test the plan was made from
+//     "steps": [...],                        // the plan, as from calculateCorrections()
+//     "current": 1,                          // step being worked on
+//     "done": ["2026-05-01T18:02:00.000Z", null, ...],
+//     "timer": { "step": 0, "endsAt": 1746124920000, "remainingMs": 1800000 },
+//     "finishedAt": null,                    // set once every step is done
+//     "logged": false                        // finished treatment saved to history
+//   }
+//
+// A timer runs while the chemical from a checked-off step circulates. endsAt
+// is null while it is paused; remainingMs then holds the time left. Times are
+// wall-clock, so a countdown picks up where it should after a reload.
+//
+// Session functions update the session in place.
+
+export function createSession(steps, readings, waterId, now = Date.now()) {
+  return {
+    waterId,
+    startedAt: new Date(now).toISOString(),
+    readings: { ...readings },
+    steps,
+    current: 0,
+    done: steps.map(() => null),
+    timer: null,
+    finishedAt: null,
+    logged: false,
+  };
+}
+
+// Milliseconds left on the wait, or null when no wait is running
+export function timerRemaining(session, now = Date.now()) {
+  const timer = session.timer;
+  if (!timer) return null;
+  if (timer.endsAt === null) return timer.remainingMs;
+  return Math.max(0, timer.endsAt - now);
+}
+
+export function isTimerPaused(session) {
+  return session.timer !== null && session.timer.endsAt === null;
+}
+
+function advance(session, now) {
+  session.timer = null;
+  session.current++;
+  if (session.current >= session.steps.length) session.finishedAt = new Date(now).toISOString();
+}
+
+// The chemical for the current step is in. Starts its wait, if it has one.
+export function checkOffStep(session, now = Date.now()) {
+  session.done[session.current] = new Date(now).toISOString();
+  const waitMs = (session.steps[session.current].waitMinutes || 0) * 60000;
+  if (waitMs > 0) {
+    session.timer = { step: session.current, endsAt: now + waitMs, remainingMs: waitMs };
+  } else {
+    advance(session, now);
+  }
+}
+
+export function pauseTimer(session, now = Date.now()) {
+  if (!session.timer || isTimerPaused(session)) return;
+  session.timer.remainingMs = timerRemaining(session, now);
+  session.timer.endsAt = null;
+}
+
+export function resumeTimer(session, now = Date.now()) {
+  if (!isTimerPaused(session)) return;
+  session.timer.endsAt = now + session.timer.remainingMs;
+}
+
+// Move past the current step without doing it. It stays unchecked.
+export function skipStep(session, now = Date.now()) {
+  advance(session, now);
+}
+
+// The wait ran out, or the user chose to skip the rest of it
+export function endWait(session, now = Date.now()) {
+  if (session.timer) advance(session, now);
+}
+
+// Readings the plan expects once every step is done
+export function expectedAfter(session) {
+  const predicted = session.steps.filter(s => s.expected);
+  return predicted[predicted.length - 1]?.expected || session.readings;
+}
+
+// ── Screen wake lock ──
+// Keeps the screen on during a countdown. The browser drops the lock when the
+// page is hidden, so it is taken again when the page comes back.
+
+let wakeLock = null;
+let wakeLockRequest = null; // one request at a time
+let wantWakeLock = false;
+
+export async function keepScreenOn() {
+  wantWakeLock = true;
+  if (wakeLock || wakeLockRequest || !('wakeLock' in navigator)) return;
+  try {
+    wakeLockRequest = navigator.wakeLock.request('screen');
+    const lock = await wakeLockRequest;
+    // Screen allowed to sleep while the request was pending
+    if (!wantWakeLock) {
+      lock.release();
+      return;
+    }
+    wakeLock = lock;
+    lock.addEventListener('release', () => { if (wakeLock === lock) wakeLock = null; });
+  } catch {
+    // Denied (e.g. low battery): the countdown still works, the screen may sleep
+  } finally {
+    wakeLockRequest = null;
+  }
+}
+
+export function allowScreenOff() {
+  wantWakeLock = false;
+  if (wakeLock) wakeLock.release();
+  wakeLock = null;
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && wantWakeLock) keepScreenOn();
+});
+
+// ── Local notifications ──
+// Shown through the service worker where possible (required on Android).
+// Notifications with the same tag replace each other.
+
+export async function requestNotifications() {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+  try {
+    await Notification.requestPermission();
+  } catch {
+    // Older Safari only has the callback form; notifications stay off
+  }
+}
+
+export async function notify(title, body, { tag = 'sparobot-treatment', silent = false } = {}) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const options = { body, tag, silent, renotify: !silent, icon: 'icons/icon-192.svg' };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+      return;
+    }
+    new Notification(title, options);
+  } catch {
+    // Blocked or unsupported here: the on-screen countdown still shows the step
+  }
+}
+
+export async function clearNotification(tag = 'sparobot-treatment') {
+  const registration = await navigator.serviceWorker?.getRegistration().catch(() => null);
+  const shown = registration ? await registration.getNotifications({ tag }) : [];
+  shown.forEach(n => n.close());
+}
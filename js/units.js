@@ -0,0 +1,241 @@
+// Units for doses, volumes and temperatures
+//
+// UNIT SYSTEMS:
+//   - imperial: oz, lbs and fl oz; gallons; °F
+//   - metric:   g, kg, mL and L; liters; °C
+//   - mixed:    chemicals in g and mL (as on most labels and scales), the spa
+//               in gallons and °F
+//
+// MEASURES: how a dose is measured out.
+//   - weight:  a scale for solids, a measuring cup in mL or fl oz for liquids
+//   - kitchen: teaspoons, tablespoons and cups (US sizes, or metric 5, 15 and
+//              250 mL), with the exact amount alongside
+//   - scoop:   the product's measuring scoop, of a size set by the user
+// Solids go by volume through the product's bulk density (see products.js).
+//
+// Units are passed around as { system, measure, scoopMl }. Names and the
+// words for spoons, cups and scoops are in the message catalog (see i18n.js).
+
+import { t, formatNumber, getLocale } from './i18n.js';
+
+export const UNIT_SYSTEMS = {
+  get imperial() { return t('units.imperial'); },
+  get metric() { return t('units.metric'); },
+  get mixed() { return t('units.mixed'); },
+};
+
+export const MEASURES = {
+  get weight() { return t('measure.weight'); },
+  get kitchen() { return t('measure.kitchen'); },
+  get scoop() { return t('measure.scoop'); },
+};
+
+export const DEFAULT_UNITS = { system: 'imperial', measure: 'weight', scoopMl: 30 };
+
+export const LITERS_PER_GALLON = 3.78541;
+const ML_PER_FL_OZ = 29.5735;
+const GRAMS_PER_OZ = 28.3495;
+
+const KITCHEN_SIZES = {
+  us: { teaspoon: 4.929, tablespoon: 14.787, cup: 236.588 },
+  metric: { teaspoon: 5, tablespoon: 15, cup: 250 },
+};
+
+// Solids with no bulk density on file are measured as if they weighed the
+// same as water
+const DEFAULT_BULK_DENSITY = 1;
+
+export function usesMetricVolume(units = DEFAULT_UNITS) {
+  return units.system === 'metric';
+}
+
+export function usesMetricDoses(units = DEFAULT_UNITS) {
+  return units.system === 'metric' || units.system === 'mixed';
+}
+
+// Temperature unit ('F' or 'C') a unit system reads and enters temperatures in
+export function temperatureUnit(units = DEFAULT_UNITS) {
+  return units.system === 'metric' ? 'C' : 'F';
+}
+
+export function formatTemperature(celsius, units = DEFAULT_UNITS) {
+  return units.system === 'metric'
+    ? `${formatNumber(+celsius.toFixed(1))}°C`
+    : `${Math.round(celsius * 9 / 5 + 32)}°F`;
+}
+
+export function formatVolume(gallons, units = DEFAULT_UNITS) {
+  return usesMetricVolume(units)
+    ? `${formatNumber(Math.round(gallons * LITERS_PER_GALLON))} L`
+    : `${formatNumber(Math.round(gallons))} gal`;
+}
+
+// ── Fractions ──
+// Kitchen measures are rounded to what a spoon or cup can show
+
+const FRACTIONS = { 0.25: '¼', 0.5: '½', 0.75: '¾' };
+
+function fraction(value, step) {
+  const rounded = Math.max(step, Math.round(value / step) * step);
+  const whole = Math.floor(rounded);
+  const part = FRACTIONS[+(rounded - whole).toFixed(2)] || '';
+  return { text: `${whole > 0 ? whole : ''}${part}` || '0', plural: rounded > 1 };
+}
+
+// measure: 'teaspoon', 'tablespoon', 'cup' or 'scoop'
+function measured(measure, amount, count) {
+  return t(`measure.${measure}s`, { amount, count });
+}
+
+// Up to one takes the singular: "½ cup"
+function counted(value, step, measure) {
+  const f = fraction(value, step);
+  return measured(measure, f.text, f.plural ? 2 : 1);
+}
+
+function kitchenMeasure(ml, system) {
+  const sizes = system === 'imperial' ? KITCHEN_SIZES.us : KITCHEN_SIZES.metric;
+  if (ml < sizes.tablespoon) return counted(ml / sizes.teaspoon, 0.25, 'teaspoon');
+  if (ml < sizes.cup / 4) return counted(ml / sizes.tablespoon, 0.5, 'tablespoon');
+  return counted(ml / sizes.cup, 0.25, 'cup');
+}
+
+// ── Exact amounts ──
+
+function formatOunces(oz) {
+  if (oz < 0.5) {
+    const teaspoons = Math.round(oz * 6);
+    return measured('teaspoon', teaspoons, teaspoons);
+  }
+  if (oz < 1) return measured('tablespoon', formatNumber(oz * 2, 1), 2);
+  if (oz < 4) return `${formatNumber(oz, 1)} oz`;
+  if (oz < 16) return `${formatNumber(oz, 1)} oz (${formatNumber(oz / 16, 2)} lbs)`;
+  const lbs = oz / 16;
+  return `${formatNumber(lbs, 2)} lbs (${formatNumber(oz, 1)} oz)`;
+}
+
+function formatFluidOunces(flOz) {
+  const ml = formatNumber(Math.round(flOz * ML_PER_FL_OZ));
+  if (flOz < 0.5) {
+    const teaspoons = Math.round(flOz * 6);
+    return `${measured('teaspoon', teaspoons, teaspoons)} (${ml} mL)`;
+  }
+  if (flOz < 1) return `${measured('tablespoon', formatNumber(flOz * 2, 1), 2)} (${ml} mL)`;
+  if (flOz < 128) return `${formatNumber(flOz, 1)} fl oz (${ml} mL)`;
+  return `${formatNumber(flOz / 128, 2)} gal (${formatNumber(flOz * ML_PER_FL_OZ / 1000, 1)} L)`;
+}
+
+function formatGrams(grams) {
+  if (grams < 10) return `${formatNumber(grams, 1)} g`;
+  if (grams < 1000) return `${formatNumber(Math.round(grams))} g`;
+  return `${formatNumber(grams / 1000, 2)} kg`;
+}
+
+function formatMilliliters(ml) {
+  if (ml < 10) return `${formatNumber(ml, 1)} mL`;
+  if (ml < 1000) return `${formatNumber(Math.round(ml))} mL`;
+  return `${formatNumber(ml / 1000, 2)} L`;
+}
+
+// Weight of a solid or volume of a liquid, in the unit system
+function exactAmount(dose, units) {
+  if (dose.ml !== undefined) {
+    return usesMetricDoses(units) ? formatMilliliters(dose.ml) : formatFluidOunces(dose.ml / ML_PER_FL_OZ);
+  }
+  return usesMetricDoses(units) ? formatGrams(dose.grams) : formatOunces(dose.grams / GRAMS_PER_OZ);
+}
+
+// Short exact amount to go with a kitchen or scoop measure
+function exactShort(dose, units) {
+  if (dose.ml !== undefined) {
+    return usesMetricDoses(units) ? formatMilliliters(dose.ml) : `${formatNumber(dose.ml / ML_PER_FL_OZ, 1)} fl oz`;
+  }
+  return usesMetricDoses(units) ? formatGrams(dose.grams) : `${formatNumber(dose.grams / GRAMS_PER_OZ, 1)} oz`;
+}
+
+// Volume a dose takes up in a spoon, cup or scoop
+function doseVolume(dose, product) {
+  if (dose.ml !== undefined) return dose.ml;
+  return dose.grams / (product.density || DEFAULT_BULK_DENSITY);
+}
+
+// A dose from calculateDose() as the user measures it.
+// Large amounts always go by weight or volume: nobody counts out 20 cups.
+export function formatDose(dose, product, units = DEFAULT_UNITS) {
+  const exact = exactAmount(dose, units);
+  const ml = doseVolume(dose, product);
+  if (units.measure === 'kitchen' && ml < 4 * KITCHEN_SIZES.metric.cup) {
+    return `${kitchenMeasure(ml, units.system)} (${exactShort(dose, units)})`;
+  }
+  if (units.measure === 'scoop' && units.scoopMl > 0 && ml < 20 * units.scoopMl) {
+    return `${counted(ml / units.scoopMl, 0.5, 'scoop')} (${exactShort(dose, units)})`;
+  }
+  return exact;
+}
+
+// ── Speech ──
+// Abbreviations and fraction signs read aloud, per locale. Amounts in
+// parentheses repeat the main one in another unit and are left out.
+
+const SPOKEN_UNITS = {
+  en: [
+    [/(\d) ?fl oz\b/g, '$1 fluid ounces'],
+    [/(\d) ?oz\b/g, '$1 ounces'],
+    [/(\d) ?lbs\b/g, '$1 pounds'],
+    [/(\d) ?kg\b/g, '$1 kilograms'],
+    [/(\d) ?g\b/g, '$1 grams'],
+    [/(\d) ?mL\b/g, '$1 milliliters'],
+    [/(\d) ?L\b/g, '$1 liters'],
+    [/(\d) ?gal\b/g, '$1 gallons'],
+    [/°F\b/g, ' degrees Fahrenheit'],
+    [/°C\b/g, ' degrees Celsius'],
+    [/(\d)¼/g, '$1 and a quarter'],
+    [/(\d)½/g, '$1 and a half'],
+    [/(\d)¾/g, '$1 and three quarters'],
+    [/¼ /g, 'a quarter '],
+    [/½ /g, 'half a '],
+    [/¾ /g, 'three quarters of a '],
+  ],
+  es: [
+    [/(\d) ?fl oz\b/g, '$1 onzas líquidas'],
+    [/(\d) ?oz\b/g, '$1 onzas'],
+    [/(\d) ?lbs\b/g, '$1 libras'],
+    [/(\d) ?kg\b/g, '$1 kilogramos'],
+    [/(\d) ?g\b/g, '$1 gramos'],
+    [/(\d) ?mL\b/g, '$1 mililitros'],
+    [/(\d) ?L\b/g, '$1 litros'],
+    [/(\d) ?gal\b/g, '$1 galones'],
+    [/°F\b/g, ' grados Fahrenheit'],
+    [/°C\b/g, ' grados Celsius'],
+    [/(\d)¼/g, '$1 y cuarto'],
+    [/(\d)½/g, '$1 y media'],
+    [/(\d)¾/g, '$1 y tres cuartos'],
+    [/¼ /g, 'un cuarto de '],
+    [/½ /g, 'media '],
+    [/¾ /g, 'tres cuartos de '],
+  ],
+  de: [
+    [/(\d) ?fl oz\b/g, '$1 Flüssigunzen'],
+    [/(\d) ?oz\b/g, '$1 Unzen'],
+    [/(\d) ?lbs\b/g, '$1 Pfund'],
+    [/(\d) ?kg\b/g, '$1 Kilogramm'],
+    [/(\d) ?g\b/g, '$1 Gramm'],
+    [/(\d) ?mL\b/g, '$1 Milliliter'],
+    [/(\d) ?L\b/g, '$1 Liter'],
+    [/(\d) ?gal\b/g, '$1 Gallonen'],
+    [/°F\b/g, ' Grad Fahrenheit'],
+    [/°C\b/g, ' Grad Celsius'],
+    [/(\d)¼/g, '$1 und ein Viertel'],
+    [/(\d)½/g, '$1 und ein halb'],
+    [/(\d)¾/g, '$1 und drei Viertel'],
+    [/¼ /g, 'ein Viertel '],
+    [/½ (?=Tasse)/g, 'eine halbe '],
+    [/½ /g, 'ein halber '],
+    [/¾ /g, 'drei Viertel '],
+  ],
+};
+
+export function spokenUnits(text) {
+  const rules = SPOKEN_UNITS[getLocale()] || SPOKEN_UNITS.en;
+  return rules.reduce((s, [pattern, words]) => s.replace(pattern, words), text.replace(/ \([^)]*\)/g, ''));
+}
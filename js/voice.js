@@ -0,0 +1,159 @@
+// Hands-free voice commands: a small phrase grammar and a listening loop
+//
+// GRAMMAR: each command lists the phrases that trigger it. A phrase matches
+// when its words appear together in what was heard, so "okay next step
+// please" is nextStep. When several phrases match, the longest wins ("skip
+// wait" over "wait"), then the command listed first. There is a grammar per
+// locale; the replies in the message catalog name its phrases ("Say next
+// step…"), so the two are translated together. Accents and case don't
+// matter.
+//
+// LISTENING: recognition stops after each phrase, so the loop starts it
+// again until voice control is turned off. It also stops while the app is
+// talking, so replies aren't heard as commands.
+
+import { isSTTAvailable, startListening, stopListening, speak } from './speech.js';
+import { t, getLocale } from './i18n.js';
+
+export const COMMANDS = {
+  en: {
+    nextStep: ['next step', 'next', 'done', 'added it', 'it s in', 'finished', 'continue'],
+    repeat: ['repeat', 'say again', 'say that again', 'again', 'what was that', 'pardon'],
+    howMuch: ['how much', 'how many', 'amount', 'what amount', 'dose'],
+    startTimer: ['start timer', 'start the timer', 'start wait', 'start waiting', 'resume', 'timer'],
+    skip: ['skip', 'skip wait', 'skip step', 'skip it', 'move on'],
+    pause: ['pause', 'pause timer', 'pause the timer', 'stop timer', 'stop the timer', 'hold on'],
+    readResults: ['read results', 'read the results', 'results', 'read readings', 'what are the results'],
+    stop: ['stop listening', 'stop', 'quiet', 'cancel'],
+  },
+  es: {
+    nextStep: ['siguiente paso', 'siguiente', 'listo', 'hecho', 'ya está', 'terminado', 'continuar', 'continúa'],
+    repeat: ['repite', 'repetir', 'otra vez', 'de nuevo', 'qué dijiste', 'perdón'],
+    howMuch: ['cuánto', 'cuánta', 'cantidad', 'qué cantidad', 'dosis'],
+    startTimer: ['inicia el temporizador', 'iniciar temporizador', 'empieza la espera', 'reanudar', 'reanuda', 'temporizador'],
+    skip: ['saltar', 'salta', 'saltar espera', 'saltar paso', 'sáltalo', 'pasa'],
+    pause: ['pausa', 'pausar', 'pausa el temporizador', 'para el temporizador', 'detén el temporizador', 'un momento'],
+    readResults: ['lee los resultados', 'leer resultados', 'resultados', 'lee las lecturas', 'cuáles son los resultados'],
+    stop: ['deja de escuchar', 'para', 'detente', 'silencio', 'cancelar'],
+  },
+  de: {
+    nextStep: ['nächster schritt', 'weiter', 'fertig', 'erledigt', 'ist drin', 'fortfahren'],
+    repeat: ['wiederholen', 'wiederhole', 'nochmal', 'noch einmal', 'wie bitte', 'was war das'],
+    howMuch: ['wie viel', 'wieviel', 'menge', 'welche menge', 'dosis'],
+    startTimer: ['timer starten', 'starte den timer', 'wartezeit starten', 'fortsetzen', 'timer'],
+    skip: ['überspringen', 'überspring', 'wartezeit überspringen', 'schritt überspringen'],
+    pause: ['pause', 'pausieren', 'timer anhalten', 'halt den timer an', 'timer stoppen', 'moment'],
+    readResults: ['ergebnisse vorlesen', 'lies die ergebnisse', 'ergebnisse', 'werte vorlesen', 'was sind die ergebnisse'],
+    stop: ['nicht mehr zuhören', 'zuhören beenden', 'stopp', 'stop', 'ruhe', 'abbrechen'],
+  },
+};
+
+// Lowercase words without accents, padded with spaces: " nachster schritt "
+function normalize(text) {
+  const plain = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+  return ` ${plain.replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+// Command for the first transcript (of the recognizer's alternatives) that
+// matches the grammar, or null
+export function matchCommand(transcripts) {
+  const grammar = COMMANDS[getLocale()] || COMMANDS.en;
+  for (const transcript of [].concat(transcripts)) {
+    const text = normalize(transcript);
+    let best = null;
+    let bestWords = 0;
+    for (const [command, phrases] of Object.entries(grammar)) {
+      for (const phrase of phrases) {
+        const words = phrase.split(' ').length;
+        if (words > bestWords && text.includes(normalize(phrase))) {
+          best = command;
+          bestWords = words;
+        }
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+export function isVoiceAvailable() {
+  return isSTTAvailable();
+}
+
+// Listening loop.
+//   onCommand(command, transcript): a phrase matched the grammar
+//   onChange({ active, listening, heard, error }): for the on-screen indicator
+// Returns { start, stop, say, isActive }. say() speaks a reply with the
+// microphone off.
+export function createVoiceControl({ onCommand, onChange }) {
+  let active = false;
+  let listening = false;
+  let talking = false;
+  let heard = '';
+  let restartTimer = null;
+  let session = 0; // callbacks from a recognizer that was stopped are ignored
+  let reply = 0; // likewise for a reply cut off by the next one
+
+  const update = (error = null) => onChange?.({ active, listening, heard, error });
+
+  const listen = () => {
+    clearTimeout(restartTimer);
+    if (!active || talking || listening) return;
+    listening = true;
+    const id = ++session;
+    update();
+    startListening((transcript, alternatives) => {
+      if (id !== session) return;
+      heard = transcript;
+      const command = matchCommand(alternatives);
+      update();
+      if (command) onCommand(command, transcript);
+    }, (error) => {
+      if (id !== session || !listening) return;
+      listening = false;
+      // No permission: give up instead of asking again and again
+      if (error === 'not-allowed' || error === 'service-not-allowed') {
+        active = false;
+        update(t('voice.denied'));
+        return;
+      }
+      update();
+      restartTimer = setTimeout(listen, 250);
+    });
+  };
+
+  return {
+    start() {
+      if (active) return;
+      active = true;
+      heard = '';
+      listen();
+    },
+    stop() {
+      active = false;
+      clearTimeout(restartTimer);
+      session++;
+      if (listening) {
+        listening = false;
+        stopListening();
+      }
+      update();
+    },
+    say(text) {
+      talking = true;
+      session++;
+      if (listening) {
+        listening = false;
+        stopListening();
+      }
+      update();
+      const turn = ++reply;
+      speak(text, 0.9, () => {
+        if (turn !== reply) return;
+        talking = false;
+        listen();
+      });
+    },
+    isActive: () => active,
+  };
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'sparobot-v5';
+const CACHE_NAME = 'sparobot-v19';
 
 // Use relative paths so the app works at any base path (GitHub Pages, custom domain, etc.)
 const ASSETS = [
@@ -10,6 +10,23 @@ const ASSETS = [
   './js/colorChart.js',
   './js/speech.js',
   './js/calendar.js',
+  './js/camera.js',
+  './js/products.js',
+  './js/charts.js',
+  './js/backup.js',
+  './js/dropKits.js',
+  './js/storage.js',
+  './js/stripDetect.js',
+  './js/stripProfiles.js',
+  './js/treatment.js',
+  './js/voice.js',
+  './js/dictation.js',
+  './js/units.js',
+  './js/i18n.js',
+  './js/locales/en.js',
+  './js/locales/es.js',
+  './js/locales/de.js',
+  './js/router.js',
   './manifest.json',
   './icons/icon-192.svg',
   './icons/icon-512.svg',
@@ -53,3 +70,14 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// Tapping a treatment notification brings the app back to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      if (windows.length > 0) return windows[0].focus();
+      return self.clients.openWindow('./');
+    })
+  );
+});